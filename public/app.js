@@ -352,11 +352,8 @@ async function loadYearData() {
             header: true,
             skipEmptyLines: true,
             chunk: (results) => {
-                // Filter to NOX only
-                const noxData = results.data.filter(row => {
-                    const pollutant = (row['pollutant code'] || row['pollutant_code'] || '').toUpperCase();
-                    return pollutant === 'NOX';
-                });
+                // Filter to NOX only (pollutant codes are upper-cased on ingest)
+                const noxData = results.data.filter(row => row['pollutant_code'] === 'NOX');
                 
                 emissionsData.push(...noxData);
             },
@@ -387,7 +384,7 @@ function populateSiteTypeFilter() {
     const siteTypes = new Set();
 
     emissionsData.forEach(site => {
-        const naicsDesc = site['primary naics description'] || site['primary_naics_description'];
+        const naicsDesc = site['primary_naics_description'];
         if (naicsDesc && naicsDesc.trim() !== '') {
             siteTypes.add(naicsDesc.trim());
         }
@@ -409,8 +406,8 @@ function applyFilters() {
     filters.siteType = document.getElementById('site-type-filter').value;
 
     filteredData = emissionsData.filter(site => {
-        const emissions = parseFloat(site['total emissions'] || site['total_emissions']) || 0;
-        const naicsDesc = (site['primary naics description'] || site['primary_naics_description'] || '').trim();
+        const emissions = parseFloat(site['total_emissions']) || 0;
+        const naicsDesc = site['primary_naics_description'] || '';
 
         // Apply minimum emissions filter
         if (emissions < filters.minEmissions) return false;
@@ -437,9 +434,9 @@ function plotEmissions() {
     // Convert data to GeoJSON features
     const features = [];
     filteredData.forEach(site => {
-        const lat = parseFloat(site['site latitude'] || site['site_latitude']);
-        const lng = parseFloat(site['site longitude'] || site['site_longitude']);
-        const reported = parseFloat(site['total emissions'] || site['total_emissions']);
+        const lat = parseFloat(site['site_latitude']);
+        const lng = parseFloat(site['site_longitude']);
+        const reported = parseFloat(site['total_emissions']);
         const measured = site['measured_emissions'] ? parseFloat(site['measured_emissions']) : null;
 
         if (isNaN(lat) || isNaN(lng) || isNaN(reported)) return;
@@ -538,8 +535,8 @@ map.on('click', 'emissions-unclustered', (e) => {
     const feature = e.features[0];
     const props = feature.properties;
 
-    const facilityName = props['site name'] || props['site_name'] || 'Unknown Facility';
-    const reported = parseFloat(props['total emissions'] || props['total_emissions']);
+    const facilityName = props['site_name'] || 'Unknown Facility';
+    const reported = parseFloat(props['total_emissions']);
     const measured = props['measured_emissions'] ? parseFloat(props['measured_emissions']) : null;
 
     let popupContent = `
@@ -616,6 +613,148 @@ function handleFileSelect(e) {
     }
 }
 
+// Resumable uploads: chunk size and retries per chunk after network errors
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const UPLOAD_MAX_RETRIES = 5;
+const UPLOAD_RESULT_POLL_MS = 2000;
+
+function updateUploadProgress(sent, total, status) {
+    const percent = total > 0 ? Math.round((sent / total) * 100) : 0;
+    document.getElementById('upload-progress').value = percent;
+    document.getElementById('upload-status').textContent = status ||
+        `${(sent / (1024 * 1024)).toFixed(1)} of ${(total / (1024 * 1024)).toFixed(1)} MB (${percent}%)`;
+}
+
+// Unfinished uploads are remembered per file so they can resume after a reload
+function uploadStorageKey(year, file) {
+    return `nei-upload:${year}:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+async function fetchUploadOffset(uploadUrl) {
+    const response = await fetch(uploadUrl, { method: 'HEAD' });
+    return response.ok ? parseInt(response.headers.get('Upload-Offset')) : null;
+}
+
+/**
+ * Resume a remembered upload of this file, or start a new one
+ *
+ * @returns {Promise<Object>} - { url, offset }
+ */
+async function startOrResumeUpload(year, file) {
+    const key = uploadStorageKey(year, file);
+    const savedUrl = localStorage.getItem(key);
+
+    if (savedUrl) {
+        const offset = await fetchUploadOffset(savedUrl);
+        if (offset !== null) {
+            return { url: savedUrl, offset };
+        }
+        localStorage.removeItem(key);
+    }
+
+    const response = await fetch('/api/nei/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Upload-Length': String(file.size) },
+        body: JSON.stringify({ year, filename: file.name })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Failed to start upload');
+    }
+
+    localStorage.setItem(key, result.location);
+    return { url: result.location, offset: 0 };
+}
+
+/**
+ * Wait for the server to finish processing a fully received upload
+ * Used when the response to the last chunk was lost (or the page was reloaded).
+ *
+ * @returns {Promise<Object>} - { ok, result } as the last chunk's response would have been
+ */
+async function waitForUploadResult(uploadUrl, fileSize) {
+    let failures = 0;
+
+    while (true) {
+        let upload = null;
+        try {
+            const response = await fetch(uploadUrl);
+            if (response.status === 404) {
+                throw new Error('Upload result expired');
+            }
+            upload = await response.json();
+            failures = 0;
+        } catch (error) {
+            if (error.message === 'Upload result expired') throw error;
+            failures++;
+            if (failures > UPLOAD_MAX_RETRIES) throw error;
+        }
+
+        if (upload && upload.status === 'complete') {
+            return { ok: upload.result.status < 300, result: upload.result.body };
+        }
+        updateUploadProgress(fileSize, fileSize, 'Validating and storing file...');
+        await new Promise(resolve => setTimeout(resolve, UPLOAD_RESULT_POLL_MS));
+    }
+}
+
+/**
+ * Send the file in chunks from upload.offset, retrying after network errors
+ *
+ * @returns {Promise<Object>} - { ok, result } from the response to the last chunk
+ */
+async function sendUploadChunks(upload, file) {
+    let offset = upload.offset;
+    let failures = 0;
+
+    while (true) {
+        if (offset >= file.size) {
+            // Every byte is on the server; its result may be ready or still being processed
+            return waitForUploadResult(upload.url, file.size);
+        }
+
+        let response;
+        try {
+            response = await fetch(upload.url, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/offset+octet-stream',
+                    'Upload-Offset': String(offset)
+                },
+                body: file.slice(offset, offset + UPLOAD_CHUNK_SIZE)
+            });
+        } catch (error) {
+            // Connection dropped: back off, then ask the server how much it received
+            failures++;
+            if (failures > UPLOAD_MAX_RETRIES) throw error;
+            updateUploadProgress(offset, file.size, `Connection lost, retrying (${failures}/${UPLOAD_MAX_RETRIES})...`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** failures));
+            try {
+                offset = (await fetchUploadOffset(upload.url)) ?? offset;
+            } catch (headError) {
+                // Still offline; the next PATCH attempt counts as another retry
+            }
+            continue;
+        }
+
+        const serverOffset = parseInt(response.headers.get('Upload-Offset'));
+        if (response.status === 204) {
+            offset = serverOffset;
+            failures = 0;
+            updateUploadProgress(offset, file.size);
+            continue;
+        }
+        if (response.status === 409 && !isNaN(serverOffset) && serverOffset !== offset) {
+            // Out of step with the server (e.g. a chunk landed before the connection dropped)
+            offset = serverOffset;
+            continue;
+        }
+
+        // Stored, rejected or failed - either way the upload is over
+        return { ok: response.ok, result: await response.json() };
+    }
+}
+
 async function handleUpload() {
     const year = document.getElementById('upload-year').value;
     const file = document.getElementById('file-input').files[0];
@@ -625,40 +764,52 @@ async function handleUpload() {
         return;
     }
     
-    showToast('Validating and uploading...', 'success');
-    
-    const formData = new FormData();
-    formData.append('year', year);
-    formData.append('file', file);
+    const submitButton = document.getElementById('upload-submit');
+    submitButton.disabled = true;
     
     try {
-        const response = await fetch('/api/nei/upload', {
-            method: 'POST',
-            body: formData
-        });
-        
-        const result = await response.json();
+        const upload = await startOrResumeUpload(year, file);
+        if (upload.offset > 0) {
+            showToast(`Resuming upload at ${Math.round((upload.offset / file.size) * 100)}%`, 'success');
+        }
+        updateUploadProgress(upload.offset, file.size);
+
+        const { ok, result } = await sendUploadChunks(upload, file);
+        localStorage.removeItem(uploadStorageKey(year, file));
+        // The server keeps the result until it has been read
+        fetch(upload.url, { method: 'DELETE' }).catch(() => {});
         
-        if (response.ok) {
-            showToast(`NEI data for ${year} uploaded successfully!`, 'success');
+        if (ok) {
+            showToast(result.message || `NEI data for ${year} uploaded successfully!`, 'success');
             document.getElementById('upload-modal').style.display = 'none';
             document.getElementById('upload-year').value = '';
             document.getElementById('file-input').value = '';
             document.getElementById('file-name').textContent = '';
+            updateUploadProgress(0, 0, '');
             
             // Reload available years
             loadAvailableYears();
         } else {
             showToast(result.error || 'Upload failed', 'error');
+            updateUploadProgress(0, 0, result.error || 'Upload failed');
             
             if (result.missingColumns) {
                 console.error('Missing columns:', result.missingColumns);
                 console.error('Required columns:', result.requiredColumns);
             }
+
+            // Download the row-level error report (served as an attachment)
+            if (result.reportUrl) {
+                console.error('Invalid rows (first few):', result.sampleErrors);
+                window.location.href = result.reportUrl;
+            }
         }
     } catch (error) {
-        showToast('Upload failed', 'error');
+        // The upload is remembered, so trying again resumes it
+        showToast(`Upload interrupted (${error.message}) - try again to resume`, 'error');
         console.error(error);
+    } finally {
+        submitButton.disabled = false;
     }
 }
 
@@ -679,18 +830,18 @@ function showSiteDetails(site) {
     const modal = document.getElementById('site-details-modal');
     const content = document.getElementById('site-details-content');
 
-    const facilityName = site['site name'] || site['site_name'] || 'Unknown';
-    const facilityId = site['eis facility id'] || site['eis_facility_id'] || 'N/A';
+    const facilityName = site['site_name'] || 'Unknown';
+    const facilityId = site['eis_facility_id'] || 'N/A';
     const state = site['state'] || 'N/A';
     const county = site['county'] || 'N/A';
     const city = site['city'] || 'N/A';
-    const address = site['Street Address'] || 'N/A';
-    const zipcode = site['site zipcode'] || site['site_zipcode'] || 'N/A';
-    const naicsCode = site['primary naics code'] || site['primary_naics_code'] || 'N/A';
-    const naicsDesc = site['primary naics description'] || site['primary_naics_description'] || 'N/A';
-    const lat = site['site latitude'] || site['site_latitude'] || 'N/A';
-    const lng = site['site longitude'] || site['site_longitude'] || 'N/A';
-    const reported = parseFloat(site['total emissions'] || site['total_emissions']) || 0;
+    const address = site['address'] || 'N/A';
+    const zipcode = site['zip_code'] || 'N/A';
+    const naicsCode = site['primary_naics_code'] || 'N/A';
+    const naicsDesc = site['primary_naics_description'] || 'N/A';
+    const lat = site['site_latitude'] || 'N/A';
+    const lng = site['site_longitude'] || 'N/A';
+    const reported = parseFloat(site['total_emissions']) || 0;
     const measured = site['measured_emissions'] ? parseFloat(site['measured_emissions']) : null;
 
     let detailsHTML = `
@@ -12,6 +12,20 @@ let filteredData = []; // Filtered facility data based on user selections
 let adiData = {}; // ADI data keyed by GEOID
 let isDarkTheme = localStorage.getItem('theme') !== 'light';
 let currentRiskMetric = 'absolute'; // 'absolute' or 'equity'
+let availableDataYears = []; // Predictions years reported by /api/predictions/years
+let currentDataYear = null; // Predictions year currently loaded into facilityData
+let markerColorMode = 'risk'; // 'risk', 'change' or 'verification'
+let riskChangeData = {}; // Risk deltas (current year - base year) keyed by facility_id
+let riskChangeBaseYear = null; // Year the current year is compared with in 'change' mode
+let pendingHashFacilityId = null; // Facility from the URL hash, opened once data loads
+let currentPollutant = 'NOX'; // Pollutant shown by markers, filters and the table
+let availablePollutants = []; // Pollutants in the NEI year matching currentDataYear (from /api/nei/:year/pollutants)
+let pollutantEmissions = null; // facility_id -> emissions of currentPollutant, null for the predictions' own NOx
+let pollutantScale = 1; // Magnitude of currentPollutant relative to NOx, for thresholds and marker sizes
+let verificationTolerance = 2; // In 'verification' mode, reported within this factor of predicted is consistent
+let selectionTool = null; // Draw tool in use: 'polygon', 'rectangle', 'circle' or null
+let selectionPoints = []; // [lng, lat] clicks of the shape being drawn
+let selectionShape = null; // Finished shape, as sent to /api/selection/report
 
 // NAICS sector mapping (2-digit codes to simplified sectors)
 const NAICS_SECTORS = {
@@ -98,6 +112,29 @@ const EMISSION_THRESHOLDS = [
     10000     // 13: 10k tons
 ];
 
+// Hybrid risk score components (risk_score = Σ weight × component, see AnomalyDetection notebook)
+const ANOMALY_COMPONENTS = [
+    { column: 'risk_global', label: 'Residual', weight: 0.6, color: '#8b5cf6' },
+    { column: 'risk_peer', label: 'Peer', weight: 0.2, color: '#06b6d4' },
+    { column: 'risk_atmospheric', label: 'Atmospheric', weight: 0.2, color: '#f97316' }
+];
+
+// Sorted component values across facilityData, built lazily for percentiles
+let anomalyComponentDistributions = null;
+
+// Current hybrid risk weights keyed by component column (percent, normalized when applied)
+let riskWeights = getDefaultRiskWeights();
+let customRiskActive = false; // True when riskWeights differ from the upstream 60/20/20
+
+// Ranked facility table (sorted, paginated view of filteredData)
+const FACILITY_TABLE_PAGE_SIZE = 25;
+let facilityTableState = {
+    visible: false,
+    sortKey: 'risk',
+    sortOrder: 'desc',
+    page: 0
+};
+
 // Filter state
 const filters = {
     minEmissions: 1000,
@@ -109,13 +146,154 @@ const filters = {
 // Data Loading Functions
 // ============================================================================
 
+// Used when /api/predictions/years can't be reached
+const DEFAULT_DATA_YEAR = 2021;
+
+/**
+ * Load the list of available predictions years and populate the year selector
+ * Returns years sorted most recent first
+ */
+async function loadAvailableDataYears() {
+    try {
+        const response = await fetch('/api/predictions/years');
+        if (!response.ok) throw new Error('Failed to load predictions years');
+        const data = await response.json();
+        availableDataYears = data.years || [];
+    } catch (error) {
+        console.error('Error loading predictions years:', error);
+        availableDataYears = [];
+    }
+
+    if (availableDataYears.length === 0) {
+        availableDataYears = [DEFAULT_DATA_YEAR];
+    }
+
+    const selector = document.getElementById('data-year-selector');
+    if (selector) {
+        selector.innerHTML = availableDataYears
+            .map(year => `<option value="${year}">${year}</option>`)
+            .join('');
+    }
+
+    // Year-over-year coloring needs at least two years
+    const changeModeButton = document.getElementById('marker-color-change');
+    if (changeModeButton) {
+        changeModeButton.style.display = availableDataYears.length > 1 ? '' : 'none';
+    }
+
+    return availableDataYears;
+}
+
+/**
+ * Populate the "Compared With" selector with every year except the current one
+ */
+function updateRiskChangeBaseYears() {
+    const selector = document.getElementById('risk-change-base-year');
+    if (!selector) return;
+
+    const baseYears = availableDataYears.filter(year => year !== currentDataYear);
+    if (!baseYears.includes(riskChangeBaseYear)) {
+        // Default to the closest earlier year, otherwise the closest later one
+        riskChangeBaseYear = baseYears.find(year => year < currentDataYear) || baseYears[baseYears.length - 1] || null;
+    }
+
+    selector.innerHTML = baseYears
+        .map(year => `<option value="${year}">${year}</option>`)
+        .join('');
+    if (riskChangeBaseYear) {
+        selector.value = String(riskChangeBaseYear);
+    }
+}
+
+/**
+ * Load risk deltas between riskChangeBaseYear and currentDataYear
+ * Delta is current year minus base year, so positive means risk increased
+ */
+async function loadRiskChanges() {
+    riskChangeData = {};
+    if (!riskChangeBaseYear || !currentDataYear) return;
+
+    try {
+        const response = await fetch(`/api/facilities/changes?from=${riskChangeBaseYear}&to=${currentDataYear}`);
+        if (!response.ok) throw new Error('Failed to load risk changes');
+        const data = await response.json();
+
+        data.facilities.forEach(change => {
+            riskChangeData[change.facility_id] = change;
+        });
+        console.log(`Loaded risk changes ${riskChangeBaseYear} → ${currentDataYear} for ${data.total} facilities`);
+    } catch (error) {
+        console.error('Error loading risk changes:', error);
+        showToast('Failed to load year-over-year risk changes', 'error');
+    }
+
+    const legendYears = document.getElementById('risk-change-legend-years');
+    if (legendYears) {
+        legendYears.textContent = `Change in risk score, ${riskChangeBaseYear} → ${currentDataYear}`;
+    }
+}
+
+/**
+ * Switch between coloring markers by risk score, year-over-year risk change
+ * and reported vs. predicted emissions
+ */
+async function setMarkerColorMode(mode) {
+    markerColorMode = mode;
+
+    document.getElementById('marker-color-risk')?.classList.toggle('active', mode === 'risk');
+    document.getElementById('marker-color-change')?.classList.toggle('active', mode === 'change');
+    document.getElementById('marker-color-verification')?.classList.toggle('active', mode === 'verification');
+
+    const baseSection = document.getElementById('risk-change-base-section');
+    if (baseSection) {
+        baseSection.style.display = mode === 'change' ? 'block' : 'none';
+    }
+
+    const changeLegend = document.getElementById('risk-change-legend');
+    if (changeLegend) {
+        changeLegend.style.display = mode === 'change' ? 'block' : 'none';
+    }
+
+    ['verification-settings-section', 'verification-legend'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.style.display = mode === 'verification' ? 'block' : 'none';
+        }
+    });
+
+    if (mode === 'change') {
+        updateRiskChangeBaseYears();
+        await loadRiskChanges();
+    }
+
+    // Call map-specific recolor function (must be defined in app_gmaps.js or app_maplibre.js)
+    if (typeof updateMarkerColors === 'function') {
+        updateMarkerColors();
+    }
+
+    renderVerificationPlot();
+}
+
 /**
- * Load facility data from predictions CSV (2021)
+ * Load facility data from predictions CSV for a year
+ * Defaults to the most recent available year
  */
-async function loadFacilityData() {
-    console.log('Loading facility data from predictions CSV...');
+async function loadFacilityData(year = null) {
+    if (!year) {
+        const years = await loadAvailableDataYears();
+        year = getHashDataYear() || years[0];
+    }
+
+    currentDataYear = parseInt(year);
+    setHashParam('year', currentDataYear);
+    const selector = document.getElementById('data-year-selector');
+    if (selector) {
+        selector.value = String(currentDataYear);
+    }
+
+    console.log(`Loading facility data from predictions CSV (${currentDataYear})...`);
     try {
-        const response = await fetch('/api/predictions/2021');
+        const response = await fetch(`/api/predictions/${currentDataYear}`);
         if (!response.ok) throw new Error('Failed to load facility data');
 
         const csvText = await response.text();
@@ -123,7 +301,7 @@ async function loadFacilityData() {
         Papa.parse(csvText, {
             header: true,
             skipEmptyLines: true,
-            complete: (results) => {
+            complete: async (results) => {
                 // Debug: log first row to see available columns
                 if (results.data.length > 0) {
                     console.log('CSV columns:', Object.keys(results.data[0]));
@@ -137,14 +315,30 @@ async function loadFacilityData() {
                     }
                 });
 
+                anomalyComponentDistributions = null; // Recomputed for the new year
+
                 facilityData = results.data.filter(row => {
                     return row['site_latitude'] && row['site_longitude'] &&
                            !isNaN(parseFloat(row['site_latitude'])) &&
                            !isNaN(parseFloat(row['site_longitude']));
                 });
 
+                // Custom risk scores are relative to the loaded facilities
+                recomputeCustomRisk();
+
+                // Pollutant emissions are per year - reload them before filtering
+                await loadAvailablePollutants(currentDataYear);
+
+                // Deltas depend on the current year - reload them before plotting
+                if (markerColorMode === 'change') {
+                    updateRiskChangeBaseYears();
+                    await loadRiskChanges();
+                }
+
                 applyFilters();
-                console.log(`Loaded ${facilityData.length} facilities`);
+                console.log(`Loaded ${facilityData.length} facilities for ${currentDataYear}`);
+
+                restoreFacilityHashState();
             },
             error: (error) => {
                 console.error('Error parsing CSV:', error);
@@ -199,6 +393,370 @@ async function loadAdiData(year) {
     }
 }
 
+// ============================================================================
+// Pollutants
+// ============================================================================
+
+// Pollutant of the predictions CSV's total_emissions; others come from NEI
+const PREDICTIONS_POLLUTANT = 'NOX';
+
+// Short labels for common NEI pollutant codes (others show their code)
+const POLLUTANT_LABELS = {
+    'NOX': 'NOx',
+    'SO2': 'SO₂',
+    'PM25-PRI': 'PM2.5',
+    'PM10-PRI': 'PM10',
+    'VOC': 'VOC',
+    'CO': 'CO',
+    'NH3': 'NH₃'
+};
+
+function getPollutantLabel(code = currentPollutant) {
+    return POLLUTANT_LABELS[code] || code;
+}
+
+/**
+ * Emissions unit for the current pollutant (NEI reports most in tons, some HAPs in pounds)
+ */
+function getEmissionsUnit() {
+    const pollutant = availablePollutants.find(p => p.code === currentPollutant);
+    return pollutant && pollutant.uom === 'LB' ? 'lb/year' : 'tons/year';
+}
+
+/**
+ * Emissions of the current pollutant for a facility, or null if it didn't report it
+ */
+function getFacilityEmissions(facility) {
+    if (pollutantEmissions) {
+        return pollutantEmissions[facility['facility_id']] ?? null;
+    }
+    const emissions = parseFloat(facility['total_emissions']);
+    return isNaN(emissions) ? null : emissions;
+}
+
+/**
+ * Minimum emissions for an emissions slider position, scaled to the current pollutant
+ */
+function getEmissionThreshold(sliderIndex) {
+    return EMISSION_THRESHOLDS[sliderIndex] * pollutantScale;
+}
+
+/**
+ * Load the pollutants reported in a year's NEI data and populate the pollutant selector
+ * Falls back to NOx only when the year has no NEI data
+ */
+async function loadAvailablePollutants(year) {
+    try {
+        const response = await fetch(`/api/nei/${year}/pollutants`);
+        if (!response.ok) throw new Error(`No NEI pollutants for ${year}`);
+        availablePollutants = (await response.json()).pollutants;
+    } catch (error) {
+        console.warn(`Pollutant selection unavailable for ${year}:`, error.message);
+        availablePollutants = [];
+    }
+
+    if (!availablePollutants.some(p => p.code === PREDICTIONS_POLLUTANT)) {
+        availablePollutants.unshift({ code: PREDICTIONS_POLLUTANT, description: 'Nitrogen Oxides', uom: 'TON' });
+    }
+
+    const selector = document.getElementById('pollutant-selector');
+    if (selector) {
+        selector.innerHTML = availablePollutants
+            .map(p => `<option value="${p.code}">${getPollutantLabel(p.code)}${p.facilityCount ? ` (${p.facilityCount.toLocaleString()})` : ''}</option>`)
+            .join('');
+    }
+
+    // Keep the selected pollutant if this year reports it
+    const requested = getHashParams().get('pollutant') || currentPollutant;
+    await selectPollutant(availablePollutants.some(p => p.code === requested) ? requested : PREDICTIONS_POLLUTANT);
+}
+
+/**
+ * Load emissions and scale for a pollutant (without re-filtering)
+ */
+async function selectPollutant(code) {
+    currentPollutant = code;
+    pollutantEmissions = null;
+    pollutantScale = 1;
+
+    if (code !== PREDICTIONS_POLLUTANT) {
+        try {
+            const response = await fetch(`/api/nei/${currentDataYear}/pollutants/${encodeURIComponent(code)}`);
+            if (!response.ok) throw new Error(`Failed to load ${code} emissions`);
+            pollutantEmissions = (await response.json()).emissions;
+        } catch (error) {
+            console.error('Error loading pollutant emissions:', error);
+            showToast(`Failed to load ${getPollutantLabel(code)} emissions`, 'error');
+            currentPollutant = PREDICTIONS_POLLUTANT;
+        }
+    }
+
+    // Thresholds and marker sizes were tuned on NOx; shift them by powers of ten
+    // so the 90th-percentile facility of each pollutant lands in the same place
+    const pollutant = availablePollutants.find(p => p.code === currentPollutant);
+    const nox = availablePollutants.find(p => p.code === PREDICTIONS_POLLUTANT);
+    if (pollutant && nox && pollutant !== nox && pollutant.p90 > 0 && nox.p90 > 0) {
+        pollutantScale = Math.pow(10, Math.round(Math.log10(pollutant.p90 / nox.p90)));
+    }
+
+    const selector = document.getElementById('pollutant-selector');
+    if (selector) {
+        selector.value = currentPollutant;
+    }
+    const unit = document.getElementById('emissions-unit');
+    if (unit) {
+        unit.textContent = getEmissionsUnit();
+    }
+    setHashParam('pollutant', currentPollutant === PREDICTIONS_POLLUTANT ? null : currentPollutant);
+
+    // Year and pollutant changes both come through here
+    if (burdenLayerActive) {
+        loadBurdenIndex();
+    }
+}
+
+/**
+ * Switch the pollutant shown on the map (from the pollutant selector)
+ */
+async function setPollutant(code) {
+    await selectPollutant(code);
+    applyFilters();
+}
+
+// ============================================================================
+// Verification (Reported vs. Predicted Emissions)
+// ============================================================================
+
+// Tolerance slider positions: reported within this factor of predicted is consistent
+const VERIFICATION_TOLERANCES = [1.25, 1.5, 2, 3, 5, 10];
+
+/**
+ * Reported NEI NOx emissions from the predictions CSV (independent of the pollutant selector)
+ */
+function getReportedEmissions(facility) {
+    const reported = parseFloat(facility['total_emissions']);
+    return isNaN(reported) ? null : reported;
+}
+
+/**
+ * Model-implied NOx emissions: expected_log_emissions is on the log1p scale of total_emissions
+ */
+function getPredictedEmissions(facility) {
+    const expected = parseFloat(facility['expected_log_emissions']);
+    return isNaN(expected) ? null : Math.expm1(expected);
+}
+
+/**
+ * Compare a facility's reported emissions with the model-implied value
+ * logRatio is log10(reported / predicted), so negative means reported below predicted
+ *
+ * @returns {Object|null} - { reported, predicted, ratio, logRatio, withinTolerance }, null without both values
+ */
+function getVerification(facility) {
+    const reported = getReportedEmissions(facility);
+    const predicted = getPredictedEmissions(facility);
+    if (!(reported > 0) || !(predicted > 0)) return null;
+
+    const ratio = reported / predicted;
+    const logRatio = Math.log10(ratio);
+    return {
+        reported,
+        predicted,
+        ratio,
+        logRatio,
+        withinTolerance: Math.abs(logRatio) <= Math.log10(verificationTolerance)
+    };
+}
+
+/**
+ * Diverging color for log10(reported / predicted)
+ * Inside the tolerance band: light gray. Below predicted: pink to red, above: light to dark blue,
+ * saturating at the square of the tolerance (e.g. 4x for a 2x band).
+ */
+function getVerificationColor(logRatio) {
+    if (logRatio === null || logRatio === undefined || isNaN(logRatio)) {
+        return '#808080'; // Gray - no prediction for this facility
+    }
+
+    const band = Math.log10(verificationTolerance);
+    if (Math.abs(logRatio) <= band) {
+        return '#e5e7eb';
+    }
+
+    const t = Math.min(1, (Math.abs(logRatio) - band) / band);
+    return logRatio < 0
+        ? interpolateColor('#fca5a5', '#ef4444', t)
+        : interpolateColor('#93c5fd', '#3b82f6', t);
+}
+
+/**
+ * Set the tolerance band from a slider position and recolor
+ */
+function setVerificationTolerance(sliderIndex) {
+    verificationTolerance = VERIFICATION_TOLERANCES[sliderIndex] || verificationTolerance;
+
+    const label = document.getElementById('verification-tolerance-value');
+    if (label) {
+        label.textContent = `${verificationTolerance}×`;
+    }
+
+    if (markerColorMode !== 'verification') return;
+
+    if (typeof updateMarkerColors === 'function') {
+        updateMarkerColors();
+    }
+    renderVerificationPlot();
+}
+
+/**
+ * Format an emissions value for a log axis tick (1, 10, 100, 1k, ...)
+ */
+function formatLogTick(value) {
+    if (value >= 1000000) return `${value / 1000000}M`;
+    if (value >= 1000) return `${value / 1000}k`;
+    return String(value);
+}
+
+/**
+ * Draw the reported vs. predicted scatter plot for the filtered facilities
+ * Log-log axes, with the tolerance band around the 1:1 line and the open facility highlighted.
+ * Clicking a point opens that facility.
+ */
+function renderVerificationPlot() {
+    const container = document.getElementById('verification-plot');
+    if (!container || markerColorMode !== 'verification') return;
+
+    const points = filteredData
+        .map(facility => ({ facility, verification: getVerification(facility) }))
+        .filter(point => point.verification);
+
+    const summary = document.getElementById('verification-summary');
+    const tolerance = document.getElementById('verification-legend-tolerance');
+    if (tolerance) {
+        tolerance.textContent = `Gray: reported within ${verificationTolerance}× of the model-implied value`;
+    }
+
+    if (points.length === 0) {
+        container.innerHTML = '';
+        if (summary) summary.textContent = 'No facilities with both reported and predicted emissions';
+        return;
+    }
+
+    // Square log-log domain padded to whole powers of ten
+    const values = points.flatMap(point => [point.verification.reported, point.verification.predicted]);
+    const minExp = Math.floor(Math.log10(Math.min(...values)));
+    const maxExp = Math.max(minExp + 1, Math.ceil(Math.log10(Math.max(...values))));
+
+    const width = 240;
+    const height = 200;
+    const margin = { top: 8, right: 8, bottom: 28, left: 36 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const x = value => margin.left + (Math.log10(value) - minExp) / (maxExp - minExp) * plotWidth;
+    const y = value => margin.top + plotHeight - (Math.log10(value) - minExp) / (maxExp - minExp) * plotHeight;
+
+    const lo = Math.pow(10, minExp);
+    const hi = Math.pow(10, maxExp);
+
+    // Tolerance band: reported between predicted / tolerance and predicted * tolerance
+    const band = [
+        [lo, lo * verificationTolerance], [hi / verificationTolerance, hi],
+        [hi, hi / verificationTolerance], [lo * verificationTolerance, lo]
+    ].map(([predicted, reported]) => `${x(predicted).toFixed(1)},${y(reported).toFixed(1)}`).join(' ');
+
+    const ticks = [];
+    for (let exp = minExp; exp <= maxExp; exp++) {
+        const value = Math.pow(10, exp);
+        ticks.push(`
+            <line x1="${x(value)}" y1="${margin.top}" x2="${x(value)}" y2="${margin.top + plotHeight}" stroke="var(--border)" stroke-width="0.5"/>
+            <line x1="${margin.left}" y1="${y(value)}" x2="${margin.left + plotWidth}" y2="${y(value)}" stroke="var(--border)" stroke-width="0.5"/>
+            <text x="${x(value)}" y="${margin.top + plotHeight + 12}" text-anchor="middle">${formatLogTick(value)}</text>
+            <text x="${margin.left - 4}" y="${y(value) + 3}" text-anchor="end">${formatLogTick(value)}</text>
+        `);
+    }
+
+    const selectedId = getHashParams().get('facility');
+    let selected = null;
+    const circles = points.map(point => {
+        const { reported, predicted, logRatio } = point.verification;
+        const id = String(point.facility['facility_id']);
+        if (id === selectedId) {
+            selected = point;
+            return '';
+        }
+        return `<circle data-id="${id}" cx="${x(predicted).toFixed(1)}" cy="${y(reported).toFixed(1)}" r="2.5"
+                        fill="${getVerificationColor(logRatio)}" fill-opacity="0.8" style="cursor: pointer;">
+                    <title>${point.facility['site_name'] || 'Unknown'}</title>
+                </circle>`;
+    }).join('');
+
+    // Selected facility is drawn last so it sits on top
+    const highlight = selected ? `
+        <circle data-id="${selectedId}" cx="${x(selected.verification.predicted).toFixed(1)}" cy="${y(selected.verification.reported).toFixed(1)}" r="6"
+                fill="${getVerificationColor(selected.verification.logRatio)}" stroke="var(--text-primary)" stroke-width="2" style="cursor: pointer;">
+            <title>${selected.facility['site_name'] || 'Unknown'}</title>
+        </circle>
+    ` : '';
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" width="100%" style="font-family: 'IBM Plex Mono', monospace; font-size: 8px; fill: var(--text-secondary);">
+            ${ticks.join('')}
+            <polygon points="${band}" fill="rgba(128, 128, 128, 0.18)"/>
+            <line x1="${x(lo)}" y1="${y(lo)}" x2="${x(hi)}" y2="${y(hi)}" stroke="var(--text-secondary)" stroke-dasharray="3,3"/>
+            ${circles}
+            ${highlight}
+            <text x="${margin.left + plotWidth / 2}" y="${height - 2}" text-anchor="middle">Predicted (tons/year)</text>
+            <text transform="translate(9, ${margin.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">Reported (tons/year)</text>
+        </svg>
+    `;
+
+    container.querySelectorAll('circle[data-id]').forEach(circle => {
+        circle.addEventListener('click', () => {
+            const facility = facilityData.find(f => String(f['facility_id']) === circle.dataset.id);
+            if (facility) openFacilityDetails(facility);
+        });
+    });
+
+    if (summary) {
+        const below = points.filter(point => !point.verification.withinTolerance && point.verification.logRatio < 0).length;
+        const above = points.filter(point => !point.verification.withinTolerance && point.verification.logRatio > 0).length;
+        summary.textContent = `${formatNumber(points.length - below - above)} within tolerance · ` +
+            `${formatNumber(below)} below · ${formatNumber(above)} above predicted`;
+    }
+}
+
+/**
+ * Build the reported vs. predicted section of the facility modal
+ */
+function buildVerificationHTML(facility) {
+    const verification = getVerification(facility);
+    if (!verification) {
+        return `
+            <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+            <div style="font-size: 11px; color: var(--text-secondary);">Model-implied emissions not available for this facility</div>
+        `;
+    }
+
+    const { reported, predicted, ratio, logRatio, withinTolerance } = verification;
+    const status = withinTolerance
+        ? `within ${verificationTolerance}× of predicted`
+        : `${logRatio < 0 ? (1 / ratio).toFixed(1) + '× below' : ratio.toFixed(1) + '× above'} predicted`;
+
+    return `
+        <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+        <div style="font-size: 11px; color: var(--text-secondary); margin-bottom: 10px; font-weight: 500;">Reported vs. predicted NOx</div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 8px; font-family: 'IBM Plex Mono', monospace; font-size: 12px; color: var(--text-primary);">
+            <div><div style="font-size: 9px; color: var(--text-secondary); text-transform: uppercase;">Reported</div>${formatNumber(Math.round(reported))}</div>
+            <div><div style="font-size: 9px; color: var(--text-secondary); text-transform: uppercase;">Predicted</div>${formatNumber(Math.round(predicted))}</div>
+            <div>
+                <div style="font-size: 9px; color: var(--text-secondary); text-transform: uppercase;">Ratio</div>
+                <span style="display: inline-block; width: 8px; height: 8px; border-radius: 50%; background: ${getVerificationColor(logRatio)}; margin-right: 4px;"></span>${ratio.toFixed(2)}
+            </div>
+        </div>
+        <div style="font-size: 11px; color: var(--text-secondary); margin-top: 6px;">Reported ${status} (tons/year)</div>
+    `;
+}
+
 // ============================================================================
 // Filter Functions
 // ============================================================================
@@ -266,8 +824,8 @@ function applyFilters() {
     const slider = document.getElementById('emissions-slider');
     const sliderIndex = parseInt(slider.value) || 0;
 
-    // Use discrete emission threshold
-    const minEmissions = EMISSION_THRESHOLDS[sliderIndex];
+    // Use discrete emission threshold (scaled to the current pollutant)
+    const minEmissions = getEmissionThreshold(sliderIndex);
     const sectorFilter = document.getElementById('sector-filter')?.value || '';
 
     // Get risk percentile filter
@@ -278,6 +836,8 @@ function applyFilters() {
     let displayValue;
     if (minEmissions === 0) {
         displayValue = '0';
+    } else if (minEmissions < 1) {
+        displayValue = String(minEmissions);
     } else if (minEmissions < 1000) {
         displayValue = Math.round(minEmissions) + '';
     } else if (minEmissions < 1000000) {
@@ -301,13 +861,16 @@ function applyFilters() {
 
     // Filter facilityData
     filteredData = facilityData.filter(site => {
-        const emissions = parseFloat(site['total_emissions']) || 0;
+        const emissions = getFacilityEmissions(site);
         const naicsCode = site['naics_code'] || '';
         const sector = getNaicsSector(naicsCode);
-        const riskPercentile = parseFloat(site['risk_percentile']) || 0;
+        const riskPercentile = getRiskPercentile(site) || 0;
+
+        // Facilities that didn't report the selected pollutant are hidden
+        if (emissions === null && pollutantEmissions) return false;
 
         // Apply minimum emissions filter
-        if (emissions < minEmissions) return false;
+        if ((emissions || 0) < minEmissions) return false;
 
         // Apply sector filter
         if (sectorFilter && sector !== sectorFilter) return false;
@@ -315,176 +878,1890 @@ function applyFilters() {
         // Apply risk percentile filter
         if (riskPercentile < minRiskPercentile) return false;
 
-        return true;
+        return true;
+    });
+
+    // Call map-specific plot function (must be defined in map implementation)
+    if (typeof plotEmissions === 'function') {
+        plotEmissions();
+    }
+
+    // Keep the ranked table and verification plot in sync with the filtered set
+    facilityTableState.page = 0;
+    renderFacilityTable();
+    renderVerificationPlot();
+
+    updateFilterHashState();
+    scheduleJusticeStatsUpdate();
+}
+
+/**
+ * Switch between absolute and equity-weighted risk
+ */
+function setRiskMetric(metric) {
+    if (currentRiskMetric === metric) return;
+
+    currentRiskMetric = metric;
+    document.getElementById('risk-metric-absolute')?.classList.toggle('active', metric === 'absolute');
+    document.getElementById('risk-metric-equity')?.classList.toggle('active', metric === 'equity');
+    setHashParam('metric', metric === 'absolute' ? null : metric);
+    console.log(`Switched to ${metric} risk metric`);
+
+    // Call the callback if it exists (set by map implementations)
+    if (window.onRiskMetricChange) {
+        window.onRiskMetricChange();
+    }
+
+    scheduleJusticeStatsUpdate();
+}
+
+// ============================================================================
+// Custom Risk Weights
+// ============================================================================
+
+/**
+ * Default weights from ANOMALY_COMPONENTS, in percent
+ */
+function getDefaultRiskWeights() {
+    const weights = {};
+    ANOMALY_COMPONENTS.forEach(component => {
+        weights[component.column] = Math.round(component.weight * 100);
+    });
+    return weights;
+}
+
+/**
+ * Current weights normalized to sum to 1
+ */
+function getNormalizedRiskWeights() {
+    const total = ANOMALY_COMPONENTS.reduce((sum, component) => sum + riskWeights[component.column], 0);
+    const normalized = {};
+    ANOMALY_COMPONENTS.forEach(component => {
+        normalized[component.column] = total > 0 ? riskWeights[component.column] / total : 0;
+    });
+    return normalized;
+}
+
+/**
+ * Min-max scale an array of numbers (nulls stay null)
+ */
+function minMaxScale(values) {
+    const valid = values.filter(v => v !== null);
+    const min = Math.min(...valid);
+    const max = Math.max(...valid);
+    return values.map(v => {
+        if (v === null) return null;
+        return max > min ? (v - min) / (max - min) : 0;
+    });
+}
+
+/**
+ * Recompute custom risk score, norm and percentile for every facility in facilityData
+ * Mirrors the upstream pipeline: risk_score = Σ weight × component, risk_norm = min-max(risk_score),
+ * risk_percentile = rank percentile, equity-weighted = risk_norm + 0.5·adi_norm + 0.5·risk_norm·adi_norm
+ */
+function recomputeCustomRisk() {
+    const defaults = getDefaultRiskWeights();
+    customRiskActive = ANOMALY_COMPONENTS.some(c => riskWeights[c.column] !== defaults[c.column]);
+    if (!customRiskActive || facilityData.length === 0) return;
+
+    const weights = getNormalizedRiskWeights();
+
+    const scores = facilityData.map(facility => {
+        let score = 0;
+        let hasComponent = false;
+        ANOMALY_COMPONENTS.forEach(component => {
+            const value = parseFloat(facility[component.column]);
+            if (!isNaN(value)) {
+                score += weights[component.column] * value;
+                hasComponent = true;
+            }
+        });
+        return hasComponent ? score : null;
+    });
+
+    const riskNorms = minMaxScale(scores);
+
+    // Percentile rank: share of facilities with a score <= this one
+    const sortedScores = scores.filter(v => v !== null).sort((a, b) => a - b);
+    const percentileOf = (score) => {
+        let low = 0;
+        let high = sortedScores.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sortedScores[mid] <= score) low = mid + 1;
+            else high = mid;
+        }
+        return (low / sortedScores.length) * 100;
+    };
+
+    const adiNorms = minMaxScale(facilityData.map(facility => {
+        const rank = parseFloat(facility['ADI_STATERNK_clean']);
+        return isNaN(rank) ? null : rank;
+    }));
+    const equityScores = riskNorms.map((riskNorm, i) => {
+        if (riskNorm === null || adiNorms[i] === null) return null;
+        return riskNorm + 0.5 * adiNorms[i] + 0.5 * riskNorm * adiNorms[i];
+    });
+    const equityNorms = minMaxScale(equityScores);
+
+    facilityData.forEach((facility, i) => {
+        facility.custom_risk_score = scores[i];
+        facility.custom_risk_norm = riskNorms[i];
+        facility.custom_risk_percentile = scores[i] !== null ? percentileOf(scores[i]) : null;
+        facility.custom_equity_weighted_risk_norm = equityNorms[i];
+    });
+}
+
+/**
+ * Sync the weights panel inputs and labels with riskWeights
+ */
+function updateRiskWeightsPanel() {
+    const normalized = getNormalizedRiskWeights();
+
+    ANOMALY_COMPONENTS.forEach(component => {
+        const slider = document.getElementById(`weight-${component.column}`);
+        const label = document.getElementById(`weight-${component.column}-value`);
+        if (slider) slider.value = riskWeights[component.column];
+        if (label) label.textContent = `${Math.round(normalized[component.column] * 100)}%`;
+    });
+
+    const status = document.getElementById('risk-weights-status');
+    if (status) {
+        status.textContent = customRiskActive
+            ? 'Custom weights: markers, colors and percentiles use the recomputed score'
+            : 'Default weights (60% residual, 20% peer, 20% atmospheric)';
+    }
+}
+
+/**
+ * Apply new weights: recompute scores, update the URL and re-filter
+ */
+function setRiskWeights(weights) {
+    riskWeights = { ...riskWeights, ...weights };
+    recomputeCustomRisk();
+    updateRiskWeightsPanel();
+
+    setHashParam('weights', customRiskActive
+        ? ANOMALY_COMPONENTS.map(c => riskWeights[c.column]).join(',')
+        : null);
+
+    anomalyComponentDistributions = null;
+    applyFilters();
+}
+
+/**
+ * Parse weights from the URL hash (#weights=60,20,20)
+ * Returns null when absent or invalid
+ */
+function parseRiskWeightsParam(value) {
+    if (!value) return null;
+    const parts = value.split(',').map(v => parseFloat(v));
+    if (parts.length !== ANOMALY_COMPONENTS.length || parts.some(v => isNaN(v) || v < 0 || v > 100)) {
+        return null;
+    }
+    if (parts.every(v => v === 0)) return null;
+
+    const weights = {};
+    ANOMALY_COMPONENTS.forEach((component, i) => {
+        weights[component.column] = parts[i];
+    });
+    return weights;
+}
+
+// ============================================================================
+// URL Hash State
+// ============================================================================
+
+/**
+ * Read the URL hash as URLSearchParams (#key=value&key2=value2)
+ */
+function getHashParams() {
+    return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+}
+
+/**
+ * Set (or remove, when a value is null) URL hash parameters without adding a history entry
+ */
+function setHashParams(values) {
+    const params = getHashParams();
+    Object.entries(values).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') {
+            params.delete(key);
+        } else {
+            params.set(key, value);
+        }
+    });
+
+    const hash = params.toString();
+    const url = `${window.location.pathname}${window.location.search}${hash ? '#' + hash : ''}`;
+    history.replaceState(null, '', url);
+}
+
+/**
+ * Set (or remove, when value is null) one URL hash parameter
+ */
+function setHashParam(key, value) {
+    setHashParams({ [key]: value });
+}
+
+/**
+ * Write the filter state (sector, emissions slider index, risk percentile) to the hash
+ * Default values are left out to keep shared links short
+ */
+function updateFilterHashState() {
+    const sector = document.getElementById('sector-filter')?.value || '';
+    const emissionsIndex = document.getElementById('emissions-slider')?.value || '0';
+    const minRiskPercentile = document.getElementById('risk-percentile-slider')?.value || '0';
+
+    setHashParams({
+        sector: sector || null,
+        emissions: emissionsIndex !== '0' ? emissionsIndex : null,
+        risk: minRiskPercentile !== '0' ? minRiskPercentile : null
+    });
+}
+
+/**
+ * Restore filters and risk metric from the hash (before the first applyFilters)
+ * Values that don't match an available option are ignored
+ */
+function restoreFilterHashState() {
+    const params = getHashParams();
+
+    const sectorFilter = document.getElementById('sector-filter');
+    const sector = params.get('sector');
+    if (sectorFilter && sector && [...sectorFilter.options].some(option => option.value === sector)) {
+        sectorFilter.value = sector;
+    }
+
+    const restoreSlider = (id, value) => {
+        const slider = document.getElementById(id);
+        const number = parseInt(value);
+        if (!slider || isNaN(number)) return;
+        if (number >= parseInt(slider.min) && number <= parseInt(slider.max)) {
+            slider.value = number;
+        }
+    };
+    restoreSlider('emissions-slider', params.get('emissions'));
+    restoreSlider('risk-percentile-slider', params.get('risk'));
+
+    const metric = params.get('metric');
+    if (metric === 'absolute' || metric === 'equity') {
+        setRiskMetric(metric);
+    }
+}
+
+/**
+ * Predictions year from the hash, if it's one of the available years
+ */
+function getHashDataYear() {
+    const year = parseInt(getHashParams().get('year'));
+    return availableDataYears.includes(year) ? year : null;
+}
+
+/**
+ * Map center and zoom from the hash (#map=lat,lng,zoom), or null
+ */
+function getHashMapView() {
+    const value = getHashParams().get('map');
+    if (!value) return null;
+
+    const [lat, lng, zoom] = value.split(',').map(parseFloat);
+    if ([lat, lng, zoom].some(isNaN) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+    return { lat, lng, zoom };
+}
+
+/**
+ * Write the map center and zoom to the hash (called by map implementations when the view settles)
+ */
+function updateMapViewHashState(lat, lng, zoom) {
+    setHashParam('map', `${lat.toFixed(5)},${lng.toFixed(5)},${zoom.toFixed(2)}`);
+}
+
+/**
+ * Write the ADI layer year and rank type to the hash, or clear them when the layer is hidden
+ */
+function updateAdiHashState(visible) {
+    setHashParams({
+        adiYear: visible ? document.getElementById('adi-year-selector')?.value : null,
+        adiRank: visible ? document.getElementById('adi-rank-type-selector')?.value : null
+    });
+}
+
+/**
+ * Restore the ADI layer from the hash by selecting the year/rank type and loading the layer
+ * Called by map implementations once the map is ready
+ */
+function restoreAdiHashState() {
+    const params = getHashParams();
+    const year = params.get('adiYear');
+    if (!year) return;
+
+    const yearSelector = document.getElementById('adi-year-selector');
+    if (!yearSelector || ![...yearSelector.options].some(option => option.value === year)) return;
+    yearSelector.value = year;
+
+    const rankSelector = document.getElementById('adi-rank-type-selector');
+    const rankType = params.get('adiRank');
+    if (rankSelector && (rankType === 'national' || rankType === 'state')) {
+        rankSelector.value = rankType;
+    }
+
+    // Provider click handlers load and show the layer
+    document.getElementById('toggle-census-data')?.click();
+}
+
+/**
+ * Open the facility details modal with the map implementation's renderer
+ */
+function openFacilityDetails(facility) {
+    if (typeof showFacilityDetails === 'function') {
+        showFacilityDetails(facility);
+    } else if (typeof showSiteDetails === 'function') {
+        showSiteDetails(facility);
+    }
+}
+
+/**
+ * Open the facility from the hash once facility data is loaded (first load only)
+ */
+function restoreFacilityHashState() {
+    if (!pendingHashFacilityId) return;
+
+    const facility = facilityData.find(f => String(f['facility_id']) === pendingHashFacilityId);
+    pendingHashFacilityId = null;
+
+    if (facility) {
+        openFacilityDetails(facility);
+    } else {
+        setHashParam('facility', null);
+    }
+}
+
+/**
+ * Close the facility details modal and drop it from the hash
+ */
+function closeFacilityDetails() {
+    const facilityModal = document.getElementById('facility-modal');
+    if (facilityModal) {
+        facilityModal.style.display = 'none';
+    }
+    setHashParam('facility', null);
+    renderVerificationPlot();
+}
+
+// ============================================================================
+// Color Mapping Functions
+// ============================================================================
+
+/**
+ * Get the risk value based on the currently selected metric (or an explicit one)
+ * Uses _norm columns for color gradients (0-1 scale)
+ */
+function getRiskValue(facility, metric = currentRiskMetric) {
+    if (customRiskActive) {
+        // Scores recomputed from user-adjusted weights (recomputeCustomRisk)
+        return metric === 'equity'
+            ? facility.custom_equity_weighted_risk_norm
+            : facility.custom_risk_norm;
+    }
+
+    if (metric === 'equity') {
+        // Use equity_weighted_risk_norm (already 0-1 scale)
+        return parseFloat(facility['equity_weighted_risk_norm']);
+    } else {
+        // Use risk_norm (already 0-1 scale)
+        return parseFloat(facility['risk_norm']);
+    }
+}
+
+/**
+ * Get the risk percentile (0-100), following custom weights when active
+ */
+function getRiskPercentile(facility) {
+    if (customRiskActive) {
+        return facility.custom_risk_percentile;
+    }
+    return parseFloat(facility['risk_percentile']);
+}
+
+/**
+ * Get color based on continuous risk score
+ * 0-0.4: green
+ * 0.4-0.6: green to yellow gradient
+ * 0.6-0.8: yellow to red gradient
+ * 0.8+: solid red
+ */
+function getRiskColor(riskScore) {
+    // Handle invalid/missing values
+    if (riskScore === null || riskScore === undefined || isNaN(riskScore)) {
+        return '#808080'; // Gray
+    }
+
+    const risk = parseFloat(riskScore);
+
+    // 0-0.4: solid green
+    if (risk <= 0.4) {
+        return '#10b981'; // Green
+    }
+
+    // 0.4-0.6: green to yellow gradient
+    if (risk <= 0.6) {
+        const t = (risk - 0.4) / 0.2; // normalize to 0-1
+        return interpolateColor('#10b981', '#fbbf24', t);
+    }
+
+    // 0.6-0.8: yellow to red gradient
+    if (risk <= 0.8) {
+        const t = (risk - 0.6) / 0.2; // normalize to 0-1
+        return interpolateColor('#fbbf24', '#ef4444', t);
+    }
+
+    // 0.8+: solid red
+    return '#ef4444'; // Red
+}
+
+/**
+ * Get diverging color for a change in risk_norm between two years
+ * Decrease: blue, no change: light gray, increase: red (saturates at ±0.5)
+ */
+function getRiskChangeColor(delta) {
+    if (delta === null || delta === undefined || isNaN(delta)) {
+        return '#808080'; // Gray - facility missing in one of the years
+    }
+
+    const t = Math.max(-1, Math.min(1, delta / 0.5));
+    if (t < 0) {
+        return interpolateColor('#e5e7eb', '#3b82f6', -t);
+    }
+    return interpolateColor('#e5e7eb', '#ef4444', t);
+}
+
+/**
+ * Get marker fill color for a facility based on the current marker color mode
+ */
+function getMarkerColor(facility) {
+    if (markerColorMode === 'change') {
+        const change = riskChangeData[String(facility['facility_id'])];
+        return getRiskChangeColor(change ? change.delta.risk_norm : null);
+    }
+    if (markerColorMode === 'verification') {
+        const verification = getVerification(facility);
+        return getVerificationColor(verification ? verification.logRatio : null);
+    }
+    return getRiskColor(getRiskValue(facility));
+}
+
+/**
+ * Interpolate between two hex colors
+ */
+function interpolateColor(color1, color2, t) {
+    const c1 = hexToRgb(color1);
+    const c2 = hexToRgb(color2);
+
+    const r = Math.round(c1.r + (c2.r - c1.r) * t);
+    const g = Math.round(c1.g + (c2.g - c1.g) * t);
+    const b = Math.round(c1.b + (c2.b - c1.b) * t);
+
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Convert hex color to RGB
+ */
+function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16)
+    } : { r: 0, g: 0, b: 0 };
+}
+
+/**
+ * Get ADI color based on rank and type
+ */
+function getAdiColor(rankValue, rankType) {
+    if (!rankValue) return '#808080'; // Gray for no data
+
+    if (rankType === 'national') {
+        // National Rank: 1-100 scale (grey to slate gradient)
+        if (rankValue <= 20) return '#e5e7eb';
+        if (rankValue <= 40) return '#cbd5e1';
+        if (rankValue <= 60) return '#94a3b8';
+        if (rankValue <= 80) return '#64748b';
+        return '#475569';
+    } else {
+        // State Rank: 1-10 scale (grey to slate gradient)
+        if (rankValue <= 2) return '#e5e7eb';
+        if (rankValue <= 4) return '#cbd5e1';
+        if (rankValue <= 6) return '#94a3b8';
+        if (rankValue <= 8) return '#64748b';
+        return '#475569';
+    }
+}
+
+/**
+ * Calculate circle radius based on emissions (logarithmic scale)
+ */
+function getCircleRadius(emissions) {
+    if (!emissions || emissions <= 0) return 4;
+
+    // Logarithmic scale: radius = 4 + log10(emissions) * 2, in NOx-equivalent magnitude
+    const logValue = Math.log10(emissions / pollutantScale);
+    const radius = 4 + (logValue * 2);
+
+    // Clamp between 4 and 20
+    return Math.max(4, Math.min(20, radius));
+}
+
+// ============================================================================
+// UI Functions
+// ============================================================================
+
+/**
+ * Show toast notification
+ */
+function showToast(message, type = 'info') {
+    // Simple console log for now - can be enhanced with actual toast UI
+    const prefix = type === 'error' ? '[ERROR]' : type === 'success' ? '[SUCCESS]' : '[INFO]';
+    console.log(`${prefix} ${message}`);
+
+    // You can add actual toast UI here if desired
+}
+
+/**
+ * Set theme (light/dark mode)
+ */
+function setTheme(dark) {
+    isDarkTheme = dark;
+    localStorage.setItem('theme', dark ? 'dark' : 'light');
+
+    const toggle = document.getElementById('theme-toggle');
+    if (toggle) {
+        toggle.checked = dark;
+    }
+
+    const label = document.getElementById('theme-label');
+    if (label) {
+        label.textContent = dark ? 'Dark Mode' : 'Light Mode';
+    }
+
+    if (dark) {
+        document.body.classList.remove('light-theme');
+        document.body.classList.add('dark-theme');
+    } else {
+        document.body.classList.remove('dark-theme');
+        document.body.classList.add('light-theme');
+    }
+
+    // Call map-specific theme update if available
+    if (typeof updateMapTheme === 'function') {
+        updateMapTheme(dark);
+    }
+}
+
+// ============================================================================
+// Facility Table
+// ============================================================================
+
+/**
+ * Sortable columns of the facility table
+ * value() returns the sort key; missing values always sort last
+ */
+const FACILITY_TABLE_COLUMNS = [
+    { key: 'name', label: 'Facility', value: f => (f['site_name'] || '').toLowerCase() },
+    { key: 'county', label: 'County', value: f => (getFacilityCounty(f) || '').toLowerCase() },
+    { key: 'sector', label: 'Sector', value: f => getNaicsSector(f['naics_code'] || '').toLowerCase() },
+    { key: 'emissions', label: 'Emissions', value: f => getFacilityEmissions(f) },
+    { key: 'risk', label: 'Risk', value: f => getRiskValue(f, 'absolute') },
+    { key: 'equity', label: 'Equity Risk', value: f => getRiskValue(f, 'equity') }
+];
+
+/**
+ * Sort filteredData by the current table column and order
+ */
+function getSortedTableData() {
+    const column = FACILITY_TABLE_COLUMNS.find(c => c.key === facilityTableState.sortKey) || FACILITY_TABLE_COLUMNS[4];
+    const direction = facilityTableState.sortOrder === 'asc' ? 1 : -1;
+    const isMissing = v => v === null || v === undefined || v === '' || (typeof v === 'number' && isNaN(v));
+
+    return filteredData
+        .map(facility => ({ facility, value: column.value(facility) }))
+        .sort((a, b) => {
+            if (isMissing(a.value)) return isMissing(b.value) ? 0 : 1;
+            if (isMissing(b.value)) return -1;
+            if (a.value < b.value) return -direction;
+            if (a.value > b.value) return direction;
+            return 0;
+        })
+        .map(entry => entry.facility);
+}
+
+/**
+ * Render the current page of the facility table
+ */
+function renderFacilityTable() {
+    const panel = document.getElementById('facility-table-panel');
+    if (!panel || !facilityTableState.visible) return;
+
+    const sorted = getSortedTableData();
+    const pageCount = Math.max(1, Math.ceil(sorted.length / FACILITY_TABLE_PAGE_SIZE));
+    facilityTableState.page = Math.min(facilityTableState.page, pageCount - 1);
+
+    const start = facilityTableState.page * FACILITY_TABLE_PAGE_SIZE;
+    const pageRows = sorted.slice(start, start + FACILITY_TABLE_PAGE_SIZE);
+
+    // Header with sort indicators
+    const head = document.getElementById('facility-table-head');
+    head.innerHTML = `<tr><th>#</th>${FACILITY_TABLE_COLUMNS.map(column => {
+        const active = column.key === facilityTableState.sortKey;
+        const arrow = active ? (facilityTableState.sortOrder === 'asc' ? ' ▲' : ' ▼') : '';
+        return `<th data-sort="${column.key}" class="${active ? 'active' : ''}">${column.label}${arrow}</th>`;
+    }).join('')}</tr>`;
+
+    head.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => setFacilityTableSort(th.dataset.sort));
+    });
+
+    // Body rows
+    const body = document.getElementById('facility-table-body');
+    if (pageRows.length === 0) {
+        body.innerHTML = `<tr><td colspan="${FACILITY_TABLE_COLUMNS.length + 1}" class="facility-table-empty">No facilities match the current filters</td></tr>`;
+    } else {
+        body.innerHTML = pageRows.map((facility, i) => {
+            const risk = getRiskValue(facility, 'absolute');
+            const equity = getRiskValue(facility, 'equity');
+            return `
+                <tr data-lat="${facility['site_latitude']}" data-lng="${facility['site_longitude']}" data-name="${facility['site_name'] || 'Unknown'}">
+                    <td>${start + i + 1}</td>
+                    <td>${facility['site_name'] || 'Unknown'}</td>
+                    <td>${getFacilityCounty(facility) || '—'}</td>
+                    <td>${getNaicsSector(facility['naics_code'] || '')}</td>
+                    <td>${formatEmissions(getFacilityEmissions(facility))}</td>
+                    <td><span class="facility-table-swatch" style="background: ${getRiskColor(risk)};"></span>${isNaN(risk) || risk === null ? '—' : risk.toFixed(3)}</td>
+                    <td><span class="facility-table-swatch" style="background: ${getRiskColor(equity)};"></span>${isNaN(equity) || equity === null ? '—' : equity.toFixed(3)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        body.querySelectorAll('tr[data-lat]').forEach(row => {
+            row.addEventListener('click', () => {
+                // Call map-specific zoom function (must be defined in app_gmaps.js or app_maplibre.js)
+                if (typeof zoomToFacility === 'function') {
+                    zoomToFacility(parseFloat(row.dataset.lat), parseFloat(row.dataset.lng), row.dataset.name);
+                }
+            });
+        });
+    }
+
+    // Pagination
+    document.getElementById('facility-table-count').textContent =
+        `${formatNumber(sorted.length)} facilities`;
+    document.getElementById('facility-table-page').textContent =
+        `Page ${facilityTableState.page + 1} of ${pageCount}`;
+    document.getElementById('facility-table-prev').disabled = facilityTableState.page === 0;
+    document.getElementById('facility-table-next').disabled = facilityTableState.page >= pageCount - 1;
+}
+
+/**
+ * Sort by a column; clicking the active column flips the order
+ */
+function setFacilityTableSort(key) {
+    if (facilityTableState.sortKey === key) {
+        facilityTableState.sortOrder = facilityTableState.sortOrder === 'asc' ? 'desc' : 'asc';
+    } else {
+        facilityTableState.sortKey = key;
+        // Text columns start A-Z, numeric columns start highest first
+        facilityTableState.sortOrder = ['name', 'county', 'sector'].includes(key) ? 'asc' : 'desc';
+    }
+    facilityTableState.page = 0;
+    renderFacilityTable();
+}
+
+/**
+ * Show or hide the facility table panel
+ */
+function setFacilityTableVisible(visible) {
+    facilityTableState.visible = visible;
+
+    const panel = document.getElementById('facility-table-panel');
+    if (panel) {
+        panel.style.display = visible ? 'flex' : 'none';
+    }
+
+    const toggle = document.getElementById('toggle-facility-table');
+    if (toggle) {
+        toggle.textContent = visible ? 'Hide Facility Table' : 'Show Facility Table';
+    }
+
+    renderFacilityTable();
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// Exported columns in output order: [field, header]
+// total_emissions is headed with the current pollutant and unit (see getExportColumns)
+// Keep in sync with EXPORT_COLUMNS in server/facilityExport.js
+const EXPORT_COLUMNS = [
+    ['facility_id', 'Facility ID'],
+    ['site_name', 'Facility Name'],
+    ['street', 'Street'],
+    ['city', 'City'],
+    ['zip_code', 'ZIP Code'],
+    ['county', 'County'],
+    ['GEOID10', 'Block Group GEOID'],
+    ['naics_code', 'NAICS Code'],
+    ['sector', 'Sector'],
+    ['primary_naics_description', 'NAICS Description'],
+    ['site_latitude', 'Latitude'],
+    ['site_longitude', 'Longitude'],
+    ['pollutant', 'Pollutant'],
+    ['total_emissions', 'Total Emissions'],
+    ['risk_score', 'Risk Score'],
+    ['risk_norm', 'Risk (normalized)'],
+    ['risk_percentile', 'Risk Percentile'],
+    ['equity_weighted_risk_norm', 'Equity-Weighted Risk (normalized)'],
+    ['equity_weighted_risk_percentile', 'Equity-Weighted Risk Percentile'],
+    ['ADI_NATRANK_clean', 'ADI National Rank'],
+    ['ADI_STATERNK_clean', 'ADI State Rank'],
+    ['socioeconomic_risk_level', 'Socioeconomic Risk Level']
+];
+
+// Extra columns exported while custom risk weights are active
+const CUSTOM_RISK_EXPORT_COLUMNS = [
+    ['custom_risk_norm', 'Custom Risk (normalized)'],
+    ['custom_risk_percentile', 'Custom Risk Percentile'],
+    ['custom_equity_weighted_risk_norm', 'Custom Equity-Weighted Risk (normalized)']
+];
+
+const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js';
+
+/**
+ * Columns for the current export (adds custom risk columns when weights are adjusted)
+ * The emissions header names the current pollutant, e.g. "Total SO2 Emissions (tons/year)".
+ */
+function getExportColumns() {
+    const columns = EXPORT_COLUMNS.map(([field, header]) => (
+        field === 'total_emissions' ? [field, `Total ${currentPollutant} Emissions (${getEmissionsUnit()})`] : [field, header]
+    ));
+    return customRiskActive ? [...columns, ...CUSTOM_RISK_EXPORT_COLUMNS] : columns;
+}
+
+/**
+ * Build export rows from filteredData, keyed by column header
+ * Adds the computed sector and county fields
+ */
+function buildExportRows() {
+    const columns = getExportColumns();
+
+    return filteredData.map(facility => {
+        const computed = {
+            ...facility,
+            sector: getNaicsSector(facility['naics_code'] || ''),
+            county: getFacilityCounty(facility),
+            pollutant: currentPollutant,
+            total_emissions: getFacilityEmissions(facility)
+        };
+
+        const row = {};
+        columns.forEach(([field, header]) => {
+            const value = computed[field];
+            row[header] = value === undefined || value === '' ? null : value;
+        });
+        return row;
+    });
+}
+
+/**
+ * Load SheetJS on first XLSX export
+ */
+function loadSheetJs() {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = SHEETJS_URL;
+        script.onload = () => resolve(window.XLSX);
+        script.onerror = () => reject(new Error('Failed to load XLSX library'));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Trigger a browser download for a Blob
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the current filtered facility set as CSV, GeoJSON or XLSX
+ */
+async function exportFilteredData(format) {
+    if (filteredData.length === 0) {
+        showToast('No facilities match the current filters', 'error');
+        return;
+    }
+
+    const filename = `facilities_${currentDataYear || DEFAULT_DATA_YEAR}.${format}`;
+    const rows = buildExportRows();
+
+    try {
+        if (format === 'csv') {
+            // escapeFormulae quotes text starting with =, +, -, @ so spreadsheets don't run it
+            const csvText = Papa.unparse(rows, { columns: getExportColumns().map(([, header]) => header), escapeFormulae: true });
+            downloadBlob(new Blob([csvText], { type: 'text/csv;charset=utf-8' }), filename);
+        } else if (format === 'geojson') {
+            const geojson = {
+                type: 'FeatureCollection',
+                features: filteredData.map((facility, i) => ({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [parseFloat(facility['site_longitude']), parseFloat(facility['site_latitude'])]
+                    },
+                    properties: rows[i]
+                }))
+            };
+            downloadBlob(new Blob([JSON.stringify(geojson)], { type: 'application/geo+json' }), filename);
+        } else if (format === 'xlsx') {
+            const XLSX = await loadSheetJs();
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Facilities');
+            XLSX.writeFile(workbook, filename);
+        } else {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        showToast(`Exported ${rows.length} facilities as ${format.toUpperCase()}`, 'success');
+    } catch (error) {
+        console.error('Export failed:', error);
+        showToast(`Export failed: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// Block Group Report
+// ============================================================================
+
+/**
+ * Build the ADI-by-year rows of a block group report
+ */
+function buildAdiHistoryHTML(adiHistory) {
+    if (!adiHistory || adiHistory.length === 0) {
+        return `<div class="geoid-report-empty">No ADI data for this block group</div>`;
+    }
+
+    return `
+        <table class="geoid-report-table">
+            <thead><tr><th>Year</th><th>National</th><th>State</th></tr></thead>
+            <tbody>
+                ${adiHistory.map(entry => `
+                    <tr>
+                        <td>${entry.year}</td>
+                        <td>${entry.natRank !== null ? `${entry.natRank}/100` : '—'}</td>
+                        <td>${entry.stateRank !== null ? `${entry.stateRank}/10` : '—'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render a block group report from /api/geoids/:geoid/report
+ */
+function renderGeoidReport(report) {
+    const content = document.getElementById('geoid-report-content');
+    const geoidFormatted = formatGeoidTwoLine(report.geoid);
+    const stats = report.aggregates;
+    const avgRisk = stats.avgRiskScore;
+
+    const facilitiesHTML = report.facilities.length === 0
+        ? `<div class="geoid-report-empty">No facilities in this block group</div>`
+        : `
+            <table class="geoid-report-table">
+                <thead><tr><th>Facility</th><th>Emissions</th><th>Risk</th></tr></thead>
+                <tbody>
+                    ${report.facilities.map(facility => `
+                        <tr class="geoid-report-link" data-facility-id="${facility.facility_id}">
+                            <td>${facility.site_name || 'Unknown'}</td>
+                            <td>${formatEmissions(facility.total_emissions)}</td>
+                            <td style="color: ${getRiskColor(facility.risk_norm)};">${facility.risk_norm !== null ? facility.risk_norm.toFixed(2) : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+    let neighborsHTML;
+    if (!report.neighborsAvailable) {
+        neighborsHTML = `<div class="geoid-report-empty">Block group boundaries unavailable</div>`;
+    } else if (report.neighbors.length === 0) {
+        neighborsHTML = `<div class="geoid-report-empty">No neighboring block groups found</div>`;
+    } else {
+        neighborsHTML = `
+            <table class="geoid-report-table">
+                <thead><tr><th>Block Group</th><th>ADI</th><th>Facilities</th><th>Avg Risk</th></tr></thead>
+                <tbody>
+                    ${report.neighbors.map(neighbor => {
+                        const latestAdi = neighbor.adi[0];
+                        const neighborRisk = neighbor.aggregates.avgRiskScore;
+                        return `
+                            <tr class="geoid-report-link" data-geoid="${neighbor.geoid}">
+                                <td>${formatGeoidTwoLine(neighbor.geoid).line2}</td>
+                                <td>${latestAdi && latestAdi.natRank !== null ? latestAdi.natRank : '—'}</td>
+                                <td>${neighbor.aggregates.totalFacilities}</td>
+                                <td style="color: ${getRiskColor(neighborRisk)};">${neighborRisk !== null ? neighborRisk.toFixed(2) : '—'}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    content.innerHTML = `
+        <div class="geoid-report-title">${geoidFormatted.line1}</div>
+        <div class="geoid-report-subtitle">${geoidFormatted.line2}</div>
+        <div class="geoid-report-meta">GEOID ${report.geoid} · ${report.year} predictions</div>
+
+        <div class="geoid-report-section">
+            <div class="section-label">Facility Emissions</div>
+            <div class="geoid-report-stats">
+                <div><span>Facilities</span><strong>${stats.totalFacilities}</strong></div>
+                <div><span>Total</span><strong>${formatEmissions(stats.totalEmissions)}</strong></div>
+                <div><span>Avg Risk</span><strong style="color: ${getRiskColor(avgRisk)};">${avgRisk !== null ? avgRisk.toFixed(2) : '—'}</strong></div>
+                <div><span>High Risk (&gt;0.6)</span><strong>${stats.highRisk}/${stats.totalFacilities}</strong></div>
+            </div>
+            ${facilitiesHTML}
+        </div>
+
+        <div class="geoid-report-section">
+            <div class="section-label">Area Deprivation Index</div>
+            ${buildAdiHistoryHTML(report.adi)}
+        </div>
+
+        <div class="geoid-report-section">
+            <div class="section-label">Neighboring Block Groups</div>
+            ${neighborsHTML}
+        </div>
+    `;
+
+    // Facility rows open the facility modal, neighbor rows open that block group's report
+    content.querySelectorAll('tr[data-facility-id]').forEach(row => {
+        row.addEventListener('click', () => {
+            const facility = facilityData.find(f => String(f['facility_id']) === row.dataset.facilityId);
+            if (facility) openFacilityDetails(facility);
+        });
+    });
+    content.querySelectorAll('tr[data-geoid]').forEach(row => {
+        row.addEventListener('click', () => openGeoidReport(row.dataset.geoid));
+    });
+}
+
+/**
+ * Open the full-height report panel for a block group (called from map click handlers)
+ */
+async function openGeoidReport(geoid) {
+    const panel = document.getElementById('geoid-report-panel');
+    const content = document.getElementById('geoid-report-content');
+    if (!panel || !content) return;
+
+    const geoidString = String(geoid).padStart(12, '0');
+    panel.classList.add('active');
+    content.innerHTML = `<div class="geoid-report-empty">Loading report for ${geoidString}...</div>`;
+
+    try {
+        const year = currentDataYear ? `?year=${currentDataYear}` : '';
+        const response = await fetch(`/api/geoids/${geoidString}/report${year}`);
+        const report = await response.json();
+        if (!response.ok) throw new Error(report.message || report.error);
+
+        renderGeoidReport(report);
+    } catch (error) {
+        console.error(`Error loading report for ${geoidString}:`, error);
+        content.innerHTML = `<div class="geoid-report-empty">Failed to load report: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Close the block group report panel
+ */
+function closeGeoidReport() {
+    document.getElementById('geoid-report-panel')?.classList.remove('active');
+}
+
+// ============================================================================
+// Area Selection
+// ============================================================================
+
+// Map implementations provide:
+//   setSelectionDrawing(active) - crosshair cursor, no double-click zoom while drawing
+//   drawSelectionRing(ring)     - outline a [[lng, lat], ...] ring, or clear it when null
+
+const SELECTION_TOOL_HINTS = {
+    polygon: 'Click to add vertices, double-click to finish',
+    rectangle: 'Click two opposite corners',
+    circle: 'Click the center, then a point on the edge'
+};
+
+const SELECTION_CIRCLE_SEGMENTS = 64;
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Great-circle distance in meters between two [lng, lat] points
+ */
+function getDistanceMeters([lng1, lat1], [lng2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Outline of a selection shape as a closed ring (same approximation as server/areaSelection.js)
+ */
+function getSelectionRing(shape) {
+    if (shape.type === 'polygon') {
+        return [...shape.coordinates, shape.coordinates[0]];
+    }
+
+    if (shape.type === 'rectangle') {
+        const [west, south, east, north] = shape.bounds;
+        return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+    }
+
+    const [lng, lat] = shape.center;
+    const latRadius = shape.radius / EARTH_RADIUS_METERS * 180 / Math.PI;
+    const lngRadius = latRadius / Math.max(0.01, Math.cos(lat * Math.PI / 180));
+    const ring = [];
+    for (let i = 0; i <= SELECTION_CIRCLE_SEGMENTS; i++) {
+        const angle = 2 * Math.PI * i / SELECTION_CIRCLE_SEGMENTS;
+        ring.push([lng + lngRadius * Math.cos(angle), lat + latRadius * Math.sin(angle)]);
+    }
+    return ring;
+}
+
+/**
+ * Shape for the clicks so far, with the cursor as the next point (null if too few points)
+ */
+function buildSelectionShape(points) {
+    if (selectionTool === 'polygon') {
+        return points.length >= 3 ? { type: 'polygon', coordinates: points } : null;
+    }
+    if (points.length < 2) return null;
+
+    const [first, second] = points;
+    if (selectionTool === 'rectangle') {
+        return {
+            type: 'rectangle',
+            bounds: [
+                Math.min(first[0], second[0]), Math.min(first[1], second[1]),
+                Math.max(first[0], second[0]), Math.max(first[1], second[1])
+            ]
+        };
+    }
+    return { type: 'circle', center: first, radius: getDistanceMeters(first, second) };
+}
+
+/**
+ * Start drawing with a tool, or stop drawing when tool is null (or already active)
+ */
+function setSelectionTool(tool) {
+    selectionTool = tool && tool !== selectionTool ? tool : null;
+    selectionPoints = [];
+
+    ['polygon', 'rectangle', 'circle'].forEach(name => {
+        document.getElementById(`selection-tool-${name}`)?.classList.toggle('active', selectionTool === name);
+    });
+
+    const hint = document.getElementById('selection-hint');
+    if (hint) {
+        hint.textContent = selectionTool ? SELECTION_TOOL_HINTS[selectionTool] : 'Draw a shape to summarize the facilities and block groups inside it';
+    }
+
+    if (typeof setSelectionDrawing === 'function') {
+        setSelectionDrawing(selectionTool !== null);
+    }
+
+    // Keep the finished shape on the map until a new one is drawn
+    if (typeof drawSelectionRing === 'function') {
+        drawSelectionRing(selectionShape ? getSelectionRing(selectionShape) : null);
+    }
+}
+
+/**
+ * Map click while drawing (called by map implementations)
+ *
+ * @returns {boolean} - Whether the click was used by the draw tool
+ */
+function handleSelectionClick(lng, lat) {
+    if (!selectionTool) return false;
+
+    // The double-click that finishes a polygon also arrives as two clicks at the same spot
+    const last = selectionPoints[selectionPoints.length - 1];
+    if (last && last[0] === lng && last[1] === lat) return true;
+
+    selectionPoints.push([lng, lat]);
+
+    if (selectionTool !== 'polygon' && selectionPoints.length === 2) {
+        const shape = buildSelectionShape(selectionPoints);
+        if (shape.type === 'circle' && shape.radius === 0) {
+            selectionPoints.pop();
+            return true;
+        }
+        completeSelection(shape);
+    } else {
+        handleSelectionMove(lng, lat);
+    }
+    return true;
+}
+
+/**
+ * Map double-click while drawing - finishes a polygon
+ */
+function handleSelectionDoubleClick() {
+    if (selectionTool !== 'polygon') return false;
+
+    const shape = buildSelectionShape(selectionPoints);
+    if (!shape) {
+        showToast('A polygon needs at least three points', 'error');
+        return true;
+    }
+    completeSelection(shape);
+    return true;
+}
+
+/**
+ * Mouse move while drawing - previews the shape with the cursor as the next point
+ */
+function handleSelectionMove(lng, lat) {
+    if (!selectionTool || selectionPoints.length === 0 || typeof drawSelectionRing !== 'function') return;
+
+    const points = [...selectionPoints, [lng, lat]];
+    const preview = buildSelectionShape(points);
+    drawSelectionRing(preview ? getSelectionRing(preview) : [...points, points[0]]);
+}
+
+/**
+ * Finish drawing: outline the shape and load its report
+ */
+function completeSelection(shape) {
+    selectionShape = shape;
+    setSelectionTool(null);
+    openSelectionReport(shape);
+}
+
+/**
+ * Remove the selection from the map and close its report
+ */
+function clearSelection() {
+    selectionShape = null;
+    setSelectionTool(null);
+    document.getElementById('selection-report-panel')?.classList.remove('active');
+}
+
+/**
+ * Describe a selection shape for the report header
+ */
+function describeSelectionShape(shape) {
+    if (shape.type === 'circle') {
+        return `${(shape.radius / 1000).toFixed(shape.radius < 10000 ? 1 : 0)} km radius`;
+    }
+    if (shape.type === 'rectangle') {
+        return 'Rectangle';
+    }
+    return `Polygon (${shape.coordinates.length} vertices)`;
+}
+
+/**
+ * Render a selection report from /api/selection/report
+ */
+function renderSelectionReport(report) {
+    const content = document.getElementById('selection-report-content');
+    const stats = report.aggregates;
+    const avgRisk = stats.avgRiskScore;
+    const maxBin = Math.max(1, ...report.riskDistribution.map(bin => bin.count));
+
+    const distributionHTML = report.riskDistribution.map(bin => `
+        <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 4px; font-family: 'IBM Plex Mono', monospace; font-size: 10px;">
+            <span style="width: 64px; color: var(--text-secondary);">${bin.min.toFixed(1)}–${bin.max.toFixed(1)}</span>
+            <div style="flex: 1; height: 10px; background: rgba(128, 128, 128, 0.15); border-radius: 5px; overflow: hidden;">
+                <div style="width: ${(bin.count / maxBin * 100).toFixed(1)}%; height: 100%; background: ${getRiskColor((bin.min + bin.max) / 2)};"></div>
+            </div>
+            <span style="width: 32px; text-align: right;">${bin.count}</span>
+        </div>
+    `).join('');
+
+    const sectorsHTML = report.topSectors.length === 0
+        ? `<div class="geoid-report-empty">No facilities in this area</div>`
+        : `
+            <table class="geoid-report-table">
+                <thead><tr><th>Sector</th><th>Facilities</th><th>Emissions</th></tr></thead>
+                <tbody>
+                    ${report.topSectors.map(sector => `
+                        <tr>
+                            <td>${sector.sector}</td>
+                            <td>${sector.count}</td>
+                            <td>${formatEmissions(sector.totalEmissions)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+    const facilitiesHTML = report.facilities.length === 0 ? '' : `
+        <table class="geoid-report-table" style="margin-top: 12px;">
+            <thead><tr><th>Highest Risk</th><th>Emissions</th><th>Risk</th></tr></thead>
+            <tbody>
+                ${report.facilities.map(facility => `
+                    <tr class="geoid-report-link" data-facility-id="${facility.facility_id}">
+                        <td>${facility.site_name || 'Unknown'}</td>
+                        <td>${formatEmissions(facility.total_emissions)}</td>
+                        <td style="color: ${getRiskColor(facility.risk_norm)};">${facility.risk_norm !== null ? facility.risk_norm.toFixed(2) : '—'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    let adiHTML;
+    const blockGroups = report.blockGroups;
+    if (!report.blockGroupsAvailable) {
+        adiHTML = `<div class="geoid-report-empty">Block group boundaries unavailable</div>`;
+    } else if (blockGroups.count === 0) {
+        adiHTML = `<div class="geoid-report-empty">No block groups intersect this area</div>`;
+    } else {
+        const weightingLabel = {
+            population: 'Population-weighted',
+            unweighted: 'Unweighted (no population in boundaries)'
+        }[blockGroups.weighting];
+        adiHTML = `
+            <div class="geoid-report-stats">
+                <div><span>Block Groups</span><strong>${formatNumber(blockGroups.count)}</strong></div>
+                <div><span>With ADI ${blockGroups.adiYear || ''}</span><strong>${formatNumber(blockGroups.ranked)}</strong></div>
+                <div><span>National Rank</span><strong>${blockGroups.natRank !== null ? `${blockGroups.natRank.toFixed(1)}/100` : '—'}</strong></div>
+                <div><span>State Rank</span><strong>${blockGroups.stateRank !== null ? `${blockGroups.stateRank.toFixed(1)}/10` : '—'}</strong></div>
+            </div>
+            <div class="geoid-report-meta" style="margin-top: 0; margin-bottom: 8px;">${weightingLabel} mean of intersected block groups</div>
+            ${blockGroups.mostDeprived.length === 0 ? '' : `
+                <table class="geoid-report-table">
+                    <thead><tr><th>Most Deprived</th><th>National</th><th>State</th></tr></thead>
+                    <tbody>
+                        ${blockGroups.mostDeprived.map(bg => `
+                            <tr class="geoid-report-link" data-geoid="${bg.geoid}">
+                                <td>${formatGeoidTwoLine(bg.geoid).line2}</td>
+                                <td>${bg.natRank}</td>
+                                <td>${bg.stateRank !== null ? bg.stateRank : '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    content.innerHTML = `
+        <div class="geoid-report-title">${describeSelectionShape(report.shape)}</div>
+        <div class="geoid-report-meta">${report.year} predictions · ${getPollutantLabel(report.pollutant)} emissions</div>
+
+        <div class="geoid-report-section">
+            <div class="section-label">Facilities Inside</div>
+            <div class="geoid-report-stats">
+                <div><span>Facilities</span><strong>${formatNumber(stats.totalFacilities)}</strong></div>
+                <div><span>Total</span><strong>${formatEmissions(stats.totalEmissions)}</strong></div>
+                <div><span>Avg Risk</span><strong style="color: ${getRiskColor(avgRisk)};">${avgRisk !== null ? avgRisk.toFixed(2) : '—'}</strong></div>
+                <div><span>High Risk (&gt;0.6)</span><strong>${stats.highRisk}/${stats.totalFacilities}</strong></div>
+            </div>
+        </div>
+
+        <div class="geoid-report-section">
+            <div class="section-label">Risk Distribution</div>
+            ${distributionHTML}
+        </div>
+
+        <div class="geoid-report-section">
+            <div class="section-label">Top Sectors</div>
+            ${sectorsHTML}
+            ${facilitiesHTML}
+        </div>
+
+        <div class="geoid-report-section">
+            <div class="section-label">Area Deprivation Index</div>
+            ${adiHTML}
+        </div>
+    `;
+
+    content.querySelectorAll('tr[data-facility-id]').forEach(row => {
+        row.addEventListener('click', () => {
+            const facility = facilityData.find(f => String(f['facility_id']) === row.dataset.facilityId);
+            if (facility) openFacilityDetails(facility);
+        });
+    });
+    content.querySelectorAll('tr[data-geoid]').forEach(row => {
+        row.addEventListener('click', () => openGeoidReport(row.dataset.geoid));
+    });
+}
+
+/**
+ * Open the report panel for a drawn shape
+ */
+async function openSelectionReport(shape) {
+    const panel = document.getElementById('selection-report-panel');
+    const content = document.getElementById('selection-report-content');
+    if (!panel || !content) return;
+
+    panel.classList.add('active');
+    content.innerHTML = `<div class="geoid-report-empty">Summarizing selection...</div>`;
+
+    const adiYear = document.getElementById('adi-year-selector')?.value;
+    const body = {
+        shape,
+        year: currentDataYear ? String(currentDataYear) : undefined,
+        pollutant: currentPollutant !== PREDICTIONS_POLLUTANT ? currentPollutant : undefined,
+        adiYear: adiYear || undefined
+    };
+
+    try {
+        const response = await fetch('/api/selection/report', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const report = await response.json();
+        if (!response.ok) {
+            throw new Error(report.details ? report.details.map(detail => detail.message).join('; ') : (report.message || report.error));
+        }
+
+        // A newer shape may have been drawn while this one loaded
+        if (selectionShape === shape) {
+            renderSelectionReport(report);
+        }
+    } catch (error) {
+        console.error('Error loading selection report:', error);
+        content.innerHTML = `<div class="geoid-report-empty">Failed to summarize selection: ${error.message}</div>`;
+    }
+}
+
+// ============================================================================
+// Burden Index
+// ============================================================================
+
+// Map implementations provide:
+//   setBurdenLayer(scores) - color block groups by { geoid: burdenIndex }, or remove the layer when null
+
+// Burden index bins (0-100) and their fill colors
+const BURDEN_BINS = [
+    { max: 20, color: '#fef3c7' },
+    { max: 40, color: '#fcd34d' },
+    { max: 60, color: '#f59e0b' },
+    { max: 80, color: '#ea580c' },
+    { max: 100, color: '#b91c1c' }
+];
+
+const BURDEN_LIST_COLUMNS = [
+    { key: 'geoid', label: 'Block Group' },
+    { key: 'burdenIndex', label: 'Index' },
+    { key: 'exposurePercentile', label: 'Exposure' },
+    { key: 'natRank', label: 'ADI' },
+    { key: 'facilities', label: 'Facilities' }
+];
+
+let burdenLayerActive = false;
+let burdenResult = null;
+let burdenRequest = 0;
+let burdenListSort = { key: 'burdenIndex', descending: true };
+
+/**
+ * Fill color for a burden index value
+ */
+function getBurdenColor(index) {
+    return (BURDEN_BINS.find(bin => index < bin.max) || BURDEN_BINS[BURDEN_BINS.length - 1]).color;
+}
+
+/**
+ * Fetch the burden index for the current year, pollutant, ADI year and radius and redraw
+ */
+async function loadBurdenIndex() {
+    const status = document.getElementById('burden-status');
+    const params = new URLSearchParams();
+    if (currentDataYear) params.set('year', currentDataYear);
+    if (currentPollutant !== PREDICTIONS_POLLUTANT) params.set('pollutant', currentPollutant);
+    const adiYear = document.getElementById('adi-year-selector')?.value;
+    if (adiYear) params.set('adiYear', adiYear);
+    params.set('radius', document.getElementById('burden-radius-selector')?.value || '5000');
+
+    const request = ++burdenRequest;
+    if (status) status.textContent = 'Computing burden index...';
+
+    try {
+        const response = await fetch(`/api/burden?${params}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.details ? result.details.map(detail => detail.message).join('; ') : (result.message || result.error));
+        }
+
+        // The layer may have been hidden, or a newer request sent, while this one loaded
+        if (!burdenLayerActive || request !== burdenRequest) return;
+
+        burdenResult = result;
+        setBurdenLayer(result.scores); // Map-specific
+        renderBurdenList();
+
+        if (status) {
+            status.textContent = `${formatNumber(result.exposedCount)} of ${formatNumber(result.blockGroupCount)} block groups within ${result.radiusMeters / 1000} km of a facility · ${getPollutantLabel(result.pollutant)} ${result.year}, ADI ${result.adiYear}`;
+        }
+    } catch (error) {
+        console.error('Error loading burden index:', error);
+        if (status && request === burdenRequest) status.textContent = `Failed to compute burden index: ${error.message}`;
+    }
+}
+
+/**
+ * Show or hide the burden choropleth, legend and list
+ */
+async function setBurdenLayerActive(active) {
+    burdenLayerActive = active;
+
+    const button = document.getElementById('toggle-burden-layer');
+    if (button) button.textContent = active ? 'Hide Burden Index' : 'Show Burden Index';
+    const legend = document.getElementById('burden-legend');
+    if (legend) legend.style.display = active ? 'block' : 'none';
+    setHashParam('burden', active ? document.getElementById('burden-radius-selector')?.value || '5000' : null);
+
+    if (active) {
+        await loadBurdenIndex();
+    } else {
+        burdenResult = null;
+        setBurdenLayer(null); // Map-specific
+        renderBurdenList();
+        const status = document.getElementById('burden-status');
+        if (status) status.textContent = '';
+    }
+}
+
+/**
+ * Restore the burden layer and its radius from the hash (burden=<meters>)
+ * Called by map implementations once the map is ready
+ */
+function restoreBurdenHashState() {
+    const radius = getHashParams().get('burden');
+    if (!radius) return;
+
+    const radiusSelector = document.getElementById('burden-radius-selector');
+    if (radiusSelector && [...radiusSelector.options].some(option => option.value === radius)) {
+        radiusSelector.value = radius;
+    }
+    setBurdenLayerActive(true);
+}
+
+/**
+ * Sortable table of the most burdened block groups
+ */
+function renderBurdenList() {
+    const container = document.getElementById('burden-list');
+    if (!container) return;
+
+    if (!burdenResult) {
+        container.innerHTML = '';
+        return;
+    }
+    if (burdenResult.communities.length === 0) {
+        container.innerHTML = `<div class="geoid-report-empty">No block groups with both facility exposure and an ADI rank</div>`;
+        return;
+    }
+
+    const { key, descending } = burdenListSort;
+    const communities = [...burdenResult.communities].sort((a, b) => {
+        // Missing values sort last in either direction
+        if (a[key] === null) return 1;
+        if (b[key] === null) return -1;
+        const order = key === 'geoid' ? a.geoid.localeCompare(b.geoid) : a[key] - b[key];
+        return descending ? -order : order;
+    });
+
+    const headerHTML = BURDEN_LIST_COLUMNS.map(column => {
+        const arrow = column.key === key ? (descending ? ' ▼' : ' ▲') : '';
+        return `<th data-sort="${column.key}" style="cursor: pointer;">${column.label}${arrow}</th>`;
+    }).join('');
+
+    const rowsHTML = communities.map(community => `
+        <tr class="geoid-report-link" data-geoid="${community.geoid}">
+            <td>${formatGeoidTwoLine(community.geoid).line2 || community.geoid}</td>
+            <td><span style="display: inline-block; width: 8px; height: 8px; border-radius: 2px; background: ${getBurdenColor(community.burdenIndex)}; margin-right: 4px;"></span>${community.burdenIndex.toFixed(1)}</td>
+            <td>${community.exposurePercentile.toFixed(0)}</td>
+            <td>${community.natRank !== null ? community.natRank : '—'}</td>
+            <td>${community.facilities}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <table class="geoid-report-table" style="font-size: 11px; color: var(--text-primary);">
+            <thead><tr>${headerHTML}</tr></thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => {
+            const sortKey = header.dataset.sort;
+            burdenListSort = sortKey === burdenListSort.key
+                ? { key: sortKey, descending: !burdenListSort.descending }
+                : { key: sortKey, descending: sortKey !== 'geoid' };
+            renderBurdenList();
+        });
+    });
+    container.querySelectorAll('tr[data-geoid]').forEach(row => {
+        row.addEventListener('click', () => openGeoidReport(row.dataset.geoid));
+    });
+}
+
+// ============================================================================
+// Environmental Justice Statistics
+// ============================================================================
+
+const BOOTSTRAP_ITERATIONS = 1000;
+const BOOTSTRAP_SEED = 20240601; // Fixed seed so the interval doesn't jitter between renders
+let justiceStatsTimer = null;
+
+/**
+ * ADI national rank (1-100) for a facility's block group, or null when not in adiData
+ */
+function getFacilityAdiNatRank(facility) {
+    const geoid = facility.GEOID10 || facility.geoid10 || facility.GEOID;
+    if (!geoid) return null;
+    const adi = adiData[String(geoid).padStart(12, '0')] || adiData[String(geoid)];
+    return adi && !isNaN(adi.natRank) ? adi.natRank : null;
+}
+
+/**
+ * Join filteredData to adiData: one { risk, natRank } pair per facility with both values
+ */
+function buildJusticeDataset() {
+    const pairs = [];
+    filteredData.forEach(facility => {
+        const risk = getRiskValue(facility);
+        const natRank = getFacilityAdiNatRank(facility);
+        if (risk !== null && risk !== undefined && !isNaN(risk) && natRank !== null) {
+            pairs.push({ risk, natRank });
+        }
+    });
+    return pairs;
+}
+
+/**
+ * Arithmetic mean (null for an empty array)
+ */
+function mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Median (null for an empty array)
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Pearson correlation between natRank and risk (null when undefined)
+ */
+function pearsonCorrelation(pairs) {
+    const n = pairs.length;
+    if (n < 3) return null;
+
+    const meanX = mean(pairs.map(p => p.natRank));
+    const meanY = mean(pairs.map(p => p.risk));
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    pairs.forEach(({ natRank, risk }) => {
+        const dx = natRank - meanX;
+        const dy = risk - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
     });
 
-    // Call map-specific plot function (must be defined in map implementation)
-    if (typeof plotEmissions === 'function') {
-        plotEmissions();
-    }
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
 }
 
-// ============================================================================
-// Color Mapping Functions
-// ============================================================================
-
 /**
- * Get the risk value based on the currently selected metric
- * Uses _norm columns for color gradients (0-1 scale)
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
  */
-function getRiskValue(facility) {
-    if (currentRiskMetric === 'equity') {
-        // Use equity_weighted_risk_norm (already 0-1 scale)
-        return parseFloat(facility['equity_weighted_risk_norm']);
-    } else {
-        // Use risk_norm (already 0-1 scale)
-        return parseFloat(facility['risk_norm']);
-    }
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
 /**
- * Get color based on continuous risk score
- * 0-0.4: green
- * 0.4-0.6: green to yellow gradient
- * 0.6-0.8: yellow to red gradient
- * 0.8+: solid red
+ * Percentile bootstrap confidence interval for the Pearson correlation
+ *
+ * @returns {{ low: number, high: number } | null}
  */
-function getRiskColor(riskScore) {
-    // Handle invalid/missing values
-    if (riskScore === null || riskScore === undefined || isNaN(riskScore)) {
-        return '#808080'; // Gray
-    }
-
-    const risk = parseFloat(riskScore);
+function bootstrapCorrelationCI(pairs, iterations = BOOTSTRAP_ITERATIONS, confidence = 0.95) {
+    if (pairs.length < 3) return null;
 
-    // 0-0.4: solid green
-    if (risk <= 0.4) {
-        return '#10b981'; // Green
-    }
+    const random = createSeededRandom(BOOTSTRAP_SEED);
+    const estimates = [];
 
-    // 0.4-0.6: green to yellow gradient
-    if (risk <= 0.6) {
-        const t = (risk - 0.4) / 0.2; // normalize to 0-1
-        return interpolateColor('#10b981', '#fbbf24', t);
+    for (let i = 0; i < iterations; i++) {
+        const sample = new Array(pairs.length);
+        for (let j = 0; j < pairs.length; j++) {
+            sample[j] = pairs[Math.floor(random() * pairs.length)];
+        }
+        const r = pearsonCorrelation(sample);
+        if (r !== null) estimates.push(r);
     }
 
-    // 0.6-0.8: yellow to red gradient
-    if (risk <= 0.8) {
-        const t = (risk - 0.6) / 0.2; // normalize to 0-1
-        return interpolateColor('#fbbf24', '#ef4444', t);
-    }
+    if (estimates.length === 0) return null;
+    estimates.sort((a, b) => a - b);
 
-    // 0.8+: solid red
-    return '#ef4444'; // Red
+    const alpha = (1 - confidence) / 2;
+    return {
+        low: estimates[Math.floor(alpha * (estimates.length - 1))],
+        high: estimates[Math.ceil((1 - alpha) * (estimates.length - 1))]
+    };
 }
 
 /**
- * Interpolate between two hex colors
+ * Group risk values by ADI national rank bin (deciles: size 10, quintiles: size 20)
  */
-function interpolateColor(color1, color2, t) {
-    const c1 = hexToRgb(color1);
-    const c2 = hexToRgb(color2);
-
-    const r = Math.round(c1.r + (c2.r - c1.r) * t);
-    const g = Math.round(c1.g + (c2.g - c1.g) * t);
-    const b = Math.round(c1.b + (c2.b - c1.b) * t);
-
-    return `rgb(${r}, ${g}, ${b})`;
+function groupRiskByAdiBin(pairs, binSize) {
+    const binCount = 100 / binSize;
+    const bins = Array.from({ length: binCount }, () => []);
+    pairs.forEach(({ natRank, risk }) => {
+        const bin = Math.min(binCount - 1, Math.max(0, Math.ceil(natRank / binSize) - 1));
+        bins[bin].push(risk);
+    });
+    return bins;
 }
 
 /**
- * Convert hex color to RGB
+ * SVG bar chart of mean risk per ADI national decile
  */
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16)
-    } : { r: 0, g: 0, b: 0 };
+function buildDecileChartSVG(deciles) {
+    const width = 300;
+    const height = 160;
+    const padding = { top: 10, right: 8, bottom: 28, left: 32 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const barWidth = plotWidth / deciles.length;
+
+    const means = deciles.map(mean);
+    const maxMean = Math.max(0.1, ...means.filter(m => m !== null));
+
+    const bars = means.map((value, i) => {
+        const x = padding.left + i * barWidth;
+        const label = `<text x="${x + barWidth / 2}" y="${height - padding.bottom + 12}" text-anchor="middle">${i + 1}</text>`;
+        if (value === null) return label;
+
+        const barHeight = (value / maxMean) * plotHeight;
+        return `
+            <rect x="${x + 2}" y="${padding.top + plotHeight - barHeight}" width="${barWidth - 4}" height="${barHeight}"
+                  fill="${getRiskColor(value)}" opacity="0.85">
+                <title>Decile ${i + 1}: mean risk ${value.toFixed(3)} (n=${deciles[i].length})</title>
+            </rect>
+            ${label}
+        `;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" style="width: 100%; font-family: 'IBM Plex Mono', monospace; font-size: 9px; fill: var(--text-secondary);">
+            <line x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" stroke="var(--border)" />
+            <text x="${padding.left - 4}" y="${padding.top + 4}" text-anchor="end">${maxMean.toFixed(2)}</text>
+            <text x="${padding.left - 4}" y="${padding.top + plotHeight}" text-anchor="end">0</text>
+            ${bars}
+            <text x="${padding.left + plotWidth / 2}" y="${height - 2}" text-anchor="middle">ADI national decile (1 = least disadvantaged)</text>
+        </svg>
+    `;
 }
 
 /**
- * Get ADI color based on rank and type
+ * Render the environmental justice tab from filteredData joined to adiData
  */
-function getAdiColor(rankValue, rankType) {
-    if (!rankValue) return '#808080'; // Gray for no data
+function renderJusticeStats() {
+    const status = document.getElementById('justice-status');
+    const chart = document.getElementById('justice-decile-chart');
+    const quintileTable = document.getElementById('justice-quintile-table');
+    const correlation = document.getElementById('justice-correlation');
+    if (!status || !chart || !quintileTable || !correlation) return;
+
+    const metricLabel = currentRiskMetric === 'equity' ? 'equity-weighted risk' : 'absolute risk';
+    const adiCount = Object.keys(adiData).length;
+
+    if (adiCount === 0) {
+        status.textContent = 'Load ADI data to join facilities to their block group deprivation rank';
+        chart.innerHTML = '';
+        quintileTable.innerHTML = '';
+        correlation.innerHTML = '';
+        return;
+    }
 
-    if (rankType === 'national') {
-        // National Rank: 1-100 scale (grey to slate gradient)
-        if (rankValue <= 20) return '#e5e7eb';
-        if (rankValue <= 40) return '#cbd5e1';
-        if (rankValue <= 60) return '#94a3b8';
-        if (rankValue <= 80) return '#64748b';
-        return '#475569';
-    } else {
-        // State Rank: 1-10 scale (grey to slate gradient)
-        if (rankValue <= 2) return '#e5e7eb';
-        if (rankValue <= 4) return '#cbd5e1';
-        if (rankValue <= 6) return '#94a3b8';
-        if (rankValue <= 8) return '#64748b';
-        return '#475569';
+    const pairs = buildJusticeDataset();
+    status.innerHTML = `${formatNumber(pairs.length)} of ${formatNumber(filteredData.length)} filtered facilities matched to ADI (${formatNumber(adiCount)} block groups), using ${metricLabel}` +
+        (currentRiskMetric === 'equity' ? '<br>Note: equity-weighted risk includes ADI by construction' : '');
+
+    if (pairs.length === 0) {
+        chart.innerHTML = '';
+        quintileTable.innerHTML = '';
+        correlation.innerHTML = '<div style="font-size: 11px; color: var(--text-secondary);">No facilities matched</div>';
+        return;
     }
+
+    // Mean risk by ADI national decile
+    chart.innerHTML = buildDecileChartSVG(groupRiskByAdiBin(pairs, 10));
+
+    // Mean and median risk per ADI quintile
+    const quintiles = groupRiskByAdiBin(pairs, 20);
+    const formatRisk = value => value === null ? '—' : value.toFixed(3);
+    quintileTable.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse; font-family: 'IBM Plex Mono', monospace; font-size: 11px; color: var(--text-primary);">
+            <thead>
+                <tr style="font-size: 9px; color: var(--text-secondary); text-transform: uppercase; text-align: left;">
+                    <th style="padding: 4px 0;">Quintile</th>
+                    <th style="padding: 4px;">n</th>
+                    <th style="padding: 4px;">Mean</th>
+                    <th style="padding: 4px 0;">Median</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${quintiles.map((risks, i) => `
+                    <tr>
+                        <td style="padding: 4px 0;">Q${i + 1} (${i * 20 + 1}-${(i + 1) * 20})</td>
+                        <td style="padding: 4px;">${risks.length}</td>
+                        <td style="padding: 4px; color: ${getRiskColor(mean(risks))};">${formatRisk(mean(risks))}</td>
+                        <td style="padding: 4px 0; color: ${getRiskColor(median(risks))};">${formatRisk(median(risks))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    // Correlation with bootstrap confidence interval
+    const r = pearsonCorrelation(pairs);
+    const ci = bootstrapCorrelationCI(pairs);
+    correlation.innerHTML = r === null
+        ? '<div style="font-size: 11px; color: var(--text-secondary);">Not enough variation to compute a correlation</div>'
+        : `
+            <div style="font-size: 22px; font-weight: 600; color: var(--text-primary);">r = ${r.toFixed(3)}</div>
+            <div style="font-size: 11px; color: var(--text-secondary); margin-top: 4px; line-height: 1.5;">
+                ${ci ? `95% CI [${ci.low.toFixed(3)}, ${ci.high.toFixed(3)}]` : 'CI unavailable'}
+                · Pearson, ${BOOTSTRAP_ITERATIONS} bootstrap resamples, n=${pairs.length}
+            </div>
+        `;
 }
 
 /**
- * Calculate circle radius based on emissions (logarithmic scale)
+ * Re-render the justice tab shortly after filters change (only while it's visible)
  */
-function getCircleRadius(emissions) {
-    if (!emissions || emissions <= 0) return 4;
-
-    // Logarithmic scale: radius = 4 + log10(emissions) * 2
-    const logValue = Math.log10(emissions);
-    const radius = 4 + (logValue * 2);
+function scheduleJusticeStatsUpdate() {
+    const panel = document.getElementById('justice-tab');
+    if (!panel || !panel.classList.contains('active')) return;
 
-    // Clamp between 4 and 20
-    return Math.max(4, Math.min(20, radius));
+    clearTimeout(justiceStatsTimer);
+    justiceStatsTimer = setTimeout(renderJusticeStats, 200);
 }
 
 // ============================================================================
-// UI Functions
+// Authentication
 // ============================================================================
 
+// Signed-in principal from /api/auth/me: { user, role, method } or null
+let currentUser = null;
+
 /**
- * Show toast notification
+ * Show the sign-in form or the signed-in user
  */
-function showToast(message, type = 'info') {
-    // Simple console log for now - can be enhanced with actual toast UI
-    const prefix = type === 'error' ? '[ERROR]' : type === 'success' ? '[SUCCESS]' : '[INFO]';
-    console.log(`${prefix} ${message}`);
+function renderAuthState(message = '') {
+    const signedOut = document.getElementById('auth-signed-out');
+    const signedIn = document.getElementById('auth-signed-in');
+    if (!signedOut || !signedIn) return;
 
-    // You can add actual toast UI here if desired
+    signedOut.style.display = currentUser ? 'none' : 'block';
+    signedIn.style.display = currentUser ? 'block' : 'none';
+
+    if (currentUser) {
+        document.getElementById('auth-user-name').textContent = currentUser.user;
+        document.getElementById('auth-user-role').textContent = currentUser.role;
+    }
+
+    document.getElementById('auth-status').textContent = message;
 }
 
 /**
- * Set theme (light/dark mode)
+ * Load the current session from the server
  */
-function setTheme(dark) {
-    isDarkTheme = dark;
-    localStorage.setItem('theme', dark ? 'dark' : 'light');
-
-    const toggle = document.getElementById('theme-toggle');
-    if (toggle) {
-        toggle.checked = dark;
+async function loadCurrentUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        const result = await response.json();
+        currentUser = result.authenticated ? result : null;
+    } catch (error) {
+        console.warn('Could not load session:', error);
+        currentUser = null;
     }
+    renderAuthState();
+}
 
-    const label = document.getElementById('theme-label');
-    if (label) {
-        label.textContent = dark ? 'Dark Mode' : 'Light Mode';
-    }
+async function login(username, password) {
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
 
-    if (dark) {
-        document.body.classList.remove('light-theme');
-        document.body.classList.add('dark-theme');
-    } else {
-        document.body.classList.remove('dark-theme');
-        document.body.classList.add('light-theme');
+        if (!response.ok) {
+            renderAuthState(result.error || 'Sign in failed');
+            return;
+        }
+
+        currentUser = result;
+        document.getElementById('auth-password').value = '';
+        renderAuthState();
+    } catch (error) {
+        console.error('Sign in failed:', error);
+        renderAuthState('Sign in failed');
     }
+}
 
-    // Call map-specific theme update if available
-    if (typeof updateMapTheme === 'function') {
-        updateMapTheme(dark);
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Sign out failed:', error);
     }
+    currentUser = null;
+    renderAuthState();
 }
 
 // ============================================================================
@@ -493,6 +2770,26 @@ function setTheme(dark) {
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+    // Predictions year selector - reload markers, search and aggregates for the chosen year
+    const dataYearSelector = document.getElementById('data-year-selector');
+    if (dataYearSelector) {
+        dataYearSelector.addEventListener('change', (e) => {
+            const year = e.target.value;
+            if (!year || parseInt(year) === currentDataYear) return;
+
+            // Close the facility modal - it shows data from the previous year
+            closeFacilityDetails();
+
+            loadFacilityData(year);
+        });
+    }
+
+    // Pollutant selector - swap emissions, thresholds and marker sizes
+    const pollutantSelector = document.getElementById('pollutant-selector');
+    if (pollutantSelector) {
+        pollutantSelector.addEventListener('change', (e) => setPollutant(e.target.value));
+    }
+
     // Sector filter - apply in real-time
     const sectorFilter = document.getElementById('sector-filter');
     if (sectorFilter) {
@@ -548,29 +2845,68 @@ document.addEventListener('DOMContentLoaded', () => {
     const riskMetricEquity = document.getElementById('risk-metric-equity');
 
     if (riskMetricAbsolute && riskMetricEquity) {
-        riskMetricAbsolute.addEventListener('click', () => {
-            if (currentRiskMetric !== 'absolute') {
-                currentRiskMetric = 'absolute';
-                riskMetricAbsolute.classList.add('active');
-                riskMetricEquity.classList.remove('active');
-                console.log('Switched to absolute risk metric');
-                // Call the callback if it exists
-                if (window.onRiskMetricChange) {
-                    window.onRiskMetricChange();
-                }
-            }
+        riskMetricAbsolute.addEventListener('click', () => setRiskMetric('absolute'));
+        riskMetricEquity.addEventListener('click', () => setRiskMetric('equity'));
+    }
+
+    // Restore filters, risk metric and open facility from a shared link
+    restoreFilterHashState();
+    pendingHashFacilityId = getHashParams().get('facility');
+
+    // Risk weights panel - restore shared weights from the URL, recompute on release
+    const sharedWeights = parseRiskWeightsParam(getHashParams().get('weights'));
+    if (sharedWeights) {
+        riskWeights = sharedWeights;
+        recomputeCustomRisk();
+    }
+    updateRiskWeightsPanel();
+
+    ANOMALY_COMPONENTS.forEach(component => {
+        const weightSlider = document.getElementById(`weight-${component.column}`);
+        if (!weightSlider) return;
+
+        weightSlider.addEventListener('change', () => {
+            setRiskWeights({ [component.column]: parseInt(weightSlider.value) });
         });
+    });
 
-        riskMetricEquity.addEventListener('click', () => {
-            if (currentRiskMetric !== 'equity') {
-                currentRiskMetric = 'equity';
-                riskMetricEquity.classList.add('active');
-                riskMetricAbsolute.classList.remove('active');
-                console.log('Switched to equity-weighted risk metric');
-                // Call the callback if it exists
-                if (window.onRiskMetricChange) {
-                    window.onRiskMetricChange();
-                }
+    const resetWeightsButton = document.getElementById('reset-risk-weights');
+    if (resetWeightsButton) {
+        resetWeightsButton.addEventListener('click', () => setRiskWeights(getDefaultRiskWeights()));
+    }
+
+    // Marker color mode toggle (risk score vs. year-over-year change)
+    const markerColorRisk = document.getElementById('marker-color-risk');
+    const markerColorChange = document.getElementById('marker-color-change');
+
+    if (markerColorRisk && markerColorChange) {
+        markerColorRisk.addEventListener('click', () => {
+            if (markerColorMode !== 'risk') setMarkerColorMode('risk');
+        });
+        markerColorChange.addEventListener('click', () => {
+            if (markerColorMode !== 'change') setMarkerColorMode('change');
+        });
+    }
+
+    const markerColorVerification = document.getElementById('marker-color-verification');
+    if (markerColorVerification) {
+        markerColorVerification.addEventListener('click', () => {
+            if (markerColorMode !== 'verification') setMarkerColorMode('verification');
+        });
+    }
+
+    const toleranceSlider = document.getElementById('verification-tolerance-slider');
+    if (toleranceSlider) {
+        toleranceSlider.addEventListener('input', (e) => setVerificationTolerance(parseInt(e.target.value)));
+    }
+
+    const riskChangeBaseSelector = document.getElementById('risk-change-base-year');
+    if (riskChangeBaseSelector) {
+        riskChangeBaseSelector.addEventListener('change', async (e) => {
+            riskChangeBaseYear = parseInt(e.target.value);
+            await loadRiskChanges();
+            if (typeof updateMarkerColors === 'function') {
+                updateMarkerColors();
             }
         });
     }
@@ -599,6 +2935,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (targetPanel) {
                 targetPanel.classList.add('active');
             }
+
+            // ADI may have been loaded from the socioeconomic tab since the last render
+            if (targetTab === 'justice') {
+                renderJusticeStats();
+            }
         });
     });
 
@@ -627,9 +2968,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Facility modal close
     const modalClose = document.getElementById('facility-modal-close');
     if (modalClose) {
-        modalClose.addEventListener('click', () => {
-            document.getElementById('facility-modal').style.display = 'none';
-        });
+        modalClose.addEventListener('click', closeFacilityDetails);
     }
 
     // Mobile toggle buttons
@@ -719,7 +3058,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const siteName = facility['site_name'] || 'Unknown';
 
                 // Note: city/state columns available in this dataset
-                const emissions = parseFloat(facility['total_emissions']) || 0;
+                const emissions = getFacilityEmissions(facility) || 0;
                 const lat = parseFloat(facility['site_latitude']);
                 const lng = parseFloat(facility['site_longitude']);
 
@@ -764,6 +3103,96 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Facility table - toggle, close and pagination
+    const facilityTableToggle = document.getElementById('toggle-facility-table');
+    if (facilityTableToggle) {
+        facilityTableToggle.addEventListener('click', () => setFacilityTableVisible(!facilityTableState.visible));
+    }
+
+    const facilityTableClose = document.getElementById('facility-table-close');
+    if (facilityTableClose) {
+        facilityTableClose.addEventListener('click', () => setFacilityTableVisible(false));
+    }
+
+    const facilityTablePrev = document.getElementById('facility-table-prev');
+    const facilityTableNext = document.getElementById('facility-table-next');
+    if (facilityTablePrev && facilityTableNext) {
+        facilityTablePrev.addEventListener('click', () => {
+            facilityTableState.page = Math.max(0, facilityTableState.page - 1);
+            renderFacilityTable();
+        });
+        facilityTableNext.addEventListener('click', () => {
+            facilityTableState.page += 1;
+            renderFacilityTable();
+        });
+    }
+
+    // Block group report panel close
+    const geoidReportClose = document.getElementById('geoid-report-close');
+    if (geoidReportClose) {
+        geoidReportClose.addEventListener('click', closeGeoidReport);
+    }
+
+    // Area selection draw tools
+    ['polygon', 'rectangle', 'circle'].forEach(tool => {
+        document.getElementById(`selection-tool-${tool}`)?.addEventListener('click', () => setSelectionTool(tool));
+    });
+    document.getElementById('selection-clear')?.addEventListener('click', clearSelection);
+    document.getElementById('selection-report-close')?.addEventListener('click', clearSelection);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && selectionTool) setSelectionTool(null);
+    });
+
+    // Burden index layer and list
+    document.getElementById('toggle-burden-layer')?.addEventListener('click', () => setBurdenLayerActive(!burdenLayerActive));
+    ['burden-radius-selector', 'adi-year-selector'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => {
+            if (!burdenLayerActive) return;
+            setHashParam('burden', document.getElementById('burden-radius-selector')?.value || '5000');
+            loadBurdenIndex();
+        });
+    });
+
+    // Environmental justice tab - load ADI for the join when no layer is loaded yet
+    const justiceLoadAdi = document.getElementById('justice-load-adi');
+    if (justiceLoadAdi) {
+        justiceLoadAdi.addEventListener('click', async () => {
+            const year = document.getElementById('justice-adi-year')?.value || '2020';
+            justiceLoadAdi.disabled = true;
+            try {
+                await loadAdiData(year);
+            } catch (error) {
+                showToast(`Failed to load ADI data for ${year}`, 'error');
+            }
+            justiceLoadAdi.disabled = false;
+            renderJusticeStats();
+        });
+    }
+
+    // Export the filtered facility set
+    const exportButton = document.getElementById('export-facilities');
+    if (exportButton) {
+        exportButton.addEventListener('click', () => {
+            const format = document.getElementById('export-format')?.value || 'csv';
+            exportFilteredData(format);
+        });
+    }
+
+    // Account sign in / sign out
+    const authLogin = document.getElementById('auth-login');
+    if (authLogin) {
+        const submitLogin = () => login(
+            document.getElementById('auth-username').value.trim(),
+            document.getElementById('auth-password').value
+        );
+        authLogin.addEventListener('click', submitLogin);
+        document.getElementById('auth-password').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submitLogin();
+        });
+        document.getElementById('auth-logout').addEventListener('click', logout);
+        loadCurrentUser();
+    }
+
     // Initialize theme
     setTheme(isDarkTheme);
 });
@@ -841,22 +3270,12 @@ function formatGeoidTwoLine(geoid) {
 function aggregateFacilitiesByGeoid(geoid) {
     // Convert GEOID to integer for efficient matching
     const geoidInt = parseInt(geoid);
-    console.log('Aggregating facilities for GEOID:', geoidInt);
-    console.log('Total facilityData length:', facilityData.length);
 
     const facilities = facilityData.filter(facility => {
         const facilityGeoid = facility.GEOID10 || facility.geoid10 || facility.GEOID;
         return facilityGeoid === geoidInt;
     });
 
-    console.log('Matching facilities found:', facilities.length);
-    if (facilityData.length > 0 && facilities.length === 0) {
-        // Debug: show sample facility GEOID
-        const sampleGeoid = facilityData[0].GEOID10 || facilityData[0].geoid10 || facilityData[0].GEOID;
-        console.log('Sample facility GEOID:', sampleGeoid, 'vs requested:', geoidInt);
-        console.log('Sample facility:', facilityData[0]);
-    }
-
     const stats = {
         totalEmissions: 0,
         totalFacilities: facilities.length,
@@ -868,8 +3287,8 @@ function aggregateFacilitiesByGeoid(geoid) {
     let riskScoreCount = 0;
 
     facilities.forEach(facility => {
-        // Sum emissions
-        const emissions = parseFloat(facility['total_emissions']) || 0;
+        // Sum emissions of the selected pollutant
+        const emissions = getFacilityEmissions(facility) || 0;
         stats.totalEmissions += emissions;
 
         // Count high risk facilities (risk_norm > 0.6)
@@ -891,6 +3310,304 @@ function aggregateFacilitiesByGeoid(geoid) {
     return stats;
 }
 
+/**
+ * Percentile (0-100) of a component value among all loaded facilities
+ */
+function getAnomalyComponentPercentile(column, value) {
+    if (!anomalyComponentDistributions) {
+        anomalyComponentDistributions = {};
+        ANOMALY_COMPONENTS.forEach(component => {
+            anomalyComponentDistributions[component.column] = facilityData
+                .map(facility => parseFloat(facility[component.column]))
+                .filter(v => !isNaN(v))
+                .sort((a, b) => a - b);
+        });
+    }
+
+    const values = anomalyComponentDistributions[column];
+    if (!values || values.length === 0 || isNaN(value)) return null;
+
+    // Count of values <= value (binary search for upper bound)
+    let low = 0;
+    let high = values.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[mid] <= value) low = mid + 1;
+        else high = mid;
+    }
+    return (low / values.length) * 100;
+}
+
+/**
+ * Build the anomaly component breakdown for the facility modal
+ * Shows each component's value, percentile and weighted contribution as a stacked bar
+ */
+function buildAnomalyBreakdownHTML(facility) {
+    const weights = getNormalizedRiskWeights();
+    const components = ANOMALY_COMPONENTS.map(component => {
+        const value = parseFloat(facility[component.column]);
+        return {
+            ...component,
+            weight: Math.round(weights[component.column] * 100) / 100,
+            value,
+            percentile: getAnomalyComponentPercentile(component.column, value),
+            contribution: isNaN(value) ? 0 : weights[component.column] * value
+        };
+    });
+
+    if (components.every(component => isNaN(component.value))) {
+        return `
+            <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+            <div style="font-size: 11px; color: var(--text-secondary);">Anomaly components not available for this facility</div>
+        `;
+    }
+
+    const totalContribution = components.reduce((sum, component) => sum + component.contribution, 0);
+
+    // Stacked bar segments are sized on the 0-1 risk score scale
+    const segments = components.map(component => `
+        <div title="${component.label}: ${component.contribution.toFixed(3)}"
+             style="width: ${(component.contribution * 100).toFixed(2)}%; background: ${component.color};"></div>
+    `).join('');
+
+    const rows = components.map(component => {
+        const value = !isNaN(component.value) ? component.value.toFixed(2) : 'N/A';
+        const percentile = component.percentile !== null ? component.percentile.toFixed(0) : 'N/A';
+        const share = totalContribution > 0 ? (component.contribution / totalContribution * 100).toFixed(0) : '0';
+
+        return `
+            <tr>
+                <td style="padding: 4px 8px 4px 0;">
+                    <span style="display: inline-block; width: 8px; height: 8px; border-radius: 2px; background: ${component.color}; margin-right: 6px;"></span>${component.label}
+                    <span style="color: var(--text-secondary); font-size: 10px;">×${component.weight}</span>
+                </td>
+                <td style="padding: 4px 8px;">${value}</td>
+                <td style="padding: 4px 8px;">${percentile}</td>
+                <td style="padding: 4px 0 4px 8px;">${component.contribution.toFixed(3)} <span style="color: var(--text-secondary); font-size: 10px;">(${share}%)</span></td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+        <div style="font-size: 11px; color: var(--text-secondary); margin-bottom: 10px; font-weight: 500;">
+            Anomaly components (${customRiskActive ? 'custom' : 'hybrid'} score ${totalContribution.toFixed(3)})
+        </div>
+        <div style="display: flex; height: 12px; border-radius: 6px; overflow: hidden; background: rgba(128, 128, 128, 0.15); margin-bottom: 10px;">
+            ${segments}
+        </div>
+        <table style="width: 100%; border-collapse: collapse; font-family: 'IBM Plex Mono', monospace; font-size: 12px; color: var(--text-primary);">
+            <thead>
+                <tr style="font-size: 9px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.5px; text-align: left;">
+                    <th style="padding: 4px 8px 4px 0; font-weight: 600;">Component</th>
+                    <th style="padding: 4px 8px; font-weight: 600;">Value</th>
+                    <th style="padding: 4px 8px; font-weight: 600;">Percentile</th>
+                    <th style="padding: 4px 0 4px 8px; font-weight: 600;">Contribution</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render the year-over-year trend section of the facility modal
+ * Expects an empty #facility-trend-section element in the modal content
+ */
+async function renderFacilityTrend(facilityId) {
+    const container = document.getElementById('facility-trend-section');
+    if (!container || !facilityId || availableDataYears.length < 2) return;
+
+    container.dataset.facilityId = facilityId;
+    container.innerHTML = `
+        <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+        <div style="font-size: 11px; color: var(--text-secondary);">Loading trend...</div>
+    `;
+
+    let trend;
+    try {
+        const response = await fetch(`/api/facilities/${encodeURIComponent(facilityId)}/trend`);
+        if (!response.ok) throw new Error('Failed to load facility trend');
+        trend = (await response.json()).trend;
+    } catch (error) {
+        console.error('Error loading facility trend:', error);
+        trend = [];
+    }
+
+    // Modal may have been reopened for another facility while loading
+    if (container.dataset.facilityId !== facilityId) return;
+
+    if (trend.length < 2) {
+        container.innerHTML = `
+            <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+            <div style="font-size: 11px; color: var(--text-secondary);">No data for this facility in other years</div>
+        `;
+        return;
+    }
+
+    // Arrow and color for a change vs. the previous year (higher risk = red)
+    const formatDelta = (delta, digits) => {
+        if (delta === null || delta === undefined || isNaN(delta)) return '';
+        const color = delta > 0 ? '#ef4444' : delta < 0 ? '#10b981' : 'var(--text-secondary)';
+        const arrow = delta > 0 ? '▲' : delta < 0 ? '▼' : '–';
+        return `<span style="color: ${color}; font-size: 10px; margin-left: 4px;">${arrow} ${Math.abs(delta).toFixed(digits)}</span>`;
+    };
+
+    const rows = trend.map((entry, i) => {
+        const previous = i > 0 ? trend[i - 1] : null;
+        const delta = (field) => (previous && entry[field] !== null && previous[field] !== null)
+            ? entry[field] - previous[field]
+            : null;
+        const riskNorm = entry.risk_norm !== null ? entry.risk_norm.toFixed(2) : 'N/A';
+        const riskPercentile = entry.risk_percentile !== null ? entry.risk_percentile.toFixed(0) : 'N/A';
+        const emissions = entry.total_emissions !== null ? entry.total_emissions.toFixed(1) : 'N/A';
+
+        return `
+            <tr style="${entry.year === currentDataYear ? 'font-weight: 600;' : ''}">
+                <td style="padding: 4px 8px 4px 0;">${entry.year}</td>
+                <td style="padding: 4px 8px; color: ${getRiskColor(entry.risk_norm)};">${riskNorm}${formatDelta(delta('risk_norm'), 2)}</td>
+                <td style="padding: 4px 8px;">${riskPercentile}${formatDelta(delta('risk_percentile'), 0)}</td>
+                <td style="padding: 4px 0 4px 8px;">${emissions}${formatDelta(delta('total_emissions'), 1)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+        <div style="font-size: 11px; color: var(--text-secondary); margin-bottom: 10px; font-weight: 500;">
+            Year-over-year trend
+        </div>
+        <table style="width: 100%; border-collapse: collapse; font-family: 'IBM Plex Mono', monospace; font-size: 12px; color: var(--text-primary);">
+            <thead>
+                <tr style="font-size: 9px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.5px; text-align: left;">
+                    <th style="padding: 4px 8px 4px 0; font-weight: 600;">Year</th>
+                    <th style="padding: 4px 8px; font-weight: 600;">Risk</th>
+                    <th style="padding: 4px 8px; font-weight: 600;">Percentile</th>
+                    <th style="padding: 4px 0 4px 8px; font-weight: 600;">Emissions (t/yr)</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Add the "Nearby Communities" action to the facility modal
+ * Expects a <div id="facility-communities-section"> in the modal content.
+ */
+function renderNearbyCommunitiesAction(facilityId) {
+    const container = document.getElementById('facility-communities-section');
+    if (!container || !facilityId) return;
+
+    container.dataset.facilityId = facilityId;
+    container.innerHTML = `
+        <div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>
+        <button class="btn-secondary">Nearby Communities</button>
+    `;
+    container.querySelector('button').addEventListener('click', () => loadNearbyCommunities(facilityId));
+}
+
+/**
+ * Block groups within 1, 3 and 5 km of the facility, with ADI ranks and the
+ * burden of other high-risk facilities near each one
+ */
+async function loadNearbyCommunities(facilityId) {
+    const container = document.getElementById('facility-communities-section');
+    if (!container) return;
+
+    const divider = `<div style="border-top: 1px solid var(--border); margin: 16px 0;"></div>`;
+    container.innerHTML = `${divider}<div class="geoid-report-empty">Finding nearby communities...</div>`;
+
+    let result;
+    try {
+        const params = new URLSearchParams();
+        if (currentDataYear) params.set('year', currentDataYear);
+        if (currentPollutant !== PREDICTIONS_POLLUTANT) params.set('pollutant', currentPollutant);
+        const response = await fetch(`/api/facilities/${encodeURIComponent(facilityId)}/communities?${params}`);
+        result = await response.json();
+        if (!response.ok) throw new Error(result.message || result.error);
+    } catch (error) {
+        console.error('Error loading nearby communities:', error);
+        if (container.dataset.facilityId === facilityId) {
+            container.innerHTML = `${divider}<div class="geoid-report-empty">Failed to load nearby communities: ${error.message}</div>`;
+        }
+        return;
+    }
+
+    // Modal may have been reopened for another facility while loading
+    if (container.dataset.facilityId !== facilityId) return;
+
+    if (result.communities.length === 0) {
+        container.innerHTML = `${divider}<div class="geoid-report-empty">No block groups within ${result.radiiKm[result.radiiKm.length - 1]} km</div>`;
+        return;
+    }
+
+    const formatRank = (rank, scale) => rank !== null ? `${Number.isInteger(rank) ? rank : rank.toFixed(1)}/${scale}` : '—';
+
+    const ringsHTML = result.rings.map(ring => `
+        <div title="${ring.weighting === 'population' ? 'Population-weighted' : 'Unweighted (no population in boundaries)'} ADI mean">
+            <span>Within ${ring.radiusKm} km</span>
+            <strong>${formatNumber(ring.count)}</strong>
+            <span style="margin-top: 2px;">ADI ${formatRank(ring.natRank, 100)} nat · ${formatRank(ring.stateRank, 10)} state</span>
+        </div>
+    `).join('');
+
+    // One group of rows per distance band
+    const rowsHTML = result.radiiKm.map((radius, i) => {
+        const band = result.communities.filter(community => community.withinKm === radius);
+        if (band.length === 0) return '';
+        const from = i > 0 ? result.radiiKm[i - 1] : 0;
+        return `
+            <tr><th colspan="5">${from}–${radius} km</th></tr>
+            ${band.map(community => {
+                const burden = community.burden;
+                return `
+                    <tr class="geoid-report-link" data-geoid="${community.geoid}">
+                        <td>${formatGeoidTwoLine(community.geoid).line2 || community.geoid}</td>
+                        <td>${(community.distance / 1000).toFixed(1)} km</td>
+                        <td>${community.natRank !== null ? community.natRank : '—'}</td>
+                        <td>${community.stateRank !== null ? community.stateRank : '—'}</td>
+                        <td title="${burden.facilities} other high-risk facilities within ${result.burdenRadiusKm} km · ${formatEmissions(burden.totalEmissions)}">
+                            ${burden.facilities > 0 ? `${burden.facilities} · ${burden.riskSum.toFixed(2)}` : '—'}
+                        </td>
+                    </tr>
+                `;
+            }).join('')}
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        ${divider}
+        <div style="font-size: 11px; color: var(--text-secondary); margin-bottom: 10px; font-weight: 500;">
+            Nearby communities${result.adiYear ? ` (ADI ${result.adiYear})` : ''}
+        </div>
+        <div class="geoid-report-stats" style="grid-template-columns: 1fr 1fr 1fr;">${ringsHTML}</div>
+        <table class="geoid-report-table" style="font-size: 12px; color: var(--text-primary);">
+            <thead>
+                <tr><th>Block Group</th><th>Distance</th><th>National</th><th>State</th><th>Burden</th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+        <div class="geoid-report-meta">
+            Burden: other high-risk (&gt;0.6) facilities within ${result.burdenRadiusKm} km of the block group · summed risk
+        </div>
+    `;
+
+    container.querySelectorAll('tr[data-geoid]').forEach(row => {
+        row.addEventListener('click', () => openGeoidReport(row.dataset.geoid));
+    });
+}
+
+/**
+ * County name for a facility, from the county FIPS prefix of its GEOID10
+ */
+function getFacilityCounty(facility) {
+    const geoid = facility.GEOID10 || facility.geoid10 || facility.GEOID;
+    if (!geoid) return null;
+    const countyFips = String(geoid).padStart(12, '0').substring(0, 5);
+    return COUNTY_NAMES[countyFips] || null;
+}
+
 /**
  * Format number with commas
  */
@@ -905,12 +3622,16 @@ function formatNumber(num) {
 function formatEmissions(emissions) {
     if (!emissions || isNaN(emissions)) return '—';
 
-    if (emissions < 1000) {
-        return `${Math.round(emissions)} tons/year`;
+    const unit = getEmissionsUnit();
+    if (emissions < 10) {
+        // Trace pollutants (metals, some HAPs) are often well under a ton
+        return `${parseFloat(emissions.toPrecision(2))} ${unit}`;
+    } else if (emissions < 1000) {
+        return `${Math.round(emissions)} ${unit}`;
     } else if (emissions < 1000000) {
-        return `${(emissions / 1000).toFixed(1)}k tons/year`;
+        return `${(emissions / 1000).toFixed(1)}k ${unit}`;
     } else {
-        return `${(emissions / 1000000).toFixed(2)}M tons/year`;
+        return `${(emissions / 1000000).toFixed(2)}M ${unit}`;
     }
 }
 
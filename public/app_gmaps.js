@@ -15,6 +15,9 @@ let censusBlockGroupLayer = null;
 let adiDataLayer = null;
 let currentAdiYear = null;
 let currentInfoWindow = null; // Track open InfoWindow for theme changes
+let selectionPolygon = null; // Outline of the drawn area selection
+let burdenDataLayer = null; // Burden index choropleth (block groups)
+let burdenScores = null; // { geoid: burdenIndex } shown by burdenDataLayer
 
 // Background preload cache for ADI data
 let preloadedAdiData = {}; // { year: { csv: {...}, geojson: {...} } }
@@ -33,6 +36,13 @@ function initMap() {
     // Default to Illinois center (where the data is)
     const mapDefaults = config.mapDefaults || { center: { lat: 40.6331, lng: -89.3985 }, zoom: 9 };
 
+    // A shared link's viewport takes precedence over the defaults
+    const hashView = getHashMapView(); // From app_common.js
+    if (hashView) {
+        mapDefaults.center = { lat: hashView.lat, lng: hashView.lng };
+        mapDefaults.zoom = hashView.zoom;
+    }
+
     // Check if mobile
     const isMobile = window.innerWidth <= 768;
 
@@ -75,6 +85,17 @@ function initMap() {
         }
     });
 
+    // Area selection draw tools (from app_common.js)
+    map.addListener('click', (e) => handleSelectionClick(e.latLng.lng(), e.latLng.lat()));
+    map.addListener('dblclick', () => handleSelectionDoubleClick());
+    map.addListener('mousemove', (e) => handleSelectionMove(e.latLng.lng(), e.latLng.lat()));
+
+    // Keep the viewport in the URL hash for shareable links
+    map.addListener('idle', () => {
+        const center = map.getCenter();
+        updateMapViewHashState(center.lat(), center.lng(), map.getZoom());
+    });
+
     // Initialize UI
     setupEventListeners();
     setTheme(isDarkTheme); // From app_common.js
@@ -82,6 +103,10 @@ function initMap() {
     // Load facility data (from app_common.js)
     loadFacilityData();
 
+    // Reload the ADI and burden layers from a shared link
+    restoreAdiHashState(); // From app_common.js
+    restoreBurdenHashState(); // From app_common.js
+
     // Census layers are loaded on demand via radio button selection
     // Default is "none" - no boundaries displayed
 
@@ -118,8 +143,7 @@ function createMarkers() {
     filteredData.forEach(facility => {
         const lat = parseFloat(facility['site_latitude']);
         const lng = parseFloat(facility['site_longitude']);
-        const riskValue = getRiskValue(facility); // Get risk based on selected metric
-        const totalEmissions = parseFloat(facility['total_emissions']) || 0;
+        const totalEmissions = getFacilityEmissions(facility) || 0;
 
         // Skip if coordinates are invalid
         if (isNaN(lat) || isNaN(lng)) {
@@ -127,13 +151,13 @@ function createMarkers() {
             return;
         }
 
-        // Determine marker colors based on continuous risk score
-        const fillColor = getRiskColor(riskValue);
+        // Determine marker colors based on continuous risk score (or risk change)
+        const fillColor = getMarkerColor(facility);
         const colors = { fill: fillColor, stroke: darkenColor(fillColor, 0.3) };
 
         // Marker size based on total emissions (log scale)
-        // Scale: 10-1000 tons = radius 5-15, 1000-100000 tons = radius 15-30
-        const logEmissions = Math.log10(Math.max(1, totalEmissions));
+        // Scale: 10-1000 tons = radius 5-15, 1000-100000 tons = radius 15-30 (NOx-equivalent magnitude)
+        const logEmissions = Math.log10(Math.max(1, totalEmissions / pollutantScale));
         const radius = Math.min(30, Math.max(5, 5 + logEmissions * 5));
 
         // Create circular icon
@@ -155,6 +179,8 @@ function createMarkers() {
 
         // Add click listener
         marker.addListener('click', () => {
+            // While drawing an area selection, the marker is just a point on the map
+            if (handleSelectionClick(lng, lat)) return;
             showFacilityDetails(facility);
         });
 
@@ -215,8 +241,8 @@ function createMarkers() {
 }
 
 /**
- * Update marker colors based on current risk metric selection
- * Called when user toggles between absolute and equity-weighted risk
+ * Update marker colors based on current risk metric and marker color mode
+ * Called when user toggles between absolute and equity-weighted risk, or risk score and risk change
  */
 function updateMarkerColors() {
     console.log(`Updating marker colors to ${currentRiskMetric} risk metric`);
@@ -262,7 +288,7 @@ function showFacilityDetails(facility) {
     // Parse data
     const siteName = facility['site_name'] || 'Unknown Facility';
     const facilityId = facility['facility_id'] || 'N/A';
-    const totalEmissions = parseFloat(facility['total_emissions']).toFixed(2);
+    const totalEmissions = (getFacilityEmissions(facility) || 0).toFixed(2);
 
     // NAICS - convert to integer and get description
     const naicsCode = facility['naics_code'] ? parseInt(parseFloat(facility['naics_code'])) : 'N/A';
@@ -318,9 +344,9 @@ function showFacilityDetails(facility) {
 
             <!-- Reported Emissions (no color) -->
             <div style="margin-bottom: 12px; padding: 10px; background: rgba(128, 128, 128, 0.05); border-radius: 6px;">
-                <div style="font-size: 10px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 4px;">Reported Emissions</div>
+                <div style="font-size: 10px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 4px;">Reported ${getPollutantLabel()} Emissions</div>
                 <div style="font-size: 16px; font-weight: 600; color: var(--text-primary); font-family: 'IBM Plex Mono', monospace;">
-                    ${totalEmissions} <span style="font-size: 11px; font-weight: 400; color: var(--text-secondary); font-family: system-ui, -apple-system, sans-serif;">tons/year</span>
+                    ${totalEmissions} <span style="font-size: 11px; font-weight: 400; color: var(--text-secondary); font-family: system-ui, -apple-system, sans-serif;">${getEmissionsUnit()}</span>
                 </div>
             </div>
 
@@ -347,11 +373,26 @@ function showFacilityDetails(facility) {
                     </div>
                 </div>
             </div>
+
+            <!-- Anomaly components (residual, peer, atmospheric) -->
+            ${buildAnomalyBreakdownHTML(facility)}
+            ${buildVerificationHTML(facility)}
+
+            <!-- Year-over-year trend (populated by renderFacilityTrend) -->
+            <div id="facility-trend-section"></div>
+
+            <!-- Block groups around the facility (populated on demand by renderNearbyCommunitiesAction) -->
+            <div id="facility-communities-section"></div>
         </div>
     `;
 
     content.innerHTML = html;
     modal.style.display = 'flex';
+    setHashParam('facility', facility['facility_id']); // From app_common.js
+    renderVerificationPlot();
+
+    renderFacilityTrend(facility['facility_id']); // From app_common.js
+    renderNearbyCommunitiesAction(facility['facility_id']); // From app_common.js
 }
 
 /**
@@ -742,13 +783,22 @@ async function loadAdiLayer(year, rankType = 'national') {
         });
 
         // Add click listener for ADI info
+        // Block group polygons swallow map events, so pass them to the draw tools
+        adiDataLayer.addListener('dblclick', () => handleSelectionDoubleClick());
+        adiDataLayer.addListener('mousemove', (event) => handleSelectionMove(event.latLng.lng(), event.latLng.lat()));
+
         adiDataLayer.addListener('click', (event) => {
+            if (handleSelectionClick(event.latLng.lng(), event.latLng.lat())) return;
+
             const geoid = event.feature.getProperty('GEOID10');
             const adi = adiData[geoid];
 
             // Get aggregated facility data for this geography
             const facilityStats = aggregateFacilitiesByGeoid(geoid);
 
+            // Full report (all ADI years, neighboring block groups) in the side panel
+            openGeoidReport(geoid); // From app_common.js
+
             // Format GEOID in two lines
             const geoidFormatted = formatGeoidTwoLine(geoid);
 
@@ -968,6 +1018,7 @@ function setupEventListeners() {
             censusDataLoaded = true;
             censusDataVisible = true;
             button.textContent = 'Hide Census Data';
+            updateAdiHashState(true);
         } else if (censusDataVisible) {
             // Hide the layer
             if (censusTractLayer) censusTractLayer.setMap(null);
@@ -982,6 +1033,7 @@ function setupEventListeners() {
 
             censusDataVisible = false;
             button.textContent = 'Show Census Data';
+            updateAdiHashState(false);
         } else {
             // Show the layer
             if (censusTractLayer) censusTractLayer.setMap(map);
@@ -996,6 +1048,7 @@ function setupEventListeners() {
 
             censusDataVisible = true;
             button.textContent = 'Hide Census Data';
+            updateAdiHashState(true);
         }
     });
 
@@ -1185,4 +1238,105 @@ function zoomToFacility(lat, lng, name) {
     currentInfoWindow.open(map);
 }
 
+/**
+ * Crosshair cursor and no double-click zoom while an area selection is drawn
+ * (called by setSelectionTool in app_common.js)
+ */
+function setSelectionDrawing(active) {
+    if (!map) return;
+    map.setOptions({
+        draggableCursor: active ? 'crosshair' : null,
+        disableDoubleClickZoom: active
+    });
+}
+
+/**
+ * Outline the area selection, or remove it when ring is null
+ * @param {Array|null} ring - [[lng, lat], ...] from app_common.js
+ */
+function drawSelectionRing(ring) {
+    if (!ring) {
+        if (selectionPolygon) {
+            selectionPolygon.setMap(null);
+            selectionPolygon = null;
+        }
+        return;
+    }
+
+    if (!selectionPolygon) {
+        selectionPolygon = new google.maps.Polygon({
+            map,
+            clickable: false, // Clicks go through to the map (and the draw tools)
+            strokeColor: '#3b82f6',
+            strokeWeight: 2,
+            fillColor: '#3b82f6',
+            fillOpacity: 0.1,
+            zIndex: 1000
+        });
+    }
+    selectionPolygon.setPath(ring.map(([lng, lat]) => ({ lat, lng })));
+}
+
+// ============================================================================
+// Burden Index
+// ============================================================================
+
+/**
+ * Color block groups by burden index, or hide the layer when scores is null
+ * (called by loadBurdenIndex in app_common.js)
+ * @param {Object|null} scores - { geoid: burdenIndex } for block groups with facility exposure
+ */
+async function setBurdenLayer(scores) {
+    burdenScores = scores;
+
+    if (!scores) {
+        if (burdenDataLayer) burdenDataLayer.setMap(null);
+        return;
+    }
+
+    if (!burdenDataLayer) {
+        // Reuse block groups already loaded for an ADI year instead of fetching them again
+        let blockGroupsGeoJson = Object.values(preloadedAdiData).find(data => data.geojson)?.geojson;
+        if (!blockGroupsGeoJson) {
+            const response = await fetch('/api/boundaries/block_groups');
+            if (!response.ok) {
+                showToast('Block groups GeoJSON not found', 'error');
+                return;
+            }
+            blockGroupsGeoJson = await response.json();
+        }
+
+        burdenDataLayer = new google.maps.Data();
+        burdenDataLayer.addGeoJson(blockGroupsGeoJson);
+
+        // Block group polygons swallow map events, so pass them to the draw tools
+        burdenDataLayer.addListener('dblclick', () => handleSelectionDoubleClick());
+        burdenDataLayer.addListener('mousemove', (event) => handleSelectionMove(event.latLng.lng(), event.latLng.lat()));
+        burdenDataLayer.addListener('click', (event) => {
+            if (handleSelectionClick(event.latLng.lng(), event.latLng.lat())) return;
+            openGeoidReport(event.feature.getProperty('GEOID10')); // From app_common.js
+        });
+    }
+
+    // The layer may have been hidden while the boundaries loaded
+    if (!burdenScores) return;
+
+    // Unscored block groups (no nearby facility or no ADI rank) stay transparent and unclickable
+    burdenDataLayer.setStyle((feature) => {
+        const index = burdenScores[feature.getProperty('GEOID10')];
+        if (index === undefined) {
+            return { fillOpacity: 0, strokeOpacity: 0, clickable: false };
+        }
+        return {
+            fillColor: getBurdenColor(index), // From app_common.js
+            fillOpacity: 0.7,
+            strokeColor: '#ffffff',
+            strokeWeight: 0.5,
+            strokeOpacity: 0.7,
+            zIndex: 1
+        };
+    });
+    burdenDataLayer.setMap(map);
+}
+
 console.log('app_gmaps.js loaded - Google Maps implementation ready');
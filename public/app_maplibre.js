@@ -13,6 +13,9 @@ let emissionsGeoJSON = {
     features: []
 };
 
+// A shared link's viewport takes precedence over the defaults
+const hashView = getHashMapView(); // From app_common.js
+
 // Initialize MapLibre GL JS map
 const map = new maplibregl.Map({
     container: 'map',
@@ -22,8 +25,8 @@ const map = new maplibregl.Map({
         sources: {},
         layers: []
     },
-    center: [-89.3985, 40.6331],  // Illinois center (lng, lat - REVERSED order!)
-    zoom: 7
+    center: hashView ? [hashView.lng, hashView.lat] : [-89.3985, 40.6331],  // Illinois center (lng, lat - REVERSED order!)
+    zoom: hashView ? hashView.zoom : 7
 });
 
 // Add navigation controls (only on desktop)
@@ -148,18 +151,28 @@ function initializeEmissionLayers() {
 map.on('load', () => {
     setTheme(isDarkTheme); // From app_common.js
     initializeEmissionLayers();
-    loadFacilityData(); // From app_common.js - loads 2021 predictions data
+    loadFacilityData(); // From app_common.js - loads the latest predictions year
 
     // Register callback for risk metric toggle
     window.onRiskMetricChange = function() {
         updateMarkerColors();
     };
+
+    // Reload the ADI and burden layers from a shared link
+    restoreAdiHashState(); // From app_common.js
+    restoreBurdenHashState(); // From app_common.js
 });
 
 // Update clusters on zoom/move
 map.on('zoom', updateClusters);
 map.on('move', updateClusters);
 
+// Keep the viewport in the URL hash for shareable links
+map.on('moveend', () => {
+    const center = map.getCenter();
+    updateMapViewHashState(center.lat, center.lng, map.getZoom());
+});
+
 // MapLibre-specific event listeners
 // (Common listeners are in app_common.js)
 
@@ -177,6 +190,7 @@ document.getElementById('toggle-census-data').addEventListener('click', async ()
         censusDataLoaded = true;
         censusDataVisible = true;
         button.textContent = 'Hide Census Data';
+        updateAdiHashState(true);
     } else if (censusDataVisible) {
         // Hide the layer
         if (map.getLayer('adi-fill')) {
@@ -194,6 +208,7 @@ document.getElementById('toggle-census-data').addEventListener('click', async ()
 
         censusDataVisible = false;
         button.textContent = 'Show Census Data';
+        updateAdiHashState(false);
     } else {
         // Show the layer
         if (map.getLayer('adi-fill')) {
@@ -211,6 +226,7 @@ document.getElementById('toggle-census-data').addEventListener('click', async ()
 
         censusDataVisible = true;
         button.textContent = 'Hide Census Data';
+        updateAdiHashState(true);
     }
 });
 
@@ -234,13 +250,13 @@ function plotEmissions() {
     filteredData.forEach(site => {
         const lat = parseFloat(site['site_latitude']);
         const lng = parseFloat(site['site_longitude']);
-        const emissions = parseFloat(site['total_emissions']);
+        const emissions = getFacilityEmissions(site);
         const riskValue = getRiskValue(site); // Get risk based on selected metric
 
-        if (isNaN(lat) || isNaN(lng) || isNaN(emissions)) return;
+        if (isNaN(lat) || isNaN(lng) || emissions === null) return;
 
         // Use color functions from app_common.js
-        const color = getRiskColor(riskValue);
+        const color = getMarkerColor(site);
         const radius = getCircleRadius(emissions);
 
         features.push({
@@ -277,12 +293,12 @@ function plotEmissions() {
 }
 
 /**
- * Update marker colors based on current risk metric selection
+ * Update marker colors based on current risk metric and marker color mode
  * For MapLibre, we regenerate the GeoJSON with new colors
  */
 function updateMarkerColors() {
-    renderData();
-    console.log(`Updated marker colors to ${currentRiskMetric} risk metric`);
+    plotEmissions();
+    console.log(`Updated marker colors to ${currentRiskMetric} risk metric (${markerColorMode} mode)`);
 }
 
 function updateClusters() {
@@ -321,18 +337,22 @@ function updateClusters() {
 
 // Popup handlers for emissions
 map.on('click', 'emissions-unclustered', (e) => {
+    if (selectionTool) return; // Drawing an area selection (app_common.js)
+
     const feature = e.features[0];
     const props = feature.properties;
 
     const facilityName = props['site name'] || props['site_name'] || 'Unknown Facility';
-    const reported = parseFloat(props['total emissions'] || props['total_emissions']);
-    const measured = props['measured_emissions'] ? parseFloat(props['measured_emissions']) : null;
+    const reported = parseFloat(props['emissions']);
+    // Measured emissions are satellite NOx, so they're only comparable for NOx
+    const measured = props['measured_emissions'] && currentPollutant === PREDICTIONS_POLLUTANT
+        ? parseFloat(props['measured_emissions']) : null;
 
     let popupContent = `
         <div style="font-family: 'IBM Plex Mono', monospace; font-size: 13px; min-width: 200px;">
             <div class="popup-facility-name">${facilityName}</div>
             <div class="popup-data-row">
-                <span class="popup-label">Reported:</span> ${reported.toLocaleString()} tons/yr
+                <span class="popup-label">Reported ${getPollutantLabel()}:</span> ${formatEmissions(reported)}
             </div>
     `;
 
@@ -368,6 +388,8 @@ map.on('click', 'emissions-unclustered', (e) => {
 
 // Cluster expansion on click
 map.on('click', 'clusters', (e) => {
+    if (selectionTool) return;
+
     const features = map.queryRenderedFeatures(e.point, {
         layers: ['clusters']
     });
@@ -400,8 +422,8 @@ map.on('mouseleave', 'clusters', () => {
 
 // Site details modal
 function showSiteDetails(site) {
-    const modal = document.getElementById('site-details-modal');
-    const content = document.getElementById('site-details-content');
+    const modal = document.getElementById('facility-modal');
+    const content = document.getElementById('facility-details-content');
 
     const facilityName = site['site name'] || site['site_name'] || 'Unknown';
     const facilityId = site['eis facility id'] || site['eis_facility_id'] || 'N/A';
@@ -415,8 +437,9 @@ function showSiteDetails(site) {
     const naicsDesc = site['primary naics description'] || site['primary_naics_description'] || 'N/A';
     const lat = site['site latitude'] || site['site_latitude'] || 'N/A';
     const lng = site['site longitude'] || site['site_longitude'] || 'N/A';
-    const reported = parseFloat(site['total emissions'] || site['total_emissions']) || 0;
-    const measured = site['measured_emissions'] ? parseFloat(site['measured_emissions']) : null;
+    const reported = getFacilityEmissions(site) || 0;
+    const measured = site['measured_emissions'] && currentPollutant === PREDICTIONS_POLLUTANT
+        ? parseFloat(site['measured_emissions']) : null;
 
     let detailsHTML = `
         <div style="margin-bottom: 16px;">
@@ -453,8 +476,8 @@ function showSiteDetails(site) {
         </div>
 
         <div style="border-top: 1px solid var(--border); padding-top: 16px;">
-            <div style="font-size: 12px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 1px; margin-bottom: 8px;">NOx Emissions</div>
-            <div style="color: var(--text-secondary); margin-bottom: 4px;">Reported: <span style="color: var(--text-primary); font-weight: 600;">${reported.toLocaleString()} tons/year</span></div>
+            <div style="font-size: 12px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 1px; margin-bottom: 8px;">${getPollutantLabel()} Emissions</div>
+            <div style="color: var(--text-secondary); margin-bottom: 4px;">Reported: <span style="color: var(--text-primary); font-weight: 600;">${reported.toLocaleString()} ${getEmissionsUnit()}</span></div>
     `;
 
     if (measured) {
@@ -470,8 +493,23 @@ function showSiteDetails(site) {
 
     detailsHTML += `</div>`;
 
+    // Anomaly components (residual, peer, atmospheric)
+    detailsHTML += buildAnomalyBreakdownHTML(site);
+    detailsHTML += buildVerificationHTML(site);
+
+    // Year-over-year trend (populated by renderFacilityTrend)
+    detailsHTML += `<div id="facility-trend-section"></div>`;
+
+    // Block groups around the facility (populated on demand by renderNearbyCommunitiesAction)
+    detailsHTML += `<div id="facility-communities-section"></div>`;
+
     content.innerHTML = detailsHTML;
     modal.style.display = 'flex';
+    setHashParam('facility', site['facility_id']); // From app_common.js
+    renderVerificationPlot();
+
+    renderFacilityTrend(site['facility_id']); // From app_common.js
+    renderNearbyCommunitiesAction(site['facility_id']); // From app_common.js
 }
 
 // Site details modal event listener removed (using unified index.html facility modal now)
@@ -480,7 +518,7 @@ function showSiteDetails(site) {
 
 // Load and display ADI layer using GeoJSON
 async function loadAdiLayer() {
-    const year = document.getElementById('social-year-selector').value;
+    const year = document.getElementById('adi-year-selector').value;
     const rankType = document.getElementById('adi-rank-type-selector').value;
 
     if (!year) {
@@ -647,7 +685,7 @@ async function loadAdiLayer() {
 
 // ADI popup handler
 map.on('click', 'adi-fill', (e) => {
-    if (e.features.length === 0) return;
+    if (selectionTool || e.features.length === 0) return;
 
     const feature = e.features[0];
     const geoid = feature.properties.GEOID10;
@@ -656,6 +694,9 @@ map.on('click', 'adi-fill', (e) => {
     // Get aggregated facility data for this geography
     const facilityStats = aggregateFacilitiesByGeoid(geoid);
 
+    // Full report (all ADI years, neighboring block groups) in the side panel
+    openGeoidReport(geoid); // From app_common.js
+
     // Format GEOID in two lines
     const geoidFormatted = formatGeoidTwoLine(geoid);
 
@@ -789,4 +830,117 @@ function zoomToFacility(lat, lng, name) {
         .addTo(map);
 }
 
+// ============================================================================
+// Area Selection
+// ============================================================================
+
+// Registered after the layer click handlers, which skip clicks while drawing
+map.on('click', (e) => handleSelectionClick(e.lngLat.lng, e.lngLat.lat));
+map.on('dblclick', () => handleSelectionDoubleClick());
+map.on('mousemove', (e) => handleSelectionMove(e.lngLat.lng, e.lngLat.lat));
+
+/**
+ * Crosshair cursor and no double-click zoom while an area selection is drawn
+ * (called by setSelectionTool in app_common.js)
+ */
+function setSelectionDrawing(active) {
+    map.getCanvas().style.cursor = active ? 'crosshair' : '';
+    if (active) {
+        map.doubleClickZoom.disable();
+    } else {
+        map.doubleClickZoom.enable();
+    }
+}
+
+/**
+ * Outline the area selection, or remove it when ring is null
+ * @param {Array|null} ring - [[lng, lat], ...] from app_common.js
+ */
+function drawSelectionRing(ring) {
+    const data = {
+        type: 'FeatureCollection',
+        features: ring ? [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] }, properties: {} }] : []
+    };
+
+    if (map.getSource('selection')) {
+        map.getSource('selection').setData(data);
+        return;
+    }
+    if (!ring) return;
+
+    map.addSource('selection', { type: 'geojson', data });
+    map.addLayer({
+        id: 'selection-fill',
+        type: 'fill',
+        source: 'selection',
+        paint: { 'fill-color': '#3b82f6', 'fill-opacity': 0.1 }
+    });
+    map.addLayer({
+        id: 'selection-line',
+        type: 'line',
+        source: 'selection',
+        paint: { 'line-color': '#3b82f6', 'line-width': 2 }
+    });
+}
+
+// ============================================================================
+// Burden Index
+// ============================================================================
+
+/**
+ * Color block groups by burden index, or remove the layer when scores is null
+ * (called by loadBurdenIndex in app_common.js)
+ * @param {Object|null} scores - { geoid: burdenIndex } for block groups with facility exposure
+ */
+function setBurdenLayer(scores) {
+    if (!scores) {
+        if (map.getLayer('burden-fill')) map.setLayoutProperty('burden-fill', 'visibility', 'none');
+        return;
+    }
+
+    // Unscored block groups (no nearby facility or no ADI rank) stay transparent
+    const fillColor = [
+        'let', 'index', ['get', ['get', 'GEOID10'], ['literal', scores]],
+        ['case',
+            ['==', ['var', 'index'], null], 'rgba(0, 0, 0, 0)',
+            ['step', ['var', 'index'], BURDEN_BINS[0].color,
+                ...BURDEN_BINS.slice(1).flatMap((bin, i) => [BURDEN_BINS[i].max, bin.color])]
+        ]
+    ];
+
+    if (map.getLayer('burden-fill')) {
+        map.setPaintProperty('burden-fill', 'fill-color', fillColor);
+        map.setLayoutProperty('burden-fill', 'visibility', 'visible');
+        return;
+    }
+
+    // Its own source so reloading the ADI layer doesn't pull the boundaries out from under it
+    map.addSource('burden-block-groups', { type: 'geojson', data: '/api/boundaries/block_groups' });
+    map.addLayer({
+        id: 'burden-fill',
+        type: 'fill',
+        source: 'burden-block-groups',
+        paint: {
+            'fill-color': fillColor,
+            'fill-opacity': 0.7,
+            'fill-outline-color': 'rgba(255, 255, 255, 0.4)'
+        }
+    }, map.getLayer('emissions-unclustered') ? 'emissions-unclustered' : undefined);
+}
+
+// Burden block groups open the block group report
+map.on('click', 'burden-fill', (e) => {
+    if (selectionTool || e.features.length === 0) return;
+    // The ADI layer's own click handler already opens the report
+    if (map.getLayer('adi-fill') && map.getLayoutProperty('adi-fill', 'visibility') !== 'none') return;
+    openGeoidReport(e.features[0].properties.GEOID10); // From app_common.js
+});
+
+map.on('mouseenter', 'burden-fill', () => {
+    map.getCanvas().style.cursor = 'pointer';
+});
+map.on('mouseleave', 'burden-fill', () => {
+    map.getCanvas().style.cursor = '';
+});
+
 console.log('app_maplibre.js loaded - MapLibre implementation ready');
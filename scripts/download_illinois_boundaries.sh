@@ -3,10 +3,16 @@ set -e
 
 # Download and convert Illinois census boundaries from TIGER/2010
 # State FIPS code for Illinois: 17
+#
+# Block groups get a POPULATION property (ACS 5-year total population, table
+# B01003) for population-weighted ADI. ACS_YEAR must be a 2010-geography
+# release (2013-2019) so its GEOIDs match GEOID10.
 
 YEAR=2010
 STATE=17
+ACS_YEAR=2019
 BASE_URL="https://www2.census.gov/geo/tiger/TIGER${YEAR}"
+ACS_URL="https://api.census.gov/data/${ACS_YEAR}/acs/acs5?get=B01003_001E&for=block%20group:*&in=state:${STATE}&in=county:*&in=tract:*"
 TEMP_DIR="./temp_illinois_boundaries"
 OUTPUT_DIR="../data/boundaries"
 
@@ -29,6 +35,15 @@ BG_FILE="tl_${YEAR}_${STATE}_bg10"
 curl -o "${TEMP_DIR}/${BG_FILE}.zip" \
   "${BASE_URL}/BG/${YEAR}/${BG_FILE}.zip"
 
+# Download block group population
+echo "📥 Downloading ACS ${ACS_YEAR} block group population..."
+curl -o "${TEMP_DIR}/population.json" "${ACS_URL}"
+
+# [["B01003_001E","state","county","tract","block group"],["1234","17","001","000100","1"],...] -> GEOID,POPULATION
+sed -e 's/[][]//g' -e 's/"//g' -e 's/,$//' "${TEMP_DIR}/population.json" \
+  | awk -F, 'NR == 1 { print "GEOID,POPULATION"; next } NF == 5 { print $2 $3 $4 $5 "," $1 }' \
+  > "${TEMP_DIR}/population.csv"
+
 # Unzip files
 echo ""
 echo "📦 Extracting shapefiles..."
@@ -47,11 +62,11 @@ ogr2ogr -f GeoJSON \
   "${OUTPUT_DIR}/IL_census_tracts.geojson" \
   "${TEMP_DIR}/tracts/${TRACT_FILE}.shp"
 
-# Block Groups
+# Block Groups, joined with population
 echo "  → Converting block groups..."
 ogr2ogr -f GeoJSON \
   -t_srs EPSG:4326 \
-  -select GEOID10,NAMELSAD10,ALAND10,AWATER10 \
+  -sql "SELECT ${BG_FILE}.GEOID10, ${BG_FILE}.NAMELSAD10, ${BG_FILE}.ALAND10, ${BG_FILE}.AWATER10, CAST(population.POPULATION AS integer) AS POPULATION FROM ${BG_FILE} LEFT JOIN '${TEMP_DIR}/population.csv'.population ON ${BG_FILE}.GEOID10 = population.GEOID" \
   "${OUTPUT_DIR}/IL_block_groups.geojson" \
   "${TEMP_DIR}/block_groups/${BG_FILE}.shp"
 
@@ -69,6 +84,7 @@ echo ""
 echo "📊 Feature counts:"
 echo "   Census Tracts: $(grep -o '"type":"Feature"' ${OUTPUT_DIR}/IL_census_tracts.geojson | wc -l | tr -d ' ')"
 echo "   Block Groups: $(grep -o '"type":"Feature"' ${OUTPUT_DIR}/IL_block_groups.geojson | wc -l | tr -d ' ')"
+echo "   Block Groups without population: $(grep -o '"POPULATION": null' ${OUTPUT_DIR}/IL_block_groups.geojson | wc -l | tr -d ' ')"
 
 echo ""
 echo "🎉 Illinois boundaries ready for use!"
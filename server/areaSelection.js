@@ -0,0 +1,429 @@
+/**
+ * Area Selection Module - Aggregate statistics for a drawn polygon, rectangle or radius
+ *
+ * The map-wide version of geoidReport: facilities inside an arbitrary shape
+ * are aggregated the same way as one block group (aggregateFacilities), and the
+ * block groups the shape intersects are summarized by population-weighted ADI.
+ * Shapes come from validation.parseSelectionShape().
+ */
+
+const fs = require('fs');
+const dataFetcher = require('./dataFetcher');
+const geoidReport = require('./geoidReport');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Vertices used to approximate a circle when testing block group intersection
+const CIRCLE_SEGMENTS = 64;
+
+// Block group property holding total population (ACS 5-year B01003), joined into
+// the boundaries by scripts/download_illinois_boundaries.sh
+const POPULATION_PROPERTY = 'POPULATION';
+
+// Risk distribution bins (risk_norm, 0-1)
+const RISK_BIN_WIDTH = 0.2;
+
+// Lengths of the ranked lists in the report
+const TOP_SECTORS = 5;
+const TOP_FACILITIES = 10;
+const TOP_BLOCK_GROUPS = 5;
+
+// Parsed block groups cached by boundary file mtime: { mtimeMs, blockGroups }
+let blockGroupCache = null;
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+/**
+ * Great-circle distance in meters between two [lng, lat] points
+ */
+function distanceMeters([lng1, lat1], [lng2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Ray-casting point-in-ring test (ring as [[lng, lat], ...], closed or not)
+ */
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Point in a polygon given as rings (outer ring first, then holes)
+ */
+function pointInPolygon(point, rings) {
+    return pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+/**
+ * Distance in meters from a point to a polygon's boundary, or 0 when the point is inside
+ * Uses a local equirectangular projection around the point (accurate to well under 1% at 10 km).
+ *
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Array} polygons - Polygon rings as in parseBlockGroups() ([[outer, ...holes], ...])
+ */
+function distanceToPolygonsMeters(point, polygons) {
+    if (polygons.some(rings => pointInPolygon(point, rings))) return 0;
+    return distanceToBoundaryMeters(point, polygons);
+}
+
+/**
+ * Distance in meters from a point to the nearest polygon edge, inside or not
+ * Called for every facility/block group pair by the burden index, so the loop avoids allocating.
+ */
+function distanceToBoundaryMeters(point, polygons) {
+    const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+    const scaleX = Math.cos(point[1] * Math.PI / 180) * metersPerDegree;
+    const [originLng, originLat] = point;
+
+    let minSquared = Infinity;
+    for (const rings of polygons) {
+        for (const ring of rings) {
+            let ax = (ring[0][0] - originLng) * scaleX;
+            let ay = (ring[0][1] - originLat) * metersPerDegree;
+            for (let i = 1; i < ring.length; i++) {
+                const bx = (ring[i][0] - originLng) * scaleX;
+                const by = (ring[i][1] - originLat) * metersPerDegree;
+                // Closest point on segment a-b to the origin (the point itself)
+                const dx = bx - ax;
+                const dy = by - ay;
+                const lengthSquared = dx * dx + dy * dy;
+                const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+                const cx = ax + t * dx;
+                const cy = ay + t * dy;
+                minSquared = Math.min(minSquared, cx * cx + cy * cy);
+                ax = bx;
+                ay = by;
+            }
+        }
+    }
+    return Math.sqrt(minSquared);
+}
+
+/**
+ * Distance in meters from a point to a bounding box (0 inside)
+ * A lower bound on the distance to anything inside the box, in the same projection
+ * as distanceToPolygonsMeters().
+ */
+function distanceToBboxMeters([lng, lat], [west, south, east, north]) {
+    const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+    const dx = Math.max(west - lng, 0, lng - east) * Math.cos(lat * Math.PI / 180) * metersPerDegree;
+    const dy = Math.max(south - lat, 0, lat - north) * metersPerDegree;
+    return Math.hypot(dx, dy);
+}
+
+/**
+ * Bounding box around a point, padded by a distance in meters
+ */
+function getPaddedBbox([lng, lat], meters) {
+    const dLat = meters / EARTH_RADIUS_METERS * 180 / Math.PI;
+    const dLng = dLat / Math.max(0.01, Math.cos(lat * Math.PI / 180));
+    return [lng - dLng, lat - dLat, lng + dLng, lat + dLat];
+}
+
+/**
+ * Whether segments p1-p2 and q1-q2 cross
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+    const orientation = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+    return orientation(p1, p2, q1) !== orientation(p1, p2, q2)
+        && orientation(q1, q2, p1) !== orientation(q1, q2, p2);
+}
+
+/**
+ * Whether two rings overlap: a vertex of one inside the other, or crossing edges
+ */
+function ringsIntersect(a, b) {
+    if (a.some(point => pointInRing(point, b)) || b.some(point => pointInRing(point, a))) {
+        return true;
+    }
+    for (let i = 1; i < a.length; i++) {
+        for (let j = 1; j < b.length; j++) {
+            if (segmentsIntersect(a[i - 1], a[i], b[j - 1], b[j])) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Bounding box [west, south, east, north] of a list of points
+ */
+function getBbox(points) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    points.forEach(([lng, lat]) => {
+        bbox[0] = Math.min(bbox[0], lng);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lng);
+        bbox[3] = Math.max(bbox[3], lat);
+    });
+    return bbox;
+}
+
+function bboxesOverlap(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+/**
+ * Outline of a selection shape as a closed ring (circles become CIRCLE_SEGMENTS-gons)
+ */
+function getShapeRing(shape) {
+    if (shape.type === 'polygon') {
+        return [...shape.coordinates, shape.coordinates[0]];
+    }
+
+    if (shape.type === 'rectangle') {
+        const [west, south, east, north] = shape.bounds;
+        return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+    }
+
+    const [lng, lat] = shape.center;
+    const latRadius = shape.radius / EARTH_RADIUS_METERS * 180 / Math.PI;
+    const lngRadius = latRadius / Math.max(0.01, Math.cos(lat * Math.PI / 180));
+    const ring = [];
+    for (let i = 0; i <= CIRCLE_SEGMENTS; i++) {
+        const angle = 2 * Math.PI * i / CIRCLE_SEGMENTS;
+        ring.push([lng + lngRadius * Math.cos(angle), lat + latRadius * Math.sin(angle)]);
+    }
+    return ring;
+}
+
+/**
+ * Whether a facility location is inside the shape (circles use great-circle distance)
+ */
+function shapeContains(shape, ring, point) {
+    if (shape.type === 'circle') {
+        return distanceMeters(shape.center, point) <= shape.radius;
+    }
+    if (shape.type === 'rectangle') {
+        const [west, south, east, north] = shape.bounds;
+        return point[0] >= west && point[0] <= east && point[1] >= south && point[1] <= north;
+    }
+    return pointInRing(point, ring);
+}
+
+// ============================================================================
+// Block Groups
+// ============================================================================
+
+/**
+ * Numeric value of a property, or null when it's missing or not a number
+ */
+function getNumericProperty(properties, name) {
+    const value = parseFloat(properties[name]);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Reduce the boundaries GeoJSON to what selections need
+ *
+ * @returns {Array<Object>} - [{ geoid, bbox, polygons, population }]
+ */
+function parseBlockGroups(geojson) {
+    return geojson.features
+        .filter(feature => feature.properties && feature.properties.GEOID10 && feature.geometry)
+        .map(feature => {
+            const polygons = feature.geometry.type === 'MultiPolygon' ? feature.geometry.coordinates
+                : feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates]
+                : [];
+            return {
+                geoid: String(feature.properties.GEOID10).padStart(12, '0'),
+                bbox: getBbox(polygons.flatMap(rings => rings[0])),
+                polygons,
+                population: getNumericProperty(feature.properties, POPULATION_PROPERTY)
+            };
+        })
+        .filter(blockGroup => blockGroup.polygons.length > 0);
+}
+
+/**
+ * Load block groups, re-parsing only when the boundary file changes
+ */
+async function loadBlockGroups() {
+    const filePath = await dataFetcher.getBoundaryData('block_groups');
+    const { mtimeMs } = fs.statSync(filePath);
+
+    if (blockGroupCache && blockGroupCache.mtimeMs === mtimeMs) {
+        return blockGroupCache.blockGroups;
+    }
+
+    const blockGroups = parseBlockGroups(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    blockGroupCache = { mtimeMs, blockGroups };
+    console.log(`✓ Indexed ${blockGroups.length} block groups for area selection`);
+    if (blockGroups.some(bg => bg.population === null)) {
+        console.warn(`⚠️  Block group boundaries lack ${POPULATION_PROPERTY} for some features; selection ADI means will be unweighted. Rebuild them with scripts/download_illinois_boundaries.sh`);
+    }
+
+    return blockGroups;
+}
+
+/**
+ * Block groups whose polygons intersect the selection ring
+ */
+function findIntersectingBlockGroups(blockGroups, ring) {
+    const bbox = getBbox(ring);
+    return blockGroups.filter(blockGroup =>
+        bboxesOverlap(bbox, blockGroup.bbox)
+        && blockGroup.polygons.some(rings => ringsIntersect(ring, rings[0]))
+    );
+}
+
+/**
+ * Population-weighted ADI ranks of the intersected block groups
+ * Falls back to equal weights when any of them lacks a population (boundaries
+ * built without the ACS join). Block groups with suppressed ranks are left out.
+ *
+ * @returns {Object} - { weighting, count, ranked, natRank, stateRank, mostDeprived }
+ */
+function summarizeAdi(blockGroups, ranks) {
+    const weighting = blockGroups.length > 0 && blockGroups.every(bg => bg.population !== null) ? 'population' : 'unweighted';
+    const getWeight = bg => weighting === 'population' ? bg.population : 1;
+
+    const weightedMean = key => {
+        let total = 0;
+        let weights = 0;
+        blockGroups.forEach(bg => {
+            const rank = ranks.get(bg.geoid);
+            if (!rank || rank[key] === null) return;
+            total += rank[key] * getWeight(bg);
+            weights += getWeight(bg);
+        });
+        return weights > 0 ? total / weights : null;
+    };
+
+    const ranked = blockGroups
+        .map(bg => ({ geoid: bg.geoid, population: bg.population, ...(ranks.get(bg.geoid) || {}) }))
+        .filter(bg => bg.natRank !== undefined && bg.natRank !== null);
+
+    return {
+        weighting,
+        count: blockGroups.length,
+        ranked: ranked.length,
+        natRank: weightedMean('natRank'),
+        stateRank: weightedMean('stateRank'),
+        mostDeprived: ranked
+            .sort((a, b) => b.natRank - a.natRank)
+            .slice(0, TOP_BLOCK_GROUPS)
+    };
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+/**
+ * Count facilities per risk_norm bin ([0, 0.2), [0.2, 0.4), ... [0.8, 1])
+ */
+function getRiskDistribution(facilities) {
+    const binCount = Math.round(1 / RISK_BIN_WIDTH);
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        min: Math.round(i * RISK_BIN_WIDTH * 10) / 10,
+        max: Math.round((i + 1) * RISK_BIN_WIDTH * 10) / 10,
+        count: 0
+    }));
+
+    facilities.forEach(facility => {
+        if (facility.risk_norm === null || facility.risk_norm === undefined) return;
+        const index = Math.min(binCount - 1, Math.max(0, Math.floor(facility.risk_norm / RISK_BIN_WIDTH)));
+        bins[index].count++;
+    });
+
+    return bins;
+}
+
+/**
+ * Sectors with the most facilities in the selection
+ */
+function getTopSectors(facilities) {
+    const sectors = new Map();
+    facilities.forEach(facility => {
+        const sector = facility.sector || 'Other';
+        const entry = sectors.get(sector) || { sector, count: 0, totalEmissions: 0 };
+        entry.count++;
+        entry.totalEmissions += facility.total_emissions || 0;
+        sectors.set(sector, entry);
+    });
+
+    return [...sectors.values()]
+        .sort((a, b) => b.count - a.count || b.totalEmissions - a.totalEmissions)
+        .slice(0, TOP_SECTORS);
+}
+
+/**
+ * Build the report for a drawn selection
+ *
+ * @param {Object} shape - From validation.parseSelectionShape()
+ * @param {Array<Object>} facilities - Facility records from facilityQuery.loadFacilities()
+ * @param {Object} options - { adiYear } (defaults to the most recent ADI year)
+ * @returns {Promise<Object>} - { shape, aggregates, riskDistribution, topSectors, facilities, blockGroups }
+ */
+async function buildSelectionReport(shape, facilities, { adiYear = null } = {}) {
+    const ring = getShapeRing(shape);
+
+    const inside = facilities.filter(facility => {
+        const point = [facility.site_longitude, facility.site_latitude];
+        return point.every(value => value !== null && !isNaN(value)) && shapeContains(shape, ring, point);
+    });
+
+    // Block group ADI is best-effort, like neighbors in the block group report
+    let blockGroups = null;
+    try {
+        const intersecting = findIntersectingBlockGroups(await loadBlockGroups(), ring);
+        const year = adiYear || (await dataFetcher.listAdiYears())[0];
+        const ranks = year ? await geoidReport.loadAdiRanks(year) : new Map();
+        blockGroups = { adiYear: year ? parseInt(year) : null, ...summarizeAdi(intersecting, ranks) };
+    } catch (error) {
+        console.warn(`Warning: Block group ADI unavailable for selection: ${error.message}`);
+    }
+
+    return {
+        shape,
+        aggregates: geoidReport.aggregateFacilities(inside),
+        riskDistribution: getRiskDistribution(inside),
+        topSectors: getTopSectors(inside),
+        facilities: inside
+            .map(facility => ({
+                facility_id: facility.facility_id,
+                site_name: facility.site_name,
+                sector: facility.sector,
+                total_emissions: facility.total_emissions,
+                risk_norm: facility.risk_norm
+            }))
+            .sort((a, b) => (b.risk_norm || 0) - (a.risk_norm || 0))
+            .slice(0, TOP_FACILITIES),
+        blockGroupsAvailable: blockGroups !== null,
+        blockGroups
+    };
+}
+
+module.exports = {
+    buildSelectionReport,
+    loadBlockGroups,
+    parseBlockGroups,
+    findIntersectingBlockGroups,
+    summarizeAdi,
+    getShapeRing,
+    distanceMeters,
+    distanceToPolygonsMeters,
+    distanceToBoundaryMeters,
+    distanceToBboxMeters,
+    getPaddedBbox,
+    bboxesOverlap
+};
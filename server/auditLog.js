@@ -0,0 +1,70 @@
+/**
+ * Audit Log Module - Record who changed which data
+ *
+ * Appends one JSON object per line to logs/audit.log (or AUDIT_LOG_PATH):
+ *   { timestamp, action, user, role, method, ip, ...details }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, '../logs/audit.log');
+
+/**
+ * Append an audit event for the authenticated user on this request
+ *
+ * @param {Object|null} req - Express request (req.user set by auth.authenticate),
+ *                            or null for actions the server takes on its own (method "system")
+ * @param {string} action - e.g. 'nei.upload', 'nei.delete'
+ * @param {Object} details - Action-specific fields (year, filename, ...)
+ */
+function recordAuditEvent(req, action, details = {}) {
+    const user = req && req.user;
+    const event = {
+        timestamp: new Date().toISOString(),
+        action,
+        user: user ? user.name : null,
+        role: user ? user.role : null,
+        method: req ? (user ? user.method : null) : 'system',
+        ip: req ? req.ip : null,
+        ...details
+    };
+
+    try {
+        fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+        fs.appendFileSync(AUDIT_LOG_PATH, JSON.stringify(event) + '\n');
+    } catch (error) {
+        // Never fail the request over the audit log, but make the gap visible
+        console.error(`Failed to write audit event ${action}:`, error.message);
+    }
+    console.log(`✓ Audit: ${action} by ${event.user || (req ? 'anonymous' : 'system')}`, details);
+}
+
+/**
+ * Read the most recent audit events, newest first
+ *
+ * @param {number} limit - Maximum number of events
+ * @returns {Array<Object>}
+ */
+function readAuditLog(limit = 100) {
+    if (!fs.existsSync(AUDIT_LOG_PATH)) return [];
+
+    return fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .slice(-limit)
+        .reverse()
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return { raw: line };
+            }
+        });
+}
+
+module.exports = {
+    recordAuditEvent,
+    readAuditLog,
+    AUDIT_LOG_PATH
+};
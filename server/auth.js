@@ -0,0 +1,282 @@
+/**
+ * Auth Module - Pluggable authentication and role-based access
+ *
+ * Each auth provider inspects a request and returns a principal
+ * ({ name, role, method }) or null. Providers are tried in order and the
+ * first match wins; requests no provider recognizes are anonymous and can
+ * only reach public routes.
+ *
+ * Built-in providers:
+ *   apiKey  - "Authorization: Bearer <key>" or "X-API-Key: <key>" (scripts)
+ *   session - HttpOnly session cookie set by POST /api/auth/login (UI)
+ *
+ * Users and API keys come from the "auth" block in config.json:
+ *   {
+ *     "sessionTtlHours": 12,
+ *     "apiKeys": [{ "name": "etl-script", "key": "...", "role": "analyst" }],
+ *     "users": [{ "username": "alice", "passwordHash": "scrypt$...", "role": "admin" }]
+ *   }
+ * Password hashes are created with hashPassword(). ADMIN_TOKEN (environment)
+ * is accepted as an admin API key. AUTH_CONFIG_PATH points at another config file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Roles in increasing order of access; each role can do everything the ones before it can
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+const SESSION_COOKIE = 'nei_session';
+const DEFAULT_SESSION_TTL_HOURS = 12;
+
+// scrypt parameters for password hashes ("scrypt$<salt hex>$<hash hex>")
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_SALT_BYTES = 16;
+
+/**
+ * Load the auth block from config.json, plus ADMIN_TOKEN from the environment
+ */
+function loadAuthConfig() {
+    const configPath = process.env.AUTH_CONFIG_PATH || path.join(__dirname, '../config.json');
+    let authConfig = {};
+
+    if (fs.existsSync(configPath)) {
+        try {
+            const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            authConfig = configData.auth || {};
+            // adminToken predates the auth block; treat it as an admin API key
+            if (configData.adminToken) {
+                authConfig = { ...authConfig, apiKeys: [...(authConfig.apiKeys || []), { name: 'admin-token', key: configData.adminToken, role: 'admin' }] };
+            }
+        } catch (error) {
+            console.warn('Warning: Failed to read config.json for auth settings, using defaults');
+        }
+    }
+
+    const apiKeys = (authConfig.apiKeys || []).filter(entry => entry.key && ROLES.includes(entry.role));
+    if (process.env.ADMIN_TOKEN) {
+        apiKeys.push({ name: 'admin-token', key: process.env.ADMIN_TOKEN, role: 'admin' });
+    }
+
+    const users = (authConfig.users || []).filter(user => user.username && user.passwordHash && ROLES.includes(user.role));
+
+    console.log(`✓ Auth configured: ${apiKeys.length} API key(s), ${users.length} user(s)`);
+
+    return {
+        apiKeys,
+        users,
+        sessionTtlMs: (authConfig.sessionTtlHours || DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000
+    };
+}
+
+const authConfig = loadAuthConfig();
+
+// Active sessions: token -> { name, role, expiresAt }
+const sessions = new Map();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Hash a password for the "users" list in config.json
+ *
+ * @returns {string} - "scrypt$<salt hex>$<hash hex>"
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(SCRYPT_SALT_BYTES);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, passwordHash) {
+    const [scheme, saltHex, hashHex] = String(passwordHash).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const hash = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), SCRYPT_KEY_LENGTH);
+    const expected = Buffer.from(hashHex, 'hex');
+    // A truncated or hand-edited hash fails the login rather than throwing
+    return expected.length === hash.length && crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * Parse the Cookie header into an object
+ */
+function parseCookies(req) {
+    const cookies = {};
+    (req.get('Cookie') || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+        const rawValue = pair.slice(index + 1).trim();
+        // Malformed escapes (e.g. "%E0") keep the raw value so one bad cookie can't fail every request
+        try {
+            cookies[pair.slice(0, index).trim()] = decodeURIComponent(rawValue);
+        } catch (error) {
+            cookies[pair.slice(0, index).trim()] = rawValue;
+        }
+    });
+    return cookies;
+}
+
+/**
+ * True when a principal's role includes the required role
+ */
+function hasRole(principal, role) {
+    return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+/**
+ * API keys for scripts: "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function apiKeyProvider(req) {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const provided = match ? match[1] : req.get('X-API-Key');
+    if (!provided) return null;
+
+    const entry = authConfig.apiKeys.find(apiKey => safeEqual(apiKey.key, provided));
+    return entry ? { name: entry.name, role: entry.role, method: 'apiKey' } : null;
+}
+
+/**
+ * Session cookie for the UI
+ */
+function sessionProvider(req) {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    if (!token) return null;
+
+    const session = sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+
+    return { name: session.name, role: session.role, method: 'session' };
+}
+
+const providers = [
+    { name: 'apiKey', authenticate: apiKeyProvider },
+    { name: 'session', authenticate: sessionProvider }
+];
+
+/**
+ * Add an auth provider (e.g. a reverse proxy identity header)
+ * Providers registered later are tried after the built-in ones.
+ *
+ * @param {string} name - Provider name (for logs)
+ * @param {Function} authenticate - (req) => { name, role } or null
+ */
+function registerAuthProvider(name, authenticate) {
+    providers.push({ name, authenticate });
+}
+
+// ============================================================================
+// Middleware
+// ============================================================================
+
+/**
+ * Attach req.user (principal or null) from the first provider that recognizes the request
+ */
+function authenticate(req, res, next) {
+    req.user = null;
+
+    for (const provider of providers) {
+        const principal = provider.authenticate(req);
+        if (principal && ROLES.includes(principal.role)) {
+            req.user = { method: provider.name, ...principal };
+            break;
+        }
+    }
+
+    next();
+}
+
+/**
+ * Require an authenticated principal with at least the given role
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ error: `Requires ${role} role`, role: req.user.role });
+        }
+        next();
+    };
+}
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+/**
+ * Check a username and password against the configured users
+ *
+ * @returns {Object|null} - { name, role } or null
+ */
+function verifyCredentials(username, password) {
+    const user = authConfig.users.find(entry => entry.username === username);
+
+    // Hash anyway for unknown users so response time doesn't reveal valid usernames
+    const passwordHash = user ? user.passwordHash : `scrypt$${'0'.repeat(SCRYPT_SALT_BYTES * 2)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+    const valid = verifyPassword(password || '', passwordHash);
+
+    return user && valid ? { name: user.username, role: user.role } : null;
+}
+
+/**
+ * Start a session and set the session cookie
+ */
+function startSession(req, res, principal) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { ...principal, expiresAt: Date.now() + authConfig.sessionTtlMs });
+
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: authConfig.sessionTtlMs,
+        path: '/'
+    });
+}
+
+/**
+ * End the current session (if any) and clear the cookie
+ */
+function endSession(req, res) {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    if (token) sessions.delete(token);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+    authenticate,
+    requireRole,
+    registerAuthProvider,
+    verifyCredentials,
+    startSession,
+    endSession,
+    hasRole,
+    hashPassword,
+    ROLES
+};
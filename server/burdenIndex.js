@@ -0,0 +1,366 @@
+/**
+ * Burden Index Module - Cumulative facility burden per block group
+ *
+ * Facility risk is shown one facility at a time, but exposure is cumulative.
+ * Each block group's exposure is the sum of risk_norm × emissions over every
+ * facility within the radius, decayed linearly with distance (full weight
+ * inside the block group, zero at the radius). The burden index combines the
+ * exposure percentile with ADI the way EJ indexes do:
+ *
+ *   burdenIndex = exposure percentile × ADI national rank / 100   (0-100)
+ *
+ * Block groups without an ADI rank keep their exposure but get no index.
+ *
+ * A large radius puts thousands of block groups in reach of every facility.
+ * To keep that affordable, block groups are found through a grid and pruned
+ * by bounding box distance, distances outside a block group are measured to
+ * its boundary simplified to SIMPLIFY_TOLERANCE of the radius (so the decay
+ * is off by at most that share), and the computation yields to the event
+ * loop between slices so other requests are still served while it runs.
+ */
+
+const { setImmediate: nextTick } = require('timers/promises');
+const areaSelection = require('./areaSelection');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_RADIUS_METERS = 5000;
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const METERS_PER_DEGREE = EARTH_RADIUS_METERS * Math.PI / 180;
+
+// Grid cell size (degrees) for looking up block groups near a facility
+const GRID_CELL_DEGREES = 0.1;
+
+// Boundary simplification tolerance, as a share of the radius
+const SIMPLIFY_TOLERANCE = 0.002;
+
+// Longest stretch of computation (ms) before yielding to other requests
+const SLICE_MS = 20;
+
+// Length of the ranked list returned with the scores
+const TOP_COMMUNITIES = 100;
+
+// Computed indexes by year/pollutant/radius/ADI year: key -> { sources, result }
+const burdenCache = new Map();
+const MAX_CACHE_ENTRIES = 8;
+
+// Computations in progress, so concurrent requests for the same key share one: key -> { sources, promise }
+const pendingComputations = new Map();
+
+// Spatial index per parsed block group list (see getSpatialIndex)
+const spatialIndexes = new WeakMap();
+
+// Simplified boundaries kept per block group list, by tolerance
+const MAX_SIMPLIFIED_LEVELS = 4;
+
+// ============================================================================
+// Spatial Index
+// ============================================================================
+
+// Cells are numbered so grid keys stay numbers (lng/lat cells are within ±1800)
+function getCellKey(x, y) {
+    return (x + 2048) * 4096 + (y + 2048);
+}
+
+/**
+ * Grid, flat bounding boxes and simplified boundaries for a block group list, built once per list
+ *
+ * @returns {Object} - { grid: Map(cell key -> [block group index]), boxes: Float64Array
+ *                       (west, south, east, north per block group), simplified: Map(tolerance -> polygons) }
+ */
+function getSpatialIndex(blockGroups) {
+    let index = spatialIndexes.get(blockGroups);
+    if (index) return index;
+
+    const grid = new Map();
+    const boxes = new Float64Array(blockGroups.length * 4);
+    blockGroups.forEach((blockGroup, i) => {
+        const [west, south, east, north] = blockGroup.bbox;
+        boxes.set(blockGroup.bbox, i * 4);
+        for (let x = Math.floor(west / GRID_CELL_DEGREES); x <= Math.floor(east / GRID_CELL_DEGREES); x++) {
+            for (let y = Math.floor(south / GRID_CELL_DEGREES); y <= Math.floor(north / GRID_CELL_DEGREES); y++) {
+                const key = getCellKey(x, y);
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(i);
+            }
+        }
+    });
+
+    index = { grid, boxes, simplified: new Map() };
+    spatialIndexes.set(blockGroups, index);
+    return index;
+}
+
+/**
+ * Douglas-Peucker simplification of a ring, in meters around the ring's first vertex
+ * Every dropped vertex is within toleranceMeters of the simplified ring.
+ */
+function simplifyRing(ring, toleranceMeters) {
+    if (ring.length <= 4) return ring;
+
+    const scaleX = Math.cos(ring[0][1] * Math.PI / 180) * METERS_PER_DEGREE;
+    const x = i => ring[i][0] * scaleX;
+    const y = i => ring[i][1] * METERS_PER_DEGREE;
+    const keep = new Uint8Array(ring.length);
+    keep[0] = 1;
+    keep[ring.length - 1] = 1;
+
+    // Split the closed ring at its farthest vertex so neither half starts and ends at the same point
+    let split = 1;
+    let farthest = -1;
+    for (let i = 1; i < ring.length - 1; i++) {
+        const distance = (x(i) - x(0)) ** 2 + (y(i) - y(0)) ** 2;
+        if (distance > farthest) {
+            farthest = distance;
+            split = i;
+        }
+    }
+    keep[split] = 1;
+
+    const stack = [[0, split], [split, ring.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const dx = x(last) - x(first);
+        const dy = y(last) - y(first);
+        const lengthSquared = dx * dx + dy * dy;
+
+        let maxDistance = 0;
+        let maxIndex = -1;
+        for (let i = first + 1; i < last; i++) {
+            const px = x(i) - x(first);
+            const py = y(i) - y(first);
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+            const distance = Math.hypot(px - t * dx, py - t * dy);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+
+        if (maxDistance > toleranceMeters) {
+            keep[maxIndex] = 1;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+
+    return ring.filter((point, i) => keep[i]);
+}
+
+/**
+ * Block group boundaries simplified to a tolerance, cached per block group list
+ * Built in slices like computeBurden(), since every vertex is visited.
+ *
+ * @returns {Promise<Array>} - Polygons per block group, as in parseBlockGroups()
+ */
+async function getSimplifiedPolygons(blockGroups, toleranceMeters) {
+    const { simplified } = getSpatialIndex(blockGroups);
+
+    let polygons = simplified.get(toleranceMeters);
+    if (!polygons) {
+        polygons = [];
+        let sliceStart = Date.now();
+        for (const blockGroup of blockGroups) {
+            if (Date.now() - sliceStart > SLICE_MS) {
+                await nextTick();
+                sliceStart = Date.now();
+            }
+            polygons.push(blockGroup.polygons.map(rings => rings.map(ring => simplifyRing(ring, toleranceMeters))));
+        }
+        simplified.set(toleranceMeters, polygons);
+        if (simplified.size > MAX_SIMPLIFIED_LEVELS) {
+            simplified.delete(simplified.keys().next().value);
+        }
+    }
+    return polygons;
+}
+
+// ============================================================================
+// Computation
+// ============================================================================
+
+/**
+ * Linear distance decay: 1 at the block group, 0 at the radius
+ */
+function decay(distance, radiusMeters) {
+    return Math.max(0, 1 - distance / radiusMeters);
+}
+
+/**
+ * Percentile (0-100) of each value: share of all values strictly below it
+ */
+function percentileRanks(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return values.map(value => {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sorted[mid] < value) low = mid + 1;
+            else high = mid;
+        }
+        return sorted.length > 0 ? low / sorted.length * 100 : 0;
+    });
+}
+
+/**
+ * Cumulative burden for every block group
+ * Yields to the event loop every SLICE_MS so a large radius doesn't stall other requests.
+ *
+ * @param {Array<Object>} blockGroups - From areaSelection.parseBlockGroups()
+ * @param {Array<Object>} facilities - Facility records (risk_norm, total_emissions, site coordinates)
+ * @param {Map} ranks - geoid -> { natRank, stateRank } from geoidReport.loadAdiRanks()
+ * @param {Object} options - { radiusMeters }
+ * @returns {Promise<Array<Object>>} - [{ geoid, exposure, exposurePercentile, natRank, stateRank, facilities, burdenIndex }]
+ *                                     in block group order
+ */
+async function computeBurden(blockGroups, facilities, ranks, { radiusMeters = DEFAULT_RADIUS_METERS } = {}) {
+    const { grid, boxes } = getSpatialIndex(blockGroups);
+    const simplified = await getSimplifiedPolygons(blockGroups, Math.round(radiusMeters * SIMPLIFY_TOLERANCE * 10) / 10);
+    const exposure = new Array(blockGroups.length).fill(0);
+    const counts = new Array(blockGroups.length).fill(0);
+
+    // Last facility that looked at each block group (a block group can sit in several cells)
+    const visitedBy = new Int32Array(blockGroups.length).fill(-1);
+    const radiusSquared = radiusMeters * radiusMeters;
+
+    let sliceStart = Date.now();
+    for (let f = 0; f < facilities.length; f++) {
+        if (Date.now() - sliceStart > SLICE_MS) {
+            await nextTick();
+            sliceStart = Date.now();
+        }
+
+        const facility = facilities[f];
+        if (facility.site_latitude === null || facility.site_longitude === null) continue;
+        if (facility.risk_norm === null || !(facility.total_emissions > 0)) continue;
+
+        const weight = facility.risk_norm * facility.total_emissions;
+        if (weight <= 0) continue;
+
+        const lng = facility.site_longitude;
+        const lat = facility.site_latitude;
+        const point = [lng, lat];
+        const scaleX = Math.cos(lat * Math.PI / 180) * METERS_PER_DEGREE;
+        const [west, south, east, north] = areaSelection.getPaddedBbox(point, radiusMeters);
+
+        for (let x = Math.floor(west / GRID_CELL_DEGREES); x <= Math.floor(east / GRID_CELL_DEGREES); x++) {
+            for (let y = Math.floor(south / GRID_CELL_DEGREES); y <= Math.floor(north / GRID_CELL_DEGREES); y++) {
+                const cell = grid.get(getCellKey(x, y));
+                if (!cell) continue;
+
+                for (const index of cell) {
+                    if (visitedBy[index] === f) continue;
+                    visitedBy[index] = f;
+
+                    // Box distance is a lower bound, and outside the box means outside the polygon
+                    const boxX = Math.max(boxes[index * 4] - lng, 0, lng - boxes[index * 4 + 2]) * scaleX;
+                    const boxY = Math.max(boxes[index * 4 + 1] - lat, 0, lat - boxes[index * 4 + 3]) * METERS_PER_DEGREE;
+                    const boxDistanceSquared = boxX * boxX + boxY * boxY;
+                    if (boxDistanceSquared > radiusSquared) continue;
+
+                    const distance = boxDistanceSquared > 0
+                        ? areaSelection.distanceToBoundaryMeters(point, simplified[index])
+                        : areaSelection.distanceToPolygonsMeters(point, blockGroups[index].polygons);
+                    if (distance > radiusMeters) continue;
+
+                    exposure[index] += weight * decay(distance, radiusMeters);
+                    counts[index]++;
+                }
+            }
+        }
+    }
+
+    const percentiles = percentileRanks(exposure);
+
+    return blockGroups.map((blockGroup, index) => {
+        const rank = ranks.get(blockGroup.geoid) || { natRank: null, stateRank: null };
+        return {
+            geoid: blockGroup.geoid,
+            exposure: exposure[index],
+            exposurePercentile: percentiles[index],
+            natRank: rank.natRank,
+            stateRank: rank.stateRank,
+            facilities: counts[index],
+            burdenIndex: rank.natRank !== null ? percentiles[index] * rank.natRank / 100 : null
+        };
+    });
+}
+
+/**
+ * Scores and ranked list from computeBurden() records
+ */
+async function buildBurdenIndex(blockGroups, facilities, ranks, radiusMeters) {
+    const records = await computeBurden(blockGroups, facilities, ranks, { radiusMeters });
+
+    const exposed = records.filter(record => record.exposure > 0);
+    const scores = {};
+    exposed.forEach(record => {
+        if (record.burdenIndex !== null) scores[record.geoid] = Math.round(record.burdenIndex * 10) / 10;
+    });
+
+    const communities = exposed
+        .filter(record => record.burdenIndex !== null)
+        .sort((a, b) => b.burdenIndex - a.burdenIndex || b.exposure - a.exposure)
+        .slice(0, TOP_COMMUNITIES);
+
+    return { blockGroupCount: blockGroups.length, exposedCount: exposed.length, scores, communities };
+}
+
+/**
+ * Burden index for a year's facilities, cached until any input changes
+ *
+ * @param {Array<Object>} facilities - From facilityQuery.loadFacilities(), or neiPollutants.applyPollutant() for another pollutant
+ * @param {Map} ranks - ADI ranks for the chosen ADI year
+ * @param {Object} options - { cacheKey, radiusMeters }
+ * @returns {Promise<Object>} - { blockGroupCount, exposedCount, scores: { geoid: burdenIndex }, communities }
+ */
+async function getBurdenIndex(facilities, ranks, { cacheKey, radiusMeters = DEFAULT_RADIUS_METERS }) {
+    const blockGroups = await areaSelection.loadBlockGroups();
+
+    // Every input is a cached object, so identity tells us whether the result is stale
+    const sources = [facilities, ranks, blockGroups];
+    const isCurrent = entry => entry && entry.sources.every((source, i) => source === sources[i]);
+
+    const cached = burdenCache.get(cacheKey);
+    if (isCurrent(cached)) {
+        return cached.result;
+    }
+
+    const pending = pendingComputations.get(cacheKey);
+    if (isCurrent(pending)) {
+        return pending.promise;
+    }
+
+    const promise = buildBurdenIndex(blockGroups, facilities, ranks, radiusMeters);
+    pendingComputations.set(cacheKey, { sources, promise });
+
+    let result;
+    try {
+        result = await promise;
+    } finally {
+        if (pendingComputations.get(cacheKey)?.promise === promise) {
+            pendingComputations.delete(cacheKey);
+        }
+    }
+
+    burdenCache.delete(cacheKey);
+    burdenCache.set(cacheKey, { sources, result });
+    if (burdenCache.size > MAX_CACHE_ENTRIES) {
+        burdenCache.delete(burdenCache.keys().next().value);
+    }
+    console.log(`✓ Computed burden index for ${cacheKey} (${result.exposedCount} exposed block groups)`);
+
+    return result;
+}
+
+module.exports = {
+    getBurdenIndex,
+    computeBurden,
+    percentileRanks,
+    simplifyRing,
+    DEFAULT_RADIUS_METERS,
+    SIMPLIFY_TOLERANCE
+};
@@ -1,16 +1,19 @@
 /**
- * Data Fetcher Module - Google Cloud Storage with Authentication
+ * Data Fetcher Module - Remote storage with local caching
  *
- * Handles fetching large data files from private Google Cloud Storage bucket
- * with local file system caching to avoid repeated downloads.
+ * Handles fetching large data files from remote storage with local file
+ * system caching to avoid repeated downloads.
  *
- * Files are downloaded on-demand using service account authentication
- * and cached in data_cache/ directory.
+ * The storage backend (Google Cloud Storage by default, or a local directory,
+ * an S3-compatible endpoint or plain HTTP) is chosen with "storage" in
+ * config.json - see storageBackends.js. Files are cached in data_cache/.
  */
 
-const { Storage } = require('@google-cloud/storage');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createStorageBackend } = require('./storageBackends');
+const auditLog = require('./auditLog');
 
 // ============================================================================
 // Configuration
@@ -20,7 +23,11 @@ const path = require('path');
 const configPath = path.join(__dirname, '../config.json');
 let config = {
     gcsStorageBucket: 'msads-mba-capstone-team-1',
-    gcsCredentialsPath: './gcs_credentials.json'
+    gcsCredentialsPath: './gcs_credentials.json',
+    storage: { type: 'gcs' },
+    cacheTtlSeconds: 3600,
+    cacheVersionsToKeep: 3,
+    cacheMaxSizeMb: 2048
 };
 
 if (fs.existsSync(configPath)) {
@@ -28,11 +35,15 @@ if (fs.existsSync(configPath)) {
         const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
         config = {
             gcsStorageBucket: configData.gcsStorageBucket || config.gcsStorageBucket,
-            gcsCredentialsPath: configData.gcsCredentialsPath || config.gcsCredentialsPath
+            gcsCredentialsPath: configData.gcsCredentialsPath || config.gcsCredentialsPath,
+            storage: configData.storage || config.storage,
+            cacheTtlSeconds: configData.cacheTtlSeconds ?? config.cacheTtlSeconds,
+            cacheVersionsToKeep: configData.cacheVersionsToKeep ?? config.cacheVersionsToKeep,
+            cacheMaxSizeMb: configData.cacheMaxSizeMb ?? config.cacheMaxSizeMb
         };
-        console.log(`✓ Loaded GCS config: bucket=${config.gcsStorageBucket}`);
+        console.log(`✓ Loaded storage config: type=${config.storage.type || 'gcs'}`);
     } catch (error) {
-        console.warn('Warning: Failed to read config.json for GCS settings, using defaults');
+        console.warn('Warning: Failed to read config.json for storage settings, using defaults');
     }
 }
 
@@ -44,36 +55,72 @@ if (process.env.GCS_BUCKET) {
 if (process.env.GCS_CREDENTIALS_PATH) {
     config.gcsCredentialsPath = process.env.GCS_CREDENTIALS_PATH;
 }
+if (process.env.STORAGE_TYPE) {
+    config.storage = { ...config.storage, type: process.env.STORAGE_TYPE };
+    console.log(`✓ Using storage backend from environment: ${config.storage.type}`);
+}
+if (process.env.CACHE_TTL_SECONDS) {
+    config.cacheTtlSeconds = parseInt(process.env.CACHE_TTL_SECONDS);
+}
+if (process.env.CACHE_MAX_SIZE_MB) {
+    config.cacheMaxSizeMb = parseFloat(process.env.CACHE_MAX_SIZE_MB);
+}
+if (process.env.STORAGE_LOCAL_DIR) {
+    config.storage = { ...config.storage, local: { ...config.storage.local, rootDir: process.env.STORAGE_LOCAL_DIR } };
+}
 
-// Resolve credentials path (relative to project root)
-const credentialsPath = path.resolve(__dirname, '..', config.gcsCredentialsPath);
+// The top-level GCS settings configure the default backend; relative paths resolve from the project root
+const storageConfig = {
+    ...config.storage,
+    gcs: {
+        bucket: config.gcsStorageBucket,
+        credentialsPath: path.resolve(__dirname, '..', config.gcsCredentialsPath),
+        ...(config.storage.gcs || {})
+    }
+};
+if (storageConfig.local && storageConfig.local.rootDir) {
+    storageConfig.local = { ...storageConfig.local, rootDir: path.resolve(__dirname, '..', storageConfig.local.rootDir) };
+}
 
-// Initialize Google Cloud Storage client
-let storage;
+// Initialize storage backend
+let backend;
 try {
-    if (fs.existsSync(credentialsPath)) {
-        // Use credentials file (local development)
-        storage = new Storage({
-            keyFilename: credentialsPath
-        });
-        console.log(`✓ GCS Storage client initialized with credentials: ${credentialsPath}`);
-    } else {
-        // Use Application Default Credentials (Cloud Run, GCE, etc.)
-        console.log('⚠️  No credentials file found, using Application Default Credentials');
-        storage = new Storage();
-        console.log(`✓ GCS Storage client initialized with ADC for bucket: ${config.gcsStorageBucket}`);
-    }
+    backend = createStorageBackend(storageConfig);
+    console.log(`✓ Storage backend: ${backend.name}`);
 } catch (error) {
-    console.error('Failed to initialize GCS Storage client:', error.message);
-    storage = null;
+    console.error('Failed to initialize storage backend:', error.message);
+    backend = null;
 }
 
-const bucket = storage ? storage.bucket(config.gcsStorageBucket) : null;
+// Local cache directory (CACHE_DIR overrides it, e.g. for tests)
+const CACHE_DIR = process.env.CACHE_DIR
+    ? path.resolve(process.env.CACHE_DIR)
+    : path.join(__dirname, '../data_cache');
+
+// Cached files are revalidated against remote storage once they're older than this
+const CACHE_TTL_MS = config.cacheTtlSeconds * 1000;
+
+// Previous versions kept per file for rollback (in <category>/.versions/<filename>/)
+const CACHE_VERSIONS_TO_KEEP = config.cacheVersionsToKeep;
+
+// Total size cap for CACHE_DIR; least recently used files are evicted past it (0 = no cap)
+const CACHE_MAX_SIZE_BYTES = config.cacheMaxSizeMb * 1024 * 1024;
+
+// Cache categories (subdirectories of CACHE_DIR)
+const CACHE_CATEGORIES = ['predictions', 'adi', 'nei', 'boundaries'];
+
+// Per-category subdirectories for cache metadata and old versions
+const META_DIR = '.meta';
+const VERSIONS_DIR = '.versions';
+const QUARANTINE_DIR = '.quarantine';
+
+// In-flight fetches keyed by remote path, so concurrent requests share one download
+const inFlightFetches = new Map();
 
-// Local cache directory
-const CACHE_DIR = path.join(__dirname, '../data_cache');
+// Last access time per cached file ("category/filename" -> ms), used for LRU eviction
+const lastAccessTimes = new Map();
 
-// GCS bucket structure (your actual paths)
+// Remote storage layout (same paths for every backend)
 const GCS_PATHS = {
     predictions: 'Data/Predictions',           // annual_risk_with_socioeconomic_{year}_RS.csv
     adi: 'Data/adi_data',                     // USA_{year}_ADI_Census_Block...csv
@@ -86,13 +133,7 @@ const GCS_PATHS = {
 // ============================================================================
 
 function ensureCacheDirectories() {
-    const dirs = [
-        CACHE_DIR,
-        path.join(CACHE_DIR, 'predictions'),
-        path.join(CACHE_DIR, 'adi'),
-        path.join(CACHE_DIR, 'nei'),
-        path.join(CACHE_DIR, 'boundaries')
-    ];
+    const dirs = [CACHE_DIR, ...CACHE_CATEGORIES.map(category => path.join(CACHE_DIR, category))];
 
     dirs.forEach(dir => {
         if (!fs.existsSync(dir)) {
@@ -100,61 +141,370 @@ function ensureCacheDirectories() {
             console.log(`✓ Created cache directory: ${dir}`);
         }
     });
+
+    // Remove temp files left behind by downloads that crashed mid-write
+    dirs.slice(1).forEach(dir => {
+        fs.readdirSync(dir)
+            .filter(name => name.endsWith('.tmp'))
+            .forEach(name => {
+                fs.rmSync(path.join(dir, name), { force: true });
+                console.log(`✓ Removed partial download: ${path.join(dir, name)}`);
+            });
+    });
 }
 
 // Initialize cache directories on module load
 ensureCacheDirectories();
 
+// ============================================================================
+// Cache Metadata and Versions
+// ============================================================================
+
+/**
+ * Path of the metadata sidecar for a cached file
+ * Metadata: { remotePath, source, generation, etag, md5, size, updated, fetchedAt, validatedAt, pinned }
+ */
+function getMetaPath(localCategory, localFilename) {
+    return path.join(CACHE_DIR, localCategory, META_DIR, `${localFilename}.json`);
+}
+
+function readCacheMeta(localCategory, localFilename) {
+    const metaPath = getMetaPath(localCategory, localFilename);
+    if (!fs.existsSync(metaPath)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    } catch (error) {
+        console.warn(`Warning: Ignoring unreadable cache metadata ${metaPath}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Write metadata atomically (temp file + rename)
+ */
+function writeCacheMeta(localCategory, localFilename, meta) {
+    const metaPath = getMetaPath(localCategory, localFilename);
+    fs.mkdirSync(path.dirname(metaPath), { recursive: true });
+
+    const tempPath = `${metaPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(meta, null, 2));
+    fs.renameSync(tempPath, metaPath);
+}
+
+/**
+ * True when the remote object differs from the cached version
+ * Compares the strongest identifier both sides have (generation, then md5, then ETag)
+ */
+function isRemoteChanged(meta, remote) {
+    if (meta.generation && remote.generation) return meta.generation !== remote.generation;
+    if (meta.md5 && remote.md5) return meta.md5 !== remote.md5;
+    if (meta.etag && remote.etag) return meta.etag !== remote.etag;
+    return meta.size !== remote.size || meta.updated !== remote.updated;
+}
+
+function getVersionsDir(localCategory, localFilename) {
+    return path.join(CACHE_DIR, localCategory, VERSIONS_DIR, localFilename);
+}
+
+/**
+ * Move the current cached file (and its metadata) into the versions directory
+ * Versions beyond CACHE_VERSIONS_TO_KEEP are deleted, oldest first
+ */
+function archiveCurrentVersion(localCategory, localFilename) {
+    const localPath = path.join(CACHE_DIR, localCategory, localFilename);
+    if (!fs.existsSync(localPath)) return;
+
+    const meta = readCacheMeta(localCategory, localFilename) || {};
+    const versionsDir = getVersionsDir(localCategory, localFilename);
+    fs.mkdirSync(versionsDir, { recursive: true });
+
+    const versionId = `${Date.now()}-${meta.generation || meta.md5 || 'unversioned'}`;
+    fs.renameSync(localPath, path.join(versionsDir, versionId));
+    fs.writeFileSync(path.join(versionsDir, `${versionId}.json`), JSON.stringify({ ...meta, versionId }, null, 2));
+
+    // Prune old versions
+    const versions = listCachedVersions(localCategory, localFilename);
+    versions.slice(CACHE_VERSIONS_TO_KEEP).forEach(version => {
+        fs.rmSync(path.join(versionsDir, version.versionId), { force: true });
+        fs.rmSync(path.join(versionsDir, `${version.versionId}.json`), { force: true });
+    });
+}
+
+/**
+ * List archived versions of a cached file, most recent first
+ *
+ * @returns {Array<Object>} - Version metadata including versionId
+ */
+function listCachedVersions(localCategory, localFilename) {
+    const versionsDir = getVersionsDir(localCategory, localFilename);
+    if (!fs.existsSync(versionsDir)) return [];
+
+    return fs.readdirSync(versionsDir)
+        .filter(name => !name.endsWith('.json'))
+        .map(versionId => {
+            const metaPath = path.join(versionsDir, `${versionId}.json`);
+            const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : {};
+            return { ...meta, versionId };
+        })
+        .sort((a, b) => parseInt(b.versionId) - parseInt(a.versionId));
+}
+
+/**
+ * Roll a cached file back to an archived version (the most recent one by default)
+ * The restored file is pinned: it is not revalidated until unpinned or cleared,
+ * so a bad push in remote storage isn't immediately downloaded again.
+ *
+ * @returns {Object} - Metadata of the restored version
+ */
+function rollbackCachedFile(localCategory, localFilename, versionId = null) {
+    const versions = listCachedVersions(localCategory, localFilename);
+    const version = versionId ? versions.find(v => v.versionId === versionId) : versions[0];
+    if (!version) {
+        throw new Error(`No archived version${versionId ? ` ${versionId}` : ''} for ${localCategory}/${localFilename}`);
+    }
+
+    const versionsDir = getVersionsDir(localCategory, localFilename);
+    const localPath = path.join(CACHE_DIR, localCategory, localFilename);
+
+    // Restore through a temp copy so readers never see a partial file
+    const tempPath = `${localPath}.${process.pid}.tmp`;
+    fs.copyFileSync(path.join(versionsDir, version.versionId), tempPath);
+    archiveCurrentVersion(localCategory, localFilename);
+    fs.renameSync(tempPath, localPath);
+
+    // Restored file gets a fresh mtime so in-memory parsers (facilityQuery, geoidReport) reload it
+    const { versionId: _, ...meta } = version;
+    const restored = { ...meta, validatedAt: new Date().toISOString(), pinned: true };
+    writeCacheMeta(localCategory, localFilename, restored);
+    console.log(`✓ Rolled back ${localCategory}/${localFilename} to version ${version.versionId}`);
+
+    return restored;
+}
+
+/**
+ * Allow a pinned (rolled back) file to be revalidated again
+ */
+function unpinCachedFile(localCategory, localFilename) {
+    const meta = readCacheMeta(localCategory, localFilename);
+    if (!meta) return;
+    writeCacheMeta(localCategory, localFilename, { ...meta, pinned: false, validatedAt: null });
+}
+
+// ============================================================================
+// Cache Integrity
+// ============================================================================
+
+/**
+ * MD5 of a local file as hex
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Check a completed download against the size and MD5 reported by remote storage
+ *
+ * @returns {Promise<string>} - MD5 of the downloaded file
+ */
+async function verifyDownload(filePath, remote) {
+    const { size } = fs.statSync(filePath);
+    if (remote.size !== null && remote.size !== undefined && size !== remote.size) {
+        throw new Error(`Size mismatch: expected ${remote.size} bytes, got ${size}`);
+    }
+
+    const md5 = await hashFile(filePath);
+    if (remote.md5 && md5 !== remote.md5) {
+        throw new Error(`Checksum mismatch: expected md5 ${remote.md5}, got ${md5}`);
+    }
+
+    return md5;
+}
+
+/**
+ * Move a corrupt cached file (and its metadata) out of the way so it's downloaded again
+ * The latest quarantined copy of each file is kept in <category>/.quarantine/ for inspection
+ */
+function quarantineCachedFile(localCategory, localFilename, reason) {
+    const localPath = path.join(CACHE_DIR, localCategory, localFilename);
+    const quarantineDir = path.join(CACHE_DIR, localCategory, QUARANTINE_DIR);
+    fs.mkdirSync(quarantineDir, { recursive: true });
+
+    if (fs.existsSync(localPath)) {
+        fs.renameSync(localPath, path.join(quarantineDir, localFilename));
+    }
+    fs.writeFileSync(path.join(quarantineDir, `${localFilename}.json`), JSON.stringify({
+        meta: readCacheMeta(localCategory, localFilename),
+        reason,
+        quarantinedAt: new Date().toISOString()
+    }, null, 2));
+    fs.rmSync(getMetaPath(localCategory, localFilename), { force: true });
+
+    console.warn(`⚠️  Quarantined corrupt cache entry ${localCategory}/${localFilename}: ${reason}`);
+}
+
+/**
+ * Cheap integrity check run before serving a cached file: size must match the metadata
+ */
+function isCachedFileIntact(localPath, meta) {
+    if (meta.size === null || meta.size === undefined) return true;
+    return fs.statSync(localPath).size === meta.size;
+}
+
 // ============================================================================
 // Core Fetching Function (Authenticated)
 // ============================================================================
 
 /**
- * Fetch a file from GCS using authenticated access with local caching
+ * Download a remote object into the cache atomically (temp file + rename)
+ * The previous version, if any, is archived for rollback
+ */
+async function downloadToCache(gcsPath, localCategory, localFilename, remote) {
+    const localPath = path.join(CACHE_DIR, localCategory, localFilename);
+    const tempPath = `${localPath}.${process.pid}.${Date.now()}.tmp`;
+
+    let md5;
+    try {
+        await backend.download(gcsPath, tempPath);
+        md5 = await verifyDownload(tempPath, remote);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+
+    archiveCurrentVersion(localCategory, localFilename);
+    fs.renameSync(tempPath, localPath);
+
+    const now = new Date().toISOString();
+    writeCacheMeta(localCategory, localFilename, {
+        remotePath: gcsPath,
+        source: backend.name,
+        generation: remote.generation,
+        etag: remote.etag,
+        md5,
+        size: fs.statSync(localPath).size,
+        updated: remote.updated,
+        fetchedAt: now,
+        validatedAt: now,
+        pinned: false
+    });
+
+    enforceCacheSizeLimit(localPath);
+
+    return localPath;
+}
+
+/**
+ * Fetch a file from remote storage with local caching
+ *
+ * Cached files are served directly while their metadata is younger than the
+ * cache TTL. After that the remote object is checked (generation/md5/ETag) and
+ * downloaded again only if it changed. If remote storage can't be reached the
+ * cached copy is served as-is.
  *
- * @param {string} gcsPath - Full GCS path (e.g., 'Data/Predictions/2021.csv')
+ * Concurrent calls for the same remote path share one fetch. Downloads are
+ * checked against the remote size/MD5, and cache entries that no longer match
+ * their metadata are quarantined and downloaded again.
+ *
+ * @param {string} gcsPath - Full remote path (e.g., 'Data/Predictions/2021.csv')
  * @param {string} localCategory - Local cache category (predictions, adi, nei, boundaries)
  * @param {string} localFilename - Local filename to save as
  * @returns {Promise<string>} - Local file path
  */
 async function fetchDataFile(gcsPath, localCategory, localFilename) {
+    // Concurrent requests for the same object wait on the first one
+    if (inFlightFetches.has(gcsPath)) {
+        console.log(`⏳ Waiting for in-flight fetch: ${gcsPath}`);
+        return inFlightFetches.get(gcsPath);
+    }
+
+    const fetchPromise = fetchDataFileUncoalesced(gcsPath, localCategory, localFilename)
+        .then(localPath => {
+            lastAccessTimes.set(`${localCategory}/${localFilename}`, Date.now());
+            return localPath;
+        })
+        .finally(() => inFlightFetches.delete(gcsPath));
+    inFlightFetches.set(gcsPath, fetchPromise);
+
+    return fetchPromise;
+}
+
+async function fetchDataFileUncoalesced(gcsPath, localCategory, localFilename) {
     const localPath = path.join(CACHE_DIR, localCategory, localFilename);
+    let isCached = fs.existsSync(localPath);
+    let meta = isCached ? readCacheMeta(localCategory, localFilename) : null;
+
+    // Truncated or otherwise resized cache entry - quarantine and download again
+    if (meta && !isCachedFileIntact(localPath, meta)) {
+        quarantineCachedFile(localCategory, localFilename, `Size mismatch: expected ${meta.size} bytes`);
+        isCached = false;
+        meta = null;
+    }
 
-    // If file exists in cache, return it immediately
-    if (fs.existsSync(localPath)) {
+    // Fresh (or pinned) cache entry - return it immediately
+    if (meta && (meta.pinned || (meta.validatedAt && Date.now() - Date.parse(meta.validatedAt) < CACHE_TTL_MS))) {
         console.log(`✓ Using cached file: ${localCategory}/${localFilename}`);
         return localPath;
     }
 
-    // Check if storage client is initialized
-    if (!storage || !bucket) {
-        throw new Error('GCS Storage client not initialized. Check credentials path in config.json');
+    // Check if storage backend is initialized
+    if (!backend) {
+        if (isCached) {
+            console.warn(`⚠️  Storage backend not initialized, serving unvalidated cache: ${localCategory}/${localFilename}`);
+            return localPath;
+        }
+        throw new Error('Storage backend not initialized. Check "storage" in config.json');
     }
 
-    // File not cached - download from GCS
-    console.log(`⬇ Downloading from GCS: ${gcsPath}`);
-
+    let remote;
     try {
-        const file = bucket.file(gcsPath);
+        remote = await backend.stat(gcsPath);
+    } catch (error) {
+        if (isCached) {
+            console.warn(`⚠️  Could not revalidate ${localCategory}/${localFilename} (${error.message}), serving cached copy`);
+            return localPath;
+        }
+        throw new Error(`Failed to download ${gcsPath}: ${error.message}`);
+    }
 
-        // Check if file exists in GCS
-        const [exists] = await file.exists();
-        if (!exists) {
-            throw new Error(`File not found in GCS: ${gcsPath}`);
+    if (!remote) {
+        if (isCached) {
+            console.warn(`⚠️  ${gcsPath} no longer in ${backend.name}, serving cached copy`);
+            return localPath;
         }
+        throw new Error(`Failed to download ${gcsPath}: File not found in ${backend.name}`);
+    }
 
-        // Ensure directory exists
-        const dir = path.dirname(localPath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+    // Unchanged remote object - verify the cached bytes and record the revalidation
+    if (meta && !isRemoteChanged(meta, remote)) {
+        const md5 = meta.md5 ? await hashFile(localPath) : null;
+        if (md5 && md5 !== meta.md5) {
+            quarantineCachedFile(localCategory, localFilename, `Checksum mismatch: expected md5 ${meta.md5}, got ${md5}`);
+            isCached = false;
+        } else {
+            writeCacheMeta(localCategory, localFilename, { ...meta, validatedAt: new Date().toISOString() });
+            console.log(`✓ Revalidated cached file: ${localCategory}/${localFilename}`);
+            return localPath;
         }
+    }
 
-        // Download file
-        await file.download({ destination: localPath });
+    // Not cached, changed, or cached without metadata - download from remote storage
+    console.log(`⬇ Downloading from ${backend.name}: ${gcsPath}`);
+    try {
+        await downloadToCache(gcsPath, localCategory, localFilename, remote);
         console.log(`✓ Downloaded and cached: ${localCategory}/${localFilename}`);
-
         return localPath;
     } catch (error) {
+        if (isCached) {
+            console.warn(`⚠️  Failed to refresh ${localCategory}/${localFilename} (${error.message}), serving cached copy`);
+            return localPath;
+        }
         throw new Error(`Failed to download ${gcsPath}: ${error.message}`);
     }
 }
@@ -173,6 +523,93 @@ async function getPredictionsData(year) {
     return await fetchDataFile(gcsPath, 'predictions', localFilename);
 }
 
+// Year lists (listPredictionYears, listAdiYears) are cached so every request doesn't list the bucket
+const YEAR_LIST_TTL_MS = 5 * 60 * 1000;
+let predictionYearsCache = null; // { years, fetchedAt }
+
+/**
+ * List years that have predictions data, in remote storage or already in the local cache
+ * GCS path: Data/Predictions/annual_risk_with_socioeconomic_{year}_UI.csv
+ *
+ * @returns {Promise<Array<number>>} - Years, most recent first
+ */
+async function listPredictionYears() {
+    if (predictionYearsCache && Date.now() - predictionYearsCache.fetchedAt < YEAR_LIST_TTL_MS) {
+        return predictionYearsCache.years;
+    }
+
+    const years = new Set();
+
+    // Years already cached locally (works offline)
+    const cacheDir = path.join(CACHE_DIR, 'predictions');
+    if (fs.existsSync(cacheDir)) {
+        fs.readdirSync(cacheDir).forEach(file => {
+            const match = file.match(/^annual_risk_with_socioeconomic_(\d{4})_RS\.csv$/);
+            if (match) years.add(parseInt(match[1]));
+        });
+    }
+
+    // Years available in remote storage
+    if (backend) {
+        try {
+            const files = await backend.list(`${GCS_PATHS.predictions}/annual_risk_with_socioeconomic_`);
+            files.forEach(name => {
+                const match = name.match(/annual_risk_with_socioeconomic_(\d{4})_UI\.csv$/);
+                if (match) years.add(parseInt(match[1]));
+            });
+        } catch (error) {
+            console.warn(`Warning: Failed to list predictions in ${backend.name}: ${error.message}`);
+        }
+    }
+
+    const sorted = [...years].sort((a, b) => b - a); // Most recent first
+    predictionYearsCache = { years: sorted, fetchedAt: Date.now() };
+    return sorted;
+}
+
+// Cached result of listAdiYears()
+let adiYearsCache = null; // { years, fetchedAt }
+
+/**
+ * List years that have ADI data, in remote storage or already in the local cache
+ * GCS path: Data/adi_data/US_{year}_ADI_Census_Block*.csv
+ *
+ * @returns {Promise<Array<number>>} - Years, most recent first
+ */
+async function listAdiYears() {
+    if (adiYearsCache && Date.now() - adiYearsCache.fetchedAt < YEAR_LIST_TTL_MS) {
+        return adiYearsCache.years;
+    }
+
+    const years = new Set();
+
+    // Years already cached locally (works offline)
+    const cacheDir = path.join(CACHE_DIR, 'adi');
+    if (fs.existsSync(cacheDir)) {
+        fs.readdirSync(cacheDir).forEach(file => {
+            const match = file.match(/^ADI_(\d{4})\.csv$/);
+            if (match) years.add(parseInt(match[1]));
+        });
+    }
+
+    // Years available in remote storage
+    if (backend) {
+        try {
+            const files = await backend.list(`${GCS_PATHS.adi}/US_`);
+            files.forEach(name => {
+                const match = name.match(/US_(\d{4})_ADI_Census_Block[^/]*\.csv$/);
+                if (match) years.add(parseInt(match[1]));
+            });
+        } catch (error) {
+            console.warn(`Warning: Failed to list ADI files in ${backend.name}: ${error.message}`);
+        }
+    }
+
+    const sorted = [...years].sort((a, b) => b - a); // Most recent first
+    adiYearsCache = { years: sorted, fetchedAt: Date.now() };
+    return sorted;
+}
+
 /**
  * Get ADI (Area Deprivation Index) data for a specific year
  * GCS path: Data/adi_data/USA_{year}_ADI_Census_Block......csv
@@ -182,44 +619,41 @@ async function getPredictionsData(year) {
 async function getAdiData(year) {
     const localFilename = `ADI_${year}.csv`;
     const localPath = path.join(CACHE_DIR, 'adi', localFilename);
+    const meta = fs.existsSync(localPath) ? readCacheMeta('adi', localFilename) : null;
 
-    // If cached, return immediately
-    if (fs.existsSync(localPath)) {
-        console.log(`✓ Using cached file: adi/${localFilename}`);
-        return localPath;
+    // Cached with a known remote path - fetchDataFile handles freshness
+    if (meta && meta.remotePath) {
+        return await fetchDataFile(meta.remotePath, 'adi', localFilename);
     }
 
-    // Not cached - need to find the file in GCS
-    if (!storage || !bucket) {
-        throw new Error('GCS Storage client not initialized. Check credentials path in config.json');
+    // Not cached - need to find the file in remote storage
+    if (!backend) {
+        if (fs.existsSync(localPath)) return localPath;
+        throw new Error('Storage backend not initialized. Check "storage" in config.json');
     }
 
-    console.log(`⬇ Searching for ADI file in GCS: Data/adi_data/US_${year}_ADI_Census_Block*.csv`);
+    console.log(`⬇ Searching for ADI file in ${backend.name}: ${GCS_PATHS.adi}/US_${year}_ADI_Census_Block*.csv`);
 
+    let files;
     try {
         // List files in adi_data directory matching pattern
-        const [files] = await bucket.getFiles({
-            prefix: `${GCS_PATHS.adi}/US_${year}_ADI_Census_Block`
-        });
-
-        if (files.length === 0) {
-            throw new Error(`No ADI file found for year ${year} in GCS`);
-        }
-
-        // Use the first matching file
-        const file = files[0];
-        const gcsPath = file.name;
-
-        console.log(`✓ Found ADI file: ${gcsPath}`);
-
-        // Download and cache
-        await file.download({ destination: localPath });
-        console.log(`✓ Downloaded and cached: adi/${localFilename}`);
-
-        return localPath;
+        files = await backend.list(`${GCS_PATHS.adi}/US_${year}_ADI_Census_Block`);
     } catch (error) {
+        if (fs.existsSync(localPath)) {
+            console.warn(`⚠️  Could not list ADI files (${error.message}), serving cached copy`);
+            return localPath;
+        }
         throw new Error(`Failed to fetch ADI data for ${year}: ${error.message}`);
     }
+
+    if (files.length === 0) {
+        if (fs.existsSync(localPath)) return localPath;
+        throw new Error(`Failed to fetch ADI data for ${year}: No ADI file found for year ${year} in ${backend.name}`);
+    }
+
+    // Use the first matching file
+    console.log(`✓ Found ADI file: ${files[0]}`);
+    return await fetchDataFile(files[0], 'adi', localFilename);
 }
 
 /**
@@ -257,67 +691,254 @@ async function getBoundaryData(type) {
 // Cache Management
 // ============================================================================
 
+/**
+ * Names of the cached files in a category (excludes metadata, versions and temp files)
+ */
+function listCategoryFiles(category) {
+    const categoryPath = path.join(CACHE_DIR, category);
+    if (!fs.existsSync(categoryPath)) return [];
+    return fs.readdirSync(categoryPath, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+        .map(entry => entry.name);
+}
+
+/**
+ * Total size in bytes of every file under a directory
+ */
+function getDirectorySize(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+        const entryPath = path.join(dir, entry.name);
+        return total + (entry.isDirectory() ? getDirectorySize(entryPath) : fs.statSync(entryPath).size);
+    }, 0);
+}
+
+/**
+ * Last access time of a cached file: in-memory access time, falling back to
+ * the last revalidation or the file's mtime (e.g. after a restart)
+ */
+function getLastAccessTime(category, filename, meta, stats) {
+    return lastAccessTimes.get(`${category}/${filename}`)
+        || (meta && meta.validatedAt ? Date.parse(meta.validatedAt) : stats.mtimeMs);
+}
+
+/**
+ * Describe every cached file with size, age and source
+ *
+ * @returns {Object} - { totalSize, maxSize, files: [{ category, filename, size, ageSeconds, lastAccessedAt, remotePath, source, ... }] }
+ */
+function listCachedFiles() {
+    const now = Date.now();
+    const files = [];
+
+    CACHE_CATEGORIES.forEach(category => {
+        listCategoryFiles(category).forEach(filename => {
+            const stats = fs.statSync(path.join(CACHE_DIR, category, filename));
+            const meta = readCacheMeta(category, filename);
+            const fetchedAt = meta && meta.fetchedAt ? Date.parse(meta.fetchedAt) : stats.mtimeMs;
+
+            files.push({
+                category,
+                filename,
+                size: stats.size,
+                ageSeconds: Math.round((now - fetchedAt) / 1000),
+                lastAccessedAt: new Date(getLastAccessTime(category, filename, meta, stats)).toISOString(),
+                remotePath: meta ? meta.remotePath : null,
+                source: meta ? meta.source : null,
+                validatedAt: meta ? meta.validatedAt : null,
+                pinned: meta ? Boolean(meta.pinned) : false,
+                versions: listCachedVersions(category, filename).map(version => version.versionId)
+            });
+        });
+    });
+
+    return {
+        totalSize: getDirectorySize(CACHE_DIR),
+        maxSize: CACHE_MAX_SIZE_BYTES || null,
+        files
+    };
+}
+
+/**
+ * Evict cache entries until CACHE_DIR fits under the size cap
+ *
+ * Quarantined files go first, then archived versions older than each file's
+ * newest one (oldest first). The newest archived version of a file is what a
+ * rollback restores, so it ages with the file itself: files and their newest
+ * versions are evicted together by least recent access, the file first. The
+ * file just written is never evicted. Evictions are written to the audit log.
+ *
+ * @param {string|null} protectedPath - Local path that must be kept
+ * @returns {number} - Bytes freed
+ */
+function enforceCacheSizeLimit(protectedPath = null) {
+    if (!CACHE_MAX_SIZE_BYTES) return 0;
+
+    let totalSize = getDirectorySize(CACHE_DIR);
+    if (totalSize <= CACHE_MAX_SIZE_BYTES) return 0;
+
+    // Candidates: { rank, time, order, size, label, details, remove }, evicted in rank, time, then order
+    const candidates = [];
+    CACHE_CATEGORIES.forEach(category => {
+        const quarantineDir = path.join(CACHE_DIR, category, QUARANTINE_DIR);
+        if (fs.existsSync(quarantineDir)) {
+            candidates.push({
+                rank: 0,
+                time: 0,
+                order: 0,
+                size: getDirectorySize(quarantineDir),
+                label: `${category}/${QUARANTINE_DIR}`,
+                details: { category, quarantine: true },
+                remove: () => fs.rmSync(quarantineDir, { recursive: true, force: true })
+            });
+        }
+
+        const versionsRoot = path.join(CACHE_DIR, category, VERSIONS_DIR);
+        const versionedFiles = fs.existsSync(versionsRoot) ? fs.readdirSync(versionsRoot) : [];
+        versionedFiles.forEach(filename => {
+            const versionsDir = getVersionsDir(category, filename);
+            const localPath = path.join(CACHE_DIR, category, filename);
+            const fileAccessTime = fs.existsSync(localPath)
+                ? getLastAccessTime(category, filename, readCacheMeta(category, filename), fs.statSync(localPath))
+                : null;
+
+            // Newest first, so index 0 is the version a rollback restores
+            listCachedVersions(category, filename).forEach((version, index) => {
+                const versionPath = path.join(versionsDir, version.versionId);
+                const newest = index === 0;
+                candidates.push({
+                    rank: newest ? 2 : 1,
+                    time: newest && fileAccessTime !== null ? fileAccessTime : parseInt(version.versionId),
+                    order: 1,
+                    size: fs.statSync(versionPath).size,
+                    label: `${category}/${filename}@${version.versionId}`,
+                    details: { category, filename, versionId: version.versionId },
+                    remove: () => {
+                        fs.rmSync(versionPath, { force: true });
+                        fs.rmSync(`${versionPath}.json`, { force: true });
+                    }
+                });
+            });
+        });
+
+        listCategoryFiles(category).forEach(filename => {
+            const localPath = path.join(CACHE_DIR, category, filename);
+            if (localPath === protectedPath) return;
+
+            const stats = fs.statSync(localPath);
+            candidates.push({
+                rank: 2,
+                time: getLastAccessTime(category, filename, readCacheMeta(category, filename), stats),
+                order: 0,
+                size: stats.size,
+                label: `${category}/${filename}`,
+                details: { category, filename },
+                remove: () => clearCache(category, filename)
+            });
+        });
+    });
+
+    candidates.sort((a, b) => a.rank - b.rank || a.time - b.time || a.order - b.order);
+
+    let freed = 0;
+    for (const candidate of candidates) {
+        if (totalSize <= CACHE_MAX_SIZE_BYTES) break;
+        candidate.remove();
+        totalSize -= candidate.size;
+        freed += candidate.size;
+        console.log(`✓ Evicted from cache (size limit): ${candidate.label}`);
+        auditLog.recordAuditEvent(null, 'cache.evict', { ...candidate.details, reason: 'size_limit', size: candidate.size });
+    }
+
+    if (totalSize > CACHE_MAX_SIZE_BYTES) {
+        console.warn(`⚠️  Cache is still ${totalSize} bytes (limit ${CACHE_MAX_SIZE_BYTES}) after eviction`);
+    }
+
+    return freed;
+}
+
+/**
+ * Download a year's predictions, ADI and block group boundaries into the cache
+ * Each dataset is fetched independently so one missing file doesn't block the rest
+ *
+ * @param {number|string} year - Predictions and ADI year
+ * @returns {Promise<Array<Object>>} - [{ dataset, path }] or [{ dataset, error }]
+ */
+async function prefetchYear(year) {
+    const datasets = {
+        predictions: () => getPredictionsData(year),
+        adi: () => getAdiData(year),
+        boundaries: () => getBoundaryData('block_groups')
+    };
+
+    const results = [];
+    for (const [dataset, fetchDataset] of Object.entries(datasets)) {
+        try {
+            const localPath = await fetchDataset();
+            results.push({ dataset, path: path.relative(CACHE_DIR, localPath) });
+        } catch (error) {
+            results.push({ dataset, error: error.message });
+        }
+    }
+
+    return results;
+}
+
 /**
  * Clear cached file(s) to force re-download
  * @param {string} category - Optional category to clear (clears all if not specified)
  * @param {string} filename - Optional specific file to clear
  */
 function clearCache(category = null, filename = null) {
+    // Archived versions are kept so a cleared file can still be rolled back
+    const removeCachedFile = (cat, file) => {
+        fs.rmSync(path.join(CACHE_DIR, cat, file), { force: true });
+        fs.rmSync(getMetaPath(cat, file), { force: true });
+        lastAccessTimes.delete(`${cat}/${file}`);
+    };
+
     if (category && filename) {
         // Clear specific file
-        const filePath = path.join(CACHE_DIR, category, filename);
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
+        if (fs.existsSync(path.join(CACHE_DIR, category, filename))) {
+            removeCachedFile(category, filename);
             console.log(`✓ Cleared cache: ${category}/${filename}`);
         }
     } else if (category) {
         // Clear entire category
-        const categoryPath = path.join(CACHE_DIR, category);
-        if (fs.existsSync(categoryPath)) {
-            const files = fs.readdirSync(categoryPath);
-            files.forEach(file => {
-                fs.unlinkSync(path.join(categoryPath, file));
-            });
-            console.log(`✓ Cleared cache category: ${category} (${files.length} files)`);
-        }
+        const files = listCategoryFiles(category);
+        files.forEach(file => removeCachedFile(category, file));
+        console.log(`✓ Cleared cache category: ${category} (${files.length} files)`);
     } else {
         // Clear entire cache
-        const categories = ['adi', 'nei', 'predictions', 'boundaries'];
         let totalFiles = 0;
-        categories.forEach(cat => {
-            const categoryPath = path.join(CACHE_DIR, cat);
-            if (fs.existsSync(categoryPath)) {
-                const files = fs.readdirSync(categoryPath);
-                files.forEach(file => {
-                    fs.unlinkSync(path.join(categoryPath, file));
-                });
-                totalFiles += files.length;
-            }
+        CACHE_CATEGORIES.forEach(cat => {
+            const files = listCategoryFiles(cat);
+            files.forEach(file => removeCachedFile(cat, file));
+            totalFiles += files.length;
         });
         console.log(`✓ Cleared entire cache (${totalFiles} files)`);
     }
 }
 
 /**
- * List available files in GCS bucket (for debugging)
+ * List available files in remote storage
+ * Throws when the backend isn't initialized or can't be listed, so callers
+ * can tell an unreachable bucket from an empty one.
+ *
+ * @param {string} prefix - Object path prefix
+ * @returns {Promise<Array<string>>} - Object paths
  */
 async function listAvailableFiles(prefix = 'Data/') {
-    if (!storage || !bucket) {
-        console.error('GCS Storage client not initialized');
-        return [];
+    if (!backend) {
+        throw new Error('Storage backend not initialized. Check "storage" in config.json');
     }
 
-    try {
-        const [files] = await bucket.getFiles({ prefix });
-        console.log(`\n📁 Files in gs://${config.gcsStorageBucket}/${prefix}:`);
-        files.forEach(file => {
-            console.log(`   - ${file.name}`);
-        });
-        return files.map(f => f.name);
-    } catch (error) {
-        console.error('Failed to list files:', error.message);
-        return [];
-    }
+    const files = await backend.list(prefix);
+    console.log(`\n📁 Files in ${backend.name}/${prefix}:`);
+    files.forEach(name => {
+        console.log(`   - ${name}`);
+    });
+    return files;
 }
 
 // ============================================================================
@@ -327,12 +948,23 @@ async function listAvailableFiles(prefix = 'Data/') {
 module.exports = {
     fetchDataFile,
     getAdiData,
+    listAdiYears,
     getNeiData,
     getPredictionsData,
+    listPredictionYears,
     getBoundaryData,
     clearCache,
+    listCachedFiles,
+    enforceCacheSizeLimit,
+    prefetchYear,
+    readCacheMeta,
+    listCachedVersions,
+    rollbackCachedFile,
+    unpinCachedFile,
     listAvailableFiles,
     GCS_BUCKET: config.gcsStorageBucket,
+    STORAGE_BACKEND: backend ? backend.name : null,
     CACHE_DIR,
+    CACHE_CATEGORIES,
     GCS_PATHS
 };
@@ -0,0 +1,185 @@
+/**
+ * Facility Export Module - CSV, GeoJSON and XLSX downloads
+ *
+ * Serializes a filtered facility set (from facilityQuery) for reports.
+ * Columns include computed fields (sector, county) alongside the raw
+ * predictions columns.
+ */
+
+const ExcelJS = require('exceljs');
+const { PREDICTIONS_POLLUTANT } = require('./facilityQuery');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Exported columns in output order: [field, header]
+// total_emissions is headed with the exported pollutant and unit (see getExportColumns)
+// Keep in sync with EXPORT_COLUMNS in public/app_common.js
+const EXPORT_COLUMNS = [
+    ['facility_id', 'Facility ID'],
+    ['site_name', 'Facility Name'],
+    ['street', 'Street'],
+    ['city', 'City'],
+    ['zip_code', 'ZIP Code'],
+    ['county', 'County'],
+    ['GEOID10', 'Block Group GEOID'],
+    ['naics_code', 'NAICS Code'],
+    ['sector', 'Sector'],
+    ['primary_naics_description', 'NAICS Description'],
+    ['site_latitude', 'Latitude'],
+    ['site_longitude', 'Longitude'],
+    ['pollutant', 'Pollutant'],
+    ['total_emissions', 'Total Emissions'],
+    ['risk_score', 'Risk Score'],
+    ['risk_norm', 'Risk (normalized)'],
+    ['risk_percentile', 'Risk Percentile'],
+    ['equity_weighted_risk_norm', 'Equity-Weighted Risk (normalized)'],
+    ['equity_weighted_risk_percentile', 'Equity-Weighted Risk Percentile'],
+    ['ADI_NATRANK_clean', 'ADI National Rank'],
+    ['ADI_STATERNK_clean', 'ADI State Rank'],
+    ['socioeconomic_risk_level', 'Socioeconomic Risk Level']
+];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// ============================================================================
+// Serializers
+// ============================================================================
+
+/**
+ * Export columns with the emissions header naming the pollutant, e.g. "Total SO2 Emissions (tons/year)"
+ *
+ * @param {Object} pollutant - { code, uom } from neiPollutants; defaults to the predictions' NOx in tons
+ * @returns {Array<Array<string>>} - [field, header] pairs
+ */
+function getExportColumns({ code = PREDICTIONS_POLLUTANT, uom = null } = {}) {
+    const unit = uom === 'LB' ? 'lb/year' : 'tons/year';
+    return EXPORT_COLUMNS.map(([field, header]) => (
+        field === 'total_emissions' ? [field, `Total ${code} Emissions (${unit})`] : [field, header]
+    ));
+}
+
+/**
+ * Pick the export columns from a facility record (missing values become null)
+ */
+function toExportRecord(facility) {
+    const record = {};
+    EXPORT_COLUMNS.forEach(([field]) => {
+        const value = facility[field];
+        record[field] = value === undefined || value === '' ? null : value;
+    });
+    return record;
+}
+
+/**
+ * Prefix text that a spreadsheet would run as a formula (=, +, -, @, tab, CR) with a quote
+ * Numbers are left alone so negative values stay numeric.
+ */
+function neutralizeFormula(value) {
+    if (typeof value !== 'string') return value;
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Quote a CSV cell when it contains a delimiter, quote or newline
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(neutralizeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize facilities as CSV with a header row
+ */
+function toCsv(facilities, pollutant) {
+    const lines = [getExportColumns(pollutant).map(([, header]) => escapeCsvValue(header)).join(',')];
+
+    facilities.forEach(facility => {
+        const record = toExportRecord(facility);
+        lines.push(EXPORT_COLUMNS.map(([field]) => escapeCsvValue(record[field])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize facilities as a GeoJSON FeatureCollection of points
+ */
+function toGeoJson(facilities) {
+    return {
+        type: 'FeatureCollection',
+        features: facilities.map(facility => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [facility.site_longitude, facility.site_latitude]
+            },
+            properties: toExportRecord(facility)
+        }))
+    };
+}
+
+/**
+ * Serialize facilities as an XLSX workbook
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(facilities, pollutant) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Facilities');
+
+    sheet.columns = getExportColumns(pollutant).map(([field, header]) => ({
+        header,
+        key: field,
+        width: Math.max(12, header.length + 2)
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    facilities.forEach(facility => {
+        const record = toExportRecord(facility);
+        Object.keys(record).forEach(field => {
+            record[field] = neutralizeFormula(record[field]);
+        });
+        sheet.addRow(record);
+    });
+
+    return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Serialize facilities in the requested format
+ *
+ * @param {Array<Object>} facilities - Facility records
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} pollutant - { code, uom } of total_emissions, for the column header
+ * @returns {Promise<string|Buffer>}
+ */
+async function serialize(facilities, format, pollutant) {
+    switch (format) {
+        case 'csv':
+            return toCsv(facilities, pollutant);
+        case 'geojson':
+            return JSON.stringify(toGeoJson(facilities));
+        case 'xlsx':
+            return toXlsx(facilities, pollutant);
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
+
+module.exports = {
+    serialize,
+    toCsv,
+    toGeoJson,
+    toXlsx,
+    getExportColumns,
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS
+};
@@ -0,0 +1,464 @@
+/**
+ * Facility Query Module - Server-side filtering over predictions CSV
+ *
+ * Parses annual_risk_with_socioeconomic_{year}_RS.csv (fetched through
+ * dataFetcher) into memory once per year and answers filtered, sorted and
+ * paginated facility queries so clients don't have to download the full CSV.
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const dataFetcher = require('./dataFetcher');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// NAICS sector mapping (2-digit codes to simplified sectors)
+// Keep in sync with NAICS_SECTORS in public/app_common.js
+const NAICS_SECTORS = {
+    '11': 'Agriculture, Forestry, Fishing',
+    '21': 'Mining, Oil & Gas Extraction',
+    '22': 'Utilities',
+    '23': 'Construction',
+    '31': 'Manufacturing',
+    '32': 'Manufacturing',
+    '33': 'Manufacturing',
+    '42': 'Wholesale Trade',
+    '44': 'Retail Trade',
+    '45': 'Retail Trade',
+    '48': 'Transportation & Warehousing',
+    '49': 'Transportation & Warehousing',
+    '51': 'Information',
+    '52': 'Finance & Insurance',
+    '53': 'Real Estate',
+    '54': 'Professional Services',
+    '55': 'Management',
+    '56': 'Administrative & Support',
+    '61': 'Educational Services',
+    '62': 'Health Care',
+    '71': 'Arts & Entertainment',
+    '72': 'Accommodation & Food',
+    '81': 'Other Services',
+    '92': 'Public Administration'
+};
+
+// County FIPS to county name
+// Keep in sync with COUNTY_NAMES in public/app_common.js
+const COUNTY_NAMES = {
+    // Illinois (17) - All 102 counties
+    '17001': 'Adams', '17003': 'Alexander', '17005': 'Bond', '17007': 'Boone',
+    '17009': 'Brown', '17011': 'Bureau', '17013': 'Calhoun', '17015': 'Carroll',
+    '17017': 'Cass', '17019': 'Champaign', '17021': 'Christian', '17023': 'Clark',
+    '17025': 'Clay', '17027': 'Clinton', '17029': 'Coles', '17031': 'Cook',
+    '17033': 'Crawford', '17035': 'Cumberland', '17037': 'DeKalb', '17039': 'De Witt',
+    '17041': 'Douglas', '17043': 'DuPage', '17045': 'Edgar', '17047': 'Edwards',
+    '17049': 'Effingham', '17051': 'Fayette', '17053': 'Ford', '17055': 'Franklin',
+    '17057': 'Fulton', '17059': 'Gallatin', '17061': 'Greene', '17063': 'Grundy',
+    '17065': 'Hamilton', '17067': 'Hancock', '17069': 'Hardin', '17071': 'Henderson',
+    '17073': 'Henry', '17075': 'Iroquois', '17077': 'Jackson', '17079': 'Jasper',
+    '17081': 'Jefferson', '17083': 'Jersey', '17085': 'Jo Daviess', '17087': 'Johnson',
+    '17089': 'Kane', '17091': 'Kankakee', '17093': 'Kendall', '17095': 'Knox',
+    '17097': 'Lake', '17099': 'LaSalle', '17101': 'Lawrence', '17103': 'Lee',
+    '17105': 'Livingston', '17107': 'Logan', '17109': 'McDonough', '17111': 'McHenry',
+    '17113': 'McLean', '17115': 'Macon', '17117': 'Macoupin', '17119': 'Madison',
+    '17121': 'Marion', '17123': 'Marshall', '17125': 'Mason', '17127': 'Massac',
+    '17129': 'Menard', '17131': 'Mercer', '17133': 'Monroe', '17135': 'Montgomery',
+    '17137': 'Morgan', '17139': 'Moultrie', '17141': 'Ogle', '17143': 'Peoria',
+    '17145': 'Perry', '17147': 'Piatt', '17149': 'Pike', '17151': 'Pope',
+    '17153': 'Pulaski', '17155': 'Putnam', '17157': 'Randolph', '17159': 'Richland',
+    '17161': 'Rock Island', '17163': 'St. Clair', '17165': 'Saline', '17167': 'Sangamon',
+    '17169': 'Schuyler', '17171': 'Scott', '17173': 'Shelby', '17175': 'Stark',
+    '17177': 'Stephenson', '17179': 'Tazewell', '17181': 'Union', '17183': 'Vermilion',
+    '17185': 'Wabash', '17187': 'Warren', '17189': 'Washington', '17191': 'Wayne',
+    '17193': 'White', '17195': 'Whiteside', '17197': 'Will', '17199': 'Williamson',
+    '17201': 'Winnebago', '17203': 'Woodford'
+};
+
+// Columns converted to numbers when the CSV is parsed
+const NUMERIC_COLUMNS = [
+    'site_latitude',
+    'site_longitude',
+    'total_emissions',
+    'log_emissions',
+    'expected_log_emissions',
+    'size_adjusted_residual',
+    'risk_global',
+    'risk_peer',
+    'risk_atmospheric',
+    'risk_score',
+    'risk_percentile',
+    'risk_norm',
+    'ADI_STATERNK_clean',
+    'ADI_NATRANK_clean',
+    'adi_quintile',
+    'equity_weighted_risk',
+    'equity_weighted_risk_percentile',
+    'equity_weighted_risk_norm'
+];
+
+// Fields that can be used with ?sort=
+const SORTABLE_FIELDS = [
+    'site_name',
+    'total_emissions',
+    'risk_score',
+    'risk_norm',
+    'risk_percentile',
+    'equity_weighted_risk',
+    'equity_weighted_risk_norm',
+    'equity_weighted_risk_percentile'
+];
+
+// Pollutant of the predictions' total_emissions (other pollutants come from NEI, see neiPollutants.js)
+const PREDICTIONS_POLLUTANT = 'NOX';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Parsed facilities cached by year: { year: { mtimeMs, facilities } }
+const facilityCache = {};
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Get sector from NAICS code
+ */
+function getNaicsSector(naicsCode) {
+    if (!naicsCode) return 'Unknown';
+    const code = String(naicsCode).substring(0, 2);
+    return NAICS_SECTORS[code] || 'Other';
+}
+
+/**
+ * Get county name from a block group GEOID (first 5 digits are state + county FIPS)
+ */
+function getCountyName(geoid) {
+    if (!geoid) return null;
+    const countyFips = String(geoid).padStart(12, '0').substring(0, 5);
+    return COUNTY_NAMES[countyFips] || null;
+}
+
+/**
+ * Convert one CSV row into a typed facility record
+ */
+function normalizeRow(row) {
+    const facility = { ...row };
+
+    NUMERIC_COLUMNS.forEach(column => {
+        if (column in facility) {
+            const value = parseFloat(facility[column]);
+            facility[column] = isNaN(value) ? null : value;
+        }
+    });
+
+    // GEOID10 is a 12-digit block group code - keep it as a string
+    if (facility.GEOID10) {
+        facility.GEOID10 = String(parseInt(facility.GEOID10));
+    }
+
+    facility.sector = getNaicsSector(facility.naics_code);
+    facility.county = getCountyName(facility.GEOID10);
+    facility.pollutant = PREDICTIONS_POLLUTANT;
+
+    return facility;
+}
+
+/**
+ * Parse a predictions CSV file into facility records
+ * Rows without valid coordinates are dropped (same as loadFacilityData on the client)
+ */
+function parsePredictionsFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const facilities = [];
+
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on('data', (row) => {
+                const facility = normalizeRow(row);
+                if (facility.site_latitude !== null && facility.site_longitude !== null) {
+                    facilities.push(facility);
+                }
+            })
+            .on('end', () => resolve(facilities))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Load facilities for a year, re-parsing only when the cached file changes
+ *
+ * @param {string|number} year - Predictions year
+ * @returns {Promise<Array<Object>>} - Typed facility records
+ */
+async function loadFacilities(year) {
+    const filePath = await dataFetcher.getPredictionsData(year);
+    const { mtimeMs } = fs.statSync(filePath);
+
+    const cached = facilityCache[year];
+    if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.facilities;
+    }
+
+    const facilities = await parsePredictionsFile(filePath);
+    facilityCache[year] = { mtimeMs, facilities };
+    console.log(`✓ Parsed ${facilities.length} facilities for ${year}`);
+
+    return facilities;
+}
+
+// ============================================================================
+// Query Parameters
+// ============================================================================
+
+/**
+ * Parse and validate query string parameters for a facility query
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ params: Object, errors: Array<string> }}
+ */
+function parseQueryParams(query) {
+    const errors = [];
+    const params = {
+        sector: query.sector || '',
+        geoid: query.geoid || '',
+        pollutant: query.pollutant || '',
+        minEmissions: 0,
+        minRiskPercentile: 0,
+        bbox: null,
+        sort: 'risk_norm',
+        order: 'desc',
+        limit: DEFAULT_LIMIT,
+        offset: 0
+    };
+
+    if (query.minEmissions !== undefined) {
+        params.minEmissions = parseFloat(query.minEmissions);
+        if (isNaN(params.minEmissions)) errors.push('minEmissions must be a number');
+    }
+
+    if (query.minRiskPercentile !== undefined) {
+        params.minRiskPercentile = parseFloat(query.minRiskPercentile);
+        if (isNaN(params.minRiskPercentile)) errors.push('minRiskPercentile must be a number');
+    }
+
+    if (query.bbox !== undefined) {
+        // bbox=minLng,minLat,maxLng,maxLat
+        const parts = String(query.bbox).split(',').map(parseFloat);
+        if (parts.length !== 4 || parts.some(isNaN)) {
+            errors.push('bbox must be minLng,minLat,maxLng,maxLat');
+        } else {
+            const [minLng, minLat, maxLng, maxLat] = parts;
+            params.bbox = { minLng, minLat, maxLng, maxLat };
+        }
+    }
+
+    if (params.geoid && !/^\d{12}$/.test(params.geoid)) {
+        errors.push('geoid must be a 12-digit block group GEOID');
+    }
+
+    if (query.sort !== undefined) {
+        if (!SORTABLE_FIELDS.includes(query.sort)) {
+            errors.push(`sort must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+        } else {
+            params.sort = query.sort;
+        }
+    }
+
+    if (query.order !== undefined) {
+        if (query.order !== 'asc' && query.order !== 'desc') {
+            errors.push('order must be asc or desc');
+        } else {
+            params.order = query.order;
+        }
+    }
+
+    if (query.limit !== undefined) {
+        params.limit = parseInt(query.limit);
+        if (isNaN(params.limit) || params.limit < 1 || params.limit > MAX_LIMIT) {
+            errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+        }
+    }
+
+    if (query.offset !== undefined) {
+        params.offset = parseInt(query.offset);
+        if (isNaN(params.offset) || params.offset < 0) {
+            errors.push('offset must be a non-negative integer');
+        }
+    }
+
+    return { params, errors };
+}
+
+// ============================================================================
+// Filtering, Sorting and Pagination
+// ============================================================================
+
+/**
+ * Filter facilities (mirrors applyFilters() in public/app_common.js, plus bbox and GEOID)
+ */
+function filterFacilities(facilities, params) {
+    return facilities.filter(facility => {
+        if ((facility.total_emissions || 0) < params.minEmissions) return false;
+        if (params.sector && facility.sector !== params.sector) return false;
+        if ((facility.risk_percentile || 0) < params.minRiskPercentile) return false;
+        if (params.geoid && facility.GEOID10 !== params.geoid) return false;
+
+        if (params.bbox) {
+            const { minLng, minLat, maxLng, maxLat } = params.bbox;
+            if (facility.site_longitude < minLng || facility.site_longitude > maxLng) return false;
+            if (facility.site_latitude < minLat || facility.site_latitude > maxLat) return false;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Sort facilities by a field; missing values always sort last
+ */
+function sortFacilities(facilities, field, order) {
+    const direction = order === 'asc' ? 1 : -1;
+
+    return [...facilities].sort((a, b) => {
+        const aValue = a[field];
+        const bValue = b[field];
+
+        const aMissing = aValue === null || aValue === undefined || aValue === '';
+        const bMissing = bValue === null || bValue === undefined || bValue === '';
+        if (aMissing || bMissing) return aMissing - bMissing;
+
+        if (typeof aValue === 'string' || typeof bValue === 'string') {
+            return String(aValue).localeCompare(String(bValue)) * direction;
+        }
+        return (aValue - bValue) * direction;
+    });
+}
+
+/**
+ * Run a full query: filter, sort and paginate
+ *
+ * @param {Array<Object>} facilities - Facility records from loadFacilities()
+ * @param {Object} params - Parsed params from parseQueryParams()
+ * @returns {{ total: number, facilities: Array<Object> }}
+ */
+function queryFacilities(facilities, params) {
+    const filtered = filterFacilities(facilities, params);
+    const sorted = sortFacilities(filtered, params.sort, params.order);
+
+    return {
+        total: sorted.length,
+        facilities: sorted.slice(params.offset, params.offset + params.limit)
+    };
+}
+
+// ============================================================================
+// Year-over-Year Comparison
+// ============================================================================
+
+// Fields compared between years
+const TREND_FIELDS = ['risk_norm', 'risk_percentile', 'total_emissions'];
+
+/**
+ * Index facilities by facility_id
+ */
+function indexByFacilityId(facilities) {
+    const index = new Map();
+    facilities.forEach(facility => {
+        if (facility.facility_id) {
+            index.set(String(facility.facility_id), facility);
+        }
+    });
+    return index;
+}
+
+/**
+ * Pick the trend fields from a facility record
+ */
+function pickTrendFields(facility) {
+    const values = {};
+    TREND_FIELDS.forEach(field => {
+        values[field] = facility[field] ?? null;
+    });
+    return values;
+}
+
+/**
+ * Join two years of facilities on facility_id and compute deltas (to - from)
+ * Facilities present in only one year are included with a null side and null deltas
+ *
+ * @param {Array<Object>} fromFacilities - Facilities for the baseline year
+ * @param {Array<Object>} toFacilities - Facilities for the comparison year
+ * @returns {Array<Object>} - { facility_id, site_name, site_latitude, site_longitude, from, to, delta }
+ */
+function compareYears(fromFacilities, toFacilities) {
+    const fromIndex = indexByFacilityId(fromFacilities);
+    const toIndex = indexByFacilityId(toFacilities);
+    const facilityIds = new Set([...fromIndex.keys(), ...toIndex.keys()]);
+
+    return [...facilityIds].map(facilityId => {
+        const fromFacility = fromIndex.get(facilityId);
+        const toFacility = toIndex.get(facilityId);
+        const latest = toFacility || fromFacility;
+
+        const from = fromFacility ? pickTrendFields(fromFacility) : null;
+        const to = toFacility ? pickTrendFields(toFacility) : null;
+
+        const delta = {};
+        TREND_FIELDS.forEach(field => {
+            delta[field] = (from && to && from[field] !== null && to[field] !== null)
+                ? to[field] - from[field]
+                : null;
+        });
+
+        return {
+            facility_id: facilityId,
+            site_name: latest.site_name,
+            site_latitude: latest.site_latitude,
+            site_longitude: latest.site_longitude,
+            from,
+            to,
+            delta
+        };
+    });
+}
+
+/**
+ * Trend fields for one facility across several years
+ *
+ * @param {Object} facilitiesByYear - { year: Array<Object> } from loadFacilities()
+ * @param {string} facilityId - Facility to look up
+ * @returns {Array<Object>} - [{ year, risk_norm, risk_percentile, total_emissions }], oldest first
+ */
+function getFacilityTrend(facilitiesByYear, facilityId) {
+    return Object.keys(facilitiesByYear)
+        .map(year => parseInt(year))
+        .sort((a, b) => a - b)
+        .map(year => {
+            const facility = facilitiesByYear[year].find(f => String(f.facility_id) === String(facilityId));
+            return facility ? { year, ...pickTrendFields(facility) } : null;
+        })
+        .filter(entry => entry !== null);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+    loadFacilities,
+    parseQueryParams,
+    filterFacilities,
+    sortFacilities,
+    queryFacilities,
+    compareYears,
+    getFacilityTrend,
+    getNaicsSector,
+    getCountyName,
+    NAICS_SECTORS,
+    SORTABLE_FIELDS,
+    TREND_FIELDS,
+    PREDICTIONS_POLLUTANT,
+    MAX_LIMIT
+};
@@ -0,0 +1,288 @@
+/**
+ * GEOID Report Module - Census block group equity reports
+ *
+ * Combines facility aggregates for one block group (from facilityQuery) with
+ * ADI national/state ranks for every available ADI year and the same summary
+ * for neighboring block groups (polygons sharing a boundary vertex).
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const dataFetcher = require('./dataFetcher');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Facilities with risk_norm above this count as high risk (same as the map popups)
+const HIGH_RISK_THRESHOLD = 0.6;
+
+// Coordinate precision used to match shared vertices between polygons
+const VERTEX_PRECISION = 6;
+
+// Parsed ADI ranks cached by year: { year: { mtimeMs, ranks: Map<geoid, { natRank, stateRank }> } }
+const adiCache = {};
+
+// Block group adjacency cached by boundary file mtime: { mtimeMs, neighbors: Map<geoid, Set<geoid>> }
+let adjacencyCache = null;
+
+// ============================================================================
+// ADI Ranks
+// ============================================================================
+
+/**
+ * Parse an ADI CSV into a Map of GEOID -> ranks
+ * Suppressed ranks (e.g. "GQ", "PH") are kept as null
+ */
+function parseAdiFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const ranks = new Map();
+
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on('data', (row) => {
+                // Support FIPS, geoid10, or GEOID column names (same as the client)
+                const geoid = row.FIPS || row.geoid10 || row.GEOID;
+                if (!geoid) return;
+
+                const natRank = parseInt(row.ADI_NATRANK);
+                const stateRank = parseInt(row.ADI_STATERNK);
+                ranks.set(String(geoid).padStart(12, '0'), {
+                    natRank: isNaN(natRank) ? null : natRank,
+                    stateRank: isNaN(stateRank) ? null : stateRank
+                });
+            })
+            .on('end', () => resolve(ranks))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Load ADI ranks for a year, re-parsing only when the cached file changes
+ */
+async function loadAdiRanks(year) {
+    const filePath = await dataFetcher.getAdiData(year);
+    const { mtimeMs } = fs.statSync(filePath);
+
+    const cached = adiCache[year];
+    if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.ranks;
+    }
+
+    const ranks = await parseAdiFile(filePath);
+    adiCache[year] = { mtimeMs, ranks };
+    console.log(`✓ Parsed ${ranks.size} ADI records for ${year}`);
+
+    return ranks;
+}
+
+/**
+ * ADI ranks for a set of GEOIDs across every available ADI year
+ * Years that fail to load are skipped
+ *
+ * @param {Array<string>} geoids - Block group GEOIDs
+ * @returns {Promise<Object>} - { geoid: [{ year, natRank, stateRank }] }, most recent year first
+ */
+async function getAdiHistory(geoids) {
+    const years = await dataFetcher.listAdiYears();
+    const history = {};
+    geoids.forEach(geoid => { history[geoid] = []; });
+
+    for (const year of years) {
+        let ranks;
+        try {
+            ranks = await loadAdiRanks(year);
+        } catch (error) {
+            console.warn(`Warning: Skipping ADI ${year} in report: ${error.message}`);
+            continue;
+        }
+
+        geoids.forEach(geoid => {
+            const rank = ranks.get(geoid);
+            if (rank) {
+                history[geoid].push({ year, ...rank });
+            }
+        });
+    }
+
+    return history;
+}
+
+// ============================================================================
+// Neighboring Block Groups
+// ============================================================================
+
+/**
+ * Iterate over every vertex of a Polygon or MultiPolygon geometry
+ */
+function forEachVertex(geometry, callback) {
+    if (!geometry) return;
+
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : geometry.type === 'Polygon' ? [geometry.coordinates]
+        : [];
+
+    polygons.forEach(rings => rings.forEach(ring => ring.forEach(callback)));
+}
+
+/**
+ * Build block group adjacency from the boundaries GeoJSON
+ * Two block groups are neighbors when their polygons share a vertex (queen contiguity)
+ */
+function buildAdjacency(geojson) {
+    const geoidsByVertex = new Map();
+
+    geojson.features.forEach(feature => {
+        const geoid = feature.properties && feature.properties.GEOID10;
+        if (!geoid) return;
+
+        forEachVertex(feature.geometry, ([lng, lat]) => {
+            const key = `${lng.toFixed(VERTEX_PRECISION)},${lat.toFixed(VERTEX_PRECISION)}`;
+            let geoids = geoidsByVertex.get(key);
+            if (!geoids) {
+                geoids = new Set();
+                geoidsByVertex.set(key, geoids);
+            }
+            geoids.add(String(geoid));
+        });
+    });
+
+    const neighbors = new Map();
+    geoidsByVertex.forEach(geoids => {
+        if (geoids.size < 2) return;
+        geoids.forEach(geoid => {
+            if (!neighbors.has(geoid)) neighbors.set(geoid, new Set());
+            geoids.forEach(other => {
+                if (other !== geoid) neighbors.get(geoid).add(other);
+            });
+        });
+    });
+
+    return neighbors;
+}
+
+/**
+ * Load block group adjacency, rebuilding only when the boundary file changes
+ */
+async function loadAdjacency() {
+    const filePath = await dataFetcher.getBoundaryData('block_groups');
+    const { mtimeMs } = fs.statSync(filePath);
+
+    if (adjacencyCache && adjacencyCache.mtimeMs === mtimeMs) {
+        return adjacencyCache.neighbors;
+    }
+
+    const geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const neighbors = buildAdjacency(geojson);
+    adjacencyCache = { mtimeMs, neighbors };
+    console.log(`✓ Built block group adjacency for ${neighbors.size} block groups`);
+
+    return neighbors;
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+/**
+ * Aggregate facilities in one block group
+ * Same fields as aggregateFacilitiesByGeoid() in public/app_common.js
+ */
+function aggregateFacilities(facilities) {
+    const stats = {
+        totalEmissions: 0,
+        totalFacilities: facilities.length,
+        highRisk: 0,
+        avgRiskScore: null
+    };
+
+    let totalRiskScore = 0;
+    let riskScoreCount = 0;
+
+    facilities.forEach(facility => {
+        stats.totalEmissions += facility.total_emissions || 0;
+
+        if (facility.risk_norm !== null && facility.risk_norm !== undefined) {
+            totalRiskScore += facility.risk_norm;
+            riskScoreCount++;
+            if (facility.risk_norm > HIGH_RISK_THRESHOLD) {
+                stats.highRisk++;
+            }
+        }
+    });
+
+    if (riskScoreCount > 0) {
+        stats.avgRiskScore = totalRiskScore / riskScoreCount;
+    }
+
+    return stats;
+}
+
+/**
+ * Group facilities by GEOID10
+ */
+function groupByGeoid(facilities) {
+    const groups = new Map();
+    facilities.forEach(facility => {
+        if (!facility.GEOID10) return;
+        const geoid = facility.GEOID10.padStart(12, '0');
+        if (!groups.has(geoid)) groups.set(geoid, []);
+        groups.get(geoid).push(facility);
+    });
+    return groups;
+}
+
+/**
+ * Build the equity report for one block group
+ *
+ * @param {string} geoid - 12-digit block group GEOID
+ * @param {Array<Object>} facilities - Facility records from facilityQuery.loadFacilities()
+ * @returns {Promise<Object>} - { geoid, aggregates, facilities, adi, neighbors, neighborsAvailable }
+ */
+async function buildGeoidReport(geoid, facilities) {
+    const facilitiesByGeoid = groupByGeoid(facilities);
+
+    // Neighbors are best-effort: the report is still useful without boundaries
+    let neighborGeoids = [];
+    let neighborsAvailable = true;
+    try {
+        const adjacency = await loadAdjacency();
+        neighborGeoids = [...(adjacency.get(geoid) || [])].sort();
+    } catch (error) {
+        console.warn(`Warning: Block group boundaries unavailable for report: ${error.message}`);
+        neighborsAvailable = false;
+    }
+
+    const adiHistory = await getAdiHistory([geoid, ...neighborGeoids]);
+    const ownFacilities = facilitiesByGeoid.get(geoid) || [];
+
+    return {
+        geoid,
+        aggregates: aggregateFacilities(ownFacilities),
+        facilities: ownFacilities
+            .map(facility => ({
+                facility_id: facility.facility_id,
+                site_name: facility.site_name,
+                sector: facility.sector,
+                total_emissions: facility.total_emissions,
+                risk_norm: facility.risk_norm,
+                equity_weighted_risk_norm: facility.equity_weighted_risk_norm
+            }))
+            .sort((a, b) => (b.risk_norm || 0) - (a.risk_norm || 0)),
+        adi: adiHistory[geoid],
+        neighborsAvailable,
+        neighbors: neighborGeoids.map(neighbor => ({
+            geoid: neighbor,
+            aggregates: aggregateFacilities(facilitiesByGeoid.get(neighbor) || []),
+            adi: adiHistory[neighbor]
+        }))
+    };
+}
+
+module.exports = {
+    buildGeoidReport,
+    buildAdjacency,
+    aggregateFacilities,
+    loadAdiRanks,
+    HIGH_RISK_THRESHOLD
+};
@@ -0,0 +1,129 @@
+/**
+ * Nearby Communities Module - Block groups around a facility
+ *
+ * Answers "which communities live near this facility?": every block group
+ * within COMMUNITY_RADII_KM of the facility (distance to the nearest edge of
+ * the block group, 0 when the facility is inside it), with its ADI ranks and
+ * the combined burden of the other high-risk facilities near it.
+ * Block groups come from the same boundary file as /api/boundaries/block_groups.
+ */
+
+const dataFetcher = require('./dataFetcher');
+const geoidReport = require('./geoidReport');
+const areaSelection = require('./areaSelection');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Distance bands reported for each facility (km)
+const COMMUNITY_RADII_KM = [1, 3, 5];
+
+// Other high-risk facilities this close to a block group add to its burden
+const BURDEN_RADIUS_METERS = 5000;
+
+// ============================================================================
+// Burden
+// ============================================================================
+
+/**
+ * Combined burden of other high-risk facilities near a block group
+ *
+ * @param {Object} blockGroup - From areaSelection.parseBlockGroups()
+ * @param {Array<Object>} highRisk - [{ facility, point }] of high-risk facilities (excluding the one being viewed)
+ * @returns {Object} - { facilities, totalEmissions, riskSum }
+ */
+function getBlockGroupBurden(blockGroup, highRisk) {
+    const [west, south, east, north] = blockGroup.bbox;
+    const padded = [
+        ...areaSelection.getPaddedBbox([west, south], BURDEN_RADIUS_METERS).slice(0, 2),
+        ...areaSelection.getPaddedBbox([east, north], BURDEN_RADIUS_METERS).slice(2)
+    ];
+
+    const burden = { facilities: 0, totalEmissions: 0, riskSum: 0 };
+    highRisk.forEach(({ facility, point }) => {
+        if (!areaSelection.bboxesOverlap(padded, [...point, ...point])) return;
+        if (areaSelection.distanceToPolygonsMeters(point, blockGroup.polygons) > BURDEN_RADIUS_METERS) return;
+
+        burden.facilities++;
+        burden.totalEmissions += facility.total_emissions || 0;
+        burden.riskSum += facility.risk_norm;
+    });
+
+    return burden;
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+/**
+ * Block groups within COMMUNITY_RADII_KM of a facility
+ *
+ * @param {Object} facility - Record from facilityQuery.loadFacilities()
+ * @param {Array<Object>} facilities - All records for the same year (for the burden of other facilities)
+ * @param {Object} options - { adiYear } (defaults to the most recent ADI year)
+ * @returns {Promise<Object>} - { facility, adiYear, radiiKm, rings, communities }
+ */
+async function buildNearbyCommunities(facility, facilities, { adiYear = null } = {}) {
+    const origin = [facility.site_longitude, facility.site_latitude];
+    const maxRadius = COMMUNITY_RADII_KM[COMMUNITY_RADII_KM.length - 1] * 1000;
+
+    const year = adiYear || (await dataFetcher.listAdiYears())[0];
+    const ranks = year ? await geoidReport.loadAdiRanks(year) : new Map();
+    const blockGroups = await areaSelection.loadBlockGroups();
+
+    const searchBbox = areaSelection.getPaddedBbox(origin, maxRadius);
+    const nearby = blockGroups
+        .filter(blockGroup => areaSelection.bboxesOverlap(searchBbox, blockGroup.bbox))
+        .map(blockGroup => ({ blockGroup, distance: areaSelection.distanceToPolygonsMeters(origin, blockGroup.polygons) }))
+        .filter(({ distance }) => distance <= maxRadius)
+        .sort((a, b) => a.distance - b.distance);
+
+    const highRisk = facilities
+        .filter(other => String(other.facility_id) !== String(facility.facility_id)
+            && other.risk_norm > geoidReport.HIGH_RISK_THRESHOLD
+            && other.site_longitude !== null && other.site_latitude !== null)
+        .map(other => ({ facility: other, point: [other.site_longitude, other.site_latitude] }));
+
+    const communities = nearby.map(({ blockGroup, distance }) => {
+        const rank = ranks.get(blockGroup.geoid) || { natRank: null, stateRank: null };
+        return {
+            geoid: blockGroup.geoid,
+            distance: Math.round(distance),
+            withinKm: COMMUNITY_RADII_KM.find(radius => distance <= radius * 1000),
+            natRank: rank.natRank,
+            stateRank: rank.stateRank,
+            population: blockGroup.population,
+            burden: getBlockGroupBurden(blockGroup, highRisk)
+        };
+    });
+
+    // Summary per radius (cumulative: the 3 km ring includes the 1 km block groups)
+    const rings = COMMUNITY_RADII_KM.map(radius => {
+        const inside = nearby.filter(({ distance }) => distance <= radius * 1000).map(({ blockGroup }) => blockGroup);
+        const { weighting, count, ranked, natRank, stateRank } = areaSelection.summarizeAdi(inside, ranks);
+        return { radiusKm: radius, count, ranked, weighting, natRank, stateRank };
+    });
+
+    return {
+        facility: {
+            facility_id: facility.facility_id,
+            site_name: facility.site_name,
+            site_latitude: facility.site_latitude,
+            site_longitude: facility.site_longitude
+        },
+        adiYear: year ? parseInt(year) : null,
+        radiiKm: COMMUNITY_RADII_KM,
+        burdenRadiusKm: BURDEN_RADIUS_METERS / 1000,
+        rings,
+        communities
+    };
+}
+
+module.exports = {
+    buildNearbyCommunities,
+    getBlockGroupBurden,
+    COMMUNITY_RADII_KM,
+    BURDEN_RADIUS_METERS
+};
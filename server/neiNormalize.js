@@ -0,0 +1,202 @@
+/**
+ * NEI Normalize Module - Rewrite NEI facility summaries to one canonical schema
+ *
+ * Uploaded files may use any of the column spellings accepted by
+ * neiValidation.validateColumns(). On ingest they are rewritten to:
+ *   - {year}_NEI_Facility_summary.csv  - CANONICAL_COLUMNS in order, typed values
+ *   - {year}_NEI_Facility_summary.json - compact sidecar:
+ *       { schemaVersion, year, columns: [{ name, type }], rows: [[...], ...], rowCount }
+ *
+ * Columns not in CANONICAL_COLUMNS are dropped; optional columns missing from
+ * the upload are written as empty (CSV) or null (JSON).
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const csv = require('csv-parser');
+const { COLUMN_VARIATIONS } = require('./neiValidation');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SCHEMA_VERSION = 1;
+
+// Canonical column set, in output order
+// type: 'string' (trimmed), 'code' (trimmed, upper case), 'naics' (digits only), 'number'
+const CANONICAL_COLUMNS = [
+    { name: 'state', type: 'code', variations: COLUMN_VARIATIONS['state'] },
+    { name: 'fips_code', type: 'string', variations: ['fips code', 'fips_code', 'fips'] },
+    { name: 'county', type: 'string', variations: ['county', 'county name', 'county_name'] },
+    { name: 'eis_facility_id', type: 'string', variations: COLUMN_VARIATIONS['eis facility id'] },
+    { name: 'company_name', type: 'string', variations: ['company name', 'company_name'] },
+    { name: 'site_name', type: 'string', variations: ['site name', 'site_name', 'facility name', 'facility_name'] },
+    { name: 'primary_naics_code', type: 'naics', variations: COLUMN_VARIATIONS['primary naics code'] },
+    { name: 'primary_naics_description', type: 'string', variations: COLUMN_VARIATIONS['primary naics description'] },
+    { name: 'facility_source_type', type: 'string', variations: ['facility source type', 'facility_source_type'] },
+    { name: 'site_latitude', type: 'number', variations: COLUMN_VARIATIONS['site latitude'] },
+    { name: 'site_longitude', type: 'number', variations: COLUMN_VARIATIONS['site longitude'] },
+    { name: 'address', type: 'string', variations: ['address', 'street address', 'street_address', 'site address'] },
+    { name: 'city', type: 'string', variations: ['city'] },
+    { name: 'zip_code', type: 'string', variations: ['zip code', 'zip_code', 'site zipcode', 'site_zipcode', 'zipcode', 'zip'] },
+    { name: 'pollutant_code', type: 'code', variations: COLUMN_VARIATIONS['pollutant code'] },
+    { name: 'pollutant_desc', type: 'string', variations: ['pollutant desc', 'pollutant_desc', 'pollutant description'] },
+    { name: 'total_emissions', type: 'number', variations: COLUMN_VARIATIONS['total emissions'] },
+    { name: 'emissions_uom', type: 'code', variations: ['emissions uom', 'emissions_uom', 'uom'] }
+];
+
+const CANONICAL_HEADER = CANONICAL_COLUMNS.map(column => column.name);
+
+// ============================================================================
+// Column Mapping
+// ============================================================================
+
+/**
+ * Match CSV headers to canonical columns
+ *
+ * @returns {Object} - { canonicalName: header } for every column found
+ */
+function mapColumns(headers) {
+    const headersLower = headers.map(h => h.trim().toLowerCase());
+    const mapping = {};
+
+    CANONICAL_COLUMNS.forEach(column => {
+        const variant = column.variations.find(v => headersLower.includes(v));
+        if (variant) {
+            mapping[column.name] = headers[headersLower.indexOf(variant)];
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Convert one cell to its canonical type; empty or unparseable values become null
+ */
+function normalizeValue(value, type) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (text === '') return null;
+
+    switch (type) {
+        case 'number': {
+            const number = Number(text);
+            return isNaN(number) ? null : number;
+        }
+        case 'code':
+            return text.toUpperCase();
+        case 'naics':
+            // Spreadsheet exports write NAICS codes as "221112.0"
+            return text.replace(/\.0+$/, '');
+        default:
+            return text;
+    }
+}
+
+/**
+ * Convert a parsed CSV row to canonical values, in CANONICAL_COLUMNS order
+ */
+function normalizeRow(row, mapping) {
+    return CANONICAL_COLUMNS.map(column => {
+        const header = mapping[column.name];
+        return header === undefined ? null : normalizeValue(row[header], column.type);
+    });
+}
+
+// ============================================================================
+// File Rewrite
+// ============================================================================
+
+function escapeCsvValue(value) {
+    const text = value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ */
+async function writeChunk(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+async function closeStream(stream) {
+    stream.end();
+    await once(stream, 'finish');
+}
+
+/**
+ * Resolve once a destroyed (errored) stream has released its file handle
+ */
+function waitForClose(stream) {
+    return new Promise(resolve => {
+        if (stream.closed) resolve();
+        else stream.once('close', resolve);
+    });
+}
+
+/**
+ * Rewrite an NEI CSV to the canonical CSV and JSON sidecar
+ *
+ * Reads the source in one streaming pass; callers write to temporary paths
+ * and rename them into place.
+ *
+ * @param {string} sourcePath - Validated NEI CSV (any accepted column spelling)
+ * @param {string} csvPath - Canonical CSV output
+ * @param {string} jsonPath - JSON sidecar output
+ * @param {string} year - Data year, recorded in the sidecar
+ * @returns {Promise<Object>} - { rowCount, mappedColumns }
+ */
+async function normalizeNeiFile(sourcePath, csvPath, jsonPath, year) {
+    const csvOut = fs.createWriteStream(csvPath);
+    const jsonOut = fs.createWriteStream(jsonPath);
+    const input = fs.createReadStream(sourcePath);
+    const source = input.pipe(csv());
+
+    // pipe() doesn't forward read errors - without this a missing file leaves the loop below waiting forever
+    input.on('error', error => source.destroy(error));
+
+    let mapping = null;
+    source.once('headers', headers => {
+        mapping = mapColumns(headers);
+    });
+
+    let rowCount = 0;
+    try {
+        await writeChunk(csvOut, CANONICAL_HEADER.join(',') + '\n');
+        await writeChunk(jsonOut, JSON.stringify({
+            schemaVersion: SCHEMA_VERSION,
+            year: String(year),
+            columns: CANONICAL_COLUMNS.map(({ name, type }) => ({ name, type: type === 'number' ? 'number' : 'string' }))
+        }).slice(0, -1) + ',"rows":[');
+
+        for await (const row of source) {
+            const values = normalizeRow(row, mapping);
+            await writeChunk(csvOut, values.map(escapeCsvValue).join(',') + '\n');
+            await writeChunk(jsonOut, (rowCount > 0 ? ',\n' : '\n') + JSON.stringify(values));
+            rowCount++;
+        }
+
+        await writeChunk(jsonOut, `\n],"rowCount":${rowCount}}\n`);
+    } catch (error) {
+        // Release every file handle; the caller removes the partial outputs
+        input.destroy();
+        source.destroy();
+        await Promise.allSettled([csvOut, jsonOut].map(stream => stream.destroyed ? waitForClose(stream) : closeStream(stream)));
+        throw error;
+    }
+
+    await Promise.all([closeStream(csvOut), closeStream(jsonOut)]);
+
+    return { rowCount, mappedColumns: mapping || {} };
+}
+
+module.exports = {
+    normalizeNeiFile,
+    normalizeRow,
+    normalizeValue,
+    mapColumns,
+    CANONICAL_COLUMNS,
+    CANONICAL_HEADER,
+    SCHEMA_VERSION
+};
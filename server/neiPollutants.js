@@ -0,0 +1,172 @@
+/**
+ * NEI Pollutants Module - Per-pollutant facility emissions from the active NEI version
+ *
+ * The predictions pipeline is NOx-only, but NEI summaries report every
+ * pollutant (SO2, PM25-PRI, VOC, ...). This module indexes a year's canonical
+ * NEI CSV by pollutant so facility queries and the dashboard can switch
+ * pollutants. Emissions are joined to predictions on facility_id = eis_facility_id.
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const neiVersions = require('./neiVersions');
+const { PREDICTIONS_POLLUTANT } = require('./facilityQuery');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Parsed NEI years: { year: { fileKey, pollutants } }
+const pollutantCache = {};
+
+// applyPollutant() results: facilities -> (emissions -> facilities), so cached inputs give a cached result
+const appliedCache = new WeakMap();
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Value at a percentile (0-1) of a sorted array
+ */
+function percentile(sortedValues, fraction) {
+    if (sortedValues.length === 0) return null;
+    const index = Math.min(sortedValues.length - 1, Math.floor(fraction * sortedValues.length));
+    return sortedValues[index];
+}
+
+/**
+ * Parse a canonical NEI CSV into per-pollutant facility emissions
+ *
+ * @returns {Promise<Map>} - pollutant_code -> { description, uom, emissions: Map(facilityId -> amount) }
+ */
+async function parseNeiFile(filePath) {
+    const pollutants = new Map();
+
+    for await (const row of fs.createReadStream(filePath).pipe(csv())) {
+        const amount = parseFloat(row.total_emissions);
+        if (!row.pollutant_code || !row.eis_facility_id || isNaN(amount)) continue;
+
+        let pollutant = pollutants.get(row.pollutant_code);
+        if (!pollutant) {
+            pollutant = { description: row.pollutant_desc || null, uom: row.emissions_uom || null, emissions: new Map() };
+            pollutants.set(row.pollutant_code, pollutant);
+        }
+        pollutant.emissions.set(row.eis_facility_id, amount);
+    }
+
+    return pollutants;
+}
+
+/**
+ * Load a year's pollutants, re-parsing only when the active version changes
+ *
+ * @param {string} year - NEI year
+ * @returns {Promise<Map|null>} - See parseNeiFile(), or null if the year has no NEI data
+ */
+async function loadPollutants(year) {
+    await neiVersions.ensureVersioned(year);
+
+    const filePath = neiVersions.getActivePath(year);
+    if (!fs.existsSync(filePath)) {
+        delete pollutantCache[year];
+        return null;
+    }
+
+    // The active file is a link to a version, so a rollback can bring back an older mtime
+    const { mtimeMs, ino } = fs.statSync(filePath);
+    const fileKey = `${ino}:${mtimeMs}`;
+    const cached = pollutantCache[year];
+    if (cached && cached.fileKey === fileKey) {
+        return cached.pollutants;
+    }
+
+    const pollutants = await parseNeiFile(filePath);
+    pollutantCache[year] = { fileKey, pollutants };
+    console.log(`✓ Indexed ${pollutants.size} pollutants for NEI ${year}`);
+
+    return pollutants;
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * Summary of each pollutant reported in a year, most widely reported first
+ * p50/p90/max describe the per-facility distribution, for scaling thresholds and markers.
+ *
+ * @returns {Promise<Array<Object>|null>} - [{ code, description, uom, facilityCount, totalEmissions, p50, p90, max }]
+ */
+async function listPollutants(year) {
+    const pollutants = await loadPollutants(year);
+    if (!pollutants) return null;
+
+    return [...pollutants.entries()]
+        .map(([code, pollutant]) => {
+            const values = [...pollutant.emissions.values()].sort((a, b) => a - b);
+            return {
+                code,
+                description: pollutant.description,
+                uom: pollutant.uom,
+                facilityCount: values.length,
+                totalEmissions: values.reduce((sum, value) => sum + value, 0),
+                p50: percentile(values, 0.5),
+                p90: percentile(values, 0.9),
+                max: values[values.length - 1]
+            };
+        })
+        .sort((a, b) => b.facilityCount - a.facilityCount || a.code.localeCompare(b.code));
+}
+
+/**
+ * Emissions of one pollutant per facility
+ *
+ * @returns {Promise<Object|null>} - { code, description, uom, emissions: Map(facilityId -> amount) },
+ *                                   null if the year has no NEI data or doesn't report the pollutant
+ */
+async function getPollutantEmissions(year, pollutantCode) {
+    const pollutants = await loadPollutants(year);
+    const pollutant = pollutants && pollutants.get(pollutantCode);
+    return pollutant ? { code: pollutantCode, ...pollutant } : null;
+}
+
+/**
+ * Re-express predictions facilities in terms of another pollutant
+ * Facilities that didn't report it are dropped; total_emissions becomes the
+ * pollutant's amount. Risk fields still come from the NOx model.
+ * The same inputs return the same array (callers must not modify it), which
+ * lets the burden index cache by input identity.
+ *
+ * @param {Array<Object>} facilities - Records from facilityQuery.loadFacilities()
+ * @param {Object} pollutant - From getPollutantEmissions()
+ * @returns {Array<Object>}
+ */
+function applyPollutant(facilities, pollutant) {
+    let byEmissions = appliedCache.get(facilities);
+    if (!byEmissions) {
+        byEmissions = new WeakMap();
+        appliedCache.set(facilities, byEmissions);
+    }
+
+    let applied = byEmissions.get(pollutant.emissions);
+    if (!applied) {
+        applied = facilities
+            .filter(facility => pollutant.emissions.has(String(facility.facility_id)))
+            .map(facility => ({
+                ...facility,
+                pollutant: pollutant.code,
+                total_emissions: pollutant.emissions.get(String(facility.facility_id))
+            }));
+        byEmissions.set(pollutant.emissions, applied);
+    }
+    return applied;
+}
+
+module.exports = {
+    loadPollutants,
+    listPollutants,
+    getPollutantEmissions,
+    applyPollutant,
+    PREDICTIONS_POLLUTANT
+};
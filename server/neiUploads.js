@@ -0,0 +1,305 @@
+/**
+ * NEI Uploads Module - Resumable chunked uploads (tus-style)
+ *
+ * Protocol (routes in server.js):
+ *   POST   /api/nei/uploads              { year, filename } + Upload-Length header -> 201, Location
+ *   HEAD   /api/nei/uploads/:uploadId    -> Upload-Offset, Upload-Length
+ *   GET    /api/nei/uploads/:uploadId    -> upload state, including status and result
+ *   PATCH  /api/nei/uploads/:uploadId    Upload-Offset header + chunk body -> 204 (result when complete)
+ *   DELETE /api/nei/uploads/:uploadId    -> abort, or discard a finished upload
+ *
+ * Chunks are appended to data/nei/uploads/{uploadId}.part; the bytes on disk
+ * are the source of truth for the offset, so a client that loses its
+ * connection asks for the offset and continues from there. The first chunk
+ * must contain the whole header row, which is checked before anything else
+ * is accepted.
+ *
+ * The last chunk moves the upload to "processing" while the file is validated
+ * and stored, then to "complete" with the response it produced. The record
+ * (without the .part file) stays until the client deletes it or it expires,
+ * so a client that lost the response can still GET the result.
+ * Uploads still "processing" when the server starts were interrupted by a
+ * crash or restart and are completed with an error result.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { once } = require('events');
+const csv = require('csv-parser');
+const neiValidation = require('./neiValidation');
+const neiVersions = require('./neiVersions');
+const validation = require('./validation');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const UPLOADS_DIR = path.join(neiVersions.NEI_DIR, 'uploads');
+
+// Largest accepted file and chunk
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024 * 1024;
+const MAX_CHUNK_BYTES = 16 * 1024 * 1024;
+
+// Unfinished uploads and unread results are removed after a day without activity
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const UPLOAD_STATUS = {
+    uploading: 'uploading',
+    processing: 'processing',
+    complete: 'complete'
+};
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+class NeiUploadError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} status - HTTP status for the API response
+     * @param {Object} details - Extra fields for the response body
+     */
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'NeiUploadError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ============================================================================
+// Upload Sessions
+// ============================================================================
+
+function getPartPath(uploadId) {
+    return validation.resolveWithin(UPLOADS_DIR, `${validation.parseUploadId(uploadId)}.part`);
+}
+
+function getMetaPath(uploadId) {
+    return validation.resolveWithin(UPLOADS_DIR, `${validation.parseUploadId(uploadId)}.json`);
+}
+
+function readMeta(uploadId) {
+    return JSON.parse(fs.readFileSync(getMetaPath(uploadId), 'utf8'));
+}
+
+function writeMeta(meta) {
+    fs.writeFileSync(getMetaPath(meta.uploadId), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Remove uploads that haven't received a chunk (or been finished) within UPLOAD_TTL_MS
+ */
+function pruneExpiredUploads() {
+    if (!fs.existsSync(UPLOADS_DIR)) return;
+
+    fs.readdirSync(UPLOADS_DIR)
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => {
+            const uploadId = path.basename(name, '.json');
+            const partPath = path.join(UPLOADS_DIR, `${uploadId}.part`);
+            const lastActivity = fs.existsSync(partPath)
+                ? fs.statSync(partPath).mtimeMs
+                : fs.statSync(path.join(UPLOADS_DIR, name)).mtimeMs;
+            if (Date.now() - lastActivity > UPLOAD_TTL_MS) {
+                removeUpload(uploadId);
+            }
+        });
+}
+
+/**
+ * Start a new upload
+ *
+ * @param {Object} options - { year, filename, size, createdBy }
+ * @returns {Object} - Upload state ({ uploadId, year, filename, size, offset, ... })
+ */
+function createUpload({ year, filename, size, createdBy }) {
+    if (!Number.isSafeInteger(size) || size <= 0) {
+        throw new NeiUploadError('Upload-Length must be a positive integer');
+    }
+    if (size > MAX_UPLOAD_BYTES) {
+        throw new NeiUploadError(`Upload-Length exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB limit`, 413);
+    }
+
+    pruneExpiredUploads();
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+    const uploadId = crypto.randomBytes(8).toString('hex');
+    const meta = {
+        uploadId,
+        year: String(year),
+        filename: filename || `${year}_NEI_Facility_summary.csv`,
+        size,
+        status: UPLOAD_STATUS.uploading,
+        createdBy: createdBy || null,
+        createdAt: new Date().toISOString()
+    };
+
+    writeMeta(meta);
+    fs.writeFileSync(getPartPath(uploadId), '');
+    return { ...meta, offset: 0 };
+}
+
+/**
+ * Current state of an upload, or null if it doesn't exist
+ */
+function getUpload(uploadId) {
+    const metaPath = getMetaPath(uploadId);
+    const partPath = getPartPath(uploadId);
+    if (!fs.existsSync(metaPath)) return null;
+
+    const meta = readMeta(uploadId);
+    if (meta.status === UPLOAD_STATUS.complete) {
+        return { ...meta, offset: meta.size };
+    }
+    if (!fs.existsSync(partPath)) return null;
+    return { ...meta, offset: fs.statSync(partPath).size };
+}
+
+/**
+ * Record the response a finished upload produced and drop its received bytes
+ *
+ * @param {Object} outcome - { status, body } sent for the last chunk
+ */
+function finishUpload(uploadId, outcome) {
+    fs.rmSync(getPartPath(uploadId), { force: true });
+    writeMeta({ ...readMeta(uploadId), status: UPLOAD_STATUS.complete, completedAt: new Date().toISOString(), result: outcome });
+}
+
+function removeUpload(uploadId) {
+    fs.rmSync(getPartPath(uploadId), { force: true });
+    fs.rmSync(getMetaPath(uploadId), { force: true });
+}
+
+/**
+ * Fail uploads left in "processing" by a server that stopped mid-processing
+ *
+ * Processing only happens inside the request for the last chunk, so at startup
+ * nothing can still be working on them. They are completed with an error
+ * result, which the client reads and can then delete before uploading again.
+ *
+ * @returns {Array<string>} - IDs of the uploads that were failed
+ */
+function failInterruptedUploads() {
+    if (!fs.existsSync(UPLOADS_DIR)) return [];
+
+    return fs.readdirSync(UPLOADS_DIR)
+        .filter(name => name.endsWith('.json'))
+        .map(name => path.basename(name, '.json'))
+        .filter(uploadId => {
+            let meta;
+            try {
+                meta = readMeta(uploadId);
+            } catch (error) {
+                return false;
+            }
+            if (meta.status !== UPLOAD_STATUS.processing) return false;
+
+            finishUpload(uploadId, {
+                status: 500,
+                body: {
+                    error: 'Upload processing was interrupted',
+                    message: 'The server stopped while this upload was being validated and stored. Upload the file again.'
+                }
+            });
+            console.warn(`⚠️  Failed upload ${uploadId} (interrupted while processing)`);
+            return true;
+        });
+}
+
+// Nothing is processing when the server starts
+failInterruptedUploads();
+
+// ============================================================================
+// Chunks
+// ============================================================================
+
+/**
+ * Check the header row of the first chunk against the required NEI columns
+ */
+async function validateHeaderChunk(chunk, size) {
+    const newline = chunk.indexOf('\n');
+    if (newline === -1 && chunk.length < size) {
+        throw new NeiUploadError('The first chunk must contain the whole header row');
+    }
+
+    const headerLine = chunk.subarray(0, newline === -1 ? chunk.length : newline).toString('utf8');
+    const parser = Readable.from([headerLine + '\n']).pipe(csv());
+    const [headers] = await Promise.race([once(parser, 'headers'), once(parser, 'end').then(() => [[]])]);
+    parser.destroy();
+
+    const columnCheck = neiValidation.validateColumns(headers);
+    if (!columnCheck.valid) {
+        throw new NeiUploadError('Missing required columns', 422, {
+            missingColumns: columnCheck.missingColumns,
+            requiredColumns: neiValidation.REQUIRED_COLUMNS,
+            foundColumns: columnCheck.foundColumns
+        });
+    }
+}
+
+/**
+ * Append a chunk at the given offset
+ *
+ * @param {string} uploadId - Upload to append to
+ * @param {number} offset - Upload-Offset sent by the client; must match the bytes received so far
+ * @param {Buffer} chunk - Chunk body
+ * @returns {Promise<Object>} - Upload state after the append (complete when offset === size)
+ */
+async function appendChunk(uploadId, offset, chunk) {
+    const upload = getUpload(uploadId);
+    if (!upload) {
+        throw new NeiUploadError('Upload not found or expired', 404);
+    }
+    if (upload.offset === upload.size) {
+        throw new NeiUploadError('Upload is already complete', 409, { offset: upload.offset, status: upload.status });
+    }
+    if (offset !== upload.offset) {
+        throw new NeiUploadError(`Upload-Offset ${offset} does not match the ${upload.offset} bytes received`, 409, { offset: upload.offset });
+    }
+    if (upload.offset + chunk.length > upload.size) {
+        throw new NeiUploadError('Chunk extends past Upload-Length', 400, { offset: upload.offset });
+    }
+
+    if (offset === 0) {
+        try {
+            await validateHeaderChunk(chunk, upload.size);
+        } catch (error) {
+            // A file with the wrong columns can't be fixed by resuming
+            if (error.status === 422) removeUpload(uploadId);
+            throw error;
+        }
+    }
+
+    // Another request may have appended while the header was being checked
+    const current = getUpload(uploadId);
+    if (!current || current.offset !== offset) {
+        throw new NeiUploadError('Upload changed during the request', 409, { offset: current ? current.offset : null });
+    }
+
+    fs.appendFileSync(getPartPath(uploadId), chunk);
+    const updated = { ...upload, offset: upload.offset + chunk.length };
+    const complete = updated.offset === updated.size;
+    if (complete) {
+        // Mark it before returning so a retried last chunk sees the upload is being processed
+        writeMeta({ ...readMeta(uploadId), status: UPLOAD_STATUS.processing });
+        updated.status = UPLOAD_STATUS.processing;
+    }
+    return { ...updated, complete };
+}
+
+module.exports = {
+    NeiUploadError,
+    createUpload,
+    getUpload,
+    appendChunk,
+    finishUpload,
+    removeUpload,
+    failInterruptedUploads,
+    getPartPath,
+    UPLOAD_STATUS,
+    MAX_UPLOAD_BYTES,
+    MAX_CHUNK_BYTES
+};
@@ -0,0 +1,341 @@
+/**
+ * NEI Validation Module - Full-file validation of uploaded NEI facility summaries
+ *
+ * Streams the whole CSV once and checks every row:
+ *   - state is a valid two-letter state/territory code
+ *   - site latitude/longitude are numeric and inside that state's bounding box
+ *   - primary NAICS code is 2-6 digits
+ *   - total emissions is a non-negative number
+ *   - each (EIS facility ID, pollutant code) pair appears only once
+ *
+ * Problems are written to a CSV report (one line per problem, with the CSV
+ * line number) so a bad file can be fixed before it replaces a year.
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Required NEI columns
+const REQUIRED_COLUMNS = [
+    'state',
+    'eis facility id',
+    'pollutant code',
+    'total emissions',
+    'site latitude',
+    'site longitude',
+    'primary naics code',
+    'primary naics description'
+];
+
+// Column name variations
+const COLUMN_VARIATIONS = {
+    'state': ['state'],
+    'eis facility id': ['eis facility id', 'eis_facility_id', 'facility_id'],
+    'pollutant code': ['pollutant code', 'pollutant_code'],
+    'total emissions': ['total emissions', 'total_emissions', 'emissions'],
+    'site latitude': ['site latitude', 'site_latitude', 'latitude', 'lat'],
+    'site longitude': ['site longitude', 'site_longitude', 'longitude', 'lon', 'lng'],
+    'primary naics code': ['primary naics code', 'primary_naics_code', 'naics_code', 'naics code'],
+    'primary naics description': ['primary naics description', 'primary_naics_description', 'naics_description', 'naics description']
+};
+
+// Approximate bounding boxes: [minLat, maxLat, minLng, maxLng]
+// Alaska's Aleutians cross the antimeridian and are handled in isInsideState()
+const STATE_BOUNDS = {
+    AL: [30.14, 35.01, -88.47, -84.89], AK: [51.2, 71.4, -179.15, -129.98],
+    AZ: [31.33, 37.0, -114.82, -109.04], AR: [33.0, 36.5, -94.62, -89.64],
+    CA: [32.53, 42.01, -124.48, -114.13], CO: [36.99, 41.0, -109.06, -102.04],
+    CT: [40.95, 42.05, -73.73, -71.79], DE: [38.45, 39.84, -75.79, -75.05],
+    DC: [38.79, 39.0, -77.12, -76.91], FL: [24.4, 31.0, -87.63, -79.97],
+    GA: [30.36, 35.0, -85.61, -80.84], HI: [18.91, 28.4, -178.33, -154.81],
+    ID: [41.99, 49.0, -117.24, -111.04], IL: [36.97, 42.51, -91.51, -87.02],
+    IN: [37.77, 41.76, -88.1, -84.78], IA: [40.38, 43.5, -96.64, -90.14],
+    KS: [36.99, 40.0, -102.05, -94.59], KY: [36.5, 39.15, -89.57, -81.96],
+    LA: [28.93, 33.02, -94.04, -88.82], ME: [43.06, 47.46, -71.08, -66.95],
+    MD: [37.91, 39.72, -79.49, -75.05], MA: [41.24, 42.89, -73.51, -69.93],
+    MI: [41.7, 48.31, -90.42, -82.41], MN: [43.5, 49.38, -97.24, -89.49],
+    MS: [30.17, 35.0, -91.66, -88.1], MO: [35.99, 40.61, -95.77, -89.1],
+    MT: [44.36, 49.0, -116.05, -104.04], NE: [40.0, 43.0, -104.05, -95.31],
+    NV: [35.0, 42.0, -120.01, -114.04], NH: [42.7, 45.31, -72.56, -70.61],
+    NJ: [38.93, 41.36, -75.56, -73.89], NM: [31.33, 37.0, -109.05, -103.0],
+    NY: [40.5, 45.02, -79.76, -71.86], NC: [33.84, 36.59, -84.32, -75.46],
+    ND: [45.94, 49.0, -104.05, -96.55], OH: [38.4, 41.98, -84.82, -80.52],
+    OK: [33.62, 37.0, -103.0, -94.43], OR: [41.99, 46.29, -124.57, -116.46],
+    PA: [39.72, 42.27, -80.52, -74.69], RI: [41.15, 42.02, -71.86, -71.12],
+    SC: [32.03, 35.22, -83.35, -78.54], SD: [42.48, 45.95, -104.06, -96.44],
+    TN: [34.98, 36.68, -90.31, -81.65], TX: [25.84, 36.5, -106.65, -93.51],
+    UT: [37.0, 42.0, -114.05, -109.04], VT: [42.73, 45.02, -73.44, -71.46],
+    VA: [36.54, 39.47, -83.68, -75.24], WA: [45.54, 49.0, -124.85, -116.92],
+    WV: [37.2, 40.64, -82.64, -77.72], WI: [42.49, 47.31, -92.89, -86.25],
+    WY: [40.99, 45.01, -111.06, -104.05],
+    PR: [17.88, 18.52, -67.95, -65.22], VI: [17.67, 18.41, -65.09, -64.56],
+    GU: [13.23, 13.66, 144.61, 144.96], AS: [-14.55, -11.04, -171.09, -168.14],
+    MP: [14.11, 20.55, 144.89, 145.87]
+};
+
+// Slack around state bounding boxes for rounded coordinates and border facilities
+const STATE_BOUNDS_TOLERANCE = 0.1;
+
+// Problems kept in the JSON response; the CSV report has all of them (up to MAX_REPORT_ERRORS)
+const SAMPLE_ERROR_COUNT = 20;
+const MAX_REPORT_ERRORS = 100000;
+
+const REPORT_COLUMNS = ['line', 'rule', 'column', 'value', 'message'];
+
+// ============================================================================
+// Header Validation
+// ============================================================================
+
+/**
+ * Match CSV headers against COLUMN_VARIATIONS
+ *
+ * @returns {Object} - { valid, foundColumns: { displayName: header }, missingColumns }
+ */
+function validateColumns(headers) {
+    const headersLower = headers.map(h => h.toLowerCase());
+    const foundColumns = {};
+    const missingColumns = [];
+
+    for (const [displayName, variations] of Object.entries(COLUMN_VARIATIONS)) {
+        let found = false;
+        for (const variant of variations) {
+            if (headersLower.includes(variant.toLowerCase())) {
+                foundColumns[displayName] = headers[headersLower.indexOf(variant.toLowerCase())];
+                found = true;
+                break;
+            }
+        }
+        if (!found) {
+            missingColumns.push(displayName);
+        }
+    }
+
+    return {
+        valid: missingColumns.length === 0,
+        foundColumns,
+        missingColumns
+    };
+}
+
+// ============================================================================
+// Row Validation
+// ============================================================================
+
+function isInsideState(state, lat, lng) {
+    const [minLat, maxLat, minLng, maxLng] = STATE_BOUNDS[state];
+    const t = STATE_BOUNDS_TOLERANCE;
+    if (lat < minLat - t || lat > maxLat + t) return false;
+
+    // Western Aleutians have positive longitudes
+    if (state === 'AK' && lng >= 172 - t) return true;
+    return lng >= minLng - t && lng <= maxLng + t;
+}
+
+/**
+ * Parse a numeric cell; empty or non-numeric values return null
+ */
+function parseNumber(value) {
+    const text = String(value === undefined ? '' : value).trim();
+    if (text === '' || isNaN(Number(text))) return null;
+    return Number(text);
+}
+
+/**
+ * Check one row
+ *
+ * @param {Object} row - Parsed CSV row
+ * @param {Object} columns - foundColumns from validateColumns()
+ * @returns {Array<Object>} - [{ rule, column, value, message }]
+ */
+function validateRow(row, columns) {
+    const problems = [];
+    const cell = (name) => String(row[columns[name]] === undefined ? '' : row[columns[name]]).trim();
+    const addProblem = (rule, name, message) => problems.push({ rule, column: columns[name], value: cell(name), message });
+
+    const state = cell('state').toUpperCase();
+    const validState = Boolean(STATE_BOUNDS[state]);
+    if (!validState) {
+        addProblem('state', 'state', 'Not a valid two-letter state or territory code');
+    }
+
+    if (!cell('eis facility id')) {
+        addProblem('facility_id', 'eis facility id', 'Missing EIS facility ID');
+    }
+    if (!cell('pollutant code')) {
+        addProblem('pollutant', 'pollutant code', 'Missing pollutant code');
+    }
+
+    const lat = parseNumber(cell('site latitude'));
+    const lng = parseNumber(cell('site longitude'));
+    if (lat === null || lat < -90 || lat > 90) {
+        addProblem('latitude', 'site latitude', 'Latitude must be a number between -90 and 90');
+    }
+    if (lng === null || lng < -180 || lng > 180) {
+        addProblem('longitude', 'site longitude', 'Longitude must be a number between -180 and 180');
+    }
+    if (validState && lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && !isInsideState(state, lat, lng)) {
+        problems.push({
+            rule: 'location',
+            column: `${columns['site latitude']}, ${columns['site longitude']}`,
+            value: `${lat}, ${lng}`,
+            message: `Coordinates are outside ${state}`
+        });
+    }
+
+    // Allow a trailing ".0" from spreadsheet exports
+    if (!/^\d{2,6}(\.0+)?$/.test(cell('primary naics code'))) {
+        addProblem('naics', 'primary naics code', 'NAICS code must be 2-6 digits');
+    }
+
+    const emissions = parseNumber(cell('total emissions'));
+    if (emissions === null || emissions < 0) {
+        addProblem('emissions', 'total emissions', 'Total emissions must be a non-negative number');
+    }
+
+    return problems;
+}
+
+// ============================================================================
+// File Validation
+// ============================================================================
+
+/**
+ * Escape a value for the CSV report
+ */
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Validate a whole NEI CSV in one streaming pass
+ *
+ * Line numbers count the header as line 1 (quoted values spanning several
+ * lines are counted as one).
+ *
+ * @param {string} filePath - Uploaded CSV
+ * @param {string|null} reportPath - Where to write the CSV error report (skipped if null)
+ * @returns {Promise<Object>} - { valid, missingColumns, foundColumns, rowCount, invalidRowCount,
+ *                                errorCount, errorCounts, sampleErrors, reportTruncated }
+ */
+function validateNeiFile(filePath, reportPath = null) {
+    return new Promise((resolve, reject) => {
+        const report = reportPath ? fs.createWriteStream(reportPath) : null;
+        if (report) report.write(REPORT_COLUMNS.join(',') + '\n');
+
+        const result = {
+            valid: false,
+            missingColumns: [],
+            foundColumns: {},
+            rowCount: 0,
+            invalidRowCount: 0,
+            errorCount: 0,
+            errorCounts: {},
+            sampleErrors: [],
+            reportTruncated: false
+        };
+
+        // First line per (facility, pollutant) pair
+        const seenPairs = new Map();
+        let columns = null;
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+
+            const done = () => (error ? reject(error) : resolve(result));
+            if (report) {
+                report.end(done);
+            } else {
+                done();
+            }
+        };
+
+        const recordProblem = (line, problem) => {
+            result.errorCount++;
+            result.errorCounts[problem.rule] = (result.errorCounts[problem.rule] || 0) + 1;
+
+            const entry = { line, ...problem };
+            if (result.sampleErrors.length < SAMPLE_ERROR_COUNT) {
+                result.sampleErrors.push(entry);
+            }
+            if (!report) return;
+            if (result.errorCount > MAX_REPORT_ERRORS) {
+                result.reportTruncated = true;
+                return;
+            }
+            report.write(REPORT_COLUMNS.map(column => escapeCsvValue(entry[column])).join(',') + '\n');
+        };
+
+        // pipe() doesn't forward read errors (ENOENT, EACCES) to the parser
+        const input = fs.createReadStream(filePath).on('error', finish);
+        const stream = input
+            .pipe(csv())
+            .on('headers', (headers) => {
+                const columnCheck = validateColumns(headers);
+                result.foundColumns = columnCheck.foundColumns;
+                result.missingColumns = columnCheck.missingColumns;
+
+                if (!columnCheck.valid) {
+                    input.destroy();
+                    stream.destroy();
+                    finish();
+                    return;
+                }
+                columns = columnCheck.foundColumns;
+            })
+            .on('data', (row) => {
+                if (!columns) return;
+
+                result.rowCount++;
+                const line = result.rowCount + 1;
+                const problems = validateRow(row, columns);
+
+                const facilityId = String(row[columns['eis facility id']] || '').trim();
+                const pollutant = String(row[columns['pollutant code']] || '').trim().toUpperCase();
+                if (facilityId && pollutant) {
+                    const pairKey = `${facilityId}\u0000${pollutant}`;
+                    const firstLine = seenPairs.get(pairKey);
+                    if (firstLine) {
+                        problems.push({
+                            rule: 'duplicate',
+                            column: `${columns['eis facility id']}, ${columns['pollutant code']}`,
+                            value: `${facilityId}, ${pollutant}`,
+                            message: `Duplicate facility/pollutant pair (first seen on line ${firstLine})`
+                        });
+                    } else {
+                        seenPairs.set(pairKey, line);
+                    }
+                }
+
+                if (problems.length > 0) {
+                    result.invalidRowCount++;
+                    problems.forEach(problem => recordProblem(line, problem));
+                }
+            })
+            .on('end', () => {
+                if (columns === null && result.missingColumns.length === 0) {
+                    // Empty file - no header row
+                    result.missingColumns = [...REQUIRED_COLUMNS];
+                }
+                result.valid = columns !== null && result.rowCount > 0 && result.errorCount === 0;
+                finish();
+            })
+            .on('error', finish);
+    });
+}
+
+module.exports = {
+    validateNeiFile,
+    validateColumns,
+    validateRow,
+    REQUIRED_COLUMNS,
+    COLUMN_VARIATIONS,
+    STATE_BOUNDS,
+    REPORT_COLUMNS
+};
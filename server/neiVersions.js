@@ -0,0 +1,493 @@
+/**
+ * NEI Versions Module - Versioned storage for uploaded NEI facility summaries
+ *
+ * Every upload becomes a new, immutable version of its year; one version per
+ * year is active and served by /api/nei/:year. Layout under data/nei/:
+ *   {year}_NEI_Facility_summary.csv|json   - Active version (hard link or copy)
+ *   versions/{year}/manifest.json          - { year, activeVersion, versions: [...] }
+ *   versions/{year}/{versionId}.csv|json   - Canonical CSV and JSON sidecar (see neiNormalize.js)
+ *
+ * Manifest changes for a year are serialized, so concurrent uploads and
+ * rollbacks can't interleave. Files stored before versioning are imported as
+ * the first version the next time their year is read or replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const neiNormalize = require('./neiNormalize');
+const validation = require('./validation');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const NEI_DIR = process.env.NEI_DATA_DIR || path.join(__dirname, '../data/nei');
+const VERSIONS_DIR = path.join(NEI_DIR, 'versions');
+
+const DEFAULT_VERSIONS_TO_KEEP = 10;
+
+/**
+ * Versions kept per year (the active version is never pruned)
+ * From neiVersionsToKeep in config.json, overridden by NEI_VERSIONS_TO_KEEP
+ */
+function loadVersionsToKeep() {
+    if (process.env.NEI_VERSIONS_TO_KEEP) {
+        return parseInt(process.env.NEI_VERSIONS_TO_KEEP);
+    }
+
+    const configPath = path.join(__dirname, '../config.json');
+    if (fs.existsSync(configPath)) {
+        try {
+            return JSON.parse(fs.readFileSync(configPath, 'utf8')).neiVersionsToKeep ?? DEFAULT_VERSIONS_TO_KEEP;
+        } catch (error) {
+            console.warn('Warning: Failed to read config.json for NEI version settings, using defaults');
+        }
+    }
+    return DEFAULT_VERSIONS_TO_KEEP;
+}
+
+const NEI_VERSIONS_TO_KEEP = loadVersionsToKeep();
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+class NeiVersionError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} status - HTTP status for the API response
+     */
+    constructor(message, status = 404) {
+        super(message);
+        this.name = 'NeiVersionError';
+        this.status = status;
+    }
+}
+
+// ============================================================================
+// Paths
+// ============================================================================
+
+/**
+ * Path of the active NEI summary CSV for a (validated) year
+ */
+function getActivePath(year) {
+    return validation.resolveWithin(NEI_DIR, `${validation.parseYear(year)}_NEI_Facility_summary.csv`);
+}
+
+/**
+ * Path of the active canonical JSON sidecar for a (validated) year
+ */
+function getActiveSidecarPath(year) {
+    return validation.resolveWithin(NEI_DIR, `${validation.parseYear(year)}_NEI_Facility_summary.json`);
+}
+
+function getYearDir(year) {
+    return validation.resolveWithin(VERSIONS_DIR, validation.parseYear(year));
+}
+
+function getManifestPath(year) {
+    return path.join(getYearDir(year), 'manifest.json');
+}
+
+function getVersionPaths(year, versionId) {
+    const yearDir = getYearDir(year);
+    return {
+        csvPath: validation.resolveWithin(yearDir, `${versionId}.csv`),
+        jsonPath: validation.resolveWithin(yearDir, `${versionId}.json`)
+    };
+}
+
+// ============================================================================
+// Manifest
+// ============================================================================
+
+function readManifest(year) {
+    const manifestPath = getManifestPath(year);
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Write a year's manifest atomically (temp file + rename)
+ */
+function writeManifest(year, manifest) {
+    const manifestPath = getManifestPath(year);
+    const tempPath = `${manifestPath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempPath, manifestPath);
+}
+
+function findVersion(manifest, versionId) {
+    const version = manifest && manifest.versions.find(v => v.id === versionId);
+    if (!version) {
+        throw new NeiVersionError(`NEI version ${versionId} not found`);
+    }
+    return version;
+}
+
+// Pending manifest changes per year
+const yearLocks = new Map();
+
+/**
+ * Run a task after every earlier task for the same year has finished
+ */
+function withYearLock(year, task) {
+    const previous = yearLocks.get(year) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    yearLocks.set(year, next);
+    next.catch(() => {}).finally(() => {
+        if (yearLocks.get(year) === next) yearLocks.delete(year);
+    });
+    return next;
+}
+
+// ============================================================================
+// Versions
+// ============================================================================
+
+function newVersionId() {
+    return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Place a file at targetPath via a hard link (copy if links aren't supported)
+ */
+function linkInto(sourcePath, targetPath) {
+    const tempPath = `${targetPath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        fs.linkSync(sourcePath, tempPath);
+    } catch (error) {
+        fs.copyFileSync(sourcePath, tempPath);
+    }
+    fs.renameSync(tempPath, targetPath);
+}
+
+/**
+ * Make a stored version the one served for its year
+ */
+function activate(year, manifest, versionId) {
+    const { csvPath, jsonPath } = getVersionPaths(year, versionId);
+    linkInto(jsonPath, getActiveSidecarPath(year));
+    linkInto(csvPath, getActivePath(year));
+    manifest.activeVersion = versionId;
+    writeManifest(year, manifest);
+}
+
+/**
+ * Drop the oldest inactive versions beyond NEI_VERSIONS_TO_KEEP
+ */
+function pruneVersions(year, manifest) {
+    const excess = manifest.versions.length - NEI_VERSIONS_TO_KEEP;
+    if (excess <= 0) return;
+
+    const pruned = manifest.versions
+        .filter(version => version.id !== manifest.activeVersion)
+        .slice(0, excess);
+
+    pruned.forEach(version => {
+        const { csvPath, jsonPath } = getVersionPaths(year, version.id);
+        fs.rmSync(csvPath, { force: true });
+        fs.rmSync(jsonPath, { force: true });
+    });
+    manifest.versions = manifest.versions.filter(version => !pruned.includes(version));
+    writeManifest(year, manifest);
+}
+
+/**
+ * Normalize a CSV into a new stored version (not yet active)
+ *
+ * @returns {Promise<Object>} - Version entry for the manifest
+ */
+async function storeVersion(sourcePath, year, details) {
+    fs.mkdirSync(getYearDir(year), { recursive: true });
+
+    const versionId = newVersionId();
+    const { csvPath, jsonPath } = getVersionPaths(year, versionId);
+    const suffix = `.${process.pid}.tmp`;
+
+    try {
+        const result = await neiNormalize.normalizeNeiFile(sourcePath, csvPath + suffix, jsonPath + suffix, year);
+        fs.renameSync(jsonPath + suffix, jsonPath);
+        fs.renameSync(csvPath + suffix, csvPath);
+
+        return {
+            id: versionId,
+            createdAt: new Date().toISOString(),
+            rowCount: result.rowCount,
+            size: fs.statSync(csvPath).size,
+            ...details
+        };
+    } finally {
+        fs.rmSync(csvPath + suffix, { force: true });
+        fs.rmSync(jsonPath + suffix, { force: true });
+    }
+}
+
+/**
+ * Import a year's active file from before versioning as its first version
+ * Must run inside withYearLock().
+ */
+async function importUnversionedFile(year) {
+    const activePath = getActivePath(year);
+    if (readManifest(year) || !fs.existsSync(activePath)) return;
+
+    console.log(`Importing existing NEI data for ${year} as its first version...`);
+    const version = await storeVersion(activePath, year, {
+        uploadedBy: null,
+        originalName: path.basename(activePath),
+        importedAt: new Date().toISOString(),
+        createdAt: fs.statSync(activePath).mtime.toISOString()
+    });
+
+    const manifest = { year: String(year), activeVersion: null, versions: [version] };
+    activate(year, manifest, version.id);
+}
+
+/**
+ * Make sure an existing year is stored in the canonical, versioned layout
+ */
+function ensureVersioned(year) {
+    if (readManifest(year) || !fs.existsSync(getActivePath(year))) {
+        return Promise.resolve();
+    }
+    return withYearLock(year, () => importUnversionedFile(year));
+}
+
+/**
+ * Store an upload as a new version of its year and make it active
+ *
+ * @param {string} sourcePath - Validated NEI CSV
+ * @param {string} year - Data year
+ * @param {Object} details - Recorded on the version ({ uploadedBy, originalName })
+ * @returns {Promise<Object>} - { version, previousVersion }
+ */
+function createVersion(sourcePath, year, details = {}) {
+    return withYearLock(year, async () => {
+        await importUnversionedFile(year);
+
+        const manifest = readManifest(year) || { year: String(year), activeVersion: null, versions: [] };
+        const previousVersion = manifest.activeVersion;
+        const version = await storeVersion(sourcePath, year, details);
+
+        manifest.versions.push(version);
+        activate(year, manifest, version.id);
+        pruneVersions(year, manifest);
+
+        return { version, previousVersion };
+    });
+}
+
+/**
+ * List a year's versions, oldest first
+ *
+ * @returns {Promise<Object>} - { year, activeVersion, versions: [{ id, createdAt, rowCount, size, active, ... }] }
+ */
+async function listVersions(year) {
+    await ensureVersioned(year);
+
+    const manifest = readManifest(year);
+    if (!manifest) {
+        throw new NeiVersionError(`No NEI versions for year ${year}`);
+    }
+    return {
+        year: manifest.year,
+        activeVersion: manifest.activeVersion,
+        versions: manifest.versions.map(version => ({ ...version, active: version.id === manifest.activeVersion }))
+    };
+}
+
+/**
+ * Make an earlier version active again
+ *
+ * @param {string|null} versionId - Version to restore (defaults to the one before the active version,
+ *                                   or the newest version when the year is deactivated)
+ * @returns {Promise<Object>} - { version, previousVersion }
+ */
+function rollbackVersion(year, versionId = null) {
+    return withYearLock(year, async () => {
+        await importUnversionedFile(year);
+
+        const manifest = readManifest(year);
+        if (!manifest) {
+            throw new NeiVersionError(`No NEI versions for year ${year}`);
+        }
+
+        if (!versionId && !manifest.activeVersion) {
+            // Deactivated year: bring back its newest version
+            if (manifest.versions.length === 0) {
+                throw new NeiVersionError(`No NEI version to restore for year ${year}`, 409);
+            }
+            versionId = manifest.versions[manifest.versions.length - 1].id;
+        } else if (!versionId) {
+            const activeIndex = manifest.versions.findIndex(v => v.id === manifest.activeVersion);
+            if (activeIndex < 1) {
+                throw new NeiVersionError(`No earlier NEI version to roll back to for year ${year}`, 409);
+            }
+            versionId = manifest.versions[activeIndex - 1].id;
+        }
+
+        const version = findVersion(manifest, versionId);
+        const previousVersion = manifest.activeVersion;
+        activate(year, manifest, version.id);
+        return { version, previousVersion };
+    });
+}
+
+/**
+ * Stop serving a year; its versions are kept so it can be rolled back
+ *
+ * @returns {Promise<Object|null>} - Manifest, or null if the year didn't exist
+ */
+function deactivateYear(year) {
+    return withYearLock(year, async () => {
+        if (!fs.existsSync(getActivePath(year))) return null;
+        await importUnversionedFile(year);
+
+        fs.rmSync(getActivePath(year), { force: true });
+        fs.rmSync(getActiveSidecarPath(year), { force: true });
+
+        const manifest = readManifest(year);
+        manifest.activeVersion = null;
+        writeManifest(year, manifest);
+        return manifest;
+    });
+}
+
+// ============================================================================
+// Diff
+// ============================================================================
+
+/**
+ * Read a canonical version CSV into per-facility emissions
+ *
+ * @returns {Promise<Map>} - eis_facility_id -> { site_name, state, emissions: { pollutant_code: tons } }
+ */
+async function readFacilityEmissions(csvPath) {
+    const facilities = new Map();
+
+    for await (const row of fs.createReadStream(csvPath).pipe(csv())) {
+        let facility = facilities.get(row.eis_facility_id);
+        if (!facility) {
+            facility = { site_name: row.site_name || null, state: row.state, emissions: {} };
+            facilities.set(row.eis_facility_id, facility);
+        }
+        facility.emissions[row.pollutant_code] = row.total_emissions === '' ? null : Number(row.total_emissions);
+    }
+
+    return facilities;
+}
+
+function emissionsEqual(a, b) {
+    if (a === null || b === null) return a === b;
+    return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Compare two versions of a year facility by facility
+ *
+ * @param {string} year - Data year
+ * @param {Object} options - { from, to, limit }; to defaults to the active version (the latest
+ *                           version when the year is deactivated), from to the version before it. Lists are capped at limit.
+ * @returns {Promise<Object>} - { year, from, to, summary, added, removed, changed, truncated }
+ */
+async function diffVersions(year, { from = null, to = null, limit = 1000 } = {}) {
+    await ensureVersioned(year);
+
+    const manifest = readManifest(year);
+    if (!manifest) {
+        throw new NeiVersionError(`No NEI versions for year ${year}`);
+    }
+
+    // A deactivated year has no active version; compare against its latest
+    const latestVersion = manifest.versions.length > 0 ? manifest.versions[manifest.versions.length - 1].id : null;
+    const toVersion = findVersion(manifest, to || manifest.activeVersion || latestVersion);
+    let fromVersion;
+    if (from) {
+        fromVersion = findVersion(manifest, from);
+    } else {
+        const toIndex = manifest.versions.indexOf(toVersion);
+        if (toIndex < 1) {
+            throw new NeiVersionError(`No earlier NEI version to compare ${toVersion.id} with`, 409);
+        }
+        fromVersion = manifest.versions[toIndex - 1];
+    }
+
+    const [before, after] = await Promise.all([
+        readFacilityEmissions(getVersionPaths(year, fromVersion.id).csvPath),
+        readFacilityEmissions(getVersionPaths(year, toVersion.id).csvPath)
+    ]);
+
+    const diff = {
+        year: manifest.year,
+        from: fromVersion.id,
+        to: toVersion.id,
+        summary: { added: 0, removed: 0, changed: 0, unchanged: 0 },
+        added: [],
+        removed: [],
+        changed: [],
+        truncated: false
+    };
+
+    const addEntry = (list, entry) => {
+        diff.summary[list]++;
+        if (diff[list].length < limit) {
+            diff[list].push(entry);
+        } else {
+            diff.truncated = true;
+        }
+    };
+
+    after.forEach((facility, facilityId) => {
+        const previous = before.get(facilityId);
+        if (!previous) {
+            addEntry('added', { eis_facility_id: facilityId, ...facility });
+            return;
+        }
+
+        const pollutants = new Set([...Object.keys(previous.emissions), ...Object.keys(facility.emissions)]);
+        const changes = [];
+        pollutants.forEach(pollutant => {
+            const fromValue = previous.emissions[pollutant] ?? null;
+            const toValue = facility.emissions[pollutant] ?? null;
+            if (!emissionsEqual(fromValue, toValue)) {
+                changes.push({
+                    pollutant_code: pollutant,
+                    from: fromValue,
+                    to: toValue,
+                    change: fromValue !== null && toValue !== null ? toValue - fromValue : null
+                });
+            }
+        });
+
+        if (changes.length > 0) {
+            addEntry('changed', { eis_facility_id: facilityId, site_name: facility.site_name, state: facility.state, pollutants: changes });
+        } else {
+            diff.summary.unchanged++;
+        }
+    });
+
+    before.forEach((facility, facilityId) => {
+        if (!after.has(facilityId)) {
+            addEntry('removed', { eis_facility_id: facilityId, ...facility });
+        }
+    });
+
+    return diff;
+}
+
+module.exports = {
+    NeiVersionError,
+    getActivePath,
+    getActiveSidecarPath,
+    ensureVersioned,
+    createVersion,
+    listVersions,
+    rollbackVersion,
+    deactivateYear,
+    diffVersions,
+    NEI_DIR,
+    NEI_VERSIONS_TO_KEEP
+};
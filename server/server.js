@@ -1,10 +1,23 @@
 const express = require('express');
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { createReadStream } = require('fs');
 const dataFetcher = require('./dataFetcher');
+const facilityQuery = require('./facilityQuery');
+const facilityExport = require('./facilityExport');
+const geoidReport = require('./geoidReport');
+const areaSelection = require('./areaSelection');
+const nearbyCommunities = require('./nearbyCommunities');
+const burdenIndex = require('./burdenIndex');
+const auth = require('./auth');
+const auditLog = require('./auditLog');
+const validation = require('./validation');
+const neiValidation = require('./neiValidation');
+const neiVersions = require('./neiVersions');
+const neiUploads = require('./neiUploads');
+const neiPollutants = require('./neiPollutants');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,15 +25,53 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
+app.use(auth.authenticate);
+
+// Route parameters are validated before any handler sees them
+app.param('year', validation.validateParam(validation.rules.year));
+app.param('geoid', validation.validateParam(validation.rules.geoid));
+app.param('facilityId', validation.validateParam(validation.rules.facilityId));
+app.param('type', validation.validateParam(validation.rules.boundaryType));
+
+const NEI_DIR = neiVersions.NEI_DIR;
+
+/**
+ * Path of the active NEI summary file for a (validated) year
+ */
+function getNeiFilePath(year) {
+    return neiVersions.getActivePath(year);
+}
+
+/**
+ * Send a NeiVersionError with its status, anything else as a 500
+ */
+function sendNeiVersionError(res, error, action) {
+    if (error instanceof neiVersions.NeiVersionError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({ error: `Failed ${action}`, message: error.message });
+}
 
 // Configure multer for file uploads
+// Files are written under a unique temporary name and only moved into place by /api/nei/upload.
+// The year form field must come before the file field so it's available here.
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, 'data/nei/');
+        fs.mkdirSync(NEI_DIR, { recursive: true });
+        cb(null, NEI_DIR);
     },
     filename: (req, file, cb) => {
-        const year = req.body.year;
-        cb(null, `${year}_NEI_Facility_summary.csv`);
+        try {
+            if (!req.body.year) {
+                throw new validation.ValidationError('year', 'year is required (send it before the file field)', 'body');
+            }
+            const year = validation.parseYear(req.body.year);
+            cb(null, `${year}_NEI_Facility_summary.csv.${crypto.randomBytes(8).toString('hex')}.upload`);
+        } catch (error) {
+            error.location = 'body';
+            cb(error);
+        }
     }
 });
 
@@ -29,64 +80,95 @@ const upload = multer({
     limits: { fileSize: 500 * 1024 * 1024 } // 500MB limit
 });
 
-// Required NEI columns
-const REQUIRED_COLUMNS = [
-    'state',
-    'eis facility id',
-    'pollutant code',
-    'total emissions',
-    'site latitude',
-    'site longitude',
-    'primary naics code',
-    'primary naics description'
-];
-
-// Column name variations
-const COLUMN_VARIATIONS = {
-    'state': ['state'],
-    'eis facility id': ['eis facility id', 'eis_facility_id', 'facility_id'],
-    'pollutant code': ['pollutant code', 'pollutant_code'],
-    'total emissions': ['total emissions', 'total_emissions', 'emissions'],
-    'site latitude': ['site latitude', 'site_latitude', 'latitude', 'lat'],
-    'site longitude': ['site longitude', 'site_longitude', 'longitude', 'lon', 'lng'],
-    'primary naics code': ['primary naics code', 'primary_naics_code', 'naics_code', 'naics code'],
-    'primary naics description': ['primary naics description', 'primary_naics_description', 'naics_description', 'naics description']
-};
-
-// Validate CSV columns
-function validateColumns(headers) {
-    const headersLower = headers.map(h => h.toLowerCase());
-    const foundColumns = {};
-    const missingColumns = [];
-    
-    for (const [displayName, variations] of Object.entries(COLUMN_VARIATIONS)) {
-        let found = false;
-        for (const variant of variations) {
-            if (headersLower.includes(variant.toLowerCase())) {
-                foundColumns[displayName] = headers[headersLower.indexOf(variant.toLowerCase())];
-                found = true;
-                break;
-            }
-        }
-        if (!found) {
-            missingColumns.push(displayName);
+// Row-level NEI validation reports, kept for a day for download (NEI_VALIDATION_REPORT_DIR overrides it, e.g. for tests)
+const VALIDATION_REPORT_DIR = process.env.NEI_VALIDATION_REPORT_DIR || path.join(__dirname, '../data/nei_validation_reports');
+const VALIDATION_REPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate an uploaded NEI file in full, keeping a CSV report of invalid rows
+ *
+ * @returns {Promise<Object>} - Validation summary, with reportUrl when there are row errors
+ */
+async function validateUploadedNeiFile(filePath, year) {
+    fs.mkdirSync(VALIDATION_REPORT_DIR, { recursive: true });
+
+    // Drop expired reports
+    fs.readdirSync(VALIDATION_REPORT_DIR).forEach(name => {
+        const reportPath = path.join(VALIDATION_REPORT_DIR, name);
+        if (Date.now() - fs.statSync(reportPath).mtimeMs > VALIDATION_REPORT_TTL_MS) {
+            fs.rmSync(reportPath, { force: true });
         }
-    }
-    
-    return {
-        valid: missingColumns.length === 0,
-        foundColumns,
-        missingColumns
+    });
+
+    const reportId = crypto.randomBytes(8).toString('hex');
+    const reportPath = path.join(VALIDATION_REPORT_DIR, `${reportId}.csv`);
+    const result = await neiValidation.validateNeiFile(filePath, reportPath);
+
+    const summary = {
+        valid: result.valid,
+        year: year,
+        rowCount: result.rowCount,
+        invalidRowCount: result.invalidRowCount,
+        errorCount: result.errorCount,
+        errorCounts: result.errorCounts,
+        sampleErrors: result.sampleErrors,
+        foundColumns: result.foundColumns
     };
+
+    if (result.missingColumns.length > 0) {
+        summary.error = 'Missing required columns';
+        summary.missingColumns = result.missingColumns;
+        summary.requiredColumns = neiValidation.REQUIRED_COLUMNS;
+    } else if (result.rowCount === 0) {
+        summary.error = 'File has no data rows';
+    } else if (result.errorCount > 0) {
+        summary.error = `${result.invalidRowCount} of ${result.rowCount} rows failed validation`;
+        summary.reportUrl = `/api/nei/validation-reports/${reportId}`;
+        summary.reportTruncated = result.reportTruncated;
+    }
+
+    if (!summary.reportUrl) {
+        fs.rmSync(reportPath, { force: true });
+    }
+
+    return summary;
 }
 
+// ============================================================================
+// Auth API - Session login for the UI
+// ============================================================================
+
+// Log in with a configured username and password (body: { username, password })
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const principal = auth.verifyCredentials(username, password);
+
+    if (!principal) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    auth.startSession(req, res, principal);
+    res.json({ authenticated: true, user: principal.name, role: principal.role });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.endSession(req, res);
+    res.json({ authenticated: false });
+});
+
+// Current principal (session or API key)
+app.get('/api/auth/me', (req, res) => {
+    if (!req.user) {
+        return res.json({ authenticated: false });
+    }
+    res.json({ authenticated: true, user: req.user.name, role: req.user.role, method: req.user.method });
+});
+
 // API Routes
 
 // Get available years
 app.get('/api/nei/years', (req, res) => {
-    const neiDir = path.join(__dirname, '../data/nei');
-    
-    fs.readdir(neiDir, (err, files) => {
+    fs.readdir(NEI_DIR, (err, files) => {
         if (err) {
             return res.status(500).json({ error: 'Failed to read NEI directory' });
         }
@@ -101,15 +183,30 @@ app.get('/api/nei/years', (req, res) => {
     });
 });
 
-// Get NEI data for a specific year
-app.get('/api/nei/:year', (req, res) => {
+// Get NEI data for a specific year in the canonical schema
+// ?format=json returns the JSON sidecar instead of the CSV
+app.get('/api/nei/:year', validation.validateRequest({
+    query: { format: validation.rules.neiFormat }
+}), async (req, res) => {
     const year = req.params.year;
-    const filePath = path.join(__dirname, `../data/nei/${year}_NEI_Facility_summary.csv`);
+    const filePath = getNeiFilePath(year);
     
     if (!fs.existsSync(filePath)) {
         return res.status(404).json({ error: `NEI data for year ${year} not found` });
     }
     
+    try {
+        await neiVersions.ensureVersioned(year);
+    } catch (error) {
+        console.error(`Error normalizing NEI data for ${year}:`, error);
+        return res.status(500).json({ error: 'Failed to normalize NEI data', message: error.message });
+    }
+    
+    if (req.query.format === 'json') {
+        res.setHeader('Content-Type', 'application/json');
+        return fs.createReadStream(neiVersions.getActiveSidecarPath(year)).pipe(res);
+    }
+    
     // Stream the CSV file
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="${year}_NEI_Facility_summary.csv"`);
@@ -119,110 +216,340 @@ app.get('/api/nei/:year', (req, res) => {
 });
 
 // Validate uploaded NEI file
-app.post('/api/nei/validate', upload.single('file'), async (req, res) => {
+// Auth runs before multer so rejected requests never write to disk
+app.post('/api/nei/validate', auth.requireRole('analyst'), upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
     
+    // Validation only - the uploaded copy is always removed
     const year = req.body.year;
-    if (!year || isNaN(parseInt(year))) {
-        fs.unlinkSync(req.file.path); // Delete uploaded file
-        return res.status(400).json({ error: 'Invalid year provided' });
+    
+    try {
+        const summary = await validateUploadedNeiFile(req.file.path, year);
+        res.status(summary.valid ? 200 : 400).json({ ...summary, size: req.file.size });
+    } catch (error) {
+        console.error('Error validating NEI file:', error);
+        res.status(500).json({ error: 'Failed to parse CSV file' });
+    } finally {
+        fs.rmSync(req.file.path, { force: true });
     }
+});
+
+// Download the row-level report from a failed validation
+app.get('/api/nei/validation-reports/:reportId', auth.requireRole('analyst'), validation.validateRequest({
+    params: { reportId: validation.rules.reportId }
+}), (req, res) => {
+    const reportPath = validation.resolveWithin(VALIDATION_REPORT_DIR, `${req.params.reportId}.csv`);
     
-    // Read first row to validate columns
-    const headers = [];
-    let firstRow = true;
+    if (!fs.existsSync(reportPath)) {
+        return res.status(404).json({ error: 'Validation report not found or expired' });
+    }
     
-    const stream = createReadStream(req.file.path)
-        .pipe(csv())
-        .on('headers', (headerList) => {
-            headers.push(...headerList);
-        })
-        .on('data', (data) => {
-            if (firstRow) {
-                stream.destroy(); // Stop after first row
-                firstRow = false;
-            }
-        })
-        .on('end', () => {
-            const validation = validateColumns(headers);
-            
-            if (!validation.valid) {
-                // Delete invalid file
-                fs.unlinkSync(req.file.path);
-                return res.status(400).json({
-                    valid: false,
-                    error: 'Missing required columns',
-                    missingColumns: validation.missingColumns,
-                    foundColumns: Object.keys(validation.foundColumns),
-                    requiredColumns: REQUIRED_COLUMNS
-                });
-            }
-            
-            // File is valid
-            res.json({
-                valid: true,
-                year: year,
-                filename: req.file.filename,
-                size: req.file.size,
-                foundColumns: validation.foundColumns
-            });
-        })
-        .on('error', (error) => {
-            fs.unlinkSync(req.file.path);
-            res.status(500).json({ error: 'Failed to parse CSV file' });
-        });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="nei_validation_${req.params.reportId}.csv"`);
+    fs.createReadStream(reportPath).pipe(res);
 });
 
+/**
+ * Validate a fully received NEI file and store it as the new active version of its year
+ * The caller sends the returned response and removes filePath afterwards.
+ *
+ * @param {Object} details - { originalName, size }
+ * @returns {Promise<Object>} - { status, body } for the API response
+ */
+async function storeNeiUpload(req, filePath, year, details) {
+    // Reject files with invalid rows before they replace anything
+    let summary;
+    try {
+        summary = await validateUploadedNeiFile(filePath, year);
+    } catch (error) {
+        console.error('Error validating NEI file:', error);
+        return { status: 500, body: { error: 'Failed to parse CSV file' } };
+    }
+    
+    if (!summary.valid) {
+        return { status: 422, body: summary };
+    }
+    
+    // Store the canonical schema, not the uploaded column spellings
+    let result;
+    try {
+        result = await neiVersions.createVersion(filePath, year, {
+            uploadedBy: req.user.name,
+            originalName: details.originalName
+        });
+    } catch (error) {
+        if (error instanceof neiVersions.NeiVersionError) {
+            return { status: error.status, body: { error: error.message } };
+        }
+        console.error('Error storing NEI file:', error);
+        return { status: 500, body: { error: 'Failed storing NEI file', message: error.message } };
+    }
+    
+    const filename = path.basename(getNeiFilePath(year));
+    const { version, previousVersion } = result;
+    auditLog.recordAuditEvent(req, 'nei.upload', {
+        year, filename, size: details.size, rowCount: summary.rowCount, versionId: version.id, previousVersion
+    });
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            year: year,
+            filename: filename,
+            version: version,
+            previousVersion: previousVersion,
+            message: previousVersion
+                ? `NEI data for ${year} replaced (version ${version.id})`
+                : `NEI data for ${year} uploaded successfully`
+        }
+    };
+}
+
 // Upload NEI data (after validation)
-app.post('/api/nei/upload', upload.single('file'), async (req, res) => {
+// Each upload is stored as a new version of its year and becomes the active one
+app.post('/api/nei/upload', auth.requireRole('admin'), upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const year = req.body.year;
-    const expectedPath = path.join(__dirname, `../data/nei/${year}_NEI_Facility_summary.csv`);
-    
-    // Check if file for this year already exists
-    if (fs.existsSync(expectedPath) && req.file.path !== expectedPath) {
-        // Delete uploaded file if it's a duplicate
-        fs.unlinkSync(req.file.path);
-        return res.status(409).json({ 
-            error: `NEI data for year ${year} already exists`,
-            year: year
+    try {
+        const { status, body } = await storeNeiUpload(req, req.file.path, req.body.year, {
+            originalName: req.file.originalname,
+            size: req.file.size
+        });
+        res.status(status).json(body);
+    } finally {
+        fs.rmSync(req.file.path, { force: true });
+    }
+});
+
+// ============================================================================
+// Resumable NEI Uploads - Chunked, tus-style (see neiUploads.js)
+// ============================================================================
+
+/**
+ * Send a NeiUploadError with its status and details, anything else as a 500
+ */
+function sendNeiUploadError(res, error) {
+    if (error instanceof neiUploads.NeiUploadError) {
+        if (error.details.offset !== undefined && error.details.offset !== null) {
+            res.setHeader('Upload-Offset', error.details.offset);
+        }
+        return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Error handling chunked upload:', error);
+    res.status(500).json({ error: 'Failed to process upload chunk', message: error.message });
+}
+
+function setUploadHeaders(res, upload) {
+    res.setHeader('Upload-Offset', upload.offset);
+    res.setHeader('Upload-Length', upload.size);
+    res.setHeader('Cache-Control', 'no-store');
+}
+
+// Start an upload (body: { year, filename }, header: Upload-Length)
+app.post('/api/nei/uploads', auth.requireRole('admin'), validation.validateRequest({
+    body: { year: validation.required(validation.rules.year) }
+}), (req, res) => {
+    try {
+        const upload = neiUploads.createUpload({
+            year: req.body.year,
+            filename: req.body.filename ? path.basename(String(req.body.filename)) : null,
+            size: Number(req.get('Upload-Length')),
+            createdBy: req.user.name
         });
+        const location = `/api/nei/uploads/${upload.uploadId}`;
+        setUploadHeaders(res, upload);
+        res.setHeader('Location', location);
+        res.status(201).json({ ...upload, location, maxChunkSize: neiUploads.MAX_CHUNK_BYTES });
+    } catch (error) {
+        sendNeiUploadError(res, error);
+    }
+});
+
+// Bytes received so far (HEAD for tus-style clients, GET for JSON with status and result)
+app.head('/api/nei/uploads/:uploadId', auth.requireRole('admin'), validation.validateRequest({
+    params: { uploadId: validation.rules.uploadId }
+}), (req, res) => {
+    const upload = neiUploads.getUpload(req.params.uploadId);
+    if (!upload) {
+        return res.status(404).end();
+    }
+    setUploadHeaders(res, upload);
+    res.status(200).end();
+});
+
+app.get('/api/nei/uploads/:uploadId', auth.requireRole('admin'), validation.validateRequest({
+    params: { uploadId: validation.rules.uploadId }
+}), (req, res) => {
+    const upload = neiUploads.getUpload(req.params.uploadId);
+    if (!upload) {
+        return res.status(404).json({ error: 'Upload not found or expired' });
     }
+    setUploadHeaders(res, upload);
+    res.json(upload);
+});
+
+// Append a chunk (header: Upload-Offset; body: application/offset+octet-stream)
+// The last chunk validates the whole file and stores it as a new version
+app.patch('/api/nei/uploads/:uploadId', auth.requireRole('admin'), validation.validateRequest({
+    params: { uploadId: validation.rules.uploadId }
+}), express.raw({ type: 'application/offset+octet-stream', limit: neiUploads.MAX_CHUNK_BYTES }), async (req, res) => {
+    const uploadId = req.params.uploadId;
+    const offset = Number(req.get('Upload-Offset'));
     
-    res.json({
-        success: true,
-        year: year,
-        filename: req.file.filename,
-        message: `NEI data for ${year} uploaded successfully`
-    });
+    if (!req.is('application/offset+octet-stream')) {
+        return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'Upload-Offset must be a non-negative integer' });
+    }
+    
+    let upload;
+    try {
+        upload = await neiUploads.appendChunk(uploadId, offset, req.body);
+    } catch (error) {
+        return sendNeiUploadError(res, error);
+    }
+    
+    setUploadHeaders(res, upload);
+    if (!upload.complete) {
+        return res.status(204).end();
+    }
+    
+    // The result is kept with the upload, so a client whose connection drops
+    // during processing can still read it with GET
+    let outcome;
+    try {
+        outcome = await storeNeiUpload(req, neiUploads.getPartPath(uploadId), upload.year, {
+            originalName: upload.filename,
+            size: upload.size
+        });
+    } catch (error) {
+        console.error('Error storing chunked upload:', error);
+        outcome = { status: 500, body: { error: 'Failed to store upload', message: error.message } };
+    }
+    neiUploads.finishUpload(uploadId, outcome);
+    res.status(outcome.status).json(outcome.body);
+});
+
+// Abort an upload, or discard a finished upload once its result has been read
+app.delete('/api/nei/uploads/:uploadId', auth.requireRole('admin'), validation.validateRequest({
+    params: { uploadId: validation.rules.uploadId }
+}), (req, res) => {
+    const upload = neiUploads.getUpload(req.params.uploadId);
+    if (!upload) {
+        return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    if (upload.status === neiUploads.UPLOAD_STATUS.processing) {
+        return res.status(409).json({ error: 'Upload is still being processed' });
+    }
+    neiUploads.removeUpload(req.params.uploadId);
+    res.status(204).end();
 });
 
 // Delete NEI data for a specific year
-app.delete('/api/nei/:year', (req, res) => {
+// Stops serving the year; its versions are kept and can be restored with rollback
+app.delete('/api/nei/:year', auth.requireRole('admin'), async (req, res) => {
     const year = req.params.year;
-    const filePath = path.join(__dirname, `../data/nei/${year}_NEI_Facility_summary.csv`);
     
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: `NEI data for year ${year} not found` });
+    try {
+        const manifest = await neiVersions.deactivateYear(year);
+        if (!manifest) {
+            return res.status(404).json({ error: `NEI data for year ${year} not found` });
+        }
+        auditLog.recordAuditEvent(req, 'nei.delete', { year });
+        res.json({
+            success: true,
+            message: `Deleted NEI data for year ${year} (${manifest.versions.length} version(s) kept for rollback)`
+        });
+    } catch (error) {
+        sendNeiVersionError(res, error, 'deleting NEI data');
     }
+});
+
+// List stored versions of a year, oldest first
+app.get('/api/nei/:year/versions', auth.requireRole('analyst'), async (req, res) => {
+    try {
+        res.json(await neiVersions.listVersions(req.params.year));
+    } catch (error) {
+        sendNeiVersionError(res, error, 'listing NEI versions');
+    }
+});
+
+// Facility-level diff between two versions (?from=&to=, default: the active version vs. the one before it)
+app.get('/api/nei/:year/diff', auth.requireRole('analyst'), validation.validateRequest({
+    query: { from: validation.rules.neiVersionId, to: validation.rules.neiVersionId, limit: validation.rules.diffLimit }
+}), async (req, res) => {
+    try {
+        res.json(await neiVersions.diffVersions(req.params.year, { from: req.query.from, to: req.query.to, limit: req.query.limit }));
+    } catch (error) {
+        sendNeiVersionError(res, error, 'comparing NEI versions');
+    }
+});
+
+// Make an earlier version active (body: { versionId }, defaults to the version before the active one)
+app.post('/api/nei/:year/rollback', auth.requireRole('admin'), validation.validateRequest({
+    body: { versionId: validation.rules.neiVersionId }
+}), async (req, res) => {
+    const year = req.params.year;
     
-    fs.unlink(filePath, (err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to delete file' });
+    try {
+        const { version, previousVersion } = await neiVersions.rollbackVersion(year, req.body.versionId || null);
+        auditLog.recordAuditEvent(req, 'nei.rollback', { year, versionId: version.id, previousVersion });
+        res.json({ success: true, year, version, previousVersion });
+    } catch (error) {
+        sendNeiVersionError(res, error, 'rolling back NEI data');
+    }
+});
+
+// Pollutants reported in a year, with per-facility distribution stats
+app.get('/api/nei/:year/pollutants', async (req, res) => {
+    const year = req.params.year;
+    
+    try {
+        const pollutants = await neiPollutants.listPollutants(year);
+        if (!pollutants) {
+            return res.status(404).json({ error: `NEI data for year ${year} not found` });
         }
-        res.json({ success: true, message: `Deleted NEI data for year ${year}` });
-    });
+        res.json({ year: parseInt(year), predictionsPollutant: neiPollutants.PREDICTIONS_POLLUTANT, pollutants });
+    } catch (error) {
+        console.error(`Error listing pollutants for ${year}:`, error);
+        res.status(500).json({ error: 'Failed to read NEI pollutants', message: error.message });
+    }
+});
+
+// Emissions of one pollutant per facility: { emissions: { eis_facility_id: amount } }
+app.get('/api/nei/:year/pollutants/:pollutant', validation.validateRequest({
+    params: { pollutant: validation.rules.pollutant }
+}), async (req, res) => {
+    const { year, pollutant: code } = req.params;
+    
+    try {
+        const pollutant = await neiPollutants.getPollutantEmissions(year, code);
+        if (!pollutant) {
+            return res.status(404).json({ error: `No ${code} emissions in NEI data for year ${year}` });
+        }
+        res.json({
+            year: parseInt(year),
+            code: pollutant.code,
+            description: pollutant.description,
+            uom: pollutant.uom,
+            emissions: Object.fromEntries(pollutant.emissions)
+        });
+    } catch (error) {
+        console.error(`Error reading ${code} emissions for ${year}:`, error);
+        res.status(500).json({ error: 'Failed to read NEI emissions', message: error.message });
+    }
 });
 
 // Get file info (size, row count estimate)
 app.get('/api/nei/:year/info', (req, res) => {
     const year = req.params.year;
-    const filePath = path.join(__dirname, `../data/nei/${year}_NEI_Facility_summary.csv`);
+    const filePath = getNeiFilePath(year);
     
     if (!fs.existsSync(filePath)) {
         return res.status(404).json({ error: `NEI data for year ${year} not found` });
@@ -280,9 +607,27 @@ app.get('/api/adi/years', (req, res) => {
 // Configuration API - Serve public config (API key, etc.)
 // ============================================================================
 
-app.get('/api/config', (req, res) => {
+// Used when no predictions years can be discovered (GCS unreachable, empty cache)
+const FALLBACK_PREDICTIONS_YEAR = 2021;
+
+/**
+ * Most recent predictions year available, or FALLBACK_PREDICTIONS_YEAR
+ */
+async function getDefaultPredictionsYear() {
+    try {
+        const years = await dataFetcher.listPredictionYears();
+        return years.length > 0 ? years[0] : FALLBACK_PREDICTIONS_YEAR;
+    } catch (error) {
+        return FALLBACK_PREDICTIONS_YEAR;
+    }
+}
+
+app.get('/api/config', async (req, res) => {
     const configPath = path.join(__dirname, '../config.json');
 
+    // Default to the most recent predictions year available
+    const year = await getDefaultPredictionsYear();
+
     // App configuration (hardcoded - not secrets)
     const appConfig = {
         mapDefaults: {
@@ -291,8 +636,8 @@ app.get('/api/config', (req, res) => {
         },
         dataSource: {
             type: 'api',
-            apiEndpoint: '/api/predictions/2021',
-            year: 2021
+            apiEndpoint: `/api/predictions/${year}`,
+            year: year
         }
     };
 
@@ -334,6 +679,17 @@ app.get('/api/config', (req, res) => {
 // Predictions API - Serve facility predictions data
 // ============================================================================
 
+// Get available predictions years (must be registered before /api/predictions/:year)
+app.get('/api/predictions/years', async (req, res) => {
+    try {
+        const years = await dataFetcher.listPredictionYears();
+        res.json({ years });
+    } catch (error) {
+        console.error('Error listing predictions years:', error);
+        res.status(500).json({ error: 'Failed to list predictions years' });
+    }
+});
+
 app.get('/api/predictions/:year', async (req, res) => {
     const year = req.params.year;
 
@@ -353,6 +709,236 @@ app.get('/api/predictions/:year', async (req, res) => {
     }
 });
 
+// ============================================================================
+// Facilities API - Filtered, sorted and paginated facility queries
+// ============================================================================
+
+/**
+ * Swap the predictions' NOx emissions for another NEI pollutant (?pollutant=SO2)
+ *
+ * @returns {Promise<Array<Object>|null>} - Facilities, or null after sending a 404
+ */
+async function applyPollutantParam(res, year, facilities, pollutantCode) {
+    if (!pollutantCode || pollutantCode === neiPollutants.PREDICTIONS_POLLUTANT) {
+        return facilities;
+    }
+
+    const pollutant = await neiPollutants.getPollutantEmissions(year, pollutantCode);
+    if (!pollutant) {
+        res.status(404).json({
+            error: 'Pollutant not found',
+            message: `No ${pollutantCode} emissions in NEI data for year ${year}`
+        });
+        return null;
+    }
+    return neiPollutants.applyPollutant(facilities, pollutant);
+}
+
+// Query facilities from the predictions CSV
+// e.g. /api/facilities?year=2021&sector=Utilities&minEmissions=100&sort=risk_percentile&limit=50
+// pollutant=SO2 limits results to facilities reporting SO2 to NEI, with total_emissions in SO2
+app.get('/api/facilities', validation.validateRequest({
+    query: { year: validation.rules.year, pollutant: validation.rules.pollutant }
+}), async (req, res) => {
+    const year = req.query.year || String(await getDefaultPredictionsYear());
+
+    const { params, errors } = facilityQuery.parseQueryParams(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    let facilities;
+    try {
+        facilities = await facilityQuery.loadFacilities(year);
+    } catch (error) {
+        console.error(`Error loading facilities for ${year}:`, error);
+        return res.status(404).json({
+            error: 'Predictions data not found',
+            message: `No predictions data available for year ${year}. ${error.message}`
+        });
+    }
+
+    try {
+        facilities = await applyPollutantParam(res, year, facilities, params.pollutant);
+    } catch (error) {
+        console.error(`Error loading ${params.pollutant} emissions for ${year}:`, error);
+        return res.status(500).json({ error: 'Failed to read NEI emissions', message: error.message });
+    }
+    if (!facilities) return;
+
+    const result = facilityQuery.queryFacilities(facilities, params);
+
+    res.json({
+        year: parseInt(year),
+        pollutant: params.pollutant || neiPollutants.PREDICTIONS_POLLUTANT,
+        total: result.total,
+        offset: params.offset,
+        limit: params.limit,
+        sort: params.sort,
+        order: params.order,
+        facilities: result.facilities
+    });
+});
+
+// Download the filtered facility set (same filters as /api/facilities, no pagination)
+// e.g. /api/facilities/export?format=xlsx&year=2021&sector=Utilities&minRiskPercentile=90
+app.get('/api/facilities/export', validation.validateRequest({
+    query: { year: validation.rules.year, pollutant: validation.rules.pollutant, format: validation.rules.exportFormat }
+}), async (req, res) => {
+    const year = req.query.year || String(await getDefaultPredictionsYear());
+    const format = req.query.format || 'csv';
+
+    // Export always returns the full filtered set
+    const { limit, offset, ...filterQuery } = req.query;
+    const { params, errors } = facilityQuery.parseQueryParams(filterQuery);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    let facilities;
+    try {
+        facilities = await facilityQuery.loadFacilities(year);
+    } catch (error) {
+        console.error(`Error loading facilities for ${year}:`, error);
+        return res.status(404).json({
+            error: 'Predictions data not found',
+            message: `No predictions data available for year ${year}. ${error.message}`
+        });
+    }
+
+    try {
+        facilities = await applyPollutantParam(res, year, facilities, params.pollutant);
+    } catch (error) {
+        console.error(`Error loading ${params.pollutant} emissions for ${year}:`, error);
+        return res.status(500).json({ error: 'Failed to read NEI emissions', message: error.message });
+    }
+    if (!facilities) return;
+
+    const filtered = facilityQuery.filterFacilities(facilities, params);
+    const sorted = facilityQuery.sortFacilities(filtered, params.sort, params.order);
+    const suffix = params.pollutant ? `_${params.pollutant}` : '';
+
+    try {
+        // Head the emissions column with the exported pollutant and its unit
+        const pollutant = params.pollutant && params.pollutant !== neiPollutants.PREDICTIONS_POLLUTANT
+            ? await neiPollutants.getPollutantEmissions(year, params.pollutant)
+            : undefined;
+        const { contentType, extension } = facilityExport.EXPORT_FORMATS[format];
+        const body = await facilityExport.serialize(sorted, format, pollutant);
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="facilities_${year}${suffix}.${extension}"`);
+        res.send(body);
+    } catch (error) {
+        console.error('Error exporting facilities:', error);
+        res.status(500).json({ error: 'Failed to export facilities', message: error.message });
+    }
+});
+
+// Compare facilities between two predictions years (joined on facility_id)
+// e.g. /api/facilities/changes?from=2020&to=2021
+app.get('/api/facilities/changes', validation.validateRequest({
+    query: { from: validation.required(validation.rules.year), to: validation.required(validation.rules.year) }
+}), async (req, res) => {
+    const { from, to } = req.query;
+
+    let fromFacilities, toFacilities;
+    try {
+        [fromFacilities, toFacilities] = await Promise.all([
+            facilityQuery.loadFacilities(from),
+            facilityQuery.loadFacilities(to)
+        ]);
+    } catch (error) {
+        console.error(`Error loading facilities for ${from}/${to}:`, error);
+        return res.status(404).json({
+            error: 'Predictions data not found',
+            message: `Predictions data must exist for both ${from} and ${to}. ${error.message}`
+        });
+    }
+
+    const facilities = facilityQuery.compareYears(fromFacilities, toFacilities);
+
+    res.json({
+        from: parseInt(from),
+        to: parseInt(to),
+        total: facilities.length,
+        facilities
+    });
+});
+
+// Trend of risk and emissions for one facility across all available years
+app.get('/api/facilities/:facilityId/trend', async (req, res) => {
+    const facilityId = req.params.facilityId;
+
+    try {
+        const years = await dataFetcher.listPredictionYears();
+        const facilitiesByYear = {};
+
+        await Promise.all(years.map(async (year) => {
+            try {
+                facilitiesByYear[year] = await facilityQuery.loadFacilities(year);
+            } catch (error) {
+                console.warn(`Skipping ${year} in trend for ${facilityId}: ${error.message}`);
+            }
+        }));
+
+        const trend = facilityQuery.getFacilityTrend(facilitiesByYear, facilityId);
+        if (trend.length === 0) {
+            return res.status(404).json({ error: `Facility ${facilityId} not found` });
+        }
+
+        res.json({ facility_id: facilityId, trend });
+    } catch (error) {
+        console.error(`Error building trend for ${facilityId}:`, error);
+        res.status(500).json({ error: 'Failed to build facility trend', message: error.message });
+    }
+});
+
+// Block groups within 1, 3 and 5 km of a facility with ADI ranks and nearby high-risk burden
+// e.g. /api/facilities/12345/communities?year=2021&pollutant=SO2
+app.get('/api/facilities/:facilityId/communities', validation.validateRequest({
+    query: {
+        year: validation.rules.year,
+        pollutant: validation.rules.pollutant,
+        adiYear: validation.rules.year
+    }
+}), async (req, res) => {
+    const { facilityId } = req.params;
+    const { pollutant, adiYear } = req.query;
+    const year = req.query.year || String(await getDefaultPredictionsYear());
+
+    let facilities;
+    try {
+        facilities = await facilityQuery.loadFacilities(year);
+    } catch (error) {
+        console.error(`Error loading facilities for ${year}:`, error);
+        return res.status(404).json({
+            error: 'Predictions data not found',
+            message: `No predictions data available for year ${year}. ${error.message}`
+        });
+    }
+
+    const facility = facilities.find(f => String(f.facility_id) === facilityId);
+    if (!facility || facility.site_latitude === null || facility.site_longitude === null) {
+        return res.status(404).json({
+            error: 'Facility not found',
+            message: `No located facility ${facilityId} in ${year}`
+        });
+    }
+
+    try {
+        // Burden counts other facilities' emissions of the selected pollutant
+        facilities = await applyPollutantParam(res, year, facilities, pollutant);
+        if (!facilities) return;
+
+        const communities = await nearbyCommunities.buildNearbyCommunities(facility, facilities, { adiYear });
+        res.json({ year: parseInt(year), pollutant: pollutant || neiPollutants.PREDICTIONS_POLLUTANT, ...communities });
+    } catch (error) {
+        console.error(`Error finding communities near ${facilityId}:`, error);
+        res.status(500).json({ error: 'Failed to find nearby communities', message: error.message });
+    }
+});
+
 // ============================================================================
 // ADI API - Serve Area Deprivation Index data by year
 // ============================================================================
@@ -380,23 +966,287 @@ app.get('/api/adi/:year', async (req, res) => {
 // Boundaries API - Serve census block groups GeoJSON
 // ============================================================================
 
-app.get('/api/boundaries/block_groups', async (req, res) => {
+// /api/boundaries/block_groups or /api/boundaries/census_tracts
+// (the pattern excludes dots so the .pmtiles routes below still match)
+app.get('/api/boundaries/:type([a-z_]+)', async (req, res) => {
+    const { type } = req.params;
+
     try {
         // Fetch from GCS with local caching
-        const filePath = await dataFetcher.getBoundaryData('block_groups');
+        const filePath = await dataFetcher.getBoundaryData(type);
 
         res.setHeader('Content-Type', 'application/json');
         const readStream = fs.createReadStream(filePath);
         readStream.pipe(res);
     } catch (error) {
-        console.error('Error fetching block groups data:', error);
+        console.error(`Error fetching ${type} data:`, error);
         return res.status(404).json({
-            error: 'Block groups data not found',
-            message: `Failed to load block groups boundary data. ${error.message}`
+            error: 'Boundary data not found',
+            message: `Failed to load ${type} boundary data. ${error.message}`
         });
     }
 });
 
+// ============================================================================
+// GEOID Report API - Block group equity report
+// ============================================================================
+
+// Facility aggregates, ADI ranks for every ADI year and neighboring block groups
+// e.g. /api/geoids/170310839001/report?year=2021
+app.get('/api/geoids/:geoid/report', validation.validateRequest({ query: { year: validation.rules.year } }), async (req, res) => {
+    const { geoid } = req.params;
+    const year = req.query.year || String(await getDefaultPredictionsYear());
+
+    let facilities;
+    try {
+        facilities = await facilityQuery.loadFacilities(year);
+    } catch (error) {
+        console.error(`Error loading facilities for ${year}:`, error);
+        return res.status(404).json({
+            error: 'Predictions data not found',
+            message: `No predictions data available for year ${year}. ${error.message}`
+        });
+    }
+
+    try {
+        const report = await geoidReport.buildGeoidReport(geoid, facilities);
+        res.json({ year: parseInt(year), ...report });
+    } catch (error) {
+        console.error(`Error building report for ${geoid}:`, error);
+        res.status(500).json({ error: 'Failed to build block group report', message: error.message });
+    }
+});
+
+// Facility aggregates and population-weighted ADI for a drawn shape
+// Body: { shape: { type: 'polygon' | 'rectangle' | 'circle', ... }, year, pollutant, adiYear }
+app.post('/api/selection/report', validation.validateRequest({
+    body: {
+        shape: validation.required(validation.rules.selectionShape),
+        year: validation.rules.year,
+        pollutant: validation.rules.pollutant,
+        adiYear: validation.rules.year
+    }
+}), async (req, res) => {
+    const { shape, pollutant, adiYear } = req.body;
+    const year = req.body.year || String(await getDefaultPredictionsYear());
+
+    let facilities;
+    try {
+        facilities = await facilityQuery.loadFacilities(year);
+    } catch (error) {
+        console.error(`Error loading facilities for ${year}:`, error);
+        return res.status(404).json({
+            error: 'Predictions data not found',
+            message: `No predictions data available for year ${year}. ${error.message}`
+        });
+    }
+
+    try {
+        facilities = await applyPollutantParam(res, year, facilities, pollutant);
+        if (!facilities) return;
+
+        const report = await areaSelection.buildSelectionReport(shape, facilities, { adiYear });
+        res.json({ year: parseInt(year), pollutant: pollutant || neiPollutants.PREDICTIONS_POLLUTANT, ...report });
+    } catch (error) {
+        console.error('Error building selection report:', error);
+        res.status(500).json({ error: 'Failed to build selection report', message: error.message });
+    }
+});
+
+// ============================================================================
+// Burden Index API - Cumulative facility burden per block group
+// ============================================================================
+
+// Distance-decayed risk_norm × emissions per block group, combined with ADI
+// e.g. /api/burden?year=2021&pollutant=SO2&adiYear=2020&radius=5000
+// Returns { scores: { geoid: burdenIndex } } for the choropleth and the most burdened communities
+app.get('/api/burden', validation.validateRequest({
+    query: {
+        year: validation.rules.year,
+        pollutant: validation.rules.pollutant,
+        adiYear: validation.rules.year,
+        radius: validation.rules.burdenRadius
+    }
+}), async (req, res) => {
+    const pollutantCode = req.query.pollutant || neiPollutants.PREDICTIONS_POLLUTANT;
+    const radiusMeters = req.query.radius || burdenIndex.DEFAULT_RADIUS_METERS;
+    const year = req.query.year || String(await getDefaultPredictionsYear());
+
+    let facilities;
+    try {
+        facilities = await facilityQuery.loadFacilities(year);
+    } catch (error) {
+        console.error(`Error loading facilities for ${year}:`, error);
+        return res.status(404).json({
+            error: 'Predictions data not found',
+            message: `No predictions data available for year ${year}. ${error.message}`
+        });
+    }
+
+    try {
+        facilities = await applyPollutantParam(res, year, facilities, pollutantCode);
+    } catch (error) {
+        console.error(`Error loading ${pollutantCode} emissions for ${year}:`, error);
+        return res.status(500).json({ error: 'Failed to read NEI emissions', message: error.message });
+    }
+    if (!facilities) return;
+
+    let adiYear = req.query.adiYear;
+    let ranks;
+    try {
+        if (!adiYear) {
+            const adiYears = await dataFetcher.listAdiYears();
+            if (adiYears.length === 0) {
+                return res.status(404).json({ error: 'ADI data not found', message: 'No ADI years are available' });
+            }
+            adiYear = String(adiYears[0]);
+        }
+        ranks = await geoidReport.loadAdiRanks(adiYear);
+    } catch (error) {
+        console.error(`Error loading ADI ${adiYear || '(year list)'}:`, error);
+        return res.status(404).json({
+            error: 'ADI data not found',
+            message: adiYear ? `No ADI data available for year ${adiYear}. ${error.message}` : error.message
+        });
+    }
+
+    try {
+        const result = await burdenIndex.getBurdenIndex(facilities, ranks, {
+            cacheKey: `${year}:${pollutantCode}:${adiYear}:${radiusMeters}`,
+            radiusMeters
+        });
+        res.json({
+            year: parseInt(year),
+            pollutant: pollutantCode,
+            adiYear: parseInt(adiYear),
+            radiusMeters,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error computing burden index:', error);
+        res.status(500).json({ error: 'Failed to compute burden index', message: error.message });
+    }
+});
+
+// ============================================================================
+// Cache Admin API - Inspect, prefetch and evict the data cache
+// ============================================================================
+
+/**
+ * Validate :category and :filename against what's actually in the cache
+ * A file counts as cached if it's present or has archived versions
+ */
+function validateCacheParams(req, res) {
+    const { category, filename } = req.params;
+
+    if (!dataFetcher.CACHE_CATEGORIES.includes(category)) {
+        res.status(400).json({ error: `Invalid category. Must be one of: ${dataFetcher.CACHE_CATEGORIES.join(', ')}` });
+        return false;
+    }
+
+    if (filename === undefined) return true;
+
+    const isKnown = path.basename(filename) === filename && !filename.startsWith('.') && (
+        dataFetcher.listCachedFiles().files.some(f => f.category === category && f.filename === filename)
+        || dataFetcher.listCachedVersions(category, filename).length > 0
+    );
+    if (!isKnown) {
+        res.status(404).json({ error: `${category}/${filename} is not cached` });
+        return false;
+    }
+
+    return true;
+}
+
+// List cached files with size, age and source path
+app.get('/api/admin/cache', auth.requireRole('admin'), (req, res) => {
+    res.json(dataFetcher.listCachedFiles());
+});
+
+// List files in remote storage, e.g. /api/admin/storage?prefix=Data/Predictions/
+app.get('/api/admin/storage', auth.requireRole('admin'), async (req, res) => {
+    const prefix = req.query.prefix || 'Data/';
+
+    try {
+        const files = await dataFetcher.listAvailableFiles(prefix);
+        res.json({ source: dataFetcher.STORAGE_BACKEND, prefix, files });
+    } catch (error) {
+        console.error(`Error listing remote storage (${prefix}):`, error.message);
+        res.status(502).json({ error: 'Failed to list remote storage', message: error.message });
+    }
+});
+
+// Prefetch a year's predictions, ADI and boundaries (body: { year })
+app.post('/api/admin/cache/prefetch', auth.requireRole('admin'), validation.validateRequest({
+    body: { year: validation.required(validation.rules.year) }
+}), async (req, res) => {
+    const year = req.body.year;
+
+    const results = await dataFetcher.prefetchYear(year);
+    const failed = results.filter(result => result.error);
+    res.status(failed.length === results.length ? 502 : 200).json({
+        success: failed.length === 0,
+        year: parseInt(year),
+        results
+    });
+});
+
+// Evict a cache category
+app.delete('/api/admin/cache/:category', auth.requireRole('admin'), (req, res) => {
+    if (!validateCacheParams(req, res)) return;
+
+    dataFetcher.clearCache(req.params.category);
+    auditLog.recordAuditEvent(req, 'cache.evict', { category: req.params.category });
+    res.json({ success: true, message: `Cleared cache category ${req.params.category}` });
+});
+
+// Evict one cached file
+app.delete('/api/admin/cache/:category/:filename', auth.requireRole('admin'), (req, res) => {
+    if (!validateCacheParams(req, res)) return;
+
+    const { category, filename } = req.params;
+    dataFetcher.clearCache(category, filename);
+    auditLog.recordAuditEvent(req, 'cache.evict', { category, filename });
+    res.json({ success: true, message: `Cleared ${category}/${filename}` });
+});
+
+// Archived versions of a cached file, most recent first
+app.get('/api/admin/cache/:category/:filename/versions', auth.requireRole('admin'), (req, res) => {
+    if (!validateCacheParams(req, res)) return;
+
+    const { category, filename } = req.params;
+    res.json({ versions: dataFetcher.listCachedVersions(category, filename) });
+});
+
+// Roll a cached file back to an archived version (body: { versionId }, defaults to the latest)
+app.post('/api/admin/cache/:category/:filename/rollback', auth.requireRole('admin'), (req, res) => {
+    if (!validateCacheParams(req, res)) return;
+
+    const { category, filename } = req.params;
+    try {
+        const meta = dataFetcher.rollbackCachedFile(category, filename, req.body.versionId || null);
+        auditLog.recordAuditEvent(req, 'cache.rollback', { category, filename, versionId: req.body.versionId || null });
+        res.json({ success: true, meta });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Resume revalidation of a rolled back (pinned) file
+app.post('/api/admin/cache/:category/:filename/unpin', auth.requireRole('admin'), (req, res) => {
+    if (!validateCacheParams(req, res)) return;
+
+    const { category, filename } = req.params;
+    dataFetcher.unpinCachedFile(category, filename);
+    res.json({ success: true, message: `Unpinned ${category}/${filename}` });
+});
+
+// Recent audit events, newest first (e.g. ?limit=50)
+app.get('/api/admin/audit', auth.requireRole('admin'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json({ events: auditLog.readAuditLog(limit) });
+});
+
 // ============================================================================
 // PMTiles API Routes - Serve census boundary vector tiles
 // ============================================================================
@@ -556,10 +1406,36 @@ app.get('/api/boundaries/census_tracts.pmtiles', (req, res) => {
 //         });
 // });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`NEI Emissions Mapper Server running on http://localhost:${PORT}`);
-    console.log(`Data directory: ${path.join(__dirname, '../data/nei')}`);
+// ============================================================================
+// Error Handling
+// ============================================================================
+
+// Errors passed to next() - validation failures from multer's filename callback, upload limits
+// (Express recognizes error handlers by their four arguments)
+app.use((err, req, res, next) => {
+    if (err instanceof validation.ValidationError) {
+        return validation.sendValidationError(res, err);
+    }
+    if (err instanceof multer.MulterError) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: 'Upload rejected', message: err.message });
+    }
+
+    // Body parser errors (malformed JSON, chunks over the size limit)
+    if (err.expose && err.status) {
+        return res.status(err.status).json({ error: 'Invalid request body', message: err.message });
+    }
+
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal server error' });
 });
 
+// Start server (skipped when required by tests)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`NEI Emissions Mapper Server running on http://localhost:${PORT}`);
+        console.log(`Data directory: ${NEI_DIR}`);
+    });
+}
+
 module.exports = app;
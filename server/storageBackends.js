@@ -0,0 +1,433 @@
+/**
+ * Storage Backends - Pluggable remote storage behind dataFetcher
+ *
+ * Every backend exposes the same interface, using bucket-style object paths
+ * (e.g. 'Data/Predictions/annual_risk_with_socioeconomic_2021_UI.csv'):
+ *
+ *   name                           - Human-readable description for logs
+ *   exists(remotePath)             - Promise<boolean>
+ *   stat(remotePath)               - Promise<Object|null>, version metadata
+ *                                    { generation, etag, md5, size, updated } (null if missing)
+ *   download(remotePath, dest)     - Promise<void>, writes the object to a local file
+ *   list(prefix)                   - Promise<Array<string>>, object paths starting with prefix
+ *
+ * Backends: 'gcs' (default), 'local' (directory mirroring the bucket layout),
+ * 's3' (any S3-compatible endpoint, e.g. MinIO) and 'http' (static file server).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Stream a fetch() Response body into a local file
+ */
+async function writeResponseToFile(response, destination) {
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(destination));
+}
+
+/**
+ * Version metadata from HTTP response headers (S3 and plain HTTP)
+ * Single-part S3 ETags are the hex MD5 of the object
+ */
+function statFromHeaders(headers) {
+    const etag = headers.get('etag');
+    const unquoted = etag ? etag.replace(/^W\//, '').replace(/"/g, '') : null;
+    const length = headers.get('content-length');
+
+    return {
+        generation: headers.get('x-amz-version-id') || null,
+        etag: etag || null,
+        md5: unquoted && /^[0-9a-f]{32}$/i.test(unquoted) ? unquoted.toLowerCase() : null,
+        size: length !== null ? parseInt(length) : null,
+        updated: headers.get('last-modified') ? new Date(headers.get('last-modified')).toISOString() : null
+    };
+}
+
+// ============================================================================
+// Google Cloud Storage
+// ============================================================================
+
+/**
+ * @param {Object} options - { bucket, credentialsPath }
+ */
+function createGcsBackend(options) {
+    // Required lazily so offline backends don't need GCS credentials or network
+    const { Storage } = require('@google-cloud/storage');
+
+    let storage;
+    if (options.credentialsPath && fs.existsSync(options.credentialsPath)) {
+        // Use credentials file (local development)
+        storage = new Storage({ keyFilename: options.credentialsPath });
+        console.log(`✓ GCS Storage client initialized with credentials: ${options.credentialsPath}`);
+    } else {
+        // Use Application Default Credentials (Cloud Run, GCE, etc.)
+        console.log('⚠️  No credentials file found, using Application Default Credentials');
+        storage = new Storage();
+        console.log(`✓ GCS Storage client initialized with ADC for bucket: ${options.bucket}`);
+    }
+
+    const bucket = storage.bucket(options.bucket);
+
+    return {
+        name: `gs://${options.bucket}`,
+
+        async exists(remotePath) {
+            const [exists] = await bucket.file(remotePath).exists();
+            return exists;
+        },
+
+        async stat(remotePath) {
+            try {
+                const [metadata] = await bucket.file(remotePath).getMetadata();
+                return {
+                    generation: metadata.generation ? String(metadata.generation) : null,
+                    etag: metadata.etag || null,
+                    md5: metadata.md5Hash ? Buffer.from(metadata.md5Hash, 'base64').toString('hex') : null,
+                    size: metadata.size !== undefined ? parseInt(metadata.size) : null,
+                    updated: metadata.updated || null
+                };
+            } catch (error) {
+                if (error.code === 404) return null;
+                throw error;
+            }
+        },
+
+        async download(remotePath, destination) {
+            fs.mkdirSync(path.dirname(destination), { recursive: true });
+            await bucket.file(remotePath).download({ destination });
+        },
+
+        async list(prefix) {
+            const [files] = await bucket.getFiles({ prefix });
+            return files.map(file => file.name);
+        }
+    };
+}
+
+// ============================================================================
+// Local Directory
+// ============================================================================
+
+/**
+ * Recursively list files under a directory as '/'-separated paths relative to root
+ */
+function walkDirectory(root, dir = root) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return walkDirectory(root, fullPath);
+        return [path.relative(root, fullPath).split(path.sep).join('/')];
+    });
+}
+
+/**
+ * @param {Object} options - { rootDir } (directory mirroring the bucket layout)
+ */
+function createLocalBackend(options) {
+    const rootDir = path.resolve(options.rootDir);
+
+    // Reject paths that would escape rootDir
+    const resolve = (remotePath) => {
+        const fullPath = path.resolve(rootDir, remotePath);
+        if (fullPath !== rootDir && !fullPath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Path outside storage root: ${remotePath}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        name: `file://${rootDir}`,
+
+        async exists(remotePath) {
+            return fs.existsSync(resolve(remotePath));
+        },
+
+        async stat(remotePath) {
+            const fullPath = resolve(remotePath);
+            if (!fs.existsSync(fullPath)) return null;
+
+            // No server-side versioning - size and mtime identify a version
+            const stats = fs.statSync(fullPath);
+            return {
+                generation: null,
+                etag: `${stats.size}-${Math.floor(stats.mtimeMs)}`,
+                md5: null,
+                size: stats.size,
+                updated: stats.mtime.toISOString()
+            };
+        },
+
+        async download(remotePath, destination) {
+            fs.mkdirSync(path.dirname(destination), { recursive: true });
+            await fs.promises.copyFile(resolve(remotePath), destination);
+        },
+
+        async list(prefix) {
+            return walkDirectory(rootDir).filter(name => name.startsWith(prefix));
+        }
+    };
+}
+
+// ============================================================================
+// S3-Compatible (AWS S3, MinIO, ...)
+// ============================================================================
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * RFC 3986 encoding used by SigV4 (keeps '/' when encoding object keys)
+ */
+function encodeRfc3986(value, keepSlash = false) {
+    const encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+/**
+ * Sign a request with AWS Signature Version 4 (unsigned payload hash of an empty body)
+ *
+ * @param {Object} request - { method, url, region, accessKeyId, secretAccessKey, date }
+ *                           (date defaults to now)
+ * @returns {Object} - Headers to send
+ */
+function signS3Request({ method, url, region, accessKeyId, secretAccessKey, date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const canonicalQuery = [...url.searchParams.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+        .join('&');
+
+    const headers = {
+        host: url.host,
+        'x-amz-content-sha256': EMPTY_PAYLOAD_HASH,
+        'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers).sort().map(key => `${key}:${headers[key]}\n`).join('');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaders,
+        EMPTY_PAYLOAD_HASH
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+        'x-amz-content-sha256': EMPTY_PAYLOAD_HASH,
+        'x-amz-date': amzDate,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+/**
+ * @param {Object} options - { endpoint, bucket, region, accessKeyId, secretAccessKey, forcePathStyle }
+ */
+function createS3Backend(options) {
+    const endpoint = new URL(options.endpoint || `https://s3.${options.region || 'us-east-1'}.amazonaws.com`);
+    const region = options.region || 'us-east-1';
+    const forcePathStyle = options.forcePathStyle !== false; // MinIO needs path-style URLs
+    const credentials = {
+        accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID || '',
+        secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY || ''
+    };
+
+    // Object URL for a key ('' for the bucket itself)
+    const objectUrl = (key = '') => {
+        const encodedKey = encodeRfc3986(key, true);
+        const url = new URL(endpoint.href);
+        if (forcePathStyle) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${options.bucket}/${encodedKey}`;
+        } else {
+            url.host = `${options.bucket}.${endpoint.host}`;
+            url.pathname = `/${encodedKey}`;
+        }
+        return url;
+    };
+
+    const request = (method, url) => fetch(url, {
+        method,
+        headers: signS3Request({ method, url, region, ...credentials })
+    });
+
+    return {
+        name: `s3://${options.bucket} (${endpoint.origin})`,
+
+        async exists(remotePath) {
+            const response = await request('HEAD', objectUrl(remotePath));
+            if (response.status === 404) return false;
+            if (!response.ok) throw new Error(`S3 HEAD ${remotePath} failed with ${response.status}`);
+            return true;
+        },
+
+        async stat(remotePath) {
+            const response = await request('HEAD', objectUrl(remotePath));
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`S3 HEAD ${remotePath} failed with ${response.status}`);
+            return statFromHeaders(response.headers);
+        },
+
+        async download(remotePath, destination) {
+            const response = await request('GET', objectUrl(remotePath));
+            if (!response.ok) throw new Error(`S3 GET ${remotePath} failed with ${response.status}`);
+            await writeResponseToFile(response, destination);
+        },
+
+        async list(prefix) {
+            const keys = [];
+            let continuationToken = null;
+
+            do {
+                const url = objectUrl();
+                url.searchParams.set('list-type', '2');
+                url.searchParams.set('prefix', prefix);
+                if (continuationToken) url.searchParams.set('continuation-token', continuationToken);
+
+                const response = await request('GET', url);
+                if (!response.ok) throw new Error(`S3 list ${prefix} failed with ${response.status}`);
+                const xml = await response.text();
+
+                for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+                    keys.push(decodeXmlEntities(match[1]));
+                }
+
+                const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+                const tokenMatch = xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+                continuationToken = truncated && tokenMatch ? decodeXmlEntities(tokenMatch[1]) : null;
+            } while (continuationToken);
+
+            return keys;
+        }
+    };
+}
+
+function decodeXmlEntities(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// ============================================================================
+// Plain HTTP
+// ============================================================================
+
+/**
+ * @param {Object} options - { baseUrl, manifest }
+ *   manifest: optional path (relative to baseUrl) of a JSON array of object
+ *   paths, used for list() since plain HTTP has no directory listing
+ */
+function createHttpBackend(options) {
+    const baseUrl = options.baseUrl.replace(/\/$/, '');
+    const objectUrl = (remotePath) => `${baseUrl}/${encodeRfc3986(remotePath, true)}`;
+
+    return {
+        name: baseUrl,
+
+        async exists(remotePath) {
+            const response = await fetch(objectUrl(remotePath), { method: 'HEAD' });
+            return response.ok;
+        },
+
+        async stat(remotePath) {
+            const response = await fetch(objectUrl(remotePath), { method: 'HEAD' });
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`HTTP HEAD ${remotePath} failed with ${response.status}`);
+            return statFromHeaders(response.headers);
+        },
+
+        async download(remotePath, destination) {
+            const response = await fetch(objectUrl(remotePath));
+            if (!response.ok) throw new Error(`HTTP GET ${remotePath} failed with ${response.status}`);
+            await writeResponseToFile(response, destination);
+        },
+
+        async list(prefix) {
+            if (!options.manifest) return [];
+
+            const response = await fetch(objectUrl(options.manifest));
+            if (!response.ok) throw new Error(`HTTP manifest ${options.manifest} failed with ${response.status}`);
+            const files = await response.json();
+            return files.filter(name => name.startsWith(prefix));
+        }
+    };
+}
+
+// ============================================================================
+// Factory
+// ============================================================================
+
+const BACKEND_TYPES = ['gcs', 'local', 's3', 'http'];
+
+/**
+ * Create the configured storage backend
+ *
+ * @param {Object} storageConfig - { type, gcs, local, s3, http } from config.json "storage"
+ * @returns {Object} - Backend implementing exists/download/list
+ */
+function createStorageBackend(storageConfig) {
+    const type = storageConfig.type || 'gcs';
+
+    switch (type) {
+        case 'gcs':
+            return createGcsBackend(storageConfig.gcs || {});
+        case 'local':
+            if (!storageConfig.local || !storageConfig.local.rootDir) {
+                throw new Error('storage.local.rootDir is required for the local backend');
+            }
+            return createLocalBackend(storageConfig.local);
+        case 's3':
+            if (!storageConfig.s3 || !storageConfig.s3.bucket) {
+                throw new Error('storage.s3.bucket is required for the s3 backend');
+            }
+            return createS3Backend(storageConfig.s3);
+        case 'http':
+            if (!storageConfig.http || !storageConfig.http.baseUrl) {
+                throw new Error('storage.http.baseUrl is required for the http backend');
+            }
+            return createHttpBackend(storageConfig.http);
+        default:
+            throw new Error(`Unknown storage backend "${type}" (expected one of: ${BACKEND_TYPES.join(', ')})`);
+    }
+}
+
+module.exports = {
+    createStorageBackend,
+    createGcsBackend,
+    createLocalBackend,
+    createS3Backend,
+    createHttpBackend,
+    signS3Request,
+    BACKEND_TYPES
+};
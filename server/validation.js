@@ -0,0 +1,359 @@
+/**
+ * Validation Module - Request parameter validation and safe file paths
+ *
+ * Every route parameter that ends up in a file path or a data lookup is
+ * checked here. Invalid requests get a structured 400:
+ *   { error: 'Invalid request parameters', details: [{ field, location, message }] }
+ *
+ * Usage in server.js:
+ *   app.param('year', validation.validateParam(validation.rules.year));
+ *   app.get('/route', validation.validateRequest({ query: { year: validation.rules.year } }), handler);
+ */
+
+const path = require('path');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Accepted data years (NEI, predictions and ADI releases)
+const MIN_YEAR = 2000;
+const MAX_YEAR = new Date().getFullYear() + 1;
+
+// Boundary files served by dataFetcher.getBoundaryData()
+const BOUNDARY_TYPES = ['block_groups', 'census_tracts'];
+
+// NEI downloads: canonical CSV or its JSON sidecar
+const NEI_FORMATS = ['csv', 'json'];
+
+// Facility exports: keep in sync with EXPORT_FORMATS in facilityExport.js
+const EXPORT_FORMATS = ['csv', 'geojson', 'xlsx'];
+
+// Area selections: drawn shapes and their size limits
+const SELECTION_SHAPE_TYPES = ['polygon', 'rectangle', 'circle'];
+const MAX_SELECTION_VERTICES = 1000;
+const MAX_SELECTION_RADIUS_METERS = 100000;
+
+// Burden index: radius facilities contribute over
+const MIN_BURDEN_RADIUS_METERS = 500;
+const MAX_BURDEN_RADIUS_METERS = 50000;
+
+// NEI version diffs: facilities listed per added/removed/changed group
+const MAX_DIFF_LIMIT = 10000;
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+class ValidationError extends Error {
+    /**
+     * @param {string} field - Parameter name
+     * @param {string} message - What's wrong with it
+     * @param {string} location - params, query or body
+     */
+    constructor(field, message, location = null) {
+        super(message);
+        this.name = 'ValidationError';
+        this.field = field;
+        this.location = location;
+        this.status = 400;
+    }
+
+    toJSON() {
+        return {
+            error: 'Invalid request parameters',
+            details: [{ field: this.field, location: this.location, message: this.message }]
+        };
+    }
+}
+
+// ============================================================================
+// Parsers
+// ============================================================================
+
+// Each parser returns the normalized value or throws a ValidationError
+
+function parseYear(value, field = 'year') {
+    const text = String(value);
+    const year = parseInt(text);
+    if (!/^\d{4}$/.test(text) || year < MIN_YEAR || year > MAX_YEAR) {
+        throw new ValidationError(field, `${field} must be a four-digit year between ${MIN_YEAR} and ${MAX_YEAR}`);
+    }
+    return text;
+}
+
+function parseGeoid(value, field = 'geoid') {
+    const text = String(value);
+    if (!/^\d{12}$/.test(text)) {
+        throw new ValidationError(field, `${field} must be a 12-digit block group GEOID`);
+    }
+    return text;
+}
+
+function parseBoundaryType(value, field = 'type') {
+    const text = String(value);
+    if (!BOUNDARY_TYPES.includes(text)) {
+        throw new ValidationError(field, `${field} must be one of: ${BOUNDARY_TYPES.join(', ')}`);
+    }
+    return text;
+}
+
+function parseNeiFormat(value, field = 'format') {
+    const text = String(value).toLowerCase();
+    if (!NEI_FORMATS.includes(text)) {
+        throw new ValidationError(field, `${field} must be one of: ${NEI_FORMATS.join(', ')}`);
+    }
+    return text;
+}
+
+function parseExportFormat(value, field = 'format') {
+    const text = String(value).toLowerCase();
+    if (!EXPORT_FORMATS.includes(text)) {
+        throw new ValidationError(field, `${field} must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    return text;
+}
+
+function parsePollutant(value, field = 'pollutant') {
+    const text = String(value).toUpperCase();
+    if (!/^[A-Z0-9][A-Z0-9.-]{0,31}$/.test(text)) {
+        throw new ValidationError(field, `${field} must be an NEI pollutant code (e.g. NOX, SO2, PM25-PRI)`);
+    }
+    return text;
+}
+
+function parseFacilityId(value, field = 'facilityId') {
+    const text = String(value);
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(text)) {
+        throw new ValidationError(field, `${field} must be 1-64 letters, digits, underscores or hyphens`);
+    }
+    return text;
+}
+
+function parseUploadId(value, field = 'uploadId') {
+    const text = String(value);
+    if (!/^[a-f0-9]{16}$/.test(text)) {
+        throw new ValidationError(field, `${field} must be a 16-character hex ID`);
+    }
+    return text;
+}
+
+function parseNeiVersionId(value, field = 'versionId') {
+    const text = String(value);
+    if (!/^\d{10,16}-[a-f0-9]{8}$/.test(text)) {
+        throw new ValidationError(field, `${field} must be an NEI version ID (e.g. 1700000000000-0a1b2c3d)`);
+    }
+    return text;
+}
+
+function parseReportId(value, field = 'reportId') {
+    const text = String(value);
+    if (!/^[a-f0-9]{16}$/.test(text)) {
+        throw new ValidationError(field, `${field} must be a 16-character hex ID`);
+    }
+    return text;
+}
+
+function parseBurdenRadius(value, field = 'radius') {
+    const text = String(value);
+    const radius = parseInt(text);
+    if (!/^\d+$/.test(text) || radius < MIN_BURDEN_RADIUS_METERS || radius > MAX_BURDEN_RADIUS_METERS) {
+        throw new ValidationError(field, `${field} must be whole meters between ${MIN_BURDEN_RADIUS_METERS} and ${MAX_BURDEN_RADIUS_METERS}`);
+    }
+    return radius;
+}
+
+function parseDiffLimit(value, field = 'limit') {
+    const text = String(value);
+    const limit = parseInt(text);
+    if (!/^\d+$/.test(text) || limit < 1 || limit > MAX_DIFF_LIMIT) {
+        throw new ValidationError(field, `${field} must be a whole number between 1 and ${MAX_DIFF_LIMIT}`);
+    }
+    return limit;
+}
+
+/**
+ * Parse a [lng, lat] pair
+ */
+function parseLngLat(value, field) {
+    if (!Array.isArray(value) || value.length !== 2) {
+        throw new ValidationError(field, `${field} must be a [longitude, latitude] pair`);
+    }
+    const [lng, lat] = value.map(Number);
+    if (!isFinite(lng) || !isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+        throw new ValidationError(field, `${field} must be a [longitude, latitude] pair within -180..180, -90..90`);
+    }
+    return [lng, lat];
+}
+
+/**
+ * Parse a drawn selection shape:
+ *   { type: 'polygon', coordinates: [[lng, lat], ...] }
+ *   { type: 'rectangle', bounds: [west, south, east, north] }
+ *   { type: 'circle', center: [lng, lat], radius: meters }
+ */
+function parseSelectionShape(value, field = 'shape') {
+    if (!value || typeof value !== 'object' || !SELECTION_SHAPE_TYPES.includes(value.type)) {
+        throw new ValidationError(field, `${field}.type must be one of: ${SELECTION_SHAPE_TYPES.join(', ')}`);
+    }
+
+    if (value.type === 'polygon') {
+        const coordinates = value.coordinates;
+        if (!Array.isArray(coordinates) || coordinates.length < 3 || coordinates.length > MAX_SELECTION_VERTICES) {
+            throw new ValidationError(field, `${field}.coordinates must have 3-${MAX_SELECTION_VERTICES} vertices`);
+        }
+        return { type: 'polygon', coordinates: coordinates.map(point => parseLngLat(point, `${field}.coordinates`)) };
+    }
+
+    if (value.type === 'rectangle') {
+        const bounds = Array.isArray(value.bounds) ? value.bounds.map(Number) : [];
+        const [west, south, east, north] = bounds;
+        if (bounds.length !== 4 || bounds.some(n => !isFinite(n)) || west >= east || south >= north
+            || Math.abs(west) > 180 || Math.abs(east) > 180 || Math.abs(south) > 90 || Math.abs(north) > 90) {
+            throw new ValidationError(field, `${field}.bounds must be [west, south, east, north] with west < east and south < north`);
+        }
+        return { type: 'rectangle', bounds };
+    }
+
+    const radius = Number(value.radius);
+    if (!isFinite(radius) || radius <= 0 || radius > MAX_SELECTION_RADIUS_METERS) {
+        throw new ValidationError(field, `${field}.radius must be between 0 and ${MAX_SELECTION_RADIUS_METERS} meters`);
+    }
+    return { type: 'circle', center: parseLngLat(value.center, `${field}.center`), radius };
+}
+
+// Rules for validateRequest(); wrap with required() to reject missing values
+const rules = {
+    year: { parse: parseYear },
+    geoid: { parse: parseGeoid },
+    boundaryType: { parse: parseBoundaryType },
+    neiFormat: { parse: parseNeiFormat },
+    exportFormat: { parse: parseExportFormat },
+    pollutant: { parse: parsePollutant },
+    facilityId: { parse: parseFacilityId },
+    reportId: { parse: parseReportId },
+    neiVersionId: { parse: parseNeiVersionId },
+    uploadId: { parse: parseUploadId },
+    selectionShape: { parse: parseSelectionShape },
+    burdenRadius: { parse: parseBurdenRadius },
+    diffLimit: { parse: parseDiffLimit }
+};
+
+function required(rule) {
+    return { ...rule, required: true };
+}
+
+// ============================================================================
+// Middleware
+// ============================================================================
+
+/**
+ * Send a ValidationError as a structured 400
+ */
+function sendValidationError(res, error) {
+    return res.status(400).json(error.toJSON());
+}
+
+/**
+ * Validate a route parameter (for app.param)
+ * The parsed value replaces req.params[name].
+ */
+function validateParam(rule) {
+    return (req, res, next, value, name) => {
+        try {
+            req.params[name] = rule.parse(value, name);
+            next();
+        } catch (error) {
+            if (!(error instanceof ValidationError)) return next(error);
+            error.location = 'params';
+            sendValidationError(res, error);
+        }
+    };
+}
+
+/**
+ * Validate params, query and body fields against rules
+ * Parsed values replace the originals; all problems are reported together.
+ *
+ * @param {Object} schema - { params: { field: rule }, query: {...}, body: {...} }
+ */
+function validateRequest(schema) {
+    return (req, res, next) => {
+        const details = [];
+
+        ['params', 'query', 'body'].forEach(location => {
+            Object.entries(schema[location] || {}).forEach(([field, rule]) => {
+                const source = req[location] || {};
+                const value = source[field];
+
+                if (value === undefined || value === '') {
+                    if (rule.required) {
+                        details.push({ field, location, message: `${field} is required` });
+                    }
+                    return;
+                }
+
+                try {
+                    source[field] = rule.parse(value, field);
+                } catch (error) {
+                    if (!(error instanceof ValidationError)) throw error;
+                    details.push({ field, location, message: error.message });
+                }
+            });
+        });
+
+        if (details.length > 0) {
+            return res.status(400).json({ error: 'Invalid request parameters', details });
+        }
+        next();
+    };
+}
+
+// ============================================================================
+// Safe Paths
+// ============================================================================
+
+/**
+ * Resolve a filename inside a base directory
+ * Throws if the result would escape the directory (e.g. "../" or absolute paths).
+ */
+function resolveWithin(baseDir, filename) {
+    const root = path.resolve(baseDir);
+    const resolved = path.resolve(root, filename);
+    if (path.dirname(resolved) !== root) {
+        throw new ValidationError('filename', `Invalid filename: ${filename}`);
+    }
+    return resolved;
+}
+
+module.exports = {
+    ValidationError,
+    rules,
+    required,
+    parseYear,
+    parseGeoid,
+    parseBoundaryType,
+    parseNeiFormat,
+    parseExportFormat,
+    parsePollutant,
+    parseFacilityId,
+    parseReportId,
+    parseNeiVersionId,
+    parseUploadId,
+    parseSelectionShape,
+    parseBurdenRadius,
+    parseDiffLimit,
+    validateParam,
+    validateRequest,
+    sendValidationError,
+    resolveWithin,
+    MIN_YEAR,
+    MAX_YEAR,
+    BOUNDARY_TYPES,
+    NEI_FORMATS,
+    EXPORT_FORMATS,
+    SELECTION_SHAPE_TYPES,
+    MIN_BURDEN_RADIUS_METERS,
+    MAX_BURDEN_RADIUS_METERS,
+    MAX_DIFF_LIMIT
+};
@@ -0,0 +1,51 @@
+/**
+ * Admin storage listing tests - a broken storage backend is reported as an
+ * error, not as an empty bucket
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// An unknown backend type leaves dataFetcher without a backend
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-admin-storage-'));
+process.env.STORAGE_TYPE = 'unavailable';
+process.env.CACHE_DIR = path.join(tempDir, 'cache');
+process.env.NEI_DATA_DIR = path.join(tempDir, 'nei');
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit.log');
+process.env.NEI_VALIDATION_REPORT_DIR = path.join(tempDir, 'validation_reports');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const app = require('../server/server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('GET /api/admin/storage', () => {
+    test('returns 502 when remote storage cannot be listed', async () => {
+        const response = await fetch(`${baseUrl}/api/admin/storage?prefix=Data/`, {
+            headers: { Authorization: 'Bearer test-admin-token' }
+        });
+        const body = await response.json();
+
+        assert.strictEqual(response.status, 502);
+        assert.strictEqual(body.error, 'Failed to list remote storage');
+        assert.match(body.message, /Storage backend not initialized/);
+    });
+});
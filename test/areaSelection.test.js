@@ -0,0 +1,81 @@
+/**
+ * Area selection tests - block group intersection and weighted ADI for drawn shapes
+ *
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const areaSelection = require('../server/areaSelection');
+
+/**
+ * Square block group from (lng, lat) with the given side in degrees
+ */
+function square(geoid, lng, lat, side, properties = {}) {
+    return {
+        type: 'Feature',
+        properties: { GEOID10: geoid, ...properties },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[lng, lat], [lng + side, lat], [lng + side, lat + side], [lng, lat + side], [lng, lat]]]
+        }
+    };
+}
+
+const BLOCK_GROUPS = areaSelection.parseBlockGroups({
+    type: 'FeatureCollection',
+    features: [
+        square('170310000001', 0, 0, 1, { POPULATION: 100 }),
+        square('170310000002', 1, 0, 1, { POPULATION: 300 }),
+        square('170310000003', 5, 5, 1, { POPULATION: 50 })
+    ]
+});
+
+const RANKS = new Map([
+    ['170310000001', { natRank: 20, stateRank: 2 }],
+    ['170310000002', { natRank: 80, stateRank: 8 }],
+    ['170310000003', { natRank: 99, stateRank: 10 }]
+]);
+
+describe('area selection', () => {
+    test('finds block groups crossed by a rectangle, even without a vertex inside', () => {
+        // A thin rectangle through the middle of both squares - no block group vertex falls inside it
+        const ring = areaSelection.getShapeRing({ type: 'rectangle', bounds: [0.5, 0.4, 1.5, 0.6] });
+        const found = areaSelection.findIntersectingBlockGroups(BLOCK_GROUPS, ring);
+        assert.deepStrictEqual(found.map(bg => bg.geoid), ['170310000001', '170310000002']);
+    });
+
+    test('finds the block group containing a small circle', () => {
+        const ring = areaSelection.getShapeRing({ type: 'circle', center: [5.5, 5.5], radius: 1000 });
+        const found = areaSelection.findIntersectingBlockGroups(BLOCK_GROUPS, ring);
+        assert.deepStrictEqual(found.map(bg => bg.geoid), ['170310000003']);
+    });
+
+    test('weights ADI ranks by population', () => {
+        const summary = areaSelection.summarizeAdi(BLOCK_GROUPS.slice(0, 2), RANKS);
+
+        assert.strictEqual(summary.weighting, 'population');
+        assert.strictEqual(summary.natRank, (20 * 100 + 80 * 300) / 400);
+        assert.strictEqual(summary.stateRank, (2 * 100 + 8 * 300) / 400);
+        assert.deepStrictEqual(summary.mostDeprived.map(bg => bg.geoid), ['170310000002', '170310000001']);
+    });
+
+    test('falls back to equal weights without population', () => {
+        // Land area alone isn't used as a weight
+        const [blockGroup] = areaSelection.parseBlockGroups({
+            type: 'FeatureCollection',
+            features: [square('170310000001', 0, 0, 1, { ALAND10: 5000 })]
+        });
+        const summary = areaSelection.summarizeAdi([blockGroup, { ...BLOCK_GROUPS[1], population: null }], RANKS);
+
+        assert.strictEqual(summary.weighting, 'unweighted');
+        assert.strictEqual(summary.natRank, 50);
+    });
+
+    test('measures great-circle distance in meters', () => {
+        // One degree of latitude is about 111 km
+        const distance = areaSelection.distanceMeters([-87.6, 41], [-87.6, 42]);
+        assert.ok(Math.abs(distance - 111195) < 100, `got ${distance}`);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Auth tests - API keys, session login and role checks, run against the Express app
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the app offline with its storage, cache, NEI data and audit log in a temp dir,
+// and point auth at a temp config with one key and user per role
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-auth-'));
+process.env.STORAGE_TYPE = 'local';
+process.env.STORAGE_LOCAL_DIR = path.join(tempDir, 'storage');
+process.env.CACHE_DIR = path.join(tempDir, 'cache');
+process.env.NEI_DATA_DIR = path.join(tempDir, 'nei');
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit.log');
+process.env.NEI_VALIDATION_REPORT_DIR = path.join(tempDir, 'validation_reports');
+process.env.AUTH_CONFIG_PATH = path.join(tempDir, 'config.json');
+delete process.env.ADMIN_TOKEN;
+
+const { hashPassword } = require('../server/auth');
+
+fs.writeFileSync(process.env.AUTH_CONFIG_PATH, JSON.stringify({
+    auth: {
+        apiKeys: [
+            { name: 'viewer-script', key: 'viewer-key', role: 'viewer' },
+            { name: 'analyst-script', key: 'analyst-key', role: 'analyst' },
+            { name: 'admin-script', key: 'admin-key', role: 'admin' }
+        ],
+        users: [
+            { username: 'ana', passwordHash: hashPassword('ana-password'), role: 'analyst' },
+            { username: 'broken', passwordHash: 'scrypt$00ff$abcd', role: 'admin' }
+        ]
+    }
+}));
+
+// auth reads its config when first loaded; reload it now that the config exists
+delete require.cache[require.resolve('../server/auth')];
+const app = require('../server/server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function request(method, urlPath, options = {}) {
+    const response = await fetch(baseUrl + urlPath, { method, ...options });
+    const text = await response.text();
+    let body = null;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        body = text;
+    }
+    return { status: response.status, body, headers: response.headers };
+}
+
+function login(username, password) {
+    return request('POST', '/api/auth/login', {
+        body: JSON.stringify({ username, password }),
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+describe('API keys', () => {
+    test('Bearer and X-API-Key headers identify the key', async () => {
+        const bearer = await request('GET', '/api/auth/me', { headers: { Authorization: 'Bearer analyst-key' } });
+        assert.deepStrictEqual(bearer.body, { authenticated: true, user: 'analyst-script', role: 'analyst', method: 'apiKey' });
+
+        const header = await request('GET', '/api/auth/me', { headers: { 'X-API-Key': 'admin-key' } });
+        assert.strictEqual(header.body.role, 'admin');
+    });
+
+    test('unknown keys are anonymous', async () => {
+        const response = await request('GET', '/api/auth/me', { headers: { Authorization: 'Bearer nope' } });
+        assert.deepStrictEqual(response.body, { authenticated: false });
+    });
+});
+
+// ============================================================================
+// Roles
+// ============================================================================
+
+describe('roles', () => {
+    test('admin routes need an admin principal', async () => {
+        assert.strictEqual((await request('GET', '/api/admin/cache')).status, 401);
+
+        const analyst = await request('GET', '/api/admin/cache', { headers: { Authorization: 'Bearer analyst-key' } });
+        assert.strictEqual(analyst.status, 403);
+        assert.strictEqual(analyst.body.role, 'analyst');
+
+        const admin = await request('GET', '/api/admin/cache', { headers: { Authorization: 'Bearer admin-key' } });
+        assert.strictEqual(admin.status, 200);
+    });
+
+    test('analyst routes reject viewers and accept higher roles', async () => {
+        const viewer = await request('GET', '/api/nei/2021/versions', { headers: { Authorization: 'Bearer viewer-key' } });
+        assert.strictEqual(viewer.status, 403);
+
+        const admin = await request('GET', '/api/nei/2021/versions', { headers: { Authorization: 'Bearer admin-key' } });
+        assert.notStrictEqual(admin.status, 401);
+        assert.notStrictEqual(admin.status, 403);
+    });
+});
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+describe('sessions', () => {
+    test('login sets a session cookie that authenticates later requests', async () => {
+        const response = await login('ana', 'ana-password');
+        assert.strictEqual(response.status, 200);
+
+        const cookie = response.headers.get('set-cookie').split(';')[0];
+        assert.match(cookie, /^nei_session=/);
+
+        const me = await request('GET', '/api/auth/me', { headers: { Cookie: cookie } });
+        assert.deepStrictEqual(me.body, { authenticated: true, user: 'ana', role: 'analyst', method: 'session' });
+
+        await request('POST', '/api/auth/logout', { headers: { Cookie: cookie } });
+        const afterLogout = await request('GET', '/api/auth/me', { headers: { Cookie: cookie } });
+        assert.deepStrictEqual(afterLogout.body, { authenticated: false });
+    });
+
+    test('wrong passwords and unknown users are rejected', async () => {
+        assert.strictEqual((await login('ana', 'wrong')).status, 401);
+        assert.strictEqual((await login('nobody', 'ana-password')).status, 401);
+    });
+
+    test('a malformed password hash fails the login instead of erroring', async () => {
+        assert.strictEqual((await login('broken', 'anything')).status, 401);
+    });
+
+    test('a malformed cookie does not break public routes', async () => {
+        const response = await request('GET', '/api/auth/me', { headers: { Cookie: 'nei_session=%E0; other=1' } });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body, { authenticated: false });
+    });
+});
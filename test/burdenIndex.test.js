@@ -0,0 +1,185 @@
+/**
+ * Burden index tests - distance-decayed exposure per block group and the
+ * combined exposure percentile × ADI index
+ *
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const areaSelection = require('../server/areaSelection');
+const burdenIndex = require('../server/burdenIndex');
+const validation = require('../server/validation');
+
+// ~1.1 km per 0.01 degrees of latitude
+const SIDE = 0.01;
+
+function square(geoid, lng, lat) {
+    return {
+        type: 'Feature',
+        properties: { GEOID10: geoid },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[lng, lat], [lng + SIDE, lat], [lng + SIDE, lat + SIDE], [lng, lat + SIDE], [lng, lat]]]
+        }
+    };
+}
+
+const BLOCK_GROUPS = areaSelection.parseBlockGroups({
+    type: 'FeatureCollection',
+    features: [
+        square('170310000001', 0, 0),
+        square('170310000002', 0, 0.02),   // ~1.1 km north of the first
+        square('170310000003', 1, 1)       // far from everything
+    ]
+});
+
+const RANKS = new Map([
+    ['170310000001', { natRank: 50, stateRank: 5 }],
+    ['170310000002', { natRank: 90, stateRank: 9 }]
+]);
+
+function facility(lng, lat, riskNorm, totalEmissions) {
+    return { site_longitude: lng, site_latitude: lat, risk_norm: riskNorm, total_emissions: totalEmissions };
+}
+
+describe('burden index', () => {
+    test('sums risk × emissions, decayed linearly with distance', async () => {
+        const facilities = [
+            facility(0.005, 0.005, 0.5, 100),   // inside the first block group
+            facility(0.2, 0.2, 1, 1000),        // outside every radius
+            facility(0.005, 0.005, null, 100)   // no risk score
+        ];
+        const [first, second, far] = await burdenIndex.computeBurden(BLOCK_GROUPS, facilities, RANKS, { radiusMeters: 5000 });
+
+        assert.strictEqual(first.exposure, 50);
+        assert.strictEqual(first.facilities, 1);
+
+        const distance = areaSelection.distanceToPolygonsMeters([0.005, 0.005], BLOCK_GROUPS[1].polygons);
+        assert.ok(Math.abs(second.exposure - 50 * (1 - distance / 5000)) < 1e-9);
+
+        assert.strictEqual(far.exposure, 0);
+        assert.strictEqual(far.facilities, 0);
+    });
+
+    test('combines the exposure percentile with the ADI national rank', async () => {
+        const records = await burdenIndex.computeBurden(BLOCK_GROUPS, [facility(0.005, 0.005, 1, 10)], RANKS, { radiusMeters: 5000 });
+
+        // Exposures: first > second > far (0), so percentiles are 2/3, 1/3 and 0
+        assert.deepStrictEqual(records.map(r => Math.round(r.exposurePercentile)), [67, 33, 0]);
+        assert.ok(Math.abs(records[0].burdenIndex - 200 / 3 * 0.5) < 1e-9);
+        assert.ok(Math.abs(records[1].burdenIndex - 100 / 3 * 0.9) < 1e-9);
+
+        // No ADI rank, no index
+        assert.strictEqual(records[2].burdenIndex, null);
+    });
+
+    test('ranks values by the share strictly below them', () => {
+        assert.deepStrictEqual(burdenIndex.percentileRanks([0, 0, 5, 10]), [0, 0, 50, 75]);
+        assert.deepStrictEqual(burdenIndex.percentileRanks([]), []);
+    });
+
+    test('simplification keeps every dropped vertex within the tolerance', () => {
+        // A 1 km square edge with a 2 m bump and a 50 m bump
+        const ring = [[0, 0], [0.0045, 0], [0.005, 0.00002], [0.0055, 0], [0.007, 0], [0.0075, 0.00045], [0.008, 0], [0.009, 0], [0.009, 0.009], [0, 0.009], [0, 0]];
+        const simplified = burdenIndex.simplifyRing(ring, 10);
+
+        assert.ok(!simplified.some(([lng, lat]) => lng === 0.005 && lat === 0.00002), 'drops the 2 m bump');
+        assert.ok(simplified.some(([lng, lat]) => lng === 0.0075 && lat === 0.00045), 'keeps the 50 m bump');
+        assert.deepStrictEqual(simplified[0], simplified[simplified.length - 1]);
+    });
+});
+
+// ============================================================================
+// Realistic Size
+// ============================================================================
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ */
+function random(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        return seed / 4294967296;
+    };
+}
+
+/**
+ * A jagged block group ring with the given number of vertices
+ */
+function blockGroupFeature(geoid, lng, lat, size, vertices, next) {
+    const ring = [];
+    for (let i = 0; i < vertices; i++) {
+        const angle = 2 * Math.PI * i / vertices;
+        const radius = size * (0.8 + 0.2 * next());
+        ring.push([lng + radius * Math.cos(angle), lat + radius * Math.sin(angle)]);
+    }
+    ring.push(ring[0]);
+    return { type: 'Feature', properties: { GEOID10: geoid }, geometry: { type: 'Polygon', coordinates: [ring] } };
+}
+
+describe('burden index at Illinois scale', () => {
+    // ~4,000 dense urban block groups plus a rural spread, and 1,500 facilities
+    const next = random(42);
+    const features = [];
+    for (let i = 0; i < 5000; i++) {
+        const urban = i < 4000;
+        features.push(blockGroupFeature(
+            String(170000000000 + i),
+            urban ? -87.9 + next() * 0.5 : -91 + next() * 3.5,
+            urban ? 41.7 + next() * 0.4 : 37.5 + next() * 4.5,
+            urban ? 0.004 : 0.04,
+            60,
+            next
+        ));
+    }
+    const blockGroups = areaSelection.parseBlockGroups({ type: 'FeatureCollection', features });
+
+    const facilities = [];
+    for (let i = 0; i < 1500; i++) {
+        const urban = next() < 0.6;
+        facilities.push(facility(
+            urban ? -87.9 + next() * 0.5 : -91 + next() * 3.5,
+            urban ? 41.7 + next() * 0.4 : 37.5 + next() * 4.5,
+            next(),
+            1 + next() * 100
+        ));
+    }
+
+    const radiusMeters = validation.MAX_BURDEN_RADIUS_METERS;
+
+    test('stays responsive and matches exact distances within the tolerance at the maximum radius', async () => {
+        let longestGap = 0;
+        let lastTick = Date.now();
+        const timer = setInterval(() => {
+            longestGap = Math.max(longestGap, Date.now() - lastTick);
+            lastTick = Date.now();
+        }, 5);
+
+        let records;
+        try {
+            records = await burdenIndex.computeBurden(blockGroups, facilities, new Map(), { radiusMeters });
+        } finally {
+            clearInterval(timer);
+        }
+
+        assert.ok(longestGap < 500, `event loop blocked for ${longestGap} ms`);
+
+        // Compare a sample of block groups with exact polygon distances
+        for (let index = 0; index < blockGroups.length; index += 250) {
+            let exact = 0;
+            let weights = 0;
+            facilities.forEach(f => {
+                const distance = areaSelection.distanceToPolygonsMeters([f.site_longitude, f.site_latitude], blockGroups[index].polygons);
+                if (distance > radiusMeters) return;
+                exact += f.risk_norm * f.total_emissions * (1 - distance / radiusMeters);
+                weights += f.risk_norm * f.total_emissions;
+            });
+            assert.ok(
+                Math.abs(records[index].exposure - exact) <= weights * burdenIndex.SIMPLIFY_TOLERANCE + 1e-6,
+                `block group ${index}: ${records[index].exposure} vs exact ${exact}`
+            );
+        }
+    });
+});
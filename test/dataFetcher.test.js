@@ -0,0 +1,81 @@
+/**
+ * Data fetcher tests - cache size cap eviction order and audit trail
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Serve "remote" files from a temp directory into a temp cache capped at ~350 KB
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-fetcher-'));
+const storageDir = path.join(tempDir, 'storage');
+process.env.STORAGE_TYPE = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.CACHE_DIR = path.join(tempDir, 'cache');
+process.env.CACHE_TTL_SECONDS = '0';
+process.env.CACHE_MAX_SIZE_MB = String(350 / 1024);
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit.log');
+
+const dataFetcher = require('../server/dataFetcher');
+const auditLog = require('../server/auditLog');
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const FILE_SIZE = 100 * 1024;
+
+/**
+ * Write a remote NEI file; sizes differ per revision so the change is always detected
+ */
+function writeRemote(filename, revision) {
+    const remoteDir = path.join(storageDir, dataFetcher.GCS_PATHS.nei);
+    fs.mkdirSync(remoteDir, { recursive: true });
+    fs.writeFileSync(path.join(remoteDir, filename), 'x'.repeat(FILE_SIZE + revision));
+}
+
+async function fetchNei(filename) {
+    const localPath = await dataFetcher.fetchDataFile(`${dataFetcher.GCS_PATHS.nei}/${filename}`, 'nei', filename);
+    // Keep access times distinct
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return localPath;
+}
+
+describe('cache size limit', () => {
+    test('keeps the newest rollback version of a recently used file over older files', async () => {
+        // a.csv with two archived versions
+        for (let revision = 0; revision < 3; revision++) {
+            writeRemote('a.csv', revision);
+            await fetchNei('a.csv');
+        }
+        const [newestVersion, olderVersion] = dataFetcher.listCachedVersions('nei', 'a.csv').map(v => v.versionId);
+
+        // b.csv pushes the cache over the cap: the older version of a.csv goes first
+        writeRemote('b.csv', 0);
+        await fetchNei('b.csv');
+        await fetchNei('a.csv');
+
+        // c.csv pushes it over again: b.csv is now the least recently used
+        writeRemote('c.csv', 0);
+        await fetchNei('c.csv');
+
+        const cached = dataFetcher.listCachedFiles();
+        assert.deepStrictEqual(cached.files.map(f => f.filename).sort(), ['a.csv', 'c.csv']);
+        assert.deepStrictEqual(cached.files.find(f => f.filename === 'a.csv').versions, [newestVersion]);
+        assert.ok(cached.totalSize <= cached.maxSize);
+
+        const evictions = auditLog.readAuditLog().filter(event => event.action === 'cache.evict').reverse();
+        assert.deepStrictEqual(
+            evictions.map(event => [event.filename, event.versionId || null]),
+            [['a.csv', olderVersion], ['b.csv', null]]
+        );
+        evictions.forEach(event => {
+            assert.strictEqual(event.method, 'system');
+            assert.strictEqual(event.reason, 'size_limit');
+        });
+    });
+});
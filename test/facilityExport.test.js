@@ -0,0 +1,56 @@
+/**
+ * Facility export tests - CSV quoting, spreadsheet formula neutralization and
+ * the pollutant-specific emissions header
+ *
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+
+const facilityExport = require('../server/facilityExport');
+
+const FACILITIES = [
+    { facility_id: '1', site_name: '=HYPERLINK("http://evil","x")', city: '+Chicago', street: '@SUM(A1)', total_emissions: -1.5 },
+    { facility_id: '2', site_name: 'Plant, Inc.', city: '-', street: 'Main St' }
+];
+
+describe('formula neutralization', () => {
+    test('CSV cells starting with =, +, - or @ are prefixed with a quote', () => {
+        const [, first, second] = facilityExport.toCsv(FACILITIES).split('\r\n');
+        const firstCells = first.split(',');
+
+        assert.ok(first.includes(`"'=HYPERLINK(""http://evil"",""x"")"`));
+        assert.ok(firstCells.includes("'+Chicago"));
+        assert.ok(firstCells.includes("'@SUM(A1)"));
+        assert.ok(firstCells.includes('-1.5'), 'negative numbers stay numeric');
+        assert.ok(second.includes('"Plant, Inc."'));
+        assert.ok(second.split(',').includes("'-"));
+    });
+
+    test('XLSX cells are neutralized the same way', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await facilityExport.toXlsx(FACILITIES));
+        const sheet = workbook.getWorksheet('Facilities');
+        const column = header => sheet.getRow(1).values.indexOf(header);
+
+        const row = sheet.getRow(2);
+        assert.strictEqual(row.getCell(column('Facility Name')).value, '\'=HYPERLINK("http://evil","x")');
+        assert.strictEqual(row.getCell(column('City')).value, "'+Chicago");
+        assert.strictEqual(row.getCell(column('Total NOX Emissions (tons/year)')).value, -1.5);
+    });
+});
+
+describe('emissions header', () => {
+    test('names the exported pollutant and its unit', async () => {
+        assert.ok(facilityExport.toCsv(FACILITIES).split('\r\n')[0].includes('Total NOX Emissions (tons/year)'));
+        assert.ok(facilityExport.toCsv(FACILITIES, { code: 'SO2', uom: 'TON' }).split('\r\n')[0].includes('Total SO2 Emissions (tons/year)'));
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await facilityExport.toXlsx(FACILITIES, { code: 'LEAD', uom: 'LB' }));
+        const headers = workbook.getWorksheet('Facilities').getRow(1).values;
+        assert.ok(headers.includes('Total LEAD Emissions (lb/year)'));
+        assert.ok(!headers.some(header => /NOX/.test(header)));
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Nearby communities tests - distance from a facility to block groups and
+ * the burden of other high-risk facilities near each one
+ *
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const areaSelection = require('../server/areaSelection');
+const nearbyCommunities = require('../server/nearbyCommunities');
+
+// ~1.1 km per 0.01 degrees of latitude
+const SIDE = 0.01;
+
+function square(geoid, lng, lat) {
+    return {
+        type: 'Feature',
+        properties: { GEOID10: geoid },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[lng, lat], [lng + SIDE, lat], [lng + SIDE, lat + SIDE], [lng, lat + SIDE], [lng, lat]]]
+        }
+    };
+}
+
+const [INSIDE, NORTH] = areaSelection.parseBlockGroups({
+    type: 'FeatureCollection',
+    features: [square('170310000001', 0, 0), square('170310000002', 0, 0.03)]
+});
+
+function facility(id, lng, lat, riskNorm, totalEmissions = 10) {
+    return { facility_id: id, site_longitude: lng, site_latitude: lat, risk_norm: riskNorm, total_emissions: totalEmissions };
+}
+
+describe('nearby communities', () => {
+    test('measures distance to the nearest block group edge', () => {
+        assert.strictEqual(areaSelection.distanceToPolygonsMeters([0.005, 0.005], INSIDE.polygons), 0);
+
+        // 0.02 degrees of latitude south of the north square's bottom edge
+        const distance = areaSelection.distanceToPolygonsMeters([0.005, 0.01], NORTH.polygons);
+        const expected = areaSelection.distanceMeters([0.005, 0.01], [0.005, 0.03]);
+        assert.ok(Math.abs(distance - expected) < 1, `${distance} vs ${expected}`);
+    });
+
+    test('counts only high-risk facilities within the burden radius', () => {
+        const highRisk = [
+            facility(2, 0.005, 0.02, 0.9, 40),  // ~1.1 km from INSIDE
+            facility(3, 0.005, 0.04, 0.7, 5),   // ~3.3 km from INSIDE
+            facility(4, 0.2, 0.2, 0.95)         // ~20 km away
+        ].map(f => ({ facility: f, point: [f.site_longitude, f.site_latitude] }));
+
+        const burden = nearbyCommunities.getBlockGroupBurden(INSIDE, highRisk);
+        assert.strictEqual(burden.facilities, 2);
+        assert.strictEqual(burden.totalEmissions, 45);
+        assert.ok(Math.abs(burden.riskSum - 1.6) < 1e-9);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * NEI normalization tests - column mapping, typed values and the JSON sidecar
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const neiNormalize = require('../server/neiNormalize');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-normalize-'));
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Write CSV lines to a temp file and normalize it
+ */
+async function normalizeLines(lines) {
+    const base = path.join(tempDir, Math.random().toString(16).slice(2));
+    fs.writeFileSync(`${base}.src.csv`, lines.join('\n') + '\n');
+    const result = await neiNormalize.normalizeNeiFile(`${base}.src.csv`, `${base}.csv`, `${base}.json`, '2021');
+    return {
+        result,
+        csvLines: fs.readFileSync(`${base}.csv`, 'utf8').trim().split('\n'),
+        sidecar: JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'))
+    };
+}
+
+const column = name => neiNormalize.CANONICAL_HEADER.indexOf(name);
+
+describe('normalizeNeiFile', () => {
+    test('maps column spellings to the canonical header', async () => {
+        const { result, csvLines } = await normalizeLines([
+            'State,facility_id,Pollutant_Code,emissions,lat,lng,naics_code,naics description,Site Name,Extra',
+            'il,100,nox,12.5,41.8,-87.6,221112.0,Power,"Plant, Unit 1",dropped'
+        ]);
+
+        assert.strictEqual(result.rowCount, 1);
+        assert.strictEqual(result.mappedColumns.site_latitude, 'lat');
+        assert.strictEqual(csvLines[0], neiNormalize.CANONICAL_HEADER.join(','));
+        assert.ok(!csvLines[1].includes('dropped'));
+        assert.ok(csvLines[1].includes('"Plant, Unit 1"'));
+    });
+
+    test('writes typed values to the JSON sidecar', async () => {
+        const { sidecar } = await normalizeLines([
+            'state,eis facility id,pollutant code,total emissions,site latitude,site longitude,primary naics code,primary naics description',
+            ' TX ,200,so2,3,29.7,-95.3,325110,Chem',
+            'TX,201,NOX,,29.8,-95.4,325110,Chem'
+        ]);
+
+        assert.strictEqual(sidecar.schemaVersion, neiNormalize.SCHEMA_VERSION);
+        assert.strictEqual(sidecar.year, '2021');
+        assert.strictEqual(sidecar.rowCount, 2);
+        assert.deepStrictEqual(sidecar.columns.map(c => c.name), neiNormalize.CANONICAL_HEADER);
+
+        const [first, second] = sidecar.rows;
+        assert.strictEqual(first[column('state')], 'TX');
+        assert.strictEqual(first[column('pollutant_code')], 'SO2');
+        assert.strictEqual(first[column('total_emissions')], 3);
+        assert.strictEqual(first[column('site_latitude')], 29.7);
+        assert.strictEqual(first[column('primary_naics_code')], '325110');
+        assert.strictEqual(first[column('site_name')], null);
+        assert.strictEqual(second[column('total_emissions')], null);
+    });
+
+    test('writes an empty sidecar for a header-only file', async () => {
+        const { result, sidecar } = await normalizeLines(['state,eis facility id']);
+
+        assert.strictEqual(result.rowCount, 0);
+        assert.deepStrictEqual(sidecar.rows, []);
+    });
+
+    test('rejects when the source file is missing and closes the outputs', async () => {
+        const base = path.join(tempDir, 'missing');
+        await assert.rejects(
+            neiNormalize.normalizeNeiFile(`${base}.src.csv`, `${base}.csv`, `${base}.json`, '2021'),
+            { code: 'ENOENT' }
+        );
+
+        // The outputs were closed, so they can be removed right away
+        fs.rmSync(`${base}.csv`);
+        fs.rmSync(`${base}.json`);
+    });
+});
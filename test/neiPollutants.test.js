@@ -0,0 +1,82 @@
+/**
+ * NEI pollutant tests - per-pollutant summaries and swapping facility emissions
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep NEI data in a temp dir
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-pollutants-'));
+process.env.NEI_DATA_DIR = tempDir;
+
+const neiVersions = require('../server/neiVersions');
+const neiPollutants = require('../server/neiPollutants');
+
+const UPLOAD = [
+    'state,eis facility id,pollutant code,pollutant desc,total emissions,emissions uom,site latitude,site longitude,primary naics code,primary naics description',
+    'IL,100,NOX,Nitrogen Oxides,120,TON,41.8,-87.6,221112,Power',
+    'IL,100,SO2,Sulfur Dioxide,40,TON,41.8,-87.6,221112,Power',
+    'IL,101,NOX,Nitrogen Oxides,8,TON,41.8,-87.6,221112,Power',
+    'IL,102,NOX,Nitrogen Oxides,30,TON,41.8,-87.6,221112,Power',
+    'IL,102,7439921,Lead,0.5,LB,41.8,-87.6,221112,Power'
+].join('\n') + '\n';
+
+before(async () => {
+    const uploadPath = path.join(tempDir, 'nei.upload');
+    fs.writeFileSync(uploadPath, UPLOAD);
+    await neiVersions.createVersion(uploadPath, '2020');
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('NEI pollutants', () => {
+    test('lists pollutants, most widely reported first', async () => {
+        const pollutants = await neiPollutants.listPollutants('2020');
+
+        assert.deepStrictEqual(pollutants.map(p => p.code), ['NOX', '7439921', 'SO2']);
+        assert.deepStrictEqual(pollutants[0], {
+            code: 'NOX',
+            description: 'Nitrogen Oxides',
+            uom: 'TON',
+            facilityCount: 3,
+            totalEmissions: 158,
+            p50: 30,
+            p90: 120,
+            max: 120
+        });
+        assert.strictEqual(pollutants[1].uom, 'LB');
+    });
+
+    test('returns null for a year without NEI data', async () => {
+        assert.strictEqual(await neiPollutants.listPollutants('2015'), null);
+        assert.strictEqual(await neiPollutants.getPollutantEmissions('2020', 'CO'), null);
+    });
+
+    test('keeps only facilities reporting the pollutant', async () => {
+        const facilities = [
+            { facility_id: 100, total_emissions: 120, pollutant: 'NOX' },
+            { facility_id: 101, total_emissions: 8, pollutant: 'NOX' }
+        ];
+
+        const so2 = await neiPollutants.getPollutantEmissions('2020', 'SO2');
+        assert.deepStrictEqual(neiPollutants.applyPollutant(facilities, so2), [
+            { facility_id: 100, total_emissions: 40, pollutant: 'SO2' }
+        ]);
+    });
+
+    test('re-indexes after a new version is uploaded', async () => {
+        const uploadPath = path.join(tempDir, 'nei2.upload');
+        fs.writeFileSync(uploadPath, UPLOAD.replace('IL,100,SO2,Sulfur Dioxide,40', 'IL,100,SO2,Sulfur Dioxide,55'));
+        await neiVersions.createVersion(uploadPath, '2020');
+
+        const so2 = await neiPollutants.getPollutantEmissions('2020', 'SO2');
+        assert.strictEqual(so2.emissions.get('100'), 55);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Resumable upload tests - chunk offsets, first-chunk header checks and
+ * storing the finished file, run against the Express app
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the app offline and NEI data in a temp dir
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-uploads-'));
+process.env.STORAGE_TYPE = 'local';
+process.env.STORAGE_LOCAL_DIR = tempDir;
+process.env.NEI_DATA_DIR = path.join(tempDir, 'nei');
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit.log');
+process.env.NEI_VALIDATION_REPORT_DIR = path.join(tempDir, 'validation_reports');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+// An upload a previous server left in "processing" when it stopped
+const INTERRUPTED_ID = '0123456789abcdef';
+const uploadsDir = path.join(tempDir, 'nei', 'uploads');
+fs.mkdirSync(uploadsDir, { recursive: true });
+fs.writeFileSync(path.join(uploadsDir, `${INTERRUPTED_ID}.part`), 'state,eis facility id\n');
+fs.writeFileSync(path.join(uploadsDir, `${INTERRUPTED_ID}.json`), JSON.stringify({
+    uploadId: INTERRUPTED_ID,
+    year: '2019',
+    filename: 'nei.csv',
+    size: 22,
+    status: 'processing',
+    createdAt: new Date().toISOString()
+}));
+
+const app = require('../server/server');
+
+const AUTH = { Authorization: 'Bearer test-admin-token' };
+const CSV = [
+    'state,eis facility id,pollutant code,total emissions,site latitude,site longitude,primary naics code,primary naics description',
+    'IL,100,NOX,12.5,41.8,-87.6,221112,Power',
+    'IL,101,NOX,3,41.8,-87.6,221112,Power'
+].join('\n') + '\n';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function startUpload(year, size) {
+    const response = await fetch(`${baseUrl}/api/nei/uploads`, {
+        method: 'POST',
+        headers: { ...AUTH, 'Content-Type': 'application/json', 'Upload-Length': String(size) },
+        body: JSON.stringify({ year, filename: 'nei.csv' })
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function sendChunk(location, offset, chunk) {
+    return fetch(baseUrl + location, {
+        method: 'PATCH',
+        headers: { ...AUTH, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+        body: chunk
+    });
+}
+
+describe('resumable NEI uploads', () => {
+    test('requires admin and a valid year', async () => {
+        const anonymous = await fetch(`${baseUrl}/api/nei/uploads`, { method: 'POST' });
+        assert.strictEqual(anonymous.status, 401);
+
+        const { status, body } = await startUpload('20x1', 10);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.details[0].field, 'year');
+    });
+
+    test('rejects a bad header on the first chunk', async () => {
+        const { body } = await startUpload('2020', 1000);
+        const response = await sendChunk(body.location, 0, 'state,facility\nIL,1\n');
+
+        assert.strictEqual(response.status, 422);
+        assert.ok((await response.json()).missingColumns.includes('total emissions'));
+        assert.strictEqual((await fetch(baseUrl + body.location, { method: 'HEAD', headers: AUTH })).status, 404);
+    });
+
+    test('resumes from the server offset and stores the finished file', async () => {
+        const { status, body } = await startUpload('2020', Buffer.byteLength(CSV));
+        assert.strictEqual(status, 201);
+
+        const split = CSV.indexOf('\n') + 5;
+        const first = await sendChunk(body.location, 0, CSV.slice(0, split));
+        assert.strictEqual(first.status, 204);
+        assert.strictEqual(first.headers.get('Upload-Offset'), String(split));
+
+        // A retried chunk at a stale offset is refused with the current offset
+        const stale = await sendChunk(body.location, 0, CSV.slice(0, split));
+        assert.strictEqual(stale.status, 409);
+        assert.strictEqual(stale.headers.get('Upload-Offset'), String(split));
+
+        const head = await fetch(baseUrl + body.location, { method: 'HEAD', headers: AUTH });
+        const offset = parseInt(head.headers.get('Upload-Offset'));
+
+        const last = await sendChunk(body.location, offset, CSV.slice(offset));
+        const result = await last.json();
+        assert.strictEqual(last.status, 200);
+        assert.strictEqual(result.version.rowCount, 2);
+        assert.strictEqual(result.version.originalName, 'nei.csv');
+
+        const data = await fetch(`${baseUrl}/api/nei/2020`);
+        assert.match(await data.text(), /^state,fips_code/);
+    });
+
+    test('keeps the result of a finished upload until the client discards it', async () => {
+        const { body } = await startUpload('2021', Buffer.byteLength(CSV));
+        const last = await sendChunk(body.location, 0, CSV);
+        assert.strictEqual(last.status, 200);
+
+        // A client that lost that response finds the upload complete and reads the result
+        const head = await fetch(baseUrl + body.location, { method: 'HEAD', headers: AUTH });
+        assert.strictEqual(head.status, 200);
+        assert.strictEqual(head.headers.get('Upload-Offset'), String(Buffer.byteLength(CSV)));
+
+        const retry = await sendChunk(body.location, Buffer.byteLength(CSV), '');
+        assert.strictEqual(retry.status, 409);
+        assert.strictEqual((await retry.json()).status, 'complete');
+
+        const upload = await (await fetch(baseUrl + body.location, { headers: AUTH })).json();
+        assert.strictEqual(upload.status, 'complete');
+        assert.strictEqual(upload.result.status, 200);
+        assert.strictEqual(upload.result.body.version.rowCount, 2);
+        assert.ok(!fs.existsSync(path.join(tempDir, 'nei', 'uploads', `${body.uploadId}.part`)));
+
+        const discard = await fetch(baseUrl + body.location, { method: 'DELETE', headers: AUTH });
+        assert.strictEqual(discard.status, 204);
+        assert.strictEqual((await fetch(baseUrl + body.location, { headers: AUTH })).status, 404);
+    });
+
+    test('keeps a failed validation as the result', async () => {
+        const invalid = CSV.replace('12.5', '-1');
+        const { body } = await startUpload('2022', Buffer.byteLength(invalid));
+        assert.strictEqual((await sendChunk(body.location, 0, invalid)).status, 422);
+
+        const upload = await (await fetch(baseUrl + body.location, { headers: AUTH })).json();
+        assert.strictEqual(upload.result.status, 422);
+        assert.strictEqual(upload.result.body.invalidRowCount, 1);
+    });
+
+    test('fails uploads interrupted while processing so they can be discarded', async () => {
+        const location = `/api/nei/uploads/${INTERRUPTED_ID}`;
+
+        const upload = await (await fetch(baseUrl + location, { headers: AUTH })).json();
+        assert.strictEqual(upload.status, 'complete');
+        assert.strictEqual(upload.result.status, 500);
+        assert.strictEqual(upload.result.body.error, 'Upload processing was interrupted');
+        assert.ok(!fs.existsSync(path.join(uploadsDir, `${INTERRUPTED_ID}.part`)));
+
+        const discard = await fetch(baseUrl + location, { method: 'DELETE', headers: AUTH });
+        assert.strictEqual(discard.status, 204);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * NEI validation tests - row rules, duplicate detection and the CSV error report
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const neiValidation = require('../server/neiValidation');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-rows-'));
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const HEADER = 'state,eis facility id,pollutant code,total emissions,site latitude,site longitude,primary naics code,primary naics description';
+
+/**
+ * Write CSV lines to a temp file and validate it
+ */
+async function validateLines(lines, withReport = false) {
+    const filePath = path.join(tempDir, `${Math.random().toString(16).slice(2)}.csv`);
+    const reportPath = withReport ? `${filePath}.report.csv` : null;
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    const result = await neiValidation.validateNeiFile(filePath, reportPath);
+    return { result, reportPath };
+}
+
+describe('validateNeiFile', () => {
+    test('accepts a clean file', async () => {
+        const { result } = await validateLines([
+            HEADER,
+            'IL,100,NOX,12.5,41.8,-87.6,221112,Power',
+            'IL,100,SO2,3,41.8,-87.6,221112,Power',
+            'AK,105,NOX,1,52.0,177.5,211,Oil'
+        ]);
+
+        assert.strictEqual(result.valid, true);
+        assert.strictEqual(result.rowCount, 3);
+        assert.strictEqual(result.errorCount, 0);
+    });
+
+    test('reports each rule with line numbers', async () => {
+        const { result } = await validateLines([
+            HEADER,
+            'IL,100,NOX,12.5,41.8,-87.6,221112,Power',
+            'IL,100,nox,3,41.8,-87.6,221112,Power',
+            'XX,101,NOX,1,41.8,-87.6,221112,Power',
+            'IL,102,NOX,-4,41.8,-87.6,22111A,Chem',
+            'IL,103,NOX,1,34.0,-118.2,221112.0,Power',
+            'IL,104,NOX,1,abc,-87.6,2211,Power'
+        ]);
+
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.invalidRowCount, 5);
+        assert.deepStrictEqual(result.errorCounts, {
+            duplicate: 1, state: 1, naics: 1, emissions: 1, location: 1, latitude: 1
+        });
+
+        const lineOf = rule => result.sampleErrors.find(e => e.rule === rule).line;
+        assert.strictEqual(lineOf('duplicate'), 3);
+        assert.strictEqual(lineOf('state'), 4);
+        assert.strictEqual(lineOf('emissions'), 5);
+        assert.strictEqual(lineOf('location'), 6);
+        assert.strictEqual(lineOf('latitude'), 7);
+    });
+
+    test('fails on missing columns without reading rows', async () => {
+        const { result } = await validateLines(['state,facility_id', 'IL,100']);
+
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.rowCount, 0);
+        assert.ok(result.missingColumns.includes('total emissions'));
+    });
+
+    test('fails on a header with no rows', async () => {
+        const { result } = await validateLines([HEADER]);
+
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.rowCount, 0);
+    });
+
+    test('writes a CSV report of every problem', async () => {
+        const { reportPath } = await validateLines([
+            HEADER,
+            'IL,100,NOX,12.5,41.8,-87.6,221112,"Power, Inc"',
+            'TX,101,NOX,-1,41.8,-87.6,221112,Power'
+        ], true);
+
+        const lines = fs.readFileSync(reportPath, 'utf8').trim().split('\n');
+        assert.strictEqual(lines[0], neiValidation.REPORT_COLUMNS.join(','));
+        assert.strictEqual(lines.length, 3);
+        assert.ok(lines.every((line, i) => i === 0 || line.startsWith('3,')));
+    });
+
+    test('rejects when the file cannot be read', async () => {
+        await assert.rejects(
+            neiValidation.validateNeiFile(path.join(tempDir, 'missing.csv')),
+            { code: 'ENOENT' }
+        );
+    });
+});
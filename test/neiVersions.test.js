@@ -0,0 +1,144 @@
+/**
+ * NEI version tests - replace, diff, rollback and import of unversioned files
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep versions in a temp NEI directory
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-versions-'));
+process.env.NEI_DATA_DIR = tempDir;
+process.env.NEI_VERSIONS_TO_KEEP = '3';
+
+const neiVersions = require('../server/neiVersions');
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const HEADER = 'state,eis facility id,pollutant code,total emissions,site latitude,site longitude,primary naics code,primary naics description';
+
+/**
+ * Write an upload-style CSV to the temp dir
+ */
+function writeUpload(lines) {
+    const filePath = path.join(tempDir, `${Math.random().toString(16).slice(2)}.upload`);
+    fs.writeFileSync(filePath, [HEADER, ...lines].join('\n') + '\n');
+    return filePath;
+}
+
+describe('NEI versions', () => {
+    test('each upload becomes the active version', async () => {
+        const first = await neiVersions.createVersion(writeUpload(['IL,100,NOX,10,41.8,-87.6,221112,Power']), '2020');
+        const second = await neiVersions.createVersion(writeUpload(['IL,100,NOX,12,41.8,-87.6,221112,Power']), '2020');
+
+        assert.strictEqual(first.previousVersion, null);
+        assert.strictEqual(second.previousVersion, first.version.id);
+
+        const listing = await neiVersions.listVersions('2020');
+        assert.strictEqual(listing.activeVersion, second.version.id);
+        assert.deepStrictEqual(listing.versions.map(v => v.active), [false, true]);
+        assert.match(fs.readFileSync(neiVersions.getActivePath('2020'), 'utf8'), /,12,/);
+    });
+
+    test('concurrent uploads for a year are serialized', async () => {
+        const results = await Promise.all([1, 2, 3].map(n =>
+            neiVersions.createVersion(writeUpload([`IL,100,NOX,${n},41.8,-87.6,221112,Power`]), '2019')
+        ));
+
+        assert.deepStrictEqual(results.map(r => r.previousVersion), [null, results[0].version.id, results[1].version.id]);
+        assert.strictEqual((await neiVersions.listVersions('2019')).versions.length, 3);
+    });
+
+    test('diffs facilities between versions', async () => {
+        await neiVersions.createVersion(writeUpload([
+            'IL,100,NOX,10,41.8,-87.6,221112,Power',
+            'IL,101,NOX,5,41.8,-87.6,221112,Power',
+            'IL,102,NOX,1,41.8,-87.6,221112,Power'
+        ]), '2018');
+        await neiVersions.createVersion(writeUpload([
+            'IL,100,NOX,15,41.8,-87.6,221112,Power',
+            'IL,100,SO2,2,41.8,-87.6,221112,Power',
+            'IL,102,NOX,1,41.8,-87.6,221112,Power',
+            'IL,103,NOX,7,41.8,-87.6,221112,Power'
+        ]), '2018');
+
+        const diff = await neiVersions.diffVersions('2018');
+
+        assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+        assert.strictEqual(diff.added[0].eis_facility_id, '103');
+        assert.strictEqual(diff.removed[0].eis_facility_id, '101');
+        assert.deepStrictEqual(diff.changed[0].pollutants, [
+            { pollutant_code: 'NOX', from: 10, to: 15, change: 5 },
+            { pollutant_code: 'SO2', from: null, to: 2, change: null }
+        ]);
+    });
+
+    test('rolls back to the previous version', async () => {
+        const { versions } = await neiVersions.listVersions('2018');
+        const { version, previousVersion } = await neiVersions.rollbackVersion('2018');
+
+        assert.strictEqual(version.id, versions[0].id);
+        assert.strictEqual(previousVersion, versions[1].id);
+        assert.match(fs.readFileSync(neiVersions.getActivePath('2018'), 'utf8'), /,101,/);
+
+        await assert.rejects(neiVersions.rollbackVersion('2018'), { status: 409 });
+        await assert.rejects(neiVersions.rollbackVersion('2018', '1700000000000-00000000'), { status: 404 });
+    });
+
+    test('prunes the oldest versions beyond the limit', async () => {
+        const { versions } = await neiVersions.listVersions('2019');
+        await neiVersions.createVersion(writeUpload(['IL,100,NOX,4,41.8,-87.6,221112,Power']), '2019');
+
+        const listing = await neiVersions.listVersions('2019');
+        assert.strictEqual(listing.versions.length, 3);
+        assert.deepStrictEqual(listing.versions.slice(0, 2).map(v => v.id), versions.slice(1).map(v => v.id));
+        assert.ok(!fs.existsSync(path.join(tempDir, 'versions', '2019', `${versions[0].id}.csv`)));
+    });
+
+    test('imports a file stored before versioning', async () => {
+        fs.writeFileSync(neiVersions.getActivePath('2017'), `${HEADER}\nil,100,nox,3,41.8,-87.6,221112,Power\n`);
+
+        await neiVersions.ensureVersioned('2017');
+
+        const listing = await neiVersions.listVersions('2017');
+        assert.strictEqual(listing.versions.length, 1);
+        assert.strictEqual(listing.activeVersion, listing.versions[0].id);
+        assert.ok(fs.existsSync(neiVersions.getActiveSidecarPath('2017')));
+        assert.match(fs.readFileSync(neiVersions.getActivePath('2017'), 'utf8'), /^state,fips_code/);
+    });
+
+    test('delete keeps versions for rollback', async () => {
+        const manifest = await neiVersions.deactivateYear('2017');
+
+        assert.strictEqual(manifest.activeVersion, null);
+        assert.ok(!fs.existsSync(neiVersions.getActivePath('2017')));
+
+        await neiVersions.rollbackVersion('2017', manifest.versions[0].id);
+        assert.ok(fs.existsSync(neiVersions.getActivePath('2017')));
+    });
+
+    test('a deactivated year diffs against and rolls back to its latest version', async () => {
+        await neiVersions.createVersion(writeUpload(['IL,100,NOX,1,41.8,-87.6,221112,Power']), '2016');
+        await neiVersions.createVersion(writeUpload([
+            'IL,100,NOX,2,41.8,-87.6,221112,Power',
+            'IL,101,NOX,3,41.8,-87.6,221112,Power'
+        ]), '2016');
+        const { versions } = await neiVersions.deactivateYear('2016');
+
+        const diff = await neiVersions.diffVersions('2016');
+        assert.strictEqual(diff.from, versions[0].id);
+        assert.strictEqual(diff.to, versions[1].id);
+        assert.deepStrictEqual(diff.summary, { added: 1, removed: 0, changed: 1, unchanged: 0 });
+
+        const { version, previousVersion } = await neiVersions.rollbackVersion('2016');
+        assert.strictEqual(version.id, versions[1].id);
+        assert.strictEqual(previousVersion, null);
+        assert.match(fs.readFileSync(neiVersions.getActivePath('2016'), 'utf8'), /,101,/);
+    });
+});
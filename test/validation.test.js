@@ -0,0 +1,251 @@
+/**
+ * Validation tests - parameter checks and path safety for every
+ * year/GEOID/boundary-parameterized route, run against the Express app
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the app offline: empty local storage, cache, NEI data, audit log and admin key in a temp dir
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nei-validation-'));
+process.env.STORAGE_TYPE = 'local';
+process.env.STORAGE_LOCAL_DIR = path.join(tempDir, 'storage');
+process.env.CACHE_DIR = path.join(tempDir, 'cache');
+process.env.NEI_DATA_DIR = path.join(tempDir, 'nei');
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit.log');
+process.env.NEI_VALIDATION_REPORT_DIR = path.join(tempDir, 'validation_reports');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const app = require('../server/server');
+const validation = require('../server/validation');
+
+const NEI_DIR = process.env.NEI_DATA_DIR;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Request a path without URL normalization (so "..%2F" reaches the app as-is)
+ */
+async function request(method, urlPath, options = {}) {
+    const response = await fetch(baseUrl + urlPath, { method, ...options });
+    const text = await response.text();
+    let body = null;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        body = text;
+    }
+    return { status: response.status, body };
+}
+
+function assertValidationError(response, field, location) {
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'Invalid request parameters');
+    const detail = response.body.details.find(d => d.field === field);
+    assert.ok(detail, `expected a detail for ${field}, got ${JSON.stringify(response.body.details)}`);
+    assert.strictEqual(detail.location, location);
+}
+
+// ============================================================================
+// Parsers
+// ============================================================================
+
+describe('parsers', () => {
+    test('parseYear accepts years in range', () => {
+        assert.strictEqual(validation.parseYear('2021'), '2021');
+        assert.strictEqual(validation.parseYear(2020), '2020');
+    });
+
+    test('parseYear rejects malformed and out-of-range years', () => {
+        ['21', '2021a', '../2021', '2021/..', '', String(validation.MIN_YEAR - 1), String(validation.MAX_YEAR + 1)].forEach(value => {
+            assert.throws(() => validation.parseYear(value), validation.ValidationError, value);
+        });
+    });
+
+    test('parseGeoid requires 12 digits', () => {
+        assert.strictEqual(validation.parseGeoid('170310839001'), '170310839001');
+        assert.throws(() => validation.parseGeoid('17031083900'), validation.ValidationError);
+        assert.throws(() => validation.parseGeoid('17031083900a'), validation.ValidationError);
+    });
+
+    test('parseBoundaryType only allows known boundary files', () => {
+        assert.strictEqual(validation.parseBoundaryType('block_groups'), 'block_groups');
+        assert.throws(() => validation.parseBoundaryType('counties'), validation.ValidationError);
+    });
+
+    test('parseSelectionShape normalizes drawn shapes and enforces limits', () => {
+        assert.deepStrictEqual(
+            validation.parseSelectionShape({ type: 'circle', center: ['-87.6', '41.8'], radius: '5000' }),
+            { type: 'circle', center: [-87.6, 41.8], radius: 5000 }
+        );
+        assert.throws(() => validation.parseSelectionShape({ type: 'circle', center: [-87.6, 41.8], radius: 500000 }), validation.ValidationError);
+        assert.throws(() => validation.parseSelectionShape({ type: 'rectangle', bounds: [-87, 41, -88, 42] }), validation.ValidationError);
+        assert.throws(() => validation.parseSelectionShape({ type: 'polygon', coordinates: [[0, 0], [1, 1]] }), validation.ValidationError);
+        assert.throws(() => validation.parseSelectionShape({ type: 'polygon', coordinates: [[0, 0], [1, 1], [200, 0]] }), validation.ValidationError);
+        assert.throws(() => validation.parseSelectionShape('circle'), validation.ValidationError);
+    });
+
+    test('resolveWithin keeps files inside the base directory', () => {
+        assert.strictEqual(validation.resolveWithin('/data/nei', '2021.csv'), path.resolve('/data/nei/2021.csv'));
+        ['../secret.csv', '/etc/passwd', 'sub/2021.csv', '..'].forEach(filename => {
+            assert.throws(() => validation.resolveWithin('/data/nei', filename), validation.ValidationError, filename);
+        });
+    });
+});
+
+// ============================================================================
+// NEI Routes
+// ============================================================================
+
+describe('NEI routes', () => {
+    test('GET /api/nei/:year rejects path traversal', async () => {
+        assertValidationError(await request('GET', '/api/nei/..%2F..%2Fpackage.json'), 'year', 'params');
+    });
+
+    test('GET /api/nei/:year/info rejects non-year values', async () => {
+        assertValidationError(await request('GET', '/api/nei/abcd/info'), 'year', 'params');
+    });
+
+    test('GET /api/nei/:year returns 404 for a valid but missing year', async () => {
+        const response = await request('GET', '/api/nei/2001');
+        assert.strictEqual(response.status, 404);
+    });
+
+    test('DELETE /api/nei/:year validates before checking auth', async () => {
+        assertValidationError(await request('DELETE', '/api/nei/..%2Fnei'), 'year', 'params');
+        assert.strictEqual((await request('DELETE', '/api/nei/2001')).status, 401);
+    });
+
+    test('POST /api/nei/upload rejects an invalid year without writing the file', async () => {
+        const existingFiles = fs.existsSync(NEI_DIR) ? fs.readdirSync(NEI_DIR) : [];
+
+        const form = new FormData();
+        form.append('year', '../../evil');
+        form.append('file', new Blob(['state\nIL\n'], { type: 'text/csv' }), 'nei.csv');
+
+        const response = await request('POST', '/api/nei/upload', {
+            body: form,
+            headers: { Authorization: 'Bearer test-admin-token' }
+        });
+
+        assertValidationError(response, 'year', 'body');
+        assert.deepStrictEqual(fs.existsSync(NEI_DIR) ? fs.readdirSync(NEI_DIR) : [], existingFiles);
+    });
+
+    test('GET /api/nei/:year/diff only accepts a positive whole limit', async () => {
+        const headers = { Authorization: 'Bearer test-admin-token' };
+        for (const limit of ['0', '-5', 'abc', '1.5', String(validation.MAX_DIFF_LIMIT + 1)]) {
+            assertValidationError(await request('GET', `/api/nei/2001/diff?limit=${limit}`, { headers }), 'limit', 'query');
+        }
+    });
+
+    test('POST /api/nei/upload requires the year field', async () => {
+        const form = new FormData();
+        form.append('file', new Blob(['state\nIL\n'], { type: 'text/csv' }), 'nei.csv');
+
+        const response = await request('POST', '/api/nei/upload', {
+            body: form,
+            headers: { Authorization: 'Bearer test-admin-token' }
+        });
+
+        assertValidationError(response, 'year', 'body');
+    });
+});
+
+// ============================================================================
+// Data Routes
+// ============================================================================
+
+describe('data routes', () => {
+    test('GET /api/predictions/:year rejects malformed years', async () => {
+        assertValidationError(await request('GET', '/api/predictions/20x1'), 'year', 'params');
+    });
+
+    test('GET /api/adi/:year rejects out-of-range years', async () => {
+        assertValidationError(await request('GET', '/api/adi/1800'), 'year', 'params');
+    });
+
+    test('GET /api/facilities validates the year query', async () => {
+        assertValidationError(await request('GET', '/api/facilities?year=abc'), 'year', 'query');
+    });
+
+    test('GET /api/facilities/export validates the year query', async () => {
+        assertValidationError(await request('GET', '/api/facilities/export?year=..%2F2021'), 'year', 'query');
+    });
+
+    test('GET /api/facilities/export only accepts known formats', async () => {
+        assertValidationError(await request('GET', '/api/facilities/export?format=constructor'), 'format', 'query');
+        assertValidationError(await request('GET', '/api/facilities/export?format=pdf'), 'format', 'query');
+    });
+
+    test('GET /api/facilities/changes requires both years', async () => {
+        const response = await request('GET', '/api/facilities/changes?from=2020');
+        assertValidationError(response, 'to', 'query');
+        assert.match(response.body.details[0].message, /required/);
+    });
+
+    test('GET /api/facilities/:facilityId/trend rejects unsafe IDs', async () => {
+        assertValidationError(await request('GET', '/api/facilities/a.b/trend'), 'facilityId', 'params');
+    });
+
+    test('GET /api/geoids/:geoid/report validates GEOID and year', async () => {
+        assertValidationError(await request('GET', '/api/geoids/123/report'), 'geoid', 'params');
+        assertValidationError(await request('GET', '/api/geoids/170310839001/report?year=99'), 'year', 'query');
+    });
+
+    test('POST /api/selection/report requires a valid shape', async () => {
+        const post = body => request('POST', '/api/selection/report', {
+            body: JSON.stringify(body),
+            headers: { 'Content-Type': 'application/json' }
+        });
+        assertValidationError(await post({}), 'shape', 'body');
+        assertValidationError(await post({ shape: { type: 'hexagon' } }), 'shape', 'body');
+        assertValidationError(await post({ shape: { type: 'circle', center: [-87.6, 41.8], radius: 1000 }, year: '99' }), 'year', 'body');
+    });
+
+    test('GET /api/facilities/:facilityId/communities validates its query', async () => {
+        assertValidationError(await request('GET', '/api/facilities/12345/communities?adiYear=20x1'), 'adiYear', 'query');
+        assertValidationError(await request('GET', '/api/facilities/12345/communities?pollutant=NO%20X'), 'pollutant', 'query');
+    });
+
+    test('GET /api/burden validates the radius', async () => {
+        assertValidationError(await request('GET', '/api/burden?radius=100'), 'radius', 'query');
+        assertValidationError(await request('GET', '/api/burden?radius=5km'), 'radius', 'query');
+        assertValidationError(await request('GET', '/api/burden?adiYear=99'), 'adiYear', 'query');
+    });
+
+    test('GET /api/boundaries/:type only serves known boundary types', async () => {
+        assertValidationError(await request('GET', '/api/boundaries/counties'), 'type', 'params');
+    });
+
+    test('GET /api/boundaries/*.pmtiles is not caught by the boundary type route', async () => {
+        const response = await request('GET', '/api/boundaries/block_groups.pmtiles');
+        assert.notStrictEqual(response.status, 400);
+    });
+
+    test('POST /api/admin/cache/prefetch validates the body year', async () => {
+        const response = await request('POST', '/api/admin/cache/prefetch', {
+            body: JSON.stringify({ year: '2021; rm -rf /' }),
+            headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-token' }
+        });
+        assertValidationError(response, 'year', 'body');
+    });
+});